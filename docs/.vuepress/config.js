@@ -74,6 +74,10 @@ module.exports = {
         ['/api/rich_text_editor', 'Rich Text Editor'],
         ['/api/keymaps', 'Keymaps'],
         ['/api/undo_manager', 'Undo Manager'],
+        ['/api/collaboration', 'Collaboration'],
+        ['/api/annotations', 'Annotations'],
+        ['/api/diff', 'Diff'],
+        ['/api/pages', 'Pages'],
       ],
       '/': [
         '',
@@ -21,6 +21,10 @@ const cmds = [
   ['rich_text_editor/index.js', 'rich_text_editor.md'],
   ['keymaps/index.js', 'keymaps.md'],
   ['undo_manager/index.js', 'undo_manager.md'],
+  ['collaboration/index.js', 'collaboration.md'],
+  ['annotations/index.js', 'annotations.md'],
+  ['diff_manager/index.js', 'diff.md'],
+  ['page_manager/index.js', 'pages.md'],
   ['canvas/index.js', 'canvas.md'],
   ['i18n/index.js', 'i18n.md'],
 ].map(entry =>
@@ -0,0 +1,11 @@
+export default {
+  // Author of new comments, eg. the name of the current user
+  author: '',
+
+  // Show pins of unresolved annotations over components in the canvas
+  showPins: 1,
+
+  // Default annotations
+  // eg. [{ component: 'header-id', comments: [{ author: 'John', text: 'New logo' }] }]
+  annotations: []
+};
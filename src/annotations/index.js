@@ -0,0 +1,297 @@
+/**
+ * This module allows to leave comments on components of the project. Comments are grouped
+ * in threads (annotations) pinned to components, which can be resolved and reopened.
+ * Annotations are stored with the project, via StorageManager, and shown as pins in the canvas.
+ *
+ * You can customize the initial state of the module from the editor initialization, by passing the following [Configuration Object](https://github.com/artf/grapesjs/blob/master/src/annotations/config/config.js)
+ * ```js
+ * const editor = grapesjs.init({
+ *  annotations: {
+ *    // options
+ *  }
+ * })
+ * ```
+ *
+ * Once the editor is instantiated you can use its API. Before using these methods you should get the module from the instance
+ *
+ * ```js
+ * const annotations = editor.Annotations;
+ * ```
+ *
+ * * [getConfig](#getconfig)
+ * * [getAll](#getall)
+ * * [get](#get)
+ * * [getByComponent](#getbycomponent)
+ * * [add](#add)
+ * * [addComment](#addcomment)
+ * * [remove](#remove)
+ * * [resolve](#resolve)
+ * * [reopen](#reopen)
+ *
+ * @module Annotations
+ */
+
+import { isString } from 'underscore';
+import defaults from './config/config';
+import Annotations from './model/Annotations';
+import AnnotationsView from './view/AnnotationsView';
+import AnnotationPinsView from './view/AnnotationPinsView';
+
+export default () => {
+  let c = {};
+  let em;
+  let annotations;
+  let view;
+  let pinsView;
+
+  return {
+    /**
+     * Name of the module
+     * @type {String}
+     * @private
+     */
+    name: 'Annotations',
+
+    /**
+     * Mandatory for the storage manager
+     * @type {String}
+     * @private
+     */
+    storageKey: 'annotations',
+
+    /**
+     * Initialize module. Automatically called with a new instance of the editor
+     * @param {Object} config Configurations
+     * @private
+     */
+    init(config = {}) {
+      c = { ...defaults, ...config };
+      em = c.em;
+      annotations = new Annotations(c.annotations, { em });
+      annotations.on('add', item => em.trigger('annotation:add', item));
+      annotations.on('remove', item => em.trigger('annotation:remove', item));
+      annotations.on('change change:comments', item =>
+        em.trigger('annotation:update', item)
+      );
+      annotations.on('change:resolved', item =>
+        em.trigger(
+          `annotation:${item.isResolved() ? 'resolve' : 'reopen'}`,
+          item
+        )
+      );
+      annotations.on('add remove change change:comments', () =>
+        em.handleUpdates()
+      );
+
+      // Annotations follow their components on id changes (eg. `resetId`)
+      em.on('component:update:id', (component, idPrev) =>
+        annotations
+          .getByComponent(idPrev)
+          .forEach(item => item.set('component', component.getId()))
+      );
+      em.on('load', () => this.renderPins());
+
+      return this;
+    },
+
+    /**
+     * Get configuration object
+     * @return {Object}
+     */
+    getConfig() {
+      return c;
+    },
+
+    /**
+     * Get all annotations
+     * @return {Collection<Annotation>}
+     */
+    getAll() {
+      return annotations;
+    },
+
+    /**
+     * Get the annotation by id
+     * @param {String} id Annotation id
+     * @return {Annotation|null}
+     */
+    get(id) {
+      return annotations.get(id) || null;
+    },
+
+    /**
+     * Get annotations of the component
+     * @param {Component|String} component Component or its id
+     * @return {Array<Annotation>}
+     * @example
+     * const component = editor.getSelected();
+     * annotations.getByComponent(component);
+     */
+    getByComponent(component) {
+      return annotations.getByComponent(component);
+    },
+
+    /**
+     * Add new annotation, with its first comment, to the component.
+     * The component is linked via its id, so, if missing, the `id` attribute is added to
+     * the component in order to find it again once the project is loaded. The attribute
+     * is also part of the exported HTML
+     * @param {Component} component Component to annotate
+     * @param {Object|String} comment Comment data or its text
+     * @param {String} comment.text Text of the comment
+     * @param {String} [comment.author] Author, by default `config.author`
+     * @return {Annotation}
+     * @example
+     * const annotation = annotations.add(editor.getSelected(), {
+     *  text: 'Use the new logo here',
+     * });
+     */
+    add(component, comment = {}) {
+      // Ensure the id of the component is stored with the project
+      !component.getAttributes().id && component.setId(component.getId());
+
+      return annotations.add({
+        component: component.getId(),
+        comments: [this.createComment(comment)]
+      });
+    },
+
+    /**
+     * Reply to the annotation
+     * @param {Annotation|String} annotation Annotation or its id
+     * @param {Object|String} comment Comment data or its text
+     * @param {String} comment.text Text of the comment
+     * @param {String} [comment.author] Author, by default `config.author`
+     * @return {Comment|undefined}
+     * @example
+     * annotations.addComment(annotation, 'Done, please check');
+     */
+    addComment(annotation, comment = {}) {
+      const item = this.getAnnotation(annotation);
+      return item && item.getComments().add(this.createComment(comment));
+    },
+
+    /**
+     * Remove the annotation
+     * @param {Annotation|String} annotation Annotation or its id
+     * @return {Annotation|undefined} Removed annotation
+     * @example
+     * annotations.remove(annotation);
+     */
+    remove(annotation) {
+      return annotations.remove(this.getAnnotation(annotation));
+    },
+
+    /**
+     * Resolve the annotation
+     * @param {Annotation|String} annotation Annotation or its id
+     * @return {this}
+     * @example
+     * annotations.resolve(annotation);
+     */
+    resolve(annotation) {
+      const item = this.getAnnotation(annotation);
+      item && item.set('resolved', true);
+      return this;
+    },
+
+    /**
+     * Reopen the resolved annotation
+     * @param {Annotation|String} annotation Annotation or its id
+     * @return {this}
+     * @example
+     * annotations.reopen(annotation);
+     */
+    reopen(annotation) {
+      const item = this.getAnnotation(annotation);
+      item && item.set('resolved', false);
+      return this;
+    },
+
+    /**
+     * @private
+     */
+    getAnnotation(annotation) {
+      return isString(annotation) ? this.get(annotation) : annotation;
+    },
+
+    /**
+     * @private
+     */
+    createComment(comment) {
+      const data = isString(comment) ? { text: comment } : comment;
+      return { author: c.author, ...data };
+    },
+
+    /**
+     * Store annotations data to the selected storage
+     * @param {Boolean} noStore If true, won't store
+     * @return {Object} Data to store
+     * @private
+     */
+    store(noStore) {
+      const obj = {};
+      obj[this.storageKey] = JSON.stringify(annotations.toJSON());
+      if (!noStore && c.stm) c.stm.store(obj);
+      return obj;
+    },
+
+    /**
+     * Load annotations from the passed object
+     * @param {Object} data Object of data to load
+     * @return {Array<Object>} Loaded annotations
+     * @private
+     */
+    load(data = {}) {
+      const name = this.storageKey;
+      let result = data[name] || [];
+
+      if (isString(result)) {
+        try {
+          result = JSON.parse(result);
+        } catch (err) {}
+      }
+
+      annotations.reset(result || []);
+      this.renderPins();
+
+      return result;
+    },
+
+    /**
+     * Render pins of annotations in the canvas
+     * @private
+     */
+    renderPins() {
+      const toolsEl = em.get('Canvas').getGlobalToolsEl();
+      if (!c.showPins || !toolsEl) return;
+
+      if (!pinsView) {
+        pinsView = new AnnotationPinsView({
+          collection: annotations,
+          config: c
+        });
+      }
+
+      pinsView.el.parentNode !== toolsEl &&
+        toolsEl.appendChild(pinsView.render().el);
+    },
+
+    /**
+     * Render the panel of annotations
+     * @return {HTMLElement}
+     * @private
+     */
+    render() {
+      if (!view) {
+        view = new AnnotationsView({
+          collection: annotations,
+          module: this,
+          config: c
+        });
+      }
+
+      return view.render().el;
+    }
+  };
+};
@@ -0,0 +1,63 @@
+import Backbone from 'backbone';
+import Comments from './Comments';
+
+/**
+ * Thread of comments pinned to a component. The component is referenced
+ * by its id, so the annotation is preserved in the stored project
+ */
+export default Backbone.Model.extend({
+  defaults: {
+    component: '',
+    resolved: false,
+    comments: []
+  },
+
+  initialize() {
+    !this.get('id') &&
+      this.set(
+        'id',
+        `${Date.now().toString(36)}${Math.random()
+          .toString(36)
+          .slice(2, 6)}`
+      );
+    const comments = new Comments(this.get('comments'));
+    this.set('comments', comments);
+    this.listenTo(comments, 'add remove change', () =>
+      this.trigger('change:comments', this, comments)
+    );
+  },
+
+  /**
+   * Get the id of the annotated component
+   * @return {String}
+   */
+  getComponentId() {
+    return this.get('component');
+  },
+
+  /**
+   * Get the annotated component, `undefined` if it's not in the project
+   * @return {Component|undefined}
+   */
+  getComponent() {
+    const { em } = this.collection || {};
+    const id = this.getComponentId();
+    return em && id ? em.get('DomComponents').allById()[id] : undefined;
+  },
+
+  /**
+   * Get comments of the thread
+   * @return {Collection}
+   */
+  getComments() {
+    return this.get('comments');
+  },
+
+  /**
+   * Check if the annotation is resolved
+   * @return {Boolean}
+   */
+  isResolved() {
+    return !!this.get('resolved');
+  }
+});
@@ -0,0 +1,20 @@
+import Backbone from 'backbone';
+import Annotation from './Annotation';
+
+export default Backbone.Collection.extend({
+  model: Annotation,
+
+  initialize(models, opts = {}) {
+    this.em = opts.em;
+  },
+
+  /**
+   * Get annotations of the component
+   * @param {Component|String} component Component or its id
+   * @return {Array<Annotation>}
+   */
+  getByComponent(component) {
+    const id = component && component.getId ? component.getId() : component;
+    return this.filter(annotation => annotation.getComponentId() === id);
+  }
+});
@@ -0,0 +1,13 @@
+import Backbone from 'backbone';
+
+export default Backbone.Model.extend({
+  defaults: {
+    author: '',
+    text: '',
+    date: 0
+  },
+
+  initialize() {
+    !this.get('date') && this.set('date', Date.now());
+  }
+});
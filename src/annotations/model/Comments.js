@@ -0,0 +1,6 @@
+import Backbone from 'backbone';
+import Comment from './Comment';
+
+export default Backbone.Collection.extend({
+  model: Comment
+});
@@ -0,0 +1,66 @@
+import Backbone from 'backbone';
+import { debounce, escape } from 'underscore';
+
+export default Backbone.View.extend({
+  events: {
+    'click [data-annotation-pin]': 'handleClick'
+  },
+
+  initialize(o = {}) {
+    const config = o.config || {};
+    const { em } = config;
+    this.config = config;
+    this.em = em;
+    this.pfx = `${config.pStylePrefix || ''}annotations`;
+    this.update = debounce(() => this.render());
+    this.listenTo(
+      this.collection,
+      'add remove reset change change:comments',
+      this.update
+    );
+    this.listenTo(
+      em,
+      'canvas:update frame:scroll change:canvasOffset component:update component:resize component:styleUpdate component:input',
+      this.update
+    );
+  },
+
+  handleClick(ev) {
+    let el = ev.target;
+
+    while (el && !el.hasAttribute('data-annotation-pin')) {
+      el = el.parentNode;
+    }
+
+    const annotation =
+      el && this.collection.get(el.getAttribute('data-annotation-pin'));
+    const component = annotation && annotation.getComponent();
+    component && this.em.setSelected(component);
+    annotation && this.em.trigger('annotation:select', annotation);
+  },
+
+  getPinHtml(annotation) {
+    const { pfx, em } = this;
+    const component = annotation.getComponent();
+    const el = component && component.getEl();
+    if (!el || !el.parentNode || annotation.isResolved()) return '';
+    const pos = em.get('Canvas').getElementPos(el, { noScroll: 1 });
+    const comments = annotation.getComments();
+    const last = comments.last();
+    const title = last ? last.get('text') : '';
+
+    return `
+      <div class="${pfx}-pin" data-annotation-pin="${escape(annotation.id)}"
+        style="top: ${pos.top}px; left: ${pos.left + pos.width}px"
+        title="${escape(title)}">${comments.length}</div>
+    `;
+  },
+
+  render() {
+    this.el.className = `${this.pfx}-pins`;
+    this.el.innerHTML = this.collection
+      .map(annotation => this.getPinHtml(annotation))
+      .join('');
+    return this;
+  }
+});
@@ -0,0 +1,194 @@
+import Backbone from 'backbone';
+import { debounce, escape } from 'underscore';
+
+export default Backbone.View.extend({
+  events: {
+    click: 'handleClick',
+    keydown: 'handleKeyDown'
+  },
+
+  initialize(o = {}) {
+    const config = o.config || {};
+    this.config = config;
+    this.module = o.module;
+    this.em = config.em;
+    this.pfx = `${config.pStylePrefix || ''}annotations`;
+    this.update = debounce(() => this.render());
+    this.listenTo(
+      this.collection,
+      'add remove reset change change:comments',
+      this.update
+    );
+    this.listenTo(this.em, 'component:toggled', this.update);
+  },
+
+  /**
+   * Get the translated label
+   * @param {String} key
+   * @param {String} label Default label
+   * @return {String}
+   * @private
+   */
+  t(key, label) {
+    const { em } = this;
+    return (em.get('I18n') && em.t(`annotations.${key}`)) || label;
+  },
+
+  /**
+   * Get the closest element, of the event target, with the attribute
+   * @private
+   */
+  getTarget(ev, attr) {
+    let el = ev.target;
+
+    while (
+      el &&
+      el !== this.el &&
+      !(el.hasAttribute && el.hasAttribute(attr))
+    ) {
+      el = el.parentNode;
+    }
+
+    return el && el !== this.el ? el : null;
+  },
+
+  /**
+   * Get the annotation of the event target
+   * @private
+   */
+  getAnnotation(ev) {
+    const el = this.getTarget(ev, 'data-annotation');
+    return el && this.collection.get(el.getAttribute('data-annotation'));
+  },
+
+  handleClick(ev) {
+    const { module, em } = this;
+    const annotation = this.getAnnotation(ev);
+
+    if (this.getTarget(ev, 'data-annotation-add')) {
+      const input = this.el.querySelector('[data-annotation-input]');
+      const text = input && input.value.trim();
+      const component = em.getSelected();
+      text && component && module.add(component, { text });
+    } else if (!annotation) {
+      return;
+    } else if (this.getTarget(ev, 'data-annotation-resolve')) {
+      annotation.isResolved()
+        ? module.reopen(annotation)
+        : module.resolve(annotation);
+    } else if (this.getTarget(ev, 'data-annotation-remove')) {
+      module.remove(annotation);
+    } else if (this.getTarget(ev, 'data-annotation-target')) {
+      const component = annotation.getComponent();
+      component && em.setSelected(component);
+    }
+  },
+
+  handleKeyDown(ev) {
+    const input = this.getTarget(ev, 'data-annotation-reply');
+    const annotation = input && this.getAnnotation(ev);
+    const text = input && input.value.trim();
+
+    if (ev.key === 'Enter' && annotation && text) {
+      this.module.addComment(annotation, { text });
+    }
+  },
+
+  /**
+   * Get the formatted date of the comment
+   * @param {Number} date
+   * @return {String}
+   * @private
+   */
+  getDate(date) {
+    return date ? new Date(date).toLocaleString() : '';
+  },
+
+  getCommentHtml(comment) {
+    const { pfx } = this;
+    const author = comment.get('author');
+
+    return `
+      <div class="${pfx}-comment">
+        <div class="${pfx}-comment-info">
+          ${author ? `<b>${escape(author)}</b>` : ''}
+          <span>${this.getDate(comment.get('date'))}</span>
+        </div>
+        <div class="${pfx}-comment-text">${escape(comment.get('text'))}</div>
+      </div>
+    `;
+  },
+
+  getItemHtml(annotation) {
+    const { pfx, em } = this;
+    const component = annotation.getComponent();
+    const resolved = annotation.isResolved();
+    const selected = component && em.get('selected').contains(component);
+    const name = component
+      ? component.getName()
+      : this.t('removed', 'Removed component');
+    const cls = [
+      `${pfx}-item`,
+      resolved && `${pfx}-item--resolved`,
+      selected && `${pfx}-item--selected`
+    ].filter(Boolean);
+
+    return `
+      <div class="${cls.join(' ')}" data-annotation="${escape(annotation.id)}">
+        <div class="${pfx}-header">
+          <span class="${pfx}-target" data-annotation-target>${escape(
+      name
+    )}</span>
+          <span class="${pfx}-btn" data-annotation-resolve>
+            ${
+              resolved
+                ? this.t('reopen', 'Reopen')
+                : this.t('resolve', 'Resolve')
+            }
+          </span>
+          <i class="${pfx}-btn fa fa-trash-o" data-annotation-remove title="${this.t(
+      'remove',
+      'Remove'
+    )}"></i>
+        </div>
+        ${annotation
+          .getComments()
+          .map(comment => this.getCommentHtml(comment))
+          .join('')}
+        ${
+          resolved
+            ? ''
+            : `<input class="${pfx}-reply" data-annotation-reply placeholder="${this.t(
+                'reply',
+                'Reply'
+              )}"/>`
+        }
+      </div>
+    `;
+  },
+
+  render() {
+    const { pfx, collection, em } = this;
+    const items = collection.map(annotation => this.getItemHtml(annotation));
+    const form = em.getSelected()
+      ? `<div class="${pfx}-form">
+          <textarea class="${pfx}-input" data-annotation-input placeholder="${this.t(
+          'placeholder',
+          'Comment the selected component'
+        )}"></textarea>
+          <span class="${pfx}-btn" data-annotation-add>${this.t(
+          'add',
+          'Comment'
+        )}</span>
+        </div>`
+      : '';
+    const empty = `<div class="${pfx}-empty">${this.t(
+      'empty',
+      'No comments'
+    )}</div>`;
+
+    this.el.className = pfx;
+    this.el.innerHTML = `${form}${items.length ? items.join('') : empty}`;
+    return this;
+  }
+});
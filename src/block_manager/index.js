@@ -254,6 +254,28 @@ export default () => {
       blocksView.updateConfig(opts);
       blocksView.collection.reset(toRender);
       return this.getContainer();
+    },
+
+    /**
+     * Activate the dropped component (eg. the image opens the Asset Manager).
+     * Changes made by the activation are part of the drop in the UndoManager,
+     * if the activation opens the modal, until it's closed
+     * @param {Component} component Dropped component
+     * @private
+     */
+    __activate(component) {
+      const em = c.em;
+      const um = em && em.get('UndoManager');
+      const modal = em && em.get('Modal');
+      if (!um) return component.trigger('active');
+      um.startGroup(null, { join: 1 });
+      component.trigger('active');
+
+      if (modal && modal.isOpen()) {
+        modal.getModel().once('change:open', () => um.endGroup());
+      } else {
+        um.endGroup();
+      }
     }
   };
 };
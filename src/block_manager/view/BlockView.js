@@ -101,7 +101,7 @@ export default Backbone.View.extend({
       const oldActive = result.get && result.get(oldKey);
 
       if (model.get('activate') || oldActive) {
-        result.trigger('active');
+        em.get('BlockManager').__activate(result);
         result.set(oldKey, 0);
       }
 
@@ -86,7 +86,7 @@ export default Backbone.View.extend({
 
     if (model && model.get) {
       if (model.get('activeOnRender')) {
-        model.trigger('active');
+        em.get('BlockManager').__activate(model);
         model.set('activeOnRender', 0);
       }
 
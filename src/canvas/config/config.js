@@ -35,6 +35,60 @@ export default {
    */
   autoscrollLimit: 50,
 
+  /**
+   * Enable the board mode, where frames are positioned freely by their coordinates
+   * and can be moved by dragging their name. The board can be panned with space+drag
+   * or with the mouse wheel and zoomed, to the pointer, with ctrl/cmd+wheel.
+   * The board mode is always enabled in multi-frame mode
+   */
+  board: false,
+
+  /**
+   * Space around the area to show on zoom-to-fit and zoom-to-selection (value in px)
+   */
+  fitPadding: 40,
+
+  /**
+   * Dimensions of frames, in multi-frame mode, for devices without
+   * a width or a height (eg. Desktop)
+   */
+  frameWidth: 1280,
+  frameHeight: 800,
+
+  /**
+   * Space between frames in multi-frame mode (value in px)
+   */
+  framesGap: 80,
+
+  /**
+   * Show rulers on the top and left edges of the canvas. Drag from a ruler to create
+   * a guide and drag the guide back on its ruler to remove it.
+   * Guides are visible, and components snap to them, only when rulers are shown
+   */
+  rulers: false,
+
+  /**
+   * Size of rulers (value in px)
+   */
+  rulerSize: 16,
+
+  /**
+   * Show guides when edges or centers of the dragged (absolute mode) or resized component
+   * are aligned with its siblings or its parent. Resized components snap to them
+   */
+  smartGuides: true,
+
+  /**
+   * Size of the grid (value in px) where dragged, in absolute mode, and resized components snap,
+   * `0` to disable the grid
+   */
+  snapGrid: 0,
+
+  /**
+   * Distance from guides where dragged and resized components snap to them (value in px)
+   */
+  snapOffset: 5,
+
   /**
    * When some textable component is selected and focused (eg. input or text component) the editor
    * stops some commands (eg. disables the copy/paste of components with CTRL+C/V to allow the copy/paste of the text).
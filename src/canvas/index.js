@@ -26,6 +26,20 @@
  * * [scrollTo](#scrollto)
  * * [setZoom](#setzoom)
  * * [getZoom](#getzoom)
+ * * [zoomToFit](#zoomtofit)
+ * * [zoomToComponent](#zoomtocomponent)
+ * * [setBoard](#setboard)
+ * * [isBoard](#isboard)
+ * * [setRulers](#setrulers)
+ * * [hasRulers](#hasrulers)
+ * * [getGuides](#getguides)
+ * * [addGuide](#addguide)
+ * * [removeGuide](#removeguide)
+ * * [getFrames](#getframes)
+ * * [addFrame](#addframe)
+ * * [removeFrame](#removeframe)
+ * * [setMultiFrames](#setmultiframes)
+ * * [isMultiFrames](#ismultiframes)
  *
  * @module Canvas
  */
@@ -35,10 +49,11 @@ import {
   off,
   hasDnd,
   getElement,
+  getElRect,
   getPointerEvent,
   getViewEl
 } from 'utils/mixins';
-import { debounce } from 'underscore';
+import { debounce, isArray } from 'underscore';
 import Droppable from 'utils/Droppable';
 import defaults from './config/config';
 import Canvas from './model/Canvas';
@@ -85,6 +100,7 @@ export default () => {
       if (ppfx) c.stylePrefix = ppfx + c.stylePrefix;
 
       canvas = new Canvas(config);
+      canvas.set({ board: !!c.board, rulers: !!c.rulers });
       CanvasView = new canvasView({
         model: canvas,
         config: c
@@ -96,6 +112,7 @@ export default () => {
       this.model = canvas;
       this.startAutoscroll = this.startAutoscroll.bind(this);
       this.stopAutoscroll = this.stopAutoscroll.bind(this);
+      this.getMouseRelativePos = this.getMouseRelativePos.bind(this);
       return this;
     },
 
@@ -503,6 +520,7 @@ export default () => {
       var addTop = 0;
       var addLeft = 0;
       var subWinOffset = opts.subWinOffset;
+      var zoom = 1;
       var doc = e.target.ownerDocument;
       var win = doc.defaultView || doc.parentWindow;
       var frame = win.frameElement;
@@ -513,11 +531,12 @@ export default () => {
         var frameRect = frame.getBoundingClientRect();
         addTop = frameRect.top || 0;
         addLeft = frameRect.left || 0;
+        zoom = this.getZoomDecimal();
       }
 
       return {
-        y: e.clientY + addTop - yOffset,
-        x: e.clientX + addLeft - xOffset
+        y: (e.clientY - yOffset) * zoom + addTop,
+        x: (e.clientX - xOffset) * zoom + addLeft
       };
     },
 
@@ -527,9 +546,22 @@ export default () => {
      * @return {Object}
      * @private
      */
-    getMouseRelativeCanvas(ev, opts) {
+    getMouseRelativeCanvas(ev, opts = {}) {
       const zoom = this.getZoomDecimal();
-      const { top, left } = CanvasView.getPosition(opts);
+      const doc = ev.target && ev.target.ownerDocument;
+      const win = doc && doc.defaultView;
+      const frameEl = win && win.frameElement;
+
+      // The event is not coming from a frame (eg. over the board)
+      if (!frameEl) {
+        const cvOff = CanvasView.getCanvasOffset();
+        return {
+          y: ev.clientY - cvOff.top,
+          x: ev.clientX - cvOff.left
+        };
+      }
+
+      const { top, left } = CanvasView.getPosition({ ...opts, frameEl });
 
       return {
         y: ev.clientY * zoom + top,
@@ -602,16 +634,42 @@ export default () => {
     },
 
     postRender() {
+      const multiFrames = c.em.getConfig('multiFrames');
       if (hasDnd(c.em)) this.droppable = new Droppable(c.em);
+      multiFrames && this.setMultiFrames(multiFrames);
     },
 
     /**
      * Set zoom value
      * @param {Number} value The zoom value, from 0 to 100
+     * @param {Object} [opts={}] Options
+     * @param {Object} [opts.point] Point, relative to the canvas element, which keeps
+     * its position during the zoom (eg. the mouse pointer), `{ x: 0, y: 0 }`
      * @returns {this}
+     * @example
+     * // Zoom to the top left corner of the canvas
+     * canvas.setZoom(150, { point: { x: 0, y: 0 } });
      */
-    setZoom(value) {
-      canvas.set('zoom', parseFloat(value));
+    setZoom(value, opts = {}) {
+      const { point } = opts;
+      const zoom = Math.max(parseFloat(value), 1);
+
+      if (point) {
+        const { width, height } = CanvasView.getCanvasOffset();
+        const { x, y } = canvas.attributes;
+        const ratio = zoom / this.getZoom();
+        // Frames are scaled from the center of the canvas
+        const pX = point.x - width / 2;
+        const pY = point.y - height / 2;
+        canvas.set({
+          zoom,
+          x: pX - (pX - x) * ratio,
+          y: pY - (pY - y) * ratio
+        });
+      } else {
+        canvas.set('zoom', zoom);
+      }
+
       return this;
     },
 
@@ -632,6 +690,246 @@ export default () => {
       return zoom ? 1 / zoom : 1;
     },
 
+    /**
+     * Zoom and pan the canvas to show all frames
+     * @param {Object} [opts={}] Options
+     * @param {Number} [opts.padding] Space around frames, in px, `fitPadding` of the configuration by default
+     * @param {Number} [opts.maxZoom=100] Maximum zoom value
+     * @returns {this}
+     * @example
+     * canvas.zoomToFit();
+     */
+    zoomToFit(opts = {}) {
+      const rects = this.getFrames().map(frame => this.getFrameRect(frame));
+      const top = Math.min(...rects.map(rect => rect.top));
+      const left = Math.min(...rects.map(rect => rect.left));
+      const bottom = Math.max(...rects.map(rect => rect.top + rect.height));
+      const right = Math.max(...rects.map(rect => rect.left + rect.width));
+
+      return this.fitArea(
+        { top, left, width: right - left, height: bottom - top },
+        opts
+      );
+    },
+
+    /**
+     * Zoom and pan the canvas to show the component. If the component is
+     * visible in multiple frames, the one of the current frame is used
+     * @param {Component} [component] Component to show, the selected one by default
+     * @param {Object} [opts={}] Options
+     * @param {Number} [opts.padding] Space around the component, in px, `fitPadding` of the configuration by default
+     * @param {Number} [opts.maxZoom=100] Maximum zoom value
+     * @returns {this}
+     * @example
+     * canvas.zoomToComponent(editor.getSelected(), { maxZoom: 200 });
+     */
+    zoomToComponent(component, opts = {}) {
+      const { em } = this;
+      const cmp = component || em.getSelected();
+      const view =
+        cmp && (cmp.getView(em.getCurrentFrameModel()) || cmp.getView());
+      const frameView = view && view._getFrame();
+      if (!frameView) return this;
+      const frameRect = this.getFrameRect(frameView.model);
+      const { top, left, width, height } = getElRect(view.el);
+
+      return this.fitArea(
+        {
+          top: frameRect.top + top,
+          left: frameRect.left + left,
+          width,
+          height
+        },
+        opts
+      );
+    },
+
+    /**
+     * Zoom and pan the canvas to show the area of the board
+     * @param {Object} rect Area, not affected by the zoom, `{ top, left, width, height }`
+     * @param {Object} [opts={}] Options
+     * @returns {this}
+     * @private
+     */
+    fitArea(rect, opts = {}) {
+      const { padding = c.fitPadding, maxZoom = 100 } = opts;
+      const { width, height } = CanvasView.getCanvasOffset();
+      if (!width || !height || !rect.width || !rect.height) return this;
+      const scale = Math.min(
+        (width - padding * 2) / rect.width,
+        (height - padding * 2) / rect.height
+      );
+      const zoom = Math.max(Math.min(scale * 100, maxZoom), 1);
+      const zoomDec = zoom / 100;
+
+      // Move the center of the area to the center of the canvas
+      canvas.set({
+        zoom,
+        x: -(rect.left + rect.width / 2 - width / 2) * zoomDec,
+        y: -(rect.top + rect.height / 2 - height / 2) * zoomDec
+      });
+
+      return this;
+    },
+
+    /**
+     * Get the area of the frame on the board, not affected by the zoom
+     * @param {Frame} frame
+     * @returns {Object}
+     * @private
+     */
+    getFrameRect(frame) {
+      const { x, y, width, height } = frame.attributes;
+      const { view } = frame;
+      const el = view && view.el;
+
+      return {
+        top: parseFloat(y) || 0,
+        left: parseFloat(x) || 0,
+        width: parseFloat(width) || (el && el.offsetWidth) || 0,
+        height: parseFloat(height) || (el && el.offsetHeight) || 0
+      };
+    },
+
+    /**
+     * Enable or disable the board mode, where frames are positioned freely by their
+     * coordinates and the canvas can be panned and zoomed. In multi-frame mode the
+     * board is always enabled
+     * @param {Boolean} value
+     * @returns {this}
+     * @example
+     * canvas.setBoard(true);
+     * // Move the frame
+     * canvas.getFrame().set({ x: 100, y: 50 });
+     */
+    setBoard(value) {
+      canvas.set('board', !!value);
+      !canvas.isBoard() && canvas.set({ x: 0, y: 0 });
+      return this;
+    },
+
+    /**
+     * Check if the board mode is enabled
+     * @returns {Boolean}
+     */
+    isBoard() {
+      return canvas.isBoard();
+    },
+
+    /**
+     * Show or hide rulers, along with guides created from them
+     * @param {Boolean} value
+     * @returns {this}
+     * @example
+     * canvas.setRulers(true);
+     */
+    setRulers(value) {
+      canvas.set('rulers', !!value);
+      return this;
+    },
+
+    /**
+     * Check if rulers are shown
+     * @returns {Boolean}
+     */
+    hasRulers() {
+      return !!canvas.get('rulers');
+    },
+
+    /**
+     * Get all guides
+     * @returns {Array<Guide>}
+     */
+    getGuides() {
+      return canvas.get('guides').map(item => item);
+    },
+
+    /**
+     * Add a guide
+     * @param {Object} [props={}] Guide properties
+     * @param {String} [props.axis='x'] Axis of the guide, `x` for a vertical guide and `y` for a horizontal one
+     * @param {Number} [props.value=0] Position of the guide in the main frame document (value in px)
+     * @returns {Guide}
+     * @example
+     * canvas.setRulers(true);
+     * canvas.addGuide({ axis: 'y', value: 100 });
+     */
+    addGuide(props = {}) {
+      return canvas.get('guides').add(props);
+    },
+
+    /**
+     * Remove a guide
+     * @param {Guide} guide
+     * @returns {Guide}
+     * @example
+     * const [guide] = canvas.getGuides();
+     * canvas.removeGuide(guide);
+     */
+    removeGuide(guide) {
+      return canvas.get('guides').remove(guide);
+    },
+
+    /**
+     * Get the position, relative to the canvas, of the main frame document origin.
+     * Used to convert coordinates of rulers and guides
+     * @returns {Object} `{ x, y, zoom }`
+     * @private
+     */
+    getRulersOrigin() {
+      const zoom = this.getZoomDecimal();
+      const pos = CanvasView.getPosition({ noScroll: 1 });
+      const body = this.getBody();
+      if (!pos || !body) return { x: 0, y: 0, zoom };
+
+      return {
+        x: pos.left - body.scrollLeft * zoom,
+        y: pos.top - body.scrollTop * zoom,
+        zoom
+      };
+    },
+
+    /**
+     * Get guides, with positions relative to the canvas, where
+     * dragged and resized components snap
+     * @returns {Array<Object>}
+     * @private
+     */
+    getSnapGuides() {
+      if (!this.hasRulers()) return [];
+      const origin = this.getRulersOrigin();
+
+      return this.getGuides().map(guide => {
+        const { axis, value } = guide.attributes;
+        return {
+          type: 'guide',
+          guide,
+          [axis]: origin[axis] + value * origin.zoom
+        };
+      });
+    },
+
+    /**
+     * Round the value to the grid, if `snapGrid` is configured
+     * @param {Number} value
+     * @returns {Number}
+     * @private
+     */
+    snapToGrid(value) {
+      const { snapGrid } = c;
+      return snapGrid ? Math.round(value / snapGrid) * snapGrid : value;
+    },
+
+    /**
+     * Show guides matched by the dragged or resized component
+     * @param {Array<Object>} [guides=[]] Guides with `x` or `y` positions relative to the canvas
+     * @private
+     */
+    renderSmartGuides(guides = []) {
+      const { guidesView } = CanvasView;
+      guidesView && guidesView.renderSmart(c.smartGuides ? guides : []);
+    },
+
     toggleFramesEvents(on) {
       const { style } = this.getFramesEl();
       style.pointerEvents = on ? '' : 'none';
@@ -647,6 +945,10 @@ export default () => {
       return CanvasView.frame.getWrapper();
     },
 
+    /**
+     * Get all frames of the canvas
+     * @returns {Array<Frame>}
+     */
     getFrames() {
       return canvas.get('frames').map(item => item);
     },
@@ -684,6 +986,102 @@ export default () => {
           em: this.em
         }
       );
+    },
+
+    /**
+     * Remove the frame from the canvas
+     * @param {Frame} frame
+     * @returns {Frame}
+     */
+    removeFrame(frame) {
+      const { em } = this;
+      const { view } = frame;
+      const wrapperView = view && view.config.frameWrapView;
+      wrapperView ? wrapperView.remove() : frame.remove();
+      em.getCurrentFrameModel() === frame &&
+        em.setCurrentFrame(canvas.get('frame').view);
+      return frame;
+    },
+
+    /**
+     * Show the project in multiple frames, placed side by side, one for each device
+     * of the Device Manager. All frames share the same components and styles, so selection
+     * and highlighting are synchronized between them, while media queries are evaluated
+     * by each frame according to its own width.
+     * Selecting a component in a frame makes its device the current one, so new styles
+     * are applied to the media of that device.
+     * @param {Boolean|Array<String>} [devices=true] Ids of devices to show, `true` for all devices
+     * or `false` to go back to the single frame
+     * @returns {Array<Frame>}
+     * @example
+     * canvas.setMultiFrames(['Desktop', 'Tablet', 'Mobile portrait']);
+     * // Go back to the single frame
+     * canvas.setMultiFrames(false);
+     */
+    setMultiFrames(devices = true) {
+      const { em } = this;
+      const dm = em.get('DeviceManager');
+      const main = canvas.get('frame');
+      const ids = isArray(devices)
+        ? devices
+        : devices
+        ? dm.getAll().map(device => device.id)
+        : [];
+      const items = ids.map(id => dm.get(id)).filter(Boolean);
+      const gap = c.framesGap;
+      let x = gap;
+
+      this.getFrames()
+        .filter(frame => frame !== main)
+        .forEach(frame => this.removeFrame(frame));
+      canvas.set({ multiFrames: !!items.length, x: 0, y: 0, zoom: 100 });
+
+      if (!items.length) {
+        main.set({
+          device: '',
+          name: '',
+          x: 0,
+          y: 0,
+          width: null,
+          height: null
+        });
+        canvas.updateDevice();
+        return this.getFrames();
+      }
+
+      items.forEach((device, index) => {
+        const { width, height } = device.attributes;
+        const props = {
+          device: device.id,
+          name: device.get('name'),
+          x,
+          y: gap,
+          width: parseFloat(width) || c.frameWidth,
+          height: parseFloat(height) || c.frameHeight
+        };
+        x += props.width + gap;
+
+        // The main frame shows the first device, the others share its content
+        index
+          ? this.addFrame({
+              ...props,
+              root: main.get('root'),
+              styles: main.get('styles')
+            })
+          : main.set(props);
+      });
+
+      em.get('device') !== items[0].id && em.set('device', items[0].id);
+
+      return this.getFrames();
+    },
+
+    /**
+     * Check if the canvas is in multi-frame mode
+     * @returns {Boolean}
+     */
+    isMultiFrames() {
+      return !!canvas.get('multiFrames');
     }
   };
 };
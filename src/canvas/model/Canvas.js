@@ -1,13 +1,17 @@
 import Backbone from 'backbone';
 import Frame from './Frame';
 import Frames from './Frames';
+import Guides from './Guides';
 
 export default Backbone.Model.extend({
   defaults: {
     frame: '',
     frames: '',
+    guides: '',
     wrapper: '',
     rulers: false,
+    multiFrames: false,
+    board: false,
     zoom: 100,
     x: 0,
     y: 0
@@ -24,6 +28,7 @@ export default Backbone.Model.extend({
     this.em = em;
     this.set('frame', frame);
     this.set('frames', new Frames([frame], config));
+    this.set('guides', new Guides());
     this.listenTo(this, 'change:zoom', this.onZoomChange);
     this.listenTo(em, 'change:device', this.updateDevice);
   },
@@ -33,12 +38,43 @@ export default Backbone.Model.extend({
     const device = em.getDeviceModel();
     const model = em.getCurrentFrameModel();
 
+    // In multi-frame mode each frame keeps its device, so the frame
+    // of the selected device becomes the current one
+    if (this.get('multiFrames')) {
+      const frame = this.getDeviceFrame(device);
+      frame && frame.view && em.setCurrentFrame(frame.view);
+      return;
+    }
+
     if (model && device) {
       const { width, height } = device.attributes;
       model.set({ width, height });
     }
   },
 
+  /**
+   * Check if frames are positioned freely on a board which can be
+   * panned and zoomed, always true in multi-frame mode
+   * @return {Boolean}
+   * @private
+   */
+  isBoard() {
+    return !!(this.get('board') || this.get('multiFrames'));
+  },
+
+  /**
+   * Get the frame showing the device
+   * @param {Device} device
+   * @return {Frame|undefined}
+   * @private
+   */
+  getDeviceFrame(device) {
+    return (
+      device &&
+      this.get('frames').filter(frame => frame.get('device') === device.id)[0]
+    );
+  },
+
   onZoomChange() {
     const zoom = this.get('zoom');
     zoom < 1 && this.set('zoom', 1);
@@ -8,6 +8,7 @@ export default Backbone.Model.extend({
     wrapper: '',
     width: null,
     height: null,
+    device: '',
     head: '',
     x: 0,
     y: 0,
@@ -0,0 +1,11 @@
+import Backbone from 'backbone';
+
+export default Backbone.Model.extend({
+  defaults: {
+    // Axis of the guide, `x` for a vertical guide and `y` for a horizontal one
+    axis: 'x',
+
+    // Position of the guide in the main frame document (value in px)
+    value: 0
+  }
+});
@@ -0,0 +1,6 @@
+import Backbone from 'backbone';
+import model from './Guide';
+
+export default Backbone.Collection.extend({
+  model
+});
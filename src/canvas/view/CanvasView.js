@@ -9,6 +9,7 @@ import {
   getElRect
 } from 'utils/mixins';
 import FramesView from './FramesView';
+import GuidesView from './GuidesView';
 
 const $ = Backbone.$;
 let timerZoom;
@@ -45,9 +46,11 @@ export default Backbone.View.extend({
         renderContent: 1
       }
     });
+    this.guidesView = new GuidesView({ model, config });
     this.listenTo(em, 'change:canvasOffset', this.clearOff);
     this.listenTo(em, 'component:selected', this.checkSelected);
     this.listenTo(model, 'change:zoom change:x change:y', this.updateFrames);
+    this.listenTo(model, 'change:multiFrames change:board', this.updateBoard);
     this.listenTo(frames, 'loaded:all', () => em.trigger('loaded'));
     this.toggleListeners(1);
   },
@@ -65,6 +68,8 @@ export default Backbone.View.extend({
   remove() {
     Backbone.View.prototype.remove.apply(this, arguments);
     this.toggleListeners();
+    this.guidesView.remove();
+    timerZoom && clearTimeout(timerZoom);
   },
 
   preventDefault(ev) {
@@ -94,7 +99,7 @@ export default Backbone.View.extend({
 
     if (
       key === ' ' &&
-      em.getZoomDecimal() !== 1 &&
+      (em.getZoomDecimal() !== 1 || this.model.isBoard()) &&
       !em.get('Canvas').isInputFocused()
     ) {
       this.preventDefault(ev);
@@ -103,12 +108,25 @@ export default Backbone.View.extend({
   },
 
   onWheel(ev) {
-    if ((ev.ctrlKey || ev.metaKey) && this.em.getConfig('multiFrames')) {
+    const { model, em } = this;
+    // Wheel events from frames are dispatched by their iframe element
+    const frameEv = ev._parentEvent;
+    if (!model.isBoard()) return;
+
+    if (ev.ctrlKey || ev.metaKey) {
+      this.preventDefault(ev);
+      const canvas = em.get('Canvas');
+      const wheel = -ev.deltaY || ev.wheelDelta || -ev.detail || 0;
+      const delta = Math.max(-1, Math.min(1, wheel));
+      const point = canvas.getMouseRelativeCanvas(frameEv || ev, {
+        noScroll: 1
+      });
+      canvas.setZoom(model.get('zoom') + delta * 2, { point });
+    } else if (!frameEv) {
+      // Frames keep their own scroll, the wheel pans only the board
       this.preventDefault(ev);
-      const { model } = this;
-      const delta = Math.max(-1, Math.min(1, ev.wheelDelta || -ev.detail));
-      const zoom = model.get('zoom');
-      model.set('zoom', zoom + delta * 2);
+      const { x, y } = model.attributes;
+      model.set({ x: x - (ev.deltaX || 0), y: y - (ev.deltaY || 0) });
     }
   },
 
@@ -127,6 +145,12 @@ export default Backbone.View.extend({
     timerZoom = setTimeout(() => em.runDefault(defOpts), 300);
   },
 
+  updateBoard() {
+    const { framesArea, model, pfx } = this;
+    const cls = `${pfx}canvas__frames--board`;
+    framesArea && framesArea.classList[model.isBoard() ? 'add' : 'remove'](cls);
+  },
+
   getZoom() {
     return this.em.getZoomDecimal();
   },
@@ -183,12 +207,13 @@ export default Backbone.View.extend({
    * @private
    */
   getFrameOffset(el) {
-    if (!this.frmOff || el) {
-      const frEl = el
-        ? el.ownerDocument.defaultView.frameElement
-        : this.frame.el;
-      this.frmOff = this.offset(frEl);
+    // Only the offset of the main frame is cached, elements
+    // might be in other frames
+    if (el) {
+      return this.offset(el.ownerDocument.defaultView.frameElement);
     }
+
+    if (!this.frmOff) this.frmOff = this.offset(this.frame.el);
     return this.frmOff;
   },
 
@@ -254,15 +279,18 @@ export default Backbone.View.extend({
 
   /**
    * Returns position data of the canvas element
+   * @param {Object} [opts={}] Options
+   * @param {HTMLIFrameElement} [opts.frameEl] Frame to use, the main one by default
    * @return {Object} obj Position object
    * @private
    */
   getPosition(opts = {}) {
-    const doc = this.frame.el.contentDocument;
+    const { frameEl } = opts;
+    const doc = (frameEl || this.frame.el).contentDocument;
     if (!doc) return;
     const bEl = doc.body;
     const zoom = this.getZoom();
-    const fo = this.getFrameOffset();
+    const fo = frameEl ? this.offset(frameEl) : this.getFrameOffset();
     const co = this.getCanvasOffset();
     const { noScroll } = opts;
 
@@ -326,6 +354,7 @@ export default Backbone.View.extend({
     $el.html(this.template());
     const $frames = $el.find('[data-frames]');
     this.framesArea = $frames.get(0);
+    this.updateBoard();
     this.wrapper = wrapper;
 
     if (wrapper && typeof wrapper.render == 'function') {
@@ -365,6 +394,7 @@ export default Backbone.View.extend({
     this.toolsGlobEl = el.querySelector(`.${ppfx}tools-gl`);
     this.toolsEl = toolsEl;
     this.el.className = this.className;
+    el.appendChild(this.guidesView.render().el);
 
     // Render all frames
     const frms = model.get('frames');
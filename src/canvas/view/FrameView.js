@@ -145,7 +145,7 @@ export default Backbone.View.extend({
     const { root, model } = this;
     this._toggleEffects();
     Backbone.View.prototype.remove.apply(this, arguments);
-    root.remove();
+    root && root.remove();
     model.remove();
   },
 
@@ -397,12 +397,13 @@ export default Backbone.View.extend({
 
     this._toggleEffects(1);
     model.trigger('loaded');
+    em.trigger('frame:load', { frame: model, view: this });
   },
 
   _toggleEffects(enable) {
     const method = enable ? on : off;
     const win = this.getWindow();
-    method(win, `${motionsEv} resize`, this._emitUpdate);
+    win && method(win, `${motionsEv} resize`, this._emitUpdate);
   },
 
   _emitUpdate() {
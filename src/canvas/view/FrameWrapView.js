@@ -35,6 +35,7 @@ export default Backbone.View.extend({
     this.listenTo(model, 'loaded', this.frameLoaded);
     this.listenTo(model, 'change:x change:y', this.updatePos);
     this.listenTo(model, 'change:width change:height', this.updateSize);
+    this.listenTo(model, 'change:name', this.updateName);
     this.updatePos();
     this.setupDragger();
   },
@@ -69,11 +70,18 @@ export default Backbone.View.extend({
   },
 
   remove() {
+    const { elTools } = this;
     Backbone.View.prototype.remove.apply(this, arguments);
     this.frame.remove();
+    elTools && elTools.parentNode && elTools.parentNode.removeChild(elTools);
     return this;
   },
 
+  updateName() {
+    const nameEl = this.el.querySelector('[data-action-move]');
+    nameEl && (nameEl.textContent = this.model.get('name') || '');
+  },
+
   updateOffset: debounce(function() {
     const { em, $el, frame } = this;
     em.runDefault({ preserveSelected: 1 });
@@ -202,7 +210,7 @@ export default Backbone.View.extend({
     `
     );
     this.elTools = elTools;
-    cv.toolsWrapper.appendChild(elTools); // TODO remove on frame remove
+    cv.toolsWrapper.appendChild(elTools);
     onRender &&
       onRender({
         el,
@@ -0,0 +1,244 @@
+import Backbone from 'backbone';
+import { bindAll, debounce, isUndefined } from 'underscore';
+import { on, off } from 'utils/mixins';
+
+// Values between marks of rulers, the first one with enough space is used
+const steps = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+// Minimum space between marks of rulers (value in px)
+const markGap = 50;
+
+export default Backbone.View.extend({
+  events: {
+    'mousedown [data-ruler]': 'onRulerDown',
+    'mousedown [data-guide]': 'onGuideDown'
+  },
+
+  template() {
+    const { pfx } = this;
+    return `
+      <div class="${pfx}rulers" data-rulers>
+        <div class="${pfx}ruler ${pfx}ruler--x" data-ruler="x"></div>
+        <div class="${pfx}ruler ${pfx}ruler--y" data-ruler="y"></div>
+        <div class="${pfx}ruler-corner"></div>
+      </div>
+      <div data-guides></div>
+      <div data-guides-smart></div>
+    `;
+  },
+
+  initialize(o = {}) {
+    bindAll(this, 'onDrag', 'onDragEnd');
+    const { model } = this;
+    const config = o.config || {};
+    const { em } = config;
+    this.config = config;
+    this.em = em;
+    this.pfx = `${config.stylePrefix || ''}canvas__`;
+    this.guides = model.get('guides');
+    this.update = debounce(() => this.updateAll());
+    this.listenTo(
+      em,
+      'canvas:update frame:scroll change:canvasOffset',
+      this.update
+    );
+    this.listenTo(model, 'change:rulers', this.update);
+    this.listenTo(this.guides, 'add remove change reset', this.update);
+  },
+
+  remove() {
+    this.dragged && this.toggleDrag();
+    Backbone.View.prototype.remove.apply(this, arguments);
+  },
+
+  getCanvas() {
+    return this.em.get('Canvas');
+  },
+
+  /**
+   * Get the position of the guide, relative to the canvas
+   * @param {Number} value Position in the main frame document
+   * @param {String} axis
+   * @return {Number}
+   * @private
+   */
+  getGuidePos(value, axis) {
+    const origin = this.getCanvas().getRulersOrigin();
+    return origin[axis] + value * origin.zoom;
+  },
+
+  /**
+   * Get the position of the pointer in the main frame document
+   * @param {Event} ev
+   * @param {String} axis
+   * @return {Number}
+   * @private
+   */
+  getPointerValue(ev, axis) {
+    const canvas = this.getCanvas();
+    const origin = canvas.getRulersOrigin();
+    const pointer = canvas.getMouseRelativeCanvas(ev);
+    const value = Math.round((pointer[axis] - origin[axis]) / origin.zoom);
+    return canvas.snapToGrid(value);
+  },
+
+  onRulerDown(ev) {
+    if (ev.button !== 0) return;
+    const el = ev.target.closest('[data-ruler]');
+    const axis = el.getAttribute('data-ruler');
+    const value = this.getPointerValue(ev, axis);
+    this.startDrag(ev, this.guides.add({ axis, value }));
+  },
+
+  onGuideDown(ev) {
+    if (ev.button !== 0) return;
+    const el = ev.target.closest('[data-guide]');
+    this.startDrag(ev, this.guides.get(el.getAttribute('data-guide')));
+  },
+
+  startDrag(ev, guide) {
+    if (!guide) return;
+    ev.preventDefault();
+    ev.stopPropagation();
+    this.dragged = guide;
+    this.toggleDrag(1);
+  },
+
+  toggleDrag(enable) {
+    const method = enable ? on : off;
+    method(document, 'mousemove', this.onDrag);
+    method(document, 'mouseup', this.onDragEnd);
+    this.getCanvas().toggleFramesEvents(!enable);
+  },
+
+  onDrag(ev) {
+    const { dragged } = this;
+    dragged.set('value', this.getPointerValue(ev, dragged.get('axis')));
+  },
+
+  onDragEnd(ev) {
+    const { dragged, config } = this;
+    const pointer = this.getCanvas().getMouseRelativeCanvas(ev);
+    this.toggleDrag();
+    this.dragged = null;
+
+    // Guides dropped on their ruler are removed
+    pointer[dragged.get('axis')] < config.rulerSize &&
+      this.guides.remove(dragged);
+  },
+
+  /**
+   * Render marks of the ruler, labels are placed on major marks
+   * and minor ones are drawn by the background
+   * @param {String} axis
+   * @private
+   */
+  renderRuler(axis) {
+    const { pfx } = this;
+    const el = this.rulers[axis];
+    const isX = axis === 'x';
+    const canvas = this.getCanvas();
+    const origin = canvas.getRulersOrigin();
+    const { zoom } = origin;
+    const cvOff = canvas.getCanvasView().getCanvasOffset();
+    const size = cvOff[isX ? 'width' : 'height'];
+    const step =
+      steps.filter(item => item * zoom >= markGap)[0] ||
+      steps[steps.length - 1];
+    const stepSize = step * zoom;
+    const minorSize = stepSize / 5;
+    const marks = [];
+    let value = Math.floor(-origin[axis] / stepSize) * step;
+
+    for (; origin[axis] + value * zoom < size; value += step) {
+      const pos = origin[axis] + value * zoom;
+      marks.push(
+        `<span class="${pfx}ruler-mark" style="${
+          isX ? 'left' : 'top'
+        }: ${pos}px">${value}</span>`
+      );
+    }
+
+    const minorPos = `${origin[axis] % minorSize}px`;
+    el.innerHTML = marks.join('');
+    el.style.backgroundSize = isX
+      ? `${minorSize}px 100%`
+      : `100% ${minorSize}px`;
+    el.style.backgroundPosition = isX ? `${minorPos} 0` : `0 ${minorPos}`;
+  },
+
+  getGuideHtml(axis, pos, opts = {}) {
+    const { pfx } = this;
+    const { guide, smart } = opts;
+    const cls = `${pfx}guide ${pfx}guide--${axis}`;
+    const style = `${axis === 'x' ? 'left' : 'top'}: ${pos}px`;
+
+    return smart
+      ? `<div class="${cls} ${pfx}guide--smart" style="${style}"></div>`
+      : `<div class="${cls}" data-guide="${guide.cid}" style="${style}">
+          <span class="${pfx}guide-value">${guide.get('value')}</span>
+        </div>`;
+  },
+
+  /**
+   * Render guides created from rulers
+   * @private
+   */
+  renderGuides() {
+    this.guidesEl.innerHTML = this.guides
+      .map(guide => {
+        const { axis, value } = guide.attributes;
+        return this.getGuideHtml(axis, this.getGuidePos(value, axis), {
+          guide
+        });
+      })
+      .join('');
+  },
+
+  /**
+   * Render guides matched by the dragged or resized component
+   * @param {Array<Object>} [guides=[]] Guides with `x` or `y` positions relative to the canvas
+   * @private
+   */
+  renderSmart(guides = []) {
+    this.smartEl.innerHTML = guides
+      .map(item => {
+        const axis = isUndefined(item.x) ? 'y' : 'x';
+        return this.getGuideHtml(axis, item[axis], { smart: 1 });
+      })
+      .join('');
+  },
+
+  updateAll() {
+    const { model, rulersEl, guidesEl } = this;
+    const show = model.get('rulers');
+    if (!rulersEl) return;
+    rulersEl.style.display = show ? '' : 'none';
+    guidesEl.style.display = show ? '' : 'none';
+    if (!show) return;
+    this.renderRuler('x');
+    this.renderRuler('y');
+    this.renderGuides();
+  },
+
+  render() {
+    const { el, pfx, config } = this;
+    const size = `${config.rulerSize}px`;
+    el.className = `${pfx}guides`;
+    el.innerHTML = this.template();
+    this.rulersEl = el.querySelector('[data-rulers]');
+    this.guidesEl = el.querySelector('[data-guides]');
+    this.smartEl = el.querySelector('[data-guides-smart]');
+    this.rulers = {
+      x: el.querySelector('[data-ruler="x"]'),
+      y: el.querySelector('[data-ruler="y"]')
+    };
+    this.rulers.x.style.height = size;
+    this.rulers.y.style.width = size;
+    const corner = el.querySelector(`.${pfx}ruler-corner`);
+    corner.style.width = size;
+    corner.style.height = size;
+    this.updateAll();
+    return this;
+  }
+});
@@ -2,5 +2,9 @@ export default {
   // Style prefix
   stylePrefix: 'cm-',
 
-  inlineCss: false
+  inlineCss: false,
+
+  // Allow to edit the code in the export modal and apply it back to the editor.
+  // Can be changed per command, eg. `editor.runCommand('export-template', { editable: true })`
+  editable: false
 };
@@ -0,0 +1,713 @@
+import { isArray, isNumber, isObject, isUndefined } from 'underscore';
+
+// Elements without content and closing tag
+const voidTags = [
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'track',
+  'wbr'
+];
+
+// Elements with content which is not parsed
+const rawTags = ['script', 'style', 'textarea'];
+
+// Elements with preformatted content, parsed but not formatted
+const preTags = ['pre'];
+
+// Inline elements, new lines around them would change the rendered result
+const inlineTags = [
+  'a',
+  'abbr',
+  'b',
+  'bdi',
+  'bdo',
+  'br',
+  'button',
+  'cite',
+  'code',
+  'data',
+  'dfn',
+  'em',
+  'i',
+  'img',
+  'input',
+  'kbd',
+  'label',
+  'mark',
+  'q',
+  's',
+  'samp',
+  'select',
+  'small',
+  'span',
+  'strong',
+  'sub',
+  'sup',
+  'textarea',
+  'time',
+  'u',
+  'var'
+];
+
+// Properties which can be merged from their longhand sides
+const boxShorthands = ['margin', 'padding'];
+const boxSides = ['top', 'right', 'bottom', 'left'];
+
+const getIndent = (opts = {}) => {
+  const { indent } = opts;
+  if (isUndefined(indent)) return '  ';
+  return isNumber(indent) ? Array(indent + 1).join(' ') : indent;
+};
+
+const getMinify = (opts = {}) => {
+  const { minify } = opts;
+  if (!minify) return null;
+  return { shorthands: 1, colors: 1, ...(isObject(minify) && minify) };
+};
+
+/**
+ * Get the end index of the string or comment starting at the index
+ * @return {Number} -1 if there is no string or comment at the index
+ * @private
+ */
+const skipEnd = (str, i) => {
+  const char = str[i];
+
+  if (char === '"' || char === "'") {
+    let j = i + 1;
+
+    while (j < str.length && str[j] !== char) {
+      str[j] === '\\' && j++;
+      j++;
+    }
+
+    return j + 1;
+  }
+
+  if (char === '/' && str[i + 1] === '*') {
+    const end = str.indexOf('*/', i + 2);
+    return end < 0 ? str.length : end + 2;
+  }
+
+  return -1;
+};
+
+/**
+ * Split the string by the separator, not inside strings or parentheses.
+ * Comments are removed
+ * @private
+ */
+const splitCss = (str, sep) => {
+  const result = [];
+  let part = '';
+  let depth = 0;
+
+  for (let i = 0; i < str.length; i++) {
+    const end = skipEnd(str, i);
+
+    if (end > 0) {
+      str[i] !== '/' && (part += str.slice(i, end));
+      i = end - 1;
+      continue;
+    }
+
+    const char = str[i];
+    char === '(' && depth++;
+    char === ')' && depth--;
+
+    if (char === sep && depth <= 0) {
+      result.push(part);
+      part = '';
+    } else {
+      part += char;
+    }
+  }
+
+  result.push(part);
+  return result;
+};
+
+const findBlockEnd = (str, from) => {
+  let depth = 1;
+
+  for (let i = from; i < str.length; i++) {
+    const end = skipEnd(str, i);
+
+    if (end > 0) {
+      i = end - 1;
+    } else if (str[i] === '{') {
+      depth++;
+    } else if (str[i] === '}' && !--depth) {
+      return i;
+    }
+  }
+
+  return str.length;
+};
+
+const hasBlocks = str => {
+  for (let i = 0; i < str.length; i++) {
+    const end = skipEnd(str, i);
+    if (end > 0) i = end - 1;
+    else if (str[i] === '{') return true;
+  }
+
+  return false;
+};
+
+const parseDeclarations = str =>
+  splitCss(str, ';')
+    .map(decl => {
+      const index = decl.indexOf(':');
+      if (index < 1) return;
+      let value = decl.slice(index + 1).trim();
+      const important = /\s*!\s*important\s*$/i.test(value);
+      important && (value = value.replace(/\s*!\s*important\s*$/i, ''));
+      return { prop: decl.slice(0, index).trim(), value, important };
+    })
+    .filter(Boolean);
+
+/**
+ * Parse the CSS string in a tree of nodes
+ * @private
+ */
+const parseCssNodes = str => {
+  const nodes = [];
+  let prelude = '';
+
+  for (let i = 0; i < str.length; i++) {
+    const end = skipEnd(str, i);
+    const char = str[i];
+
+    if (end > 0) {
+      const text = str.slice(i, end);
+
+      if (char !== '/') {
+        prelude += text;
+      } else if (!prelude.trim()) {
+        nodes.push({ comment: text });
+      }
+
+      i = end - 1;
+    } else if (char === '{') {
+      const close = findBlockEnd(str, i + 1);
+      const content = str.slice(i + 1, close);
+      nodes.push({
+        prelude: prelude.trim(),
+        ...(hasBlocks(content)
+          ? { children: parseCssNodes(content) }
+          : { decls: parseDeclarations(content) })
+      });
+      prelude = '';
+      i = close;
+    } else if (char === ';') {
+      prelude.trim() && nodes.push({ statement: prelude.trim() });
+      prelude = '';
+    } else if (char !== '}') {
+      prelude += char;
+    }
+  }
+
+  prelude.trim() && nodes.push({ statement: prelude.trim() });
+  return nodes;
+};
+
+/**
+ * Apply the function only on parts of the code outside strings and `url()`
+ * @private
+ */
+const mapCode = (str, fn) =>
+  str
+    .split(/("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|url\([^)]*\))/i)
+    .map((part, i) => (i % 2 ? part : fn(part)))
+    .join('');
+
+const toHex = num => `0${parseInt(num, 10).toString(16)}`.slice(-2);
+
+const shortenColors = value =>
+  value
+    .replace(
+      /\brgba?\((\d{1,3}),(\d{1,3}),(\d{1,3})(?:,(?:1|1\.0*))?\)/gi,
+      (m, r, g, b) =>
+        [r, g, b].some(c => c > 255) ? m : `#${[r, g, b].map(toHex).join('')}`
+    )
+    .replace(/#([0-9a-f]{3,8})\b/gi, (m, hex) => `#${hex.toLowerCase()}`)
+    .replace(/#([0-9a-f])\1([0-9a-f])\2([0-9a-f])\3\b/g, '#$1$2$3');
+
+/**
+ * Get the shortest form of box values, eg. `1px 2px 1px 2px` -> `1px 2px`
+ * @private
+ */
+const shortenBox = values => {
+  const [top, right, bottom, left] = values;
+  if (values.length !== 4) return values;
+  if (left !== right) return values;
+  if (bottom !== top) return [top, right, bottom];
+  if (right !== top) return [top, right];
+  return [top];
+};
+
+const mergeShorthands = decls => {
+  let result = decls;
+
+  boxShorthands.forEach(name => {
+    const find = prop => result.filter(d => d.prop.toLowerCase() === prop);
+    const sides = boxSides.map(side => find(`${name}-${side}`));
+    const valid = sides.every(side => side.length === 1);
+
+    if (valid && !find(name).length) {
+      const items = sides.map(side => side[0]);
+      const important = items[0].important;
+      if (items.some(item => item.important !== important)) return;
+      const value = items.map(item => item.value).join(' ');
+      const index = Math.min(...items.map(item => result.indexOf(item)));
+      result = result.filter(d => items.indexOf(d) < 0);
+      result.splice(index, 0, { prop: name, value, important });
+    }
+  });
+
+  return result.map(decl =>
+    boxShorthands.indexOf(decl.prop.toLowerCase()) >= 0
+      ? {
+          ...decl,
+          value: shortenBox(splitCss(decl.value, ' ').filter(Boolean)).join(' ')
+        }
+      : decl
+  );
+};
+
+const cleanValue = (value, minify) =>
+  mapCode(value, part => {
+    let res = part.replace(/\s+/g, ' ');
+
+    if (minify) {
+      res = res.replace(/\s*,\s*/g, ',').replace(/\(\s+|\s+\)/g, m => m.trim());
+      minify.colors && (res = shortenColors(res));
+    }
+
+    return res;
+  }).trim();
+
+const cleanPrelude = (prelude, minify) =>
+  mapCode(prelude, part => {
+    let res = part.replace(/\s+/g, ' ');
+    const isAt = prelude[0] === '@';
+
+    if (minify) {
+      res = isAt
+        ? res.replace(/\s*([,:])\s*|\(\s+|\s+\)/g, m => m.trim())
+        : res.replace(/\s*([,>+~])\s*/g, '$1');
+    } else if (!isAt) {
+      res = res.replace(/\s*,\s*/g, ', ');
+    }
+
+    return res;
+  }).trim();
+
+const stringifyCss = (nodes, opts, level = 0) => {
+  const minify = getMinify(opts);
+  const pretty = opts.pretty && !minify;
+  const unit = getIndent(opts);
+  const ind = pretty ? Array(level + 1).join(unit) : '';
+  const indIn = ind + unit;
+
+  return nodes
+    .map(node => {
+      const { comment, statement, children } = node;
+
+      if (comment) {
+        return !minify || comment.indexOf('/*!') === 0 ? ind + comment : '';
+      }
+
+      if (statement) {
+        return `${ind}${cleanPrelude(statement, minify)};`;
+      }
+
+      const prelude = cleanPrelude(node.prelude, minify);
+
+      if (children) {
+        const inner = stringifyCss(children, opts, level + 1);
+        if (minify && !inner) return '';
+        return pretty
+          ? `${ind}${prelude} {\n${inner}\n${ind}}`
+          : `${prelude}{${inner}}`;
+      }
+
+      let decls = node.decls.map(decl => ({
+        ...decl,
+        value: cleanValue(decl.value, minify)
+      }));
+      minify && minify.shorthands && (decls = mergeShorthands(decls));
+      const declsStr = decls.map(({ prop, value, important }) => {
+        const imp = important ? (minify ? '!important' : ' !important') : '';
+        if (minify) return `${prop}:${value}${imp}`;
+        return pretty
+          ? `${indIn}${prop}: ${value}${imp};`
+          : `${prop}:${value}${imp};`;
+      });
+
+      if (minify) {
+        return declsStr.length ? `${prelude}{${declsStr.join(';')}}` : '';
+      }
+
+      if (!pretty) return `${prelude}{${declsStr.join('')}}`;
+      return declsStr.length
+        ? `${ind}${prelude} {\n${declsStr.join('\n')}\n${ind}}`
+        : `${ind}${prelude} {}`;
+    })
+    .filter(Boolean)
+    .join(pretty ? '\n' : '');
+};
+
+// At-rules containing rules instead of declarations
+const atRulesNested = /^@(-\w+-)?(media|supports|document|layer|container)\b/i;
+
+// Selectors of the document root, moved on the scope element
+const rootSelector = /^(html|body|:root)(?![\w-])([^\s>+~,]*)/i;
+
+/**
+ * Apply the function only on parts of the selector outside strings and attribute selectors
+ * @private
+ */
+const mapSelector = (str, fn) =>
+  str
+    .split(/("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\[[^\]]*\])/)
+    .map((part, i) => (i % 2 ? part : fn(part)))
+    .join('');
+
+const namespaceSelector = (sel, namespace) =>
+  mapSelector(sel, part =>
+    part.replace(/([.#])(?=-?[_a-zA-Z\\])/g, `$1${namespace}`)
+  );
+
+const scopeSelector = (sel, scope) => {
+  let rest = sel.trim();
+  let extra = '';
+  let isRoot = 0;
+  let match;
+
+  while ((match = rest.match(rootSelector))) {
+    isRoot = 1;
+    extra += match[2];
+    rest = rest.slice(match[0].length);
+    const next = rest.replace(/^\s*>?\s*/, '');
+    if (!rootSelector.test(next)) break;
+    rest = next;
+  }
+
+  return isRoot ? `${scope}${extra}${rest}` : `${scope} ${rest}`;
+};
+
+/**
+ * Scope and namespace selectors of parsed CSS nodes
+ * @private
+ */
+const scopeCssNodes = (nodes, opts) =>
+  nodes.map(node => {
+    const { prelude, children } = node;
+    if (!prelude) return node;
+
+    if (prelude[0] === '@') {
+      return children && atRulesNested.test(prelude)
+        ? { ...node, children: scopeCssNodes(children, opts) }
+        : node;
+    }
+
+    const { scope, namespace } = opts;
+    const selectors = splitCss(prelude, ',').map(sel => {
+      let result = sel.trim();
+      namespace && (result = namespaceSelector(result, namespace));
+      scope && (result = scopeSelector(result, scope));
+      return result;
+    });
+
+    return { ...node, prelude: selectors.join(', ') };
+  });
+
+/**
+ * Format the CSS string
+ * @param {String} css CSS string
+ * @param {Object} [opts={}] Options
+ * @param {Boolean} [opts.pretty] Print each rule and declaration on its own line
+ * @param {Number|String} [opts.indent=2] Indentation of pretty-printed code, number of spaces or the string to use
+ * @param {Boolean|Object} [opts.minify] Minify the code, has precedence over `pretty`. Pass an object to disable
+ * some of the optimizations, eg. `{ shorthands: false, colors: false }`
+ * @param {String} [opts.scope] Class or id selector of the element containing the exported HTML, eg. `.my-site`.
+ * It prefixes all selectors and `html`/`body`/`:root` rules are moved on the scope element
+ * @param {String} [opts.namespace] Prefix of class names and ids, eg. `site-`
+ * @return {String}
+ * @example
+ * formatCss('.a{color:#FF0000;margin-top:0;margin-right:0;margin-bottom:0;margin-left:0}', { minify: true });
+ * // -> '.a{color:#f00;margin:0}'
+ */
+export const formatCss = (css = '', opts = {}) => {
+  const { scope, namespace } = opts;
+  if (!opts.pretty && !opts.minify && !scope && !namespace) return css;
+  let nodes = parseCssNodes(css);
+  (scope || namespace) && (nodes = scopeCssNodes(nodes, opts));
+  return stringifyCss(nodes, opts);
+};
+
+/**
+ * Parse attributes of the start tag
+ * @private
+ */
+const parseAttributes = str => {
+  const attrs = [];
+  const re = /([^\s=/>"']+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s>"']+))?/g;
+  let match;
+
+  while ((match = re.exec(str))) {
+    attrs.push({ name: match[1], value: match[2] });
+  }
+
+  return attrs;
+};
+
+const sortAttributes = (attrs, order) => {
+  const first = isArray(order) ? order : [];
+  const getRank = name => {
+    const index = first.indexOf(name.toLowerCase());
+    return index < 0 ? first.length : index;
+  };
+
+  return attrs.slice().sort((a, b) => {
+    const rank = getRank(a.name) - getRank(b.name);
+    if (rank) return rank;
+    if (a.name === b.name) return 0;
+    return a.name < b.name ? -1 : 1;
+  });
+};
+
+/**
+ * Parse the HTML string in a tree of nodes
+ * @private
+ */
+const parseHtmlNodes = html => {
+  const root = { children: [] };
+  const stack = [root];
+  const re = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  const current = () => stack[stack.length - 1];
+  const addText = content =>
+    content && current().children.push({ text: content });
+  let index = 0;
+  let match;
+
+  while ((match = re.exec(html))) {
+    const [all, endName, startName, attrs] = match;
+    addText(html.slice(index, match.index));
+    index = re.lastIndex;
+
+    if (endName) {
+      const name = endName.toLowerCase();
+      const pos = stack.map(node => node.name).lastIndexOf(name);
+
+      if (pos > 0) {
+        stack[pos].close = all;
+        stack.splice(pos);
+      } else {
+        addText(all);
+      }
+    } else if (startName) {
+      const name = startName.toLowerCase();
+      const selfClose = /\/\s*$/.test(attrs);
+      const node = {
+        name,
+        open: all,
+        attrs: attrs.replace(/\/\s*$/, ''),
+        selfClose,
+        children: []
+      };
+      current().children.push(node);
+
+      if (rawTags.indexOf(name) >= 0 && !selfClose) {
+        const end = html.toLowerCase().indexOf(`</${name}`, index);
+        const contentEnd = end < 0 ? html.length : end;
+        const closeEnd = end < 0 ? end : html.indexOf('>', end);
+        node.raw = html.slice(index, contentEnd);
+        node.close = end < 0 ? '' : html.slice(end, closeEnd + 1);
+        index = end < 0 ? html.length : closeEnd + 1;
+        re.lastIndex = index;
+      } else if (!selfClose && voidTags.indexOf(name) < 0) {
+        stack.push(node);
+      }
+    } else {
+      current().children.push({ comment: all });
+    }
+  }
+
+  addText(html.slice(index));
+  return root.children;
+};
+
+const isBlockList = nodes =>
+  nodes.every(node =>
+    node.name
+      ? inlineTags.indexOf(node.name) < 0
+      : node.comment || !node.text.trim()
+  );
+
+const stringifyHtml = (nodes, opts, level = 0, block, pre) => {
+  const minify = getMinify(opts);
+  const pretty = opts.pretty && !minify;
+  const unit = getIndent(opts);
+  const ind = Array(level + 1).join(unit);
+  const order = opts.sortAttributes;
+
+  const getOpen = node => {
+    if (!order && !minify && !node.attrList) return node.open;
+    let attrs = node.attrList || parseAttributes(node.attrs);
+    order && (attrs = sortAttributes(attrs, order));
+    const attrsStr = attrs
+      .map(
+        ({ name, value }) => ` ${name}${isUndefined(value) ? '' : `=${value}`}`
+      )
+      .join('');
+    return `<${node.name}${attrsStr}${node.selfClose ? '/' : ''}>`;
+  };
+
+  const renderNode = node => {
+    if (node.comment) return node.comment;
+
+    if (!node.name) {
+      return minify && !pre ? node.text.replace(/\s+/g, ' ') : node.text;
+    }
+
+    const { children } = node;
+    const isPre = pre || preTags.indexOf(node.name) >= 0;
+    let content = node.raw || '';
+
+    if (children.length) {
+      const isBlock = pretty && !isPre && isBlockList(children);
+      content = stringifyHtml(children, opts, level + 1, isBlock, isPre);
+      isBlock && (content = `\n${content}\n${ind}`);
+    }
+
+    return `${getOpen(node)}${content}${node.close || ''}`;
+  };
+
+  return block
+    ? nodes
+        .filter(node => node.name || node.comment || node.text.trim())
+        .map(node => ind + renderNode(node))
+        .join('\n')
+    : nodes.map(renderNode).join('');
+};
+
+// Attributes containing ids of other elements
+const idRefAttrs = [
+  'for',
+  'form',
+  'list',
+  'aria-controls',
+  'aria-describedby',
+  'aria-labelledby',
+  'aria-owns'
+];
+
+const unquote = value => (/^["']/.test(value) ? value.slice(1, -1) : value);
+
+const namespaceAttributes = (attrs, namespace) =>
+  attrs.map(attr => {
+    const { value } = attr;
+    const name = attr.name.toLowerCase();
+    if (isUndefined(value)) return attr;
+    const quote = value[0] === "'" ? "'" : '"';
+    const str = unquote(value);
+    let result;
+
+    if (name === 'class' || name === 'id' || idRefAttrs.indexOf(name) >= 0) {
+      result = str
+        .split(/\s+/)
+        .filter(Boolean)
+        .map(item => `${namespace}${item}`)
+        .join(' ');
+    } else if (name === 'href' && /^#./.test(str)) {
+      result = `#${namespace}${str.slice(1)}`;
+    } else {
+      return attr;
+    }
+
+    return { name: attr.name, value: `${quote}${result}${quote}` };
+  });
+
+const namespaceHtmlNodes = (nodes, namespace) =>
+  nodes.forEach(node => {
+    if (!node.name) return;
+    node.attrList = namespaceAttributes(
+      node.attrList || parseAttributes(node.attrs),
+      namespace
+    );
+    namespaceHtmlNodes(node.children, namespace);
+  });
+
+/**
+ * Put nodes inside the scope element, the `body` element is replaced by it
+ * @private
+ */
+const scopeHtmlNodes = (nodes, scope) => {
+  const isId = scope[0] === '#';
+  const scopeName = scope.slice(1);
+  const elements = nodes.filter(
+    node => node.name || (node.text && node.text.trim())
+  );
+  const body = elements.length === 1 && elements[0].name === 'body';
+  const root = body
+    ? { ...elements[0], name: 'div', close: '</div>' }
+    : { name: 'div', attrs: '', children: nodes, close: '</div>' };
+  const attrs = root.attrList || parseAttributes(root.attrs);
+  const attrName = isId ? 'id' : 'class';
+  const prev = attrs.filter(attr => attr.name.toLowerCase() === attrName)[0];
+  const value =
+    isId || !prev || isUndefined(prev.value)
+      ? scopeName
+      : `${scopeName} ${unquote(prev.value)}`;
+  root.attrList = [
+    { name: attrName, value: `"${value}"` },
+    ...attrs.filter(attr => attr !== prev)
+  ];
+
+  return [root];
+};
+
+/**
+ * Format the HTML string
+ * @param {String} html HTML string
+ * @param {Object} [opts={}] Options
+ * @param {Boolean} [opts.pretty] Print block elements on their own lines, indented.
+ * Children of elements with text or inline elements are kept on the same line
+ * @param {Number|String} [opts.indent=2] Indentation of pretty-printed code, number of spaces or the string to use
+ * @param {Boolean} [opts.minify] Collapse white spaces of text, has precedence over `pretty`
+ * @param {Boolean|Array<String>} [opts.sortAttributes] Sort attributes alphabetically.
+ * Pass an array of names to print them first, eg. `['id', 'class']`
+ * @param {String} [opts.scope] Class or id selector of the element to wrap the HTML, eg. `.my-site`.
+ * The `body` element, if exported, is replaced by the scope element
+ * @param {String} [opts.namespace] Prefix of class names and ids, references to ids
+ * (eg. `for`, `href="#..."`) are updated too
+ * @return {String}
+ * @example
+ * formatHtml('<div><p>Text</p></div>', { pretty: true });
+ * // -> '<div>\n  <p>Text</p>\n</div>'
+ */
+export const formatHtml = (html = '', opts = {}) => {
+  const { scope, namespace } = opts;
+  const { pretty: isPretty, minify, sortAttributes } = opts;
+  if (!isPretty && !minify && !sortAttributes && !scope && !namespace) {
+    return html;
+  }
+  let nodes = parseHtmlNodes(html);
+  namespace && namespaceHtmlNodes(nodes, namespace);
+  scope && (nodes = scopeHtmlNodes(nodes, scope));
+  const pretty = isPretty && !minify;
+  return stringifyHtml(nodes, opts, 0, pretty && isBlockList(nodes));
+};
@@ -1,8 +1,15 @@
 import Backbone from 'backbone';
 import { isUndefined, each } from 'underscore';
+import { formatCss } from './CodeFormatter';
 
 const maxValue = Number.MAX_VALUE;
 
+// At-rules containing rules with selectors of elements
+const selectorAtRules = ['media', 'supports'];
+
+// Pseudo-classes and pseudo-elements not matched by the static DOM
+const dynamicPseudo = /::?(?:hover|focus(?:-within|-visible)?|active|visited|link|any-link|target|checked|placeholder-shown|before|after|first-line|first-letter|placeholder|selection|marker|backdrop|-[\w-]+)(?:\([^)]*\))?/gi;
+
 export default Backbone.Model.extend({
   initialize() {
     this.compCls = [];
@@ -27,7 +34,11 @@ export default Backbone.Model.extend({
     // Let's know what classes I've found
     classes.each(model => this.compCls.push(model.getFullName()));
 
-    if (!avoidInline && style) {
+    if (
+      !avoidInline &&
+      style &&
+      (!opts.filterModel || opts.filterModel(model))
+    ) {
       let selector = `#${model.getId()}`;
       selector = wrapperIsBody && isWrapper ? 'body' : selector;
       code = `${selector}{${style}}`;
@@ -39,6 +50,10 @@ export default Backbone.Model.extend({
   },
 
   build(model, opts = {}) {
+    if (opts.prune && !opts.filterRule) {
+      return this.buildCritical(model, opts).css;
+    }
+
     const cssc = opts.cssc;
     const em = opts.em || '';
     this.em = em;
@@ -80,7 +95,7 @@ export default Backbone.Model.extend({
           const ruleStr = this.buildFromRule(rule, dump, opts);
 
           if (rule.get('singleAtRule')) {
-            code += `${atRule}{${ruleStr}}`;
+            ruleStr && (code += `${atRule}{${ruleStr}}`);
           } else {
             rulesStr += ruleStr;
           }
@@ -94,7 +109,7 @@ export default Backbone.Model.extend({
       em && clearStyles && rules.remove(dump);
     }
 
-    return code;
+    return formatCss(code, opts);
   },
 
   /**
@@ -109,6 +124,12 @@ export default Backbone.Model.extend({
     const singleAtRule = rule.get('singleAtRule');
     let found;
 
+    // Rules are already filtered by the pruned build
+    if (opts.filterRule) {
+      const block = opts.filterRule(rule) && rule.getDeclaration();
+      return block || '';
+    }
+
     // This will not render a rule if there is no its component
     rule.get('selectors').each(selector => {
       const name = selector.getFullName();
@@ -131,6 +152,126 @@ export default Backbone.Model.extend({
     return result;
   },
 
+  /**
+   * Build the CSS with only rules matching elements of rendered components and split it
+   * in the critical CSS, with rules matching elements above the fold of the canvas,
+   * and the rest. Without the canvas, layout is unknown and all matched rules are critical.
+   * At-rules without selectors (eg. `@font-face`) are always critical
+   * @param {Model} model Root component
+   * @param {Object} [opts={}] Options of `build`
+   * @param {Number} [opts.viewportHeight] Height of the fold, by default the height of the canvas frame
+   * @return {Object} `{ css, critical, rest, dropped }` CSS strings and dropped rules
+   */
+  buildCritical(model, opts = {}) {
+    const { cssc } = opts;
+    const em = opts.em || this.em;
+    this.em = em;
+    const targets = this.getMatchTargets(model, opts);
+    const results = {};
+    const getResult = rule => {
+      const { cid } = rule;
+      !(cid in results) && (results[cid] = this.matchRule(rule, targets));
+      return results[cid];
+    };
+    const isCritical = model => {
+      const el = targets.inFrame && model.getEl();
+      return !el || targets.critical.indexOf(el) >= 0;
+    };
+    const build = (filterRule, filterModel) =>
+      this.build(model, {
+        ...opts,
+        clearStyles: 0,
+        filterRule,
+        filterModel
+      });
+
+    return {
+      css: build(rule => getResult(rule) > 0),
+      critical: build(rule => getResult(rule) === 2, isCritical),
+      rest: build(
+        rule => getResult(rule) === 1,
+        cmp => !isCritical(cmp)
+      ),
+      dropped: cssc ? cssc.getAll().filter(rule => !getResult(rule)) : []
+    };
+  },
+
+  /**
+   * Get elements to match with rules. Elements of the canvas are used, if rendered,
+   * otherwise the HTML of components is parsed in a detached document
+   * @return {Object} `{ elements, critical, inFrame }`
+   * @private
+   */
+  getMatchTargets(model, opts = {}) {
+    const el = model.getEl();
+    const doc = el && el.ownerDocument;
+    const inFrame = !!(doc && doc.body && doc.body.contains(el));
+    let body;
+
+    if (inFrame) {
+      body = doc.body;
+    } else {
+      body = document.implementation.createHTMLDocument('').body;
+      body.innerHTML = model.toHTML();
+    }
+
+    const root = inFrame ? el : body.firstElementChild;
+    const elements = [body, root, ...root.querySelectorAll('*')];
+    let critical = elements;
+
+    if (inFrame) {
+      const win = doc.defaultView;
+      const height = isUndefined(opts.viewportHeight)
+        ? win.innerHeight
+        : opts.viewportHeight;
+      critical = elements.filter(item => {
+        const rect = item.getBoundingClientRect();
+        return (
+          (rect.width || rect.height) && rect.top + win.pageYOffset < height
+        );
+      });
+    }
+
+    return { elements, critical, inFrame };
+  },
+
+  /**
+   * Check if the rule matches elements
+   * @return {Number} 0 - no match, 1 - match, 2 - match of critical elements
+   * @private
+   */
+  matchRule(rule, targets) {
+    const atRuleType = rule.get('atRuleType');
+
+    // Selectors of at-rules like `keyframes` (eg. `from`, `50%`) don't match elements
+    if (
+      rule.get('singleAtRule') ||
+      (atRuleType && selectorAtRules.indexOf(atRuleType) < 0)
+    ) {
+      return 2;
+    }
+
+    const selectors = rule
+      .selectorsToString({ skipState: 1 })
+      .split(/,(?![^(]*\))/)
+      .map(sel => {
+        const result = sel.replace(dynamicPseudo, '').trim();
+        return !result || /[\s>+~]$/.test(result) ? `${result} *` : result;
+      });
+    const matches = el =>
+      selectors.some(sel => {
+        try {
+          return el.matches(sel);
+        } catch (e) {
+          // Keep rules with selectors not supported by the browser
+          return true;
+        }
+      });
+
+    if (targets.critical.some(matches)) return 2;
+    return targets.elements.some(matches) ? 1 : 0;
+  },
+
   /**
    * Get the numeric length of the media query string
    * @param  {String} mediaQuery Media query string
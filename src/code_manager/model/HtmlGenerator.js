@@ -1,16 +1,16 @@
 import Backbone from 'backbone';
+import { formatHtml } from './CodeFormatter';
 
 export default Backbone.Model.extend({
   build(model, opts = {}) {
     const models = model.get('components');
+    const code = opts.exportWrapper
+      ? model.toHTML({
+          ...(opts.wrapperIsBody && { tag: 'body' })
+        })
+      : this.buildModels(models);
 
-    if (opts.exportWrapper) {
-      return model.toHTML({
-        ...(opts.wrapperIsBody && { tag: 'body' })
-      });
-    }
-
-    return this.buildModels(models);
+    return formatHtml(code, opts);
   },
 
   buildModels(models) {
@@ -37,15 +37,16 @@ export default Backbone.Model.extend({
     return code;
   },
 
-  build(model) {
+  build(model, opts = {}) {
     this.mapJs = {};
     this.mapModel(model);
 
     var code = '';
+    const prefix = `#${opts.namespace || ''}`;
 
     for (var type in this.mapJs) {
       var mapType = this.mapJs[type];
-      var ids = '#' + mapType.ids.join(', #');
+      var ids = prefix + mapType.ids.join(`, ${prefix}`);
       code += `
         var items = document.querySelectorAll('${ids}');
         for (var i = 0, len = items.length; i < len; i++) {
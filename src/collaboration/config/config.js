@@ -0,0 +1,52 @@
+export default {
+  // Indicates which transport to use. Available: local
+  type: 'local',
+
+  // Room shared by collaborators, eg. the id of the edited project
+  room: 'default',
+
+  // Connect to the room once the editor is loaded
+  autoconnect: 0,
+
+  // Unique identifier of the client, generated if empty
+  clientId: '',
+
+  // Request the current state of the room to other collaborators on connect
+  syncOnConnect: 1,
+
+  // Time (in milliseconds) to wait for the state of the room on connect,
+  // after this time the client is considered the first one in the room
+  syncTimeout: 1000,
+
+  // Local user, shared with collaborators, eg. { name: 'John', color: '#e91e63' }
+  user: {},
+
+  // Share selected and hovered components with collaborators and show theirs
+  // in the canvas and in the layer manager
+  presence: 1,
+
+  // Time (in milliseconds) to wait between presence updates sent on hover
+  presenceThrottle: 100,
+
+  // Colors assigned to collaborators without a custom one
+  colors: [
+    '#e91e63',
+    '#2196f3',
+    '#4caf50',
+    '#ff9800',
+    '#9c27b0',
+    '#00bcd4',
+    '#795548',
+    '#607d8b'
+  ],
+
+  // Custom transports, eg. { myTransport: { connect, send, disconnect } }
+  transports: {},
+
+  // Options for the local transport
+  local: {
+    // Use the BroadcastChannel API, if available, to collaborate between tabs
+    // of the same browser. Otherwise, only editors on the same page are connected
+    broadcastChannel: 1
+  }
+};
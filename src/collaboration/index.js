@@ -0,0 +1,851 @@
+/**
+ * This module allows to edit the same project with other collaborators in real-time.
+ * Changes of components, CSS rules and assets are sent as operations, through a transport,
+ * to all the clients in the same room and merged in their editors. Remote changes are not
+ * registered in the local UndoManager, while changes made with the `avoidSync` option
+ * (eg. components swapped on page selection) are not sent.
+ *
+ * You can customize the initial state of the module from the editor initialization, by passing the following [Configuration Object](https://github.com/artf/grapesjs/blob/master/src/collaboration/config/config.js)
+ * ```js
+ * const editor = grapesjs.init({
+ *  collaboration: {
+ *    // options
+ *  }
+ * })
+ * ```
+ *
+ * Once the editor is instantiated you can use its API. Before using these methods you should get the module from the instance
+ *
+ * ```js
+ * const collab = editor.Collaboration;
+ * ```
+ *
+ * * [getConfig](#getconfig)
+ * * [addTransport](#addtransport)
+ * * [getTransport](#gettransport)
+ * * [getTransports](#gettransports)
+ * * [getClientId](#getclientid)
+ * * [connect](#connect)
+ * * [disconnect](#disconnect)
+ * * [isConnected](#isconnected)
+ * * [applyOps](#applyops)
+ * * [getUser](#getuser)
+ * * [setUser](#setuser)
+ * * [getPresences](#getpresences)
+ * * [getPresence](#getpresence)
+ * * [setPresence](#setpresence)
+ * * [removePresence](#removepresence)
+ *
+ * @module Collaboration
+ */
+
+import Backbone from 'backbone';
+import { isString, throttle, uniq } from 'underscore';
+import defaults from './config/config';
+import LocalTransport from './model/LocalTransport';
+import Presences from './model/Presences';
+import PresenceView from './view/PresenceView';
+
+export default () => {
+  let c = {};
+  let em;
+  let transports = {};
+  let transport;
+  let connected;
+  let applying;
+  let syncing;
+  let syncTimer;
+  let presences;
+  let presenceView;
+  let sendHovered;
+  const listener = { ...Backbone.Events };
+  const events = ['add', 'remove', 'reset', 'change'];
+
+  const getWrapper = () => em.get('DomComponents').getWrapper();
+  const getRules = () => em.get('CssComposer').getAll();
+  const getAssets = () => em.get('AssetManager').getAll();
+  const getRuleKey = rule => `${rule.getAtRule()}${rule.selectorsToString()}`;
+  const getById = id => em.get('DomComponents').allById()[id];
+  const clone = value => JSON.parse(JSON.stringify(value));
+
+  // Lamport clock, used to order concurrent operations
+  let clock = 0;
+  // Timestamps of added components and of changed properties
+  let timestamps = {};
+  let propTimestamps = {};
+
+  const tick = () => [++clock, c.clientId];
+
+  const getPropKey = (ref, prop) =>
+    `${ref.type}|${ref.id || ref.key || ''}|${prop}`;
+
+  /**
+   * Compare timestamps, concurrent ones (same clock) are ordered by client id
+   * @private
+   */
+  const compareTs = (a = [0, ''], b = [0, '']) =>
+    a[0] - b[0] || (a[1] > b[1] ? 1 : a[1] < b[1] ? -1 : 0);
+
+  /**
+   * Get ids of the component and its inner components, in the same order of `onAll`
+   * @private
+   */
+  const getIds = component => {
+    const ids = [];
+    component.onAll(comp => ids.push(comp.getId()));
+    return ids;
+  };
+
+  /**
+   * Assign ids of the remote client to the new components,
+   * so they can be addressed in next operations
+   * @private
+   */
+  const setIds = (component, ids = []) => {
+    const list = em.get('DomComponents').allById();
+    let index = 0;
+
+    component.onAll(comp => {
+      const id = ids[index++];
+      const curr = comp.getId();
+      if (!id || id === curr || list[id]) return;
+
+      if ((comp.get('attributes') || {}).id) {
+        comp.setId(id);
+      } else {
+        delete list[curr];
+        list[id] = comp;
+        comp.ccid = id;
+      }
+    });
+  };
+
+  /**
+   * Get the reference to the component, valid in all clients in the room
+   * @private
+   */
+  const getComponentRef = component => {
+    const wrapper = getWrapper();
+    let curr = component;
+
+    while (curr && curr !== wrapper) {
+      const coll = curr.collection;
+      curr = coll && coll.parent;
+    }
+
+    return curr ? { type: 'component', id: component.getId() } : undefined;
+  };
+
+  const getRef = obj => {
+    if (obj === getRules()) {
+      return { type: 'rules' };
+    } else if (obj === getAssets()) {
+      return { type: 'assets' };
+    } else if (obj.toCSS) {
+      const index = getRules().indexOf(obj);
+      return index < 0
+        ? undefined
+        : { type: 'rule', index, key: getRuleKey(obj) };
+    } else if (obj.components) {
+      return getComponentRef(obj);
+    } else if (obj.parent) {
+      const parent = getComponentRef(obj.parent);
+      return parent && { type: 'components', parent };
+    }
+  };
+
+  const resolveRef = (ref = {}) => {
+    switch (ref.type) {
+      case 'rules':
+        return getRules();
+      case 'assets':
+        return getAssets();
+      case 'rule': {
+        const rules = getRules();
+        const rule = rules.at(ref.index);
+        return rule && getRuleKey(rule) === ref.key
+          ? rule
+          : rules.filter(r => getRuleKey(r) === ref.key)[0];
+      }
+      case 'component':
+        return getById(ref.id);
+      case 'components': {
+        const parent = resolveRef(ref.parent);
+        return parent && parent.components();
+      }
+    }
+  };
+
+  /**
+   * Get the index for the remote component. It's added after the same
+   * sibling as in the remote client and, as in RGA, after siblings added
+   * concurrently with a greater timestamp, so all clients get the same order
+   * @private
+   */
+  const getInsertIndex = (coll, op) => {
+    const { after, ts } = op;
+    const prev = after && getById(after);
+    let index = !after
+      ? 0
+      : prev && prev.collection === coll
+      ? coll.indexOf(prev) + 1
+      : -1;
+
+    // The sibling was removed in the meantime
+    if (index < 0) return Math.min(op.at || 0, coll.length);
+
+    while (
+      index < coll.length &&
+      compareTs(timestamps[coll.at(index).getId()], ts) > 0
+    ) {
+      index++;
+    }
+
+    return index;
+  };
+
+  return {
+    /**
+     * Name of the module
+     * @type {String}
+     * @private
+     */
+    name: 'Collaboration',
+
+    /**
+     * Initialize module. Automatically called with a new instance of the editor
+     * @param {Object} config Configurations
+     * @private
+     */
+    init(config = {}) {
+      c = { ...defaults, ...config };
+      c.local = { ...defaults.local, ...config.local };
+      em = c.em;
+      c.clientId =
+        c.clientId ||
+        `${Date.now().toString(36)}${Math.random()
+          .toString(36)
+          .slice(2, 8)}`;
+      c.user = { ...config.user };
+      transports = {
+        local: new LocalTransport(c.local),
+        ...c.transports
+      };
+      presences = new Presences();
+      presences.on('add', presence => {
+        this.updatePresenceComponents(presence);
+        em.trigger('collab:presence', presence);
+      });
+      presences.on('change', presence => {
+        this.updatePresenceComponents(presence, presence.previousAttributes());
+        em.trigger('collab:presence', presence);
+      });
+      presences.on('remove', presence => {
+        this.updatePresenceComponents(presence);
+        em.trigger('collab:presence:remove', presence);
+      });
+      sendHovered = throttle(() => this.sendPresence(), c.presenceThrottle);
+      em.on('load', () => presences.length && this.renderPresence());
+
+      return this;
+    },
+
+    /**
+     * Connect automatically, if requested, once the editor is loaded
+     * @private
+     */
+    postLoad() {
+      c.autoconnect && !connected && this.connect();
+    },
+
+    /**
+     * Get configuration object
+     * @return {Object}
+     */
+    getConfig() {
+      return c;
+    },
+
+    /**
+     * Add new transport. A transport is an object with `connect(room, onMessage)`,
+     * `send(message)` and `disconnect()` methods. Messages are plain JSON objects
+     * @param {String} id Transport id
+     * @param {Object} transport Transport implementation
+     * @return {this}
+     * @example
+     * collab.addTransport('socket', {
+     *  connect(room, onMessage) {
+     *    socket.emit('join', room);
+     *    socket.on('message', onMessage);
+     *  },
+     *  send(message) {
+     *    socket.emit('message', message);
+     *  },
+     *  disconnect() {
+     *    socket.emit('leave');
+     *  },
+     * });
+     */
+    addTransport(id, transport) {
+      transports[id] = transport;
+      return this;
+    },
+
+    /**
+     * Get transport by id
+     * @param {String} id Transport id
+     * @return {Object|null}
+     */
+    getTransport(id) {
+      return transports[id] || null;
+    },
+
+    /**
+     * Get all transports
+     * @return {Object}
+     */
+    getTransports() {
+      return transports;
+    },
+
+    /**
+     * Get the unique identifier of this client
+     * @return {String}
+     */
+    getClientId() {
+      return c.clientId;
+    },
+
+    /**
+     * Check if the editor is connected to a room
+     * @return {Boolean}
+     */
+    isConnected() {
+      return !!connected;
+    },
+
+    /**
+     * Connect to the room, local changes will be sent to other collaborators
+     * and remote changes applied in the editor
+     * @param {Object} [opts={}] Options
+     * @param {String} [opts.room] Room id, by default `config.room`
+     * @param {String} [opts.type] Transport id, by default `config.type`
+     * @return {this}
+     * @example
+     * collab.connect({ room: 'project-1' });
+     */
+    connect(opts = {}) {
+      const room = opts.room || c.room;
+      const type = opts.type || c.type;
+      const tr = this.getTransport(type);
+
+      if (!tr) {
+        em.logWarning(`Collaboration transport '${type}' not found`);
+        return this;
+      }
+
+      connected && this.disconnect();
+      transport = tr;
+      connected = { room, type };
+      this.attach();
+      transport.connect(room, msg => this.onMessage(msg));
+      em.trigger('collab:connect', { room, type });
+
+      if (c.syncOnConnect) {
+        syncing = 1;
+        syncTimer = setTimeout(() => (syncing = 0), c.syncTimeout);
+        this.send({ type: 'sync:request' });
+      }
+
+      this.sendPresence();
+
+      return this;
+    },
+
+    /**
+     * Disconnect from the current room
+     * @return {this}
+     * @example
+     * collab.disconnect();
+     */
+    disconnect() {
+      if (!connected) return this;
+      const { room, type } = connected;
+      listener.stopListening();
+      c.presence && this.send({ type: 'leave' });
+      transport.disconnect();
+      clearTimeout(syncTimer);
+      transport = null;
+      connected = null;
+      syncing = 0;
+      presences.models
+        .slice()
+        .forEach(presence => this.removePresence(presence.id));
+      em.trigger('collab:disconnect', { room, type });
+      return this;
+    },
+
+    /**
+     * Leave the room when the editor is destroyed
+     * @private
+     */
+    destroy() {
+      sendHovered && sendHovered.cancel();
+      this.disconnect();
+      presenceView && presenceView.remove();
+      presenceView = null;
+    },
+
+    /**
+     * Listen to changes of components, CSS rules and assets
+     * @private
+     */
+    attach() {
+      listener.stopListening();
+      this.attachComponent(getWrapper());
+      listener.listenTo(getWrapper(), 'change', (...args) =>
+        this.onChange('change', ...args)
+      );
+      [getRules(), getAssets()].forEach(coll => this.listen(coll));
+      if (c.presence) {
+        listener.listenTo(em, 'component:toggled', () => this.sendPresence());
+        listener.listenTo(em, 'change:componentHovered', sendHovered);
+      }
+    },
+
+    /**
+     * Listen to changes of inner components
+     * @private
+     */
+    attachComponent(component) {
+      component.onAll(comp => this.listen(comp.components()));
+    },
+
+    /**
+     * @private
+     */
+    listen(coll) {
+      listener.stopListening(coll);
+      listener.listenTo(
+        coll,
+        'all',
+        (ev, ...args) => events.indexOf(ev) >= 0 && this.onChange(ev, ...args)
+      );
+    },
+
+    /**
+     * @private
+     */
+    detachComponent(component) {
+      component.onAll(comp => listener.stopListening(comp.components()));
+    },
+
+    /**
+     * Create the operation from the local change and send it
+     * @private
+     */
+    onChange(event, model, collection, opts = {}) {
+      if (event === 'add' && model.components) {
+        this.attachComponent(model);
+      } else if (event === 'remove' && model.components) {
+        this.detachComponent(model);
+      } else if (event === 'reset' && model.parent) {
+        model.each(comp => this.attachComponent(comp));
+      }
+
+      // Local only changes, eg. components swapped on page selection
+      const options = event === 'reset' ? collection : opts;
+      if (applying || !connected || (options && options.avoidSync)) return;
+      let op;
+
+      switch (event) {
+        case 'add': {
+          const target = getRef(collection);
+          const at = collection.indexOf(model);
+          op = target && { op: event, target, at, value: model.toJSON() };
+
+          if (op && model.components) {
+            const prev = collection.at(at - 1);
+            op.after = at > 0 && prev ? prev.getId() : null;
+            op.ids = getIds(model);
+            op.ts = tick();
+            timestamps[model.getId()] = op.ts;
+          }
+          break;
+        }
+        case 'remove': {
+          if (model.components) {
+            // Removed components are not in the tree anymore
+            const { temporary } = opts;
+            const target = { type: 'component', id: model.getId() };
+            op = { op: event, target, ...(temporary && { temporary }) };
+          } else {
+            const target = getRef(collection);
+            op = target && { op: event, target, at: opts.index };
+          }
+          break;
+        }
+        case 'reset': {
+          // Reset event passes the collection as the first argument
+          const target = getRef(model);
+          op = target && {
+            op: event,
+            target,
+            value: model.toJSON(),
+            ...(model.parent && { ids: model.map(getIds) })
+          };
+          break;
+        }
+        case 'change': {
+          const um = em.get('UndoManager');
+          const props = um ? um.getTrackedProps() : [];
+          const changed = model.changedAttributes() || {};
+          const value = {};
+          props.forEach(
+            prop => prop in changed && (value[prop] = changed[prop])
+          );
+          const target = Object.keys(value).length && getRef(model);
+
+          if (target) {
+            op = { op: event, target, value, ts: tick() };
+            Object.keys(value).forEach(
+              prop => (propTimestamps[getPropKey(target, prop)] = op.ts)
+            );
+          }
+          break;
+        }
+      }
+
+      op && this.send({ type: 'ops', ops: [op] });
+    },
+
+    /**
+     * Send the message to other clients
+     * @private
+     */
+    send(message) {
+      if (!connected) return;
+      const msg = clone({ ...message, clientId: c.clientId });
+      transport.send(msg);
+      em.trigger('collab:send', msg);
+    },
+
+    /**
+     * Handle messages from other clients
+     * @private
+     */
+    onMessage(message = {}) {
+      const msg = isString(message) ? JSON.parse(message) : message;
+      if (!connected || msg.clientId === c.clientId) return;
+      em.trigger('collab:receive', msg);
+
+      switch (msg.type) {
+        case 'ops':
+          this.applyOps(msg.ops);
+          break;
+        case 'sync:request':
+          !syncing &&
+            this.send({
+              type: 'sync',
+              to: msg.clientId,
+              data: this.getState()
+            });
+          // Let the new client know about us
+          this.sendPresence();
+          break;
+        case 'sync':
+          if (syncing && msg.to === c.clientId) {
+            clearTimeout(syncTimer);
+            syncing = 0;
+            this.setState(msg.data);
+            // Local history is not valid anymore
+            em.get('UndoManager').clear();
+            em.trigger('collab:sync', msg.data);
+            this.sendPresence();
+          }
+          break;
+        case 'presence':
+          if (c.presence) {
+            const { user = {}, selected = [], hovered } = msg;
+            this.setPresence(msg.clientId, {
+              name: user.name,
+              color: user.color,
+              selected: selected.map(ref => resolveRef(ref)).filter(Boolean),
+              hovered: (hovered && resolveRef(hovered)) || null
+            });
+          }
+          break;
+        case 'leave':
+          this.removePresence(msg.clientId);
+          break;
+      }
+    },
+
+    /**
+     * Send the local user with selected and hovered components
+     * @private
+     */
+    sendPresence() {
+      if (!c.presence || !connected) return;
+      const hovered = em.getHovered();
+      this.send({
+        type: 'presence',
+        user: this.getUser(),
+        selected: em
+          .get('selected')
+          .map(cmp => getComponentRef(cmp))
+          .filter(Boolean),
+        hovered: (hovered && getComponentRef(hovered)) || null
+      });
+    },
+
+    /**
+     * Get the color for the collaborator, picked from `config.colors`
+     * @param {String} id Collaborator id
+     * @return {String}
+     * @private
+     */
+    getColor(id = '') {
+      const { colors = [] } = c;
+      const hash = `${id}`
+        .split('')
+        .reduce((acc, char) => acc + char.charCodeAt(0), 0);
+      return colors[hash % colors.length] || '';
+    },
+
+    /**
+     * Get the local user, shared with collaborators
+     * @return {Object} `{ id, name, color }`
+     * @example
+     * collab.getUser();
+     * // { id: 'k2j4h1ab3c', name: 'John', color: '#e91e63' }
+     */
+    getUser() {
+      const id = c.clientId;
+      const { name = id, color = this.getColor(id) } = c.user;
+      return { id, name, color };
+    },
+
+    /**
+     * Update the local user, changes are shared with collaborators
+     * @param {Object} user User data
+     * @param {String} [user.name] Name, shown in badges of the selection
+     * @param {String} [user.color] Color of the selection
+     * @return {this}
+     * @example
+     * collab.setUser({ name: 'John', color: '#e91e63' });
+     */
+    setUser(user = {}) {
+      c.user = { ...c.user, ...user };
+      this.sendPresence();
+      return this;
+    },
+
+    /**
+     * Get presences of collaborators
+     * @return {Collection}
+     */
+    getPresences() {
+      return presences;
+    },
+
+    /**
+     * Get the presence of the collaborator
+     * @param {String} id Collaborator id
+     * @return {Presence|null}
+     */
+    getPresence(id) {
+      return presences.get(id) || null;
+    },
+
+    /**
+     * Add or update the presence of a collaborator. Presences received via
+     * the transport are updated automatically, this method allows to feed
+     * them from other sources
+     * @param {String} id Collaborator id
+     * @param {Object} data Presence data
+     * @param {String} [data.name] Name of the collaborator
+     * @param {String} [data.color] Color of the collaborator
+     * @param {Array<Component>} [data.selected] Selected components
+     * @param {Component} [data.hovered] Hovered component
+     * @return {Presence}
+     * @example
+     * collab.setPresence('user-2', {
+     *  name: 'Jane',
+     *  selected: [editor.getWrapper().find('#header')[0]],
+     * });
+     */
+    setPresence(id, data = {}) {
+      const attrs = { ...data, id };
+      attrs.color = attrs.color || this.getColor(id);
+      const presence = presences.add(attrs, { merge: true });
+      this.renderPresence();
+      return presence;
+    },
+
+    /**
+     * Remove the presence of a collaborator
+     * @param {String} id Collaborator id
+     * @return {Presence|undefined} Removed presence
+     * @example
+     * collab.removePresence('user-2');
+     */
+    removePresence(id) {
+      return presences.remove(id);
+    },
+
+    /**
+     * Notify components which were or are selected or hovered by the
+     * collaborator, so only their views are updated
+     * @param {Presence} presence
+     * @param {Object} [prev={}] Previous attributes of the presence
+     * @private
+     */
+    updatePresenceComponents(presence, prev = {}) {
+      uniq([
+        ...(prev.selected || []),
+        prev.hovered,
+        ...presence.getSelected(),
+        presence.getHovered()
+      ])
+        .filter(Boolean)
+        .forEach(cmp => cmp.trigger('collab:presence', presence));
+    },
+
+    /**
+     * Render presences of collaborators in the canvas
+     * @private
+     */
+    renderPresence() {
+      const toolsEl = em.get('Canvas').getGlobalToolsEl();
+      if (!toolsEl) return;
+
+      if (!presenceView) {
+        presenceView = new PresenceView({
+          collection: presences,
+          config: c
+        });
+      }
+
+      presenceView.el.parentNode !== toolsEl &&
+        toolsEl.appendChild(presenceView.render().el);
+    },
+
+    /**
+     * Get the current state of the project
+     * @private
+     */
+    getState() {
+      const components = getWrapper().components();
+      return {
+        components,
+        ids: components.map(getIds),
+        timestamps,
+        styles: getRules(),
+        assets: getAssets()
+      };
+    },
+
+    /**
+     * Replace the current state of the project
+     * @private
+     */
+    setState(data = {}) {
+      timestamps = { ...data.timestamps };
+      propTimestamps = {};
+      this.applyOps([
+        {
+          op: 'reset',
+          target: getRef(getWrapper().components()),
+          value: data.components,
+          ids: data.ids
+        },
+        { op: 'reset', target: { type: 'rules' }, value: data.styles },
+        { op: 'reset', target: { type: 'assets' }, value: data.assets }
+      ]);
+    },
+
+    /**
+     * Apply operations of other clients. Changes are not sent back to the room
+     * and not registered in the UndoManager
+     * @param {Array<Object>} ops Operations
+     * @return {this}
+     * @example
+     * collab.applyOps([{
+     *  op: 'change',
+     *  target: { type: 'component', id: 'header' },
+     *  value: { attributes: { title: 'Title' } },
+     * }]);
+     */
+    applyOps(ops = []) {
+      const um = em.get('UndoManager');
+      const umInst = um && um.getInstance();
+      const tracking = umInst && umInst.get('track');
+      tracking && um.stop();
+      applying = 1;
+
+      try {
+        ops.forEach(op => {
+          const target = resolveRef(op.target);
+          const { ts } = op;
+          ts && (clock = Math.max(clock, ts[0]));
+
+          if (!target) {
+            return em.logWarning(`Collaboration target not found`, { op });
+          }
+
+          switch (op.op) {
+            case 'add': {
+              if (!op.ids) {
+                target.add(op.value, { at: op.at });
+                break;
+              }
+
+              // Components removed temporarily (eg. moved) are added back
+              const moved = getById(op.ids[0]);
+              const value = moved && !moved.collection ? moved : op.value;
+              const at = getInsertIndex(target, op);
+              const added = target.add(value, { at });
+              added !== moved && setIds(added, op.ids);
+              timestamps[op.ids[0]] = ts;
+              break;
+            }
+            case 'remove': {
+              if (op.target.type === 'component') {
+                const coll = target.collection;
+                coll && coll.remove(target, { temporary: op.temporary });
+              } else {
+                const model = target.at(op.at);
+                model && target.remove(model);
+              }
+              break;
+            }
+            case 'reset':
+              target.reset(op.value || []);
+              op.ids && target.each((comp, i) => setIds(comp, op.ids[i]));
+              break;
+            case 'change': {
+              const value = {};
+
+              // The last change, by timestamp, wins
+              Object.keys(op.value).forEach(prop => {
+                const key = getPropKey(op.target, prop);
+                if (ts && compareTs(ts, propTimestamps[key]) <= 0) return;
+                value[prop] = op.value[prop];
+                ts && (propTimestamps[key] = ts);
+              });
+
+              target.set(value);
+              break;
+            }
+          }
+        });
+      } finally {
+        applying = 0;
+        tracking && um.start();
+      }
+
+      return this;
+    }
+  };
+};
@@ -0,0 +1,84 @@
+import Backbone from 'backbone';
+
+// Clients of the in-memory transport, grouped by room
+const rooms = {};
+
+/**
+ * Reference transport, it connects editors on the same page (in-memory)
+ * or tabs of the same browser (via BroadcastChannel API)
+ */
+export default Backbone.Model.extend({
+  defaults: {
+    broadcastChannel: true,
+    channelPrefix: 'gjs-collaboration-'
+  },
+
+  /**
+   * Check if the BroadcastChannel API should be used
+   * @return {Boolean}
+   * @private
+   */
+  hasChannel() {
+    return (
+      this.get('broadcastChannel') && typeof BroadcastChannel !== 'undefined'
+    );
+  },
+
+  /**
+   * Join the room
+   * @param {String} room Room id
+   * @param {Function} onMessage Callback for messages of other clients
+   */
+  connect(room, onMessage) {
+    this.disconnect();
+    this.room = room;
+    this.onMessage = onMessage;
+
+    if (this.hasChannel()) {
+      this.channel = new BroadcastChannel(
+        `${this.get('channelPrefix')}${room}`
+      );
+      this.channel.onmessage = ev => onMessage(ev.data);
+    } else {
+      (rooms[room] = rooms[room] || []).push(this);
+    }
+  },
+
+  /**
+   * Send the message to other clients in the room
+   * @param {Object} message
+   */
+  send(message) {
+    const { channel, room } = this;
+
+    if (channel) {
+      channel.postMessage(message);
+    } else {
+      (rooms[room] || [])
+        .slice()
+        .forEach(
+          client =>
+            client !== this &&
+            client.onMessage(JSON.parse(JSON.stringify(message)))
+        );
+    }
+  },
+
+  /**
+   * Leave the room
+   */
+  disconnect() {
+    const { channel, room } = this;
+
+    if (channel) {
+      channel.close();
+      this.channel = null;
+    } else if (rooms[room]) {
+      rooms[room] = rooms[room].filter(client => client !== this);
+      !rooms[room].length && delete rooms[room];
+    }
+
+    this.room = null;
+    this.onMessage = null;
+  }
+});
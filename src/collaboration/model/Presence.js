@@ -0,0 +1,58 @@
+import Backbone from 'backbone';
+
+/**
+ * State of a remote collaborator: who is and which components is
+ * selecting or hovering. It doesn't depend on the transport, so it can be
+ * also updated from the outside (eg. an external presence service)
+ */
+export default Backbone.Model.extend({
+  defaults: {
+    name: '',
+    color: '',
+    selected: [],
+    hovered: null
+  },
+
+  /**
+   * Get the name of the collaborator
+   * @return {String}
+   */
+  getName() {
+    return this.get('name') || this.get('id');
+  },
+
+  /**
+   * Get the color of the collaborator
+   * @return {String}
+   */
+  getColor() {
+    return this.get('color');
+  },
+
+  /**
+   * Get selected components
+   * @return {Array<Component>}
+   */
+  getSelected() {
+    return (this.get('selected') || []).filter(Boolean);
+  },
+
+  /**
+   * Get the hovered component
+   * @return {Component|null}
+   */
+  getHovered() {
+    return this.get('hovered') || null;
+  },
+
+  /**
+   * Check if the component is selected or hovered by the collaborator
+   * @param {Component} component
+   * @return {String} `selected`, `hovered` or an empty string
+   */
+  getStatus(component) {
+    if (this.getSelected().indexOf(component) >= 0) return 'selected';
+    if (this.getHovered() === component) return 'hovered';
+    return '';
+  }
+});
@@ -0,0 +1,15 @@
+import Backbone from 'backbone';
+import Presence from './Presence';
+
+export default Backbone.Collection.extend({
+  model: Presence,
+
+  /**
+   * Get presences of collaborators selecting or hovering the component
+   * @param {Component} component
+   * @return {Array<Presence>}
+   */
+  getByComponent(component) {
+    return this.filter(presence => presence.getStatus(component));
+  }
+});
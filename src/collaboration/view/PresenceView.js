@@ -0,0 +1,78 @@
+import Backbone from 'backbone';
+import { debounce, escape } from 'underscore';
+
+export default Backbone.View.extend({
+  initialize(o = {}) {
+    const config = o.config || {};
+    const { em } = config;
+    this.config = config;
+    this.em = em;
+    this.pfx = `${config.pStylePrefix || ''}presence`;
+    this.className = this.pfx;
+    this.update = debounce(() => this.render());
+    this.listenTo(this.collection, 'add remove reset change', this.update);
+    this.listenTo(
+      em,
+      'canvas:update frame:scroll change:canvasOffset component:toggled component:resize component:styleUpdate component:input',
+      this.update
+    );
+  },
+
+  /**
+   * Get the element of the component, if it's still in the canvas
+   * @param {Component} component
+   * @return {HTMLElement|undefined}
+   * @private
+   */
+  getComponentEl(component) {
+    const el = component && component.getEl();
+    return el && el.parentNode ? el : undefined;
+  },
+
+  getItemHtml(presence, component, hovered) {
+    const { pfx, em } = this;
+    const el = this.getComponentEl(component);
+    if (!el) return '';
+    const un = 'px';
+    const color = escape(presence.getColor());
+    const pos = em.get('Canvas').getElementPos(el, { noScroll: 1 });
+    const cls = [`${pfx}-item`, hovered && `${pfx}-item--hovered`].filter(
+      Boolean
+    );
+    const style = [
+      `top: ${pos.top}${un}`,
+      `left: ${pos.left}${un}`,
+      `width: ${pos.width}${un}`,
+      `height: ${pos.height}${un}`,
+      `border-color: ${color}`
+    ].join('; ');
+
+    return `
+      <div class="${cls.join(' ')}" style="${style}" data-presence="${escape(
+      presence.id
+    )}">
+        <div class="${pfx}-badge" style="background-color: ${color}">
+          ${escape(presence.getName())}
+        </div>
+      </div>
+    `;
+  },
+
+  render() {
+    const html = this.collection
+      .map(presence => {
+        const selected = presence.getSelected();
+        const hovered = presence.getHovered();
+        const items = selected.map(cmp => this.getItemHtml(presence, cmp));
+        hovered &&
+          selected.indexOf(hovered) < 0 &&
+          items.push(this.getItemHtml(presence, hovered, 1));
+        return items.join('');
+      })
+      .join('');
+
+    this.el.innerHTML = html;
+    this.el.className = this.className;
+    return this;
+  }
+});
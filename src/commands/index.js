@@ -47,7 +47,11 @@ export default () => {
     ['canvas-move', 'CanvasMove'],
     ['canvas-clear', 'CanvasClear'],
     ['open-code', 'ExportTemplate', 'export-template'],
+    ['export-zip', 'ExportZip', 'export-zip'],
     ['open-layers', 'OpenLayers', 'open-layers'],
+    ['open-history', 'OpenHistory', 'open-history'],
+    ['open-annotations', 'OpenAnnotations', 'open-annotations'],
+    ['open-pages', 'OpenPages', 'open-pages'],
     ['open-styles', 'OpenStyleManager', 'open-sm'],
     ['open-traits', 'OpenTraitManager', 'open-tm'],
     ['open-blocks', 'OpenBlocks', 'open-blocks'],
@@ -111,10 +115,19 @@ export default () => {
         }
       };
 
+      // Locked components can't be selected, they're unlocked from the Layer Manager
+      defaultCommands['tlb-lock'] = {
+        run(ed) {
+          ed.getSelectedAll().forEach(cmp => cmp.lock());
+        }
+      };
+
       defaultCommands['tlb-clone'] = {
         run(ed) {
-          ed.runCommand('core:copy');
-          ed.runCommand('core:paste');
+          ed.UndoManager.transaction('Clone component', () => {
+            ed.runCommand('core:copy');
+            ed.runCommand('core:paste');
+          });
         }
       };
 
@@ -134,7 +147,7 @@ export default () => {
           const altMode = includes(modes, mode);
           selAll.forEach(sel => sel.trigger('disable'));
 
-          if (!sel || !sel.get('draggable')) {
+          if (!sel || !sel.get('draggable') || sel.isLocked()) {
             return em.logWarning('The element is not draggable');
           }
 
@@ -189,6 +202,13 @@ export default () => {
       // Core commands
       defaultCommands['core:undo'] = e => e.UndoManager.undo();
       defaultCommands['core:redo'] = e => e.UndoManager.redo();
+      // Like other keymap commands, run only with the focus on the canvas
+      const canFit = (e, opts = {}) =>
+        e.Canvas.isBoard() && (e.Canvas.hasFocus() || opts.force);
+      defaultCommands['core:canvas-fit'] = (e, s, opts) =>
+        canFit(e, opts) && e.Canvas.zoomToFit();
+      defaultCommands['core:canvas-fit-selection'] = (e, s, opts) =>
+        canFit(e, opts) && e.Canvas.zoomToComponent();
       commandsDef.forEach(item => {
         const oldCmd = item[2];
         const cmd = require(`./view/${item[1]}`).default;
@@ -15,6 +15,9 @@ export default {
           component
         });
       }
+      if (component.isLocked()) {
+        return this.em.logWarning('The element is locked', { component });
+      }
       component.remove();
     });
 
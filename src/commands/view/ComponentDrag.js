@@ -17,6 +17,13 @@ export default {
       'getGuidesTarget'
     );
     const { target, event, mode, dragger = {} } = opts;
+
+    if (target.isLocked()) {
+      return editor.getModel().logWarning('The element is locked', {
+        component: target
+      });
+    }
+
     const el = target.getEl();
     const config = {
       doc: el.ownerDocument,
@@ -27,6 +34,7 @@ export default {
       setPosition: this.setPosition,
       guidesStatic: () => this.guidesStatic,
       guidesTarget: () => this.guidesTarget,
+      snapOffset: editor.Canvas.getConfig().snapOffset,
       ...dragger
     };
     this.setupGuides();
@@ -127,7 +135,9 @@ export default {
         (result = result.concat(el !== item ? this.getElementGuides(item) : []))
     );
 
-    return result.concat(this.getElementGuides(parentNode));
+    return result
+      .concat(this.getElementGuides(parentNode))
+      .concat(this.editor.Canvas.getSnapGuides());
   },
 
   getGuidesTarget() {
@@ -276,12 +286,22 @@ export default {
     return { x, y };
   },
 
+  /**
+   * Snap the position to the grid, unless the axis is already snapped to a guide
+   */
+  snapToGrid(value, axis) {
+    const { dragger = {}, editor } = this;
+    const locked = dragger[`trg${axis.toUpperCase()}`];
+    return locked ? value : editor.Canvas.snapToGrid(value);
+  },
+
   setPosition({ x, y, end, position, width, height }) {
     const { target, isTran } = this;
     const unit = 'px';
     const en = !end ? 1 : ''; // this will trigger the final change
-    const left = `${x}${unit}`;
-    const top = `${y}${unit}`;
+    const snap = !position; // the initial position is kept
+    const left = `${snap ? this.snapToGrid(x, 'x') : x}${unit}`;
+    const top = `${snap ? this.snapToGrid(y, 'y') : y}${unit}`;
 
     if (isTran) {
       let transform = target.getStyle()['transform'] || '';
@@ -338,12 +358,13 @@ export default {
   },
 
   onDrag(...args) {
-    const { guidesTarget, opts } = this;
+    const { guidesTarget, opts, editor } = this;
     const { onDrag } = opts;
+    const guidesActive = guidesTarget.filter(item => item.active);
     this.updateGuides(guidesTarget);
     opts.debug && guidesTarget.forEach(item => this.renderGuide(item));
-    opts.guidesInfo &&
-      this.renderGuideInfo(guidesTarget.filter(item => item.active));
+    opts.guidesInfo && this.renderGuideInfo(guidesActive);
+    editor.Canvas.renderSmartGuides(guidesActive);
     onDrag && onDrag(this._getDragData());
   },
 
@@ -353,6 +374,7 @@ export default {
     onEnd && onEnd(ev, opt, { event: ev, ...opt, ...this._getDragData() });
     editor.stopCommand(id);
     this.hideGuidesInfo();
+    editor.Canvas.renderSmartGuides();
     this.em.trigger(`${evName}:end`, this.getEventOpts());
   },
 
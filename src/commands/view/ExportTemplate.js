@@ -1,6 +1,20 @@
 import Backbone from 'backbone';
+import { isArray, isEqual, isString, isUndefined, has, omit } from 'underscore';
+import { lcs } from 'utils/diff';
 const $ = Backbone.$;
 
+// Properties of parsed components which can be updated without replacing the component
+const propsInPlace = [
+  'components',
+  'attributes',
+  'classes',
+  'style',
+  'content'
+];
+
+// Elements with preformatted text
+const preTags = ['pre', 'textarea'];
+
 export default {
   run(editor, sender, opts = {}) {
     sender && sender.set && sender.set('active', 0);
@@ -8,17 +22,37 @@ export default {
     const modal = editor.Modal;
     const pfx = config.stylePrefix;
     this.cm = editor.CodeManager || null;
+    this.editor = editor;
+    const editable = isUndefined(opts.editable)
+      ? this.cm.getConfig().editable
+      : opts.editable;
 
     if (!this.$editors) {
+      const em = editor.getModel();
+      const label = (em.get('I18n') && em.t('codeManager.apply')) || 'Apply';
       const oHtmlEd = this.buildEditor('htmlmixed', 'hopscotch', 'HTML');
       const oCsslEd = this.buildEditor('css', 'hopscotch', 'CSS');
       this.htmlEditor = oHtmlEd.el;
       this.cssEditor = oCsslEd.el;
       const $editors = $(`<div class="${pfx}export-dl"></div>`);
-      $editors.append(oHtmlEd.$el).append(oCsslEd.$el);
+      const $actions = $(`<div class="${pfx}export-actions">
+        <button type="button" class="${pfx}btn-prim">${label}</button>
+      </div>`);
+      $actions.find('button').on('click', () => this.applyEditors());
+      $editors
+        .append(oHtmlEd.$el)
+        .append(oCsslEd.$el)
+        .append($actions);
       this.$editors = $editors;
+      this.$actions = $actions;
     }
 
+    this.$actions.css('display', editable ? '' : 'none');
+    [this.htmlEditor, this.cssEditor].forEach(viewer => {
+      viewer.getEditor().setOption('readOnly', !editable);
+      this.showErrors(viewer);
+    });
+
     modal
       .open({
         title: config.textViewCode,
@@ -27,7 +61,7 @@ export default {
       .getModel()
       .once('change:open', () => editor.stopCommand(this.id));
     this.htmlEditor.setContent(editor.getHtml());
-    this.cssEditor.setContent(editor.getCss());
+    this.cssEditor.setContent(this.getCss(editor));
   },
 
   stop(editor) {
@@ -54,5 +88,253 @@ export default {
     el.init(input);
 
     return { el, $el };
+  },
+
+  /**
+   * Apply the code of viewers, errors are shown
+   * inline and the modal is closed on success
+   * @private
+   */
+  applyEditors() {
+    const { editor, htmlEditor, cssEditor } = this;
+    const errors = this.apply(editor, {
+      html: htmlEditor.getContent(),
+      css: cssEditor.getContent()
+    });
+    this.showErrors(htmlEditor, errors.html);
+    this.showErrors(cssEditor, errors.css);
+    !errors.html.length && !errors.css.length && editor.Modal.close();
+  },
+
+  /**
+   * Show errors below their lines in the viewer
+   * @param {Object} viewer
+   * @param {Array<Object>} [errors=[]]
+   * @private
+   */
+  showErrors(viewer, errors = []) {
+    const cmEditor = viewer.getEditor();
+    const pfx = this.editor.getConfig('stylePrefix');
+    const lastLine = cmEditor.lineCount() - 1;
+    (viewer.errorWidgets || []).forEach(widget => widget.clear());
+    viewer.errorWidgets = errors.map(({ line, message }) => {
+      const el = document.createElement('div');
+      el.className = `${pfx}export-error`;
+      el.textContent = message;
+      return cmEditor.addLineWidget(Math.min(line - 1, lastLine), el);
+    });
+  },
+
+  /**
+   * Apply the HTML and CSS code to the editor, in a single undoable step.
+   * Only differences with the current code are applied, so components
+   * and rules not changed keep their ids, traits, etc.
+   * Nothing is applied if the code contains errors
+   * @param {Editor} editor
+   * @param {Object} code
+   * @param {String} [code.html] HTML code
+   * @param {String} [code.css] CSS code
+   * @return {Object} Errors of the code, `{ html: [...], css: [...] }`
+   * @private
+   */
+  apply(editor, { html, css } = {}) {
+    const parser = editor.Parser;
+    const errors = {
+      html: isString(html) ? parser.validateHtml(html) : [],
+      css: isString(css) ? parser.validateCss(css) : []
+    };
+
+    if (!errors.html.length && !errors.css.length) {
+      editor.UndoManager.transaction('Edit code', () => {
+        isString(html) && this.applyHtml(editor, html);
+        isString(css) && this.applyCss(editor, css);
+      });
+    }
+
+    return errors;
+  },
+
+  /**
+   * @private
+   */
+  applyHtml(editor, html) {
+    const parser = editor.Parser;
+    const prev = parser.parseHtml(editor.getHtml()).html;
+    const next = parser.parseHtml(html);
+    this.mergeComponents(
+      editor.getWrapper().components(),
+      this.normalize(prev),
+      this.normalize(next.html)
+    );
+    next.css && editor.CssComposer.addCollection(next.css);
+  },
+
+  /**
+   * Rules not changed are kept, removed ones are deleted and
+   * new ones are added or update rules with the same selectors
+   * @private
+   */
+  applyCss(editor, css) {
+    const parser = editor.Parser;
+    const cssc = editor.CssComposer;
+    const getKeys = rules => rules.map(rule => JSON.stringify(rule));
+    const prev = parser.parseCss(this.getCss(editor));
+    const next = parser.parseCss(css);
+    const prevKeys = getKeys(prev);
+    const nextKeys = getKeys(next);
+    const added = next.filter((rule, i) => prevKeys.indexOf(nextKeys[i]) < 0);
+    const removed = prev.filter((rule, i) => nextKeys.indexOf(prevKeys[i]) < 0);
+    const updated = cssc.addCollection(added);
+    cssc
+      .addCollection(removed, { avoidUpdateStyle: 1 })
+      .filter(rule => updated.indexOf(rule) < 0)
+      .forEach(rule => cssc.getAll().remove(rule));
+  },
+
+  /**
+   * Get only the CSS of the CSS Composer, the one which can be edited
+   * @private
+   */
+  getCss(editor) {
+    return editor.getCss({ avoidProtected: 1, avoidPageStyles: 1 });
+  },
+
+  /**
+   * Normalize white spaces of parsed components, so those added by
+   * the code formatting are not considered as changes
+   * @param {Array<Object>} components Parsed components
+   * @return {Array<Object>}
+   * @private
+   */
+  normalize(components = [], opts = {}) {
+    components = isArray(components) ? components : [components];
+    const last = components.length - 1;
+
+    return components.map((cmp, i) => {
+      const { content, tagName } = cmp;
+      const pre = opts.pre || preTags.indexOf(tagName) >= 0;
+      const result = { ...cmp };
+
+      if (isString(content) && !pre) {
+        let value = content.replace(/\s*\n\s*/g, ' ');
+
+        if (cmp.type !== 'textnode') {
+          value = value.trim();
+        } else {
+          !i && (value = value.replace(/^\s+/, ''));
+          i === last && (value = value.replace(/\s+$/, ''));
+        }
+
+        result.content = value;
+      }
+
+      if (cmp.components) {
+        result.components = this.normalize(cmp.components, { pre });
+      }
+
+      return result;
+    });
+  },
+
+  /**
+   * Text nodes with only white spaces are skipped by the parser
+   * @private
+   */
+  isSkippedNode(component) {
+    const content = component.get('content');
+    return component.is('textnode') && content !== ' ' && !content.trim();
+  },
+
+  /**
+   * @private
+   */
+  getComponentKey(cmp) {
+    const { id } = cmp.attributes || {};
+    return [cmp.type, cmp.tagName, id].join('|');
+  },
+
+  /**
+   * Update the collection by the difference between parsed
+   * components of its current and next state
+   * @param {Components} coll
+   * @param {Array<Object>} prev Parsed components of the current state
+   * @param {Array<Object>} next Parsed components of the next state
+   * @private
+   */
+  mergeComponents(coll, prev, next) {
+    const models = coll.filter(cmp => !this.isSkippedNode(cmp));
+    const getKey = cmp => this.getComponentKey(cmp);
+    // Without a match with the parsed state, all components are replaced
+    const pairs =
+      models.length === prev.length
+        ? lcs(prev.map(getKey), next.map(getKey), (a, b) => a === b)
+        : [];
+    const matched = {};
+    pairs.forEach(([prevIndex, nextIndex]) => (matched[nextIndex] = prevIndex));
+    const kept = pairs.map(([prevIndex]) => models[prevIndex]);
+    coll.remove(models.filter(cmp => kept.indexOf(cmp) < 0));
+    let lastModel;
+
+    next.forEach((cmp, i) => {
+      const prevIndex = matched[i];
+
+      if (isUndefined(prevIndex)) {
+        const at = lastModel ? coll.indexOf(lastModel) + 1 : 0;
+        lastModel = coll.add(cmp, { at });
+      } else {
+        const model = models[prevIndex];
+        lastModel = this.updateComponent(model, prev[prevIndex], cmp);
+      }
+    });
+  },
+
+  /**
+   * Update the component by the difference between parsed
+   * definitions of its current and next state
+   * @return {Component} The updated component or the new one, if replaced
+   * @private
+   */
+  updateComponent(model, prev, next) {
+    if (isEqual(prev, next)) return model;
+    const coll = model.collection;
+
+    if (!isEqual(omit(prev, propsInPlace), omit(next, propsInPlace))) {
+      const at = coll.indexOf(model);
+      coll.remove(model);
+      return coll.add(next, { at });
+    }
+
+    !isEqual(prev.attributes, next.attributes) &&
+      this.updateAttributes(model, next.attributes);
+    !isEqual(prev.classes, next.classes) && model.setClass(next.classes || []);
+    !isEqual(prev.style, next.style) && model.setStyle(next.style || {});
+    prev.content !== next.content && model.set('content', next.content || '');
+    this.mergeComponents(
+      model.components(),
+      prev.components || [],
+      next.components || []
+    );
+
+    return model;
+  },
+
+  /**
+   * @private
+   */
+  updateAttributes(model, attrs = {}) {
+    const attributes = { ...attrs };
+
+    // Ids added only in the export are not stored in attributes
+    attributes.id === model.getId() &&
+      !has(model.get('attributes'), 'id') &&
+      delete attributes.id;
+
+    // Some component (eg. image) exports its property as attribute
+    if (has(attributes, 'src') && !isUndefined(model.get('src'))) {
+      model.set('src', attributes.src);
+      delete attributes.src;
+    }
+
+    model.setAttributes(attributes);
   }
 };
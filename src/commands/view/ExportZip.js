@@ -0,0 +1,313 @@
+import {
+  isFunction,
+  isString,
+  isUndefined,
+  keys,
+  sortBy,
+  uniq
+} from 'underscore';
+import fetch from 'utils/fetch';
+import { createZip, toBytes } from 'utils/zip';
+
+// Extensions of files extracted from data URLs
+const mimeExtensions = {
+  'image/jpeg': 'jpg',
+  'image/svg+xml': 'svg',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico',
+  'font/woff': 'woff',
+  'font/woff2': 'woff2',
+  'font/ttf': 'ttf',
+  'font/otf': 'otf'
+};
+
+const escapeAttr = value => `${value}`.replace(/"/g, '&quot;');
+
+const getAttrs = (attrs = {}) =>
+  keys(attrs)
+    .map(name => ` ${name}="${escapeAttr(attrs[name])}"`)
+    .join('');
+
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Elements of the head without content and closing tag
+const voidHeadTags = ['meta', 'link', 'base'];
+
+export default {
+  /**
+   * Create the ZIP of the site and download it
+   * @param {Editor} editor
+   * @param {Object} sender
+   * @param {Object} [opts={}] Options
+   * @param {String} [opts.filename='website.zip'] Name of the downloaded file
+   * @param {String} [opts.title=''] Title of the page
+   * @param {Boolean} [opts.fetchAssets=true] Fetch remote assets and add them to the archive
+   * @param {Boolean} [opts.download=true] Download the archive
+   * @param {Object|Function} [opts.files] Extra files to add to the archive, eg. `{ 'robots.txt': '...' }`.
+   * Can be a function which receives the editor and the files and returns them (or a Promise)
+   * @return {Promise<Uint8Array>} Bytes of the archive
+   * @example
+   * editor.runCommand('export-zip', {
+   *  filename: 'my-site.zip',
+   *  files: { 'README.md': '# My site' },
+   * });
+   */
+  run(editor, sender, opts = {}) {
+    sender && sender.set && sender.set('active', 0);
+
+    return this.getFiles(editor, opts).then(files => {
+      const zip = createZip(files);
+      opts.download !== false &&
+        this.download(zip, opts.filename || 'website.zip');
+      return zip;
+    });
+  },
+
+  /**
+   * Get contents of all the files of the archive, by their paths
+   * @param {Editor} editor
+   * @param {Object} [opts={}]
+   * @return {Promise<Object>}
+   * @private
+   */
+  getFiles(editor, opts = {}) {
+    const cm = editor.CodeManager;
+    const wrapper = editor.getWrapper();
+    const html = cm.getCode(wrapper, 'html', {
+      exportWrapper: 1,
+      wrapperIsBody: 1
+    });
+    const css = editor.getCss();
+    const js = editor.getJs();
+    const headItems = this.getHeadItems(editor);
+    const assets = this.getAssetUrls(editor, html, css, headItems);
+
+    return this.getAssetFiles(assets, opts).then(assetFiles => {
+      const paths = assetFiles.paths;
+      const head = this.replaceUrls(this.getHead(editor, headItems), paths);
+      let files = {
+        'index.html': this.getIndex(editor, this.replaceUrls(html, paths), {
+          ...opts,
+          js,
+          head
+        }),
+        'style.css': this.replaceUrls(css, paths),
+        ...(js && { 'script.js': js }),
+        ...assetFiles.files
+      };
+      const extra = opts.files;
+
+      return Promise.resolve(
+        isFunction(extra) ? extra(editor, files) : { ...files, ...extra }
+      ).then(result => {
+        files = result || files;
+        editor.trigger('export:zip', files);
+        return files;
+      });
+    });
+  },
+
+  /**
+   * Get items of the canvas frame head, eg. added with `addHeadItem` or `addLink`
+   * @private
+   */
+  getHeadItems(editor) {
+    const frame = editor.Canvas.getFrame();
+    return frame ? frame.getHead() : [];
+  },
+
+  /**
+   * Get the HTML of the head, generic meta tags are added if
+   * the frame head doesn't already define them
+   * @private
+   */
+  getHead(editor, items = []) {
+    const hasMeta = attr =>
+      items.some(
+        ({ tag, attributes = {} }) => tag === 'meta' && attr(attributes)
+      );
+    const defaults = [
+      !hasMeta(attrs => attrs.charset) && '<meta charset="utf-8">',
+      !hasMeta(attrs => attrs.name === 'viewport') &&
+        '<meta name="viewport" content="width=device-width, initial-scale=1">'
+    ];
+    const headItems = items.map(({ tag = 'div', attributes }) => {
+      const open = `<${tag}${getAttrs(attributes)}>`;
+      return voidHeadTags.indexOf(tag) >= 0 ? open : `${open}</${tag}>`;
+    });
+
+    return [...defaults, ...headItems].filter(Boolean).join('\n    ');
+  },
+
+  /**
+   * Get the HTML document
+   * @private
+   */
+  getIndex(editor, html, opts = {}) {
+    const canvasConfig = editor.Canvas.getConfig();
+    const toObj = (item, attr) => (isString(item) ? { [attr]: item } : item);
+    const styles = canvasConfig.styles
+      .map(item => `<link rel="stylesheet"${getAttrs(toObj(item, 'href'))}>`)
+      .join('\n    ');
+    const scripts = canvasConfig.scripts
+      .map(item => `<script${getAttrs(toObj(item, 'src'))}></script>`)
+      .join('\n    ');
+    const body = html.indexOf('<body') === 0 ? html : `<body>${html}</body>`;
+    const script = opts.js ? '<script src="script.js"></script>' : '';
+    const bodyEnd = body.lastIndexOf('</body>');
+    const head = isUndefined(opts.head)
+      ? this.getHead(editor, this.getHeadItems(editor))
+      : opts.head;
+
+    return `<!doctype html>
+<html>
+  <head>
+    ${head}
+    <title>${opts.title || ''}</title>
+    ${styles}
+    <link rel="stylesheet" href="style.css">
+    ${scripts}
+  </head>
+  ${body.slice(0, bodyEnd)}${script}${body.slice(bodyEnd)}
+</html>`;
+  },
+
+  /**
+   * Get URLs of assets from the Asset Manager, `url()` values of the CSS,
+   * `src` attributes of the HTML and `href`/`src` of head items
+   * @private
+   */
+  getAssetUrls(editor, html, css, headItems = []) {
+    const urls = editor.AssetManager.getAll()
+      .map(asset => asset.get('src'))
+      .filter(Boolean);
+    const reCss = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+    const reHtml = /\ssrc="([^"]+)"/g;
+    let match;
+    while ((match = reCss.exec(css))) urls.push(match[2]);
+    while ((match = reHtml.exec(html))) urls.push(match[1]);
+    headItems.forEach(({ attributes = {} }) =>
+      ['href', 'src'].forEach(
+        attr => isString(attributes[attr]) && urls.push(attributes[attr])
+      )
+    );
+    return uniq(urls.map(url => url.trim()));
+  },
+
+  /**
+   * Get files of assets. Data URLs are decoded and remote files fetched,
+   * assets which can't be fetched keep their original URL
+   * @return {Promise<Object>} Files by path and paths by the original URL
+   * @private
+   */
+  getAssetFiles(urls = [], opts = {}) {
+    const files = {};
+    const paths = {};
+    const fetchAssets = opts.fetchAssets !== false;
+    const add = (url, name, data) => {
+      const path = this.getUniquePath(`assets/${name}`, files);
+      files[path] = data;
+      paths[url] = path;
+    };
+    let count = 0;
+
+    return Promise.all(
+      urls.map(url => {
+        if (url.indexOf('data:') === 0) {
+          const file = this.parseDataUrl(url);
+          file && add(url, `file-${++count}.${file.ext}`, file.data);
+          return;
+        }
+
+        if (!fetchAssets) return;
+
+        return fetch(url)
+          .then(res => res.status < 300 && res.arrayBuffer && res.arrayBuffer())
+          .then(buffer => buffer && add(url, this.getFileName(url), buffer))
+          .catch(() => {});
+      })
+    ).then(() => ({ files, paths }));
+  },
+
+  /**
+   * Decode the data URL
+   * @param {String} url
+   * @return {Object|undefined} `{ data, ext }`
+   * @private
+   */
+  parseDataUrl(url) {
+    const match = url.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/);
+    if (!match) return;
+    const [, mime = '', params, content] = match;
+    const type = mime.toLowerCase();
+    const ext =
+      mimeExtensions[type] || (type.split('/')[1] || 'bin').split('+')[0];
+    let data;
+
+    try {
+      if (params.indexOf(';base64') >= 0) {
+        const bin = atob(content);
+        data = new Uint8Array(bin.length);
+        for (let i = 0; i < bin.length; i++) data[i] = bin.charCodeAt(i);
+      } else {
+        data = toBytes(decodeURIComponent(content));
+      }
+    } catch (err) {
+      return;
+    }
+
+    return { data, ext };
+  },
+
+  /**
+   * @private
+   */
+  getFileName(url) {
+    const name = url
+      .split(/[?#]/)[0]
+      .split('/')
+      .pop();
+    return decodeURIComponent(name || '') || 'file';
+  },
+
+  /**
+   * @private
+   */
+  getUniquePath(path, files) {
+    const dot = path.lastIndexOf('.');
+    const base = dot > 0 ? path.slice(0, dot) : path;
+    const ext = dot > 0 ? path.slice(dot) : '';
+    let result = path;
+    let i = 0;
+    while (files[result]) result = `${base}-${++i}${ext}`;
+    return result;
+  },
+
+  /**
+   * Replace URLs of assets with their paths in the archive
+   * @private
+   */
+  replaceUrls(code, paths) {
+    // Longer URLs first, to not break those containing shorter ones
+    return sortBy(keys(paths), url => -url.length).reduce(
+      (acc, url) =>
+        acc.replace(new RegExp(escapeRegExp(url), 'g'), () => paths[url]),
+      code
+    );
+  },
+
+  /**
+   * @private
+   */
+  download(bytes, filename) {
+    const blob = new Blob([bytes], { type: 'application/zip' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url));
+  }
+};
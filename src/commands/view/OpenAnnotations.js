@@ -0,0 +1,21 @@
+export default {
+  run(editor) {
+    const pn = editor.Panels;
+
+    if (!this.annotations) {
+      const id = 'views-container';
+      const annotations = document.createElement('div');
+      const panels = pn.getPanel(id) || pn.addPanel({ id });
+      annotations.appendChild(editor.Annotations.render());
+      panels.set('appendContent', annotations).trigger('change:appendContent');
+      this.annotations = annotations;
+    }
+
+    this.annotations.style.display = 'block';
+  },
+
+  stop() {
+    const annotations = this.annotations;
+    annotations && (annotations.style.display = 'none');
+  }
+};
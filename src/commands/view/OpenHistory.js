@@ -0,0 +1,22 @@
+export default {
+  run(editor) {
+    const um = editor.UndoManager;
+    const pn = editor.Panels;
+
+    if (!this.history) {
+      const id = 'views-container';
+      const history = document.createElement('div');
+      const panels = pn.getPanel(id) || pn.addPanel({ id });
+      history.appendChild(um.render());
+      panels.set('appendContent', history).trigger('change:appendContent');
+      this.history = history;
+    }
+
+    this.history.style.display = 'block';
+  },
+
+  stop() {
+    const history = this.history;
+    history && (history.style.display = 'none');
+  }
+};
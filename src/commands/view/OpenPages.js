@@ -0,0 +1,21 @@
+export default {
+  run(editor) {
+    const pn = editor.Panels;
+
+    if (!this.pages) {
+      const id = 'views-container';
+      const pages = document.createElement('div');
+      const panels = pn.getPanel(id) || pn.addPanel({ id });
+      pages.appendChild(editor.Pages.render());
+      panels.set('appendContent', pages).trigger('change:appendContent');
+      this.pages = pages;
+    }
+
+    this.pages.style.display = 'block';
+  },
+
+  stop() {
+    const pages = this.pages;
+    pages && (pages.style.display = 'none');
+  }
+};
@@ -1,5 +1,5 @@
 import Backbone from 'backbone';
-import { bindAll, isElement, isUndefined, debounce } from 'underscore';
+import { bindAll, isElement, isUndefined, debounce, filter } from 'underscore';
 import {
   on,
   off,
@@ -40,7 +40,8 @@ export default {
       'onOut',
       'onClick',
       'onFrameScroll',
-      'onFrameUpdated'
+      'onFrameUpdated',
+      'onFrameLoad'
     );
   },
 
@@ -75,12 +76,6 @@ export default {
     const { em } = this;
     const method = enable ? 'on' : 'off';
     const methods = { on, off };
-    const trigger = (win, body) => {
-      methods[method](body, 'mouseover', this.onHover);
-      methods[method](body, 'mouseleave', this.onOut);
-      methods[method](body, 'click touchend', this.onClick);
-      methods[method](win, 'scroll', this.onFrameScroll);
-    };
     methods[method](window, 'resize', this.onFrameUpdated);
     em[method]('component:toggled', this.onSelect, this);
     em[method]('change:componentHovered', this.onHovered, this);
@@ -91,12 +86,35 @@ export default {
     );
     em[method]('change:canvasOffset', this.updateAttached, this);
     em[method]('frame:updated', this.onFrameUpdated, this);
+    em[method]('frame:load', this.onFrameLoad, this);
     em.get('Canvas')
       .getFrames()
-      .forEach(frame => {
-        const { view } = frame;
-        view && trigger(view.getWindow(), view.getBody());
-      });
+      .forEach(frame => this.toggleFrameEvents(enable, frame.view));
+  },
+
+  /**
+   * Toggle select component events inside the frame
+   * @param {Boolean} enable
+   * @param {FrameView} view
+   * @private
+   */
+  toggleFrameEvents(enable, view) {
+    if (!view) return;
+    const method = enable ? on : off;
+    const win = view.getWindow();
+    const body = view.getBody();
+    method(body, 'mouseover', this.onHover);
+    method(body, 'mouseleave', this.onOut);
+    method(body, 'click touchend', this.onClick);
+    method(win, 'scroll', this.onFrameScroll);
+  },
+
+  /**
+   * Frames added later (eg. in multi-frame mode) need their own events
+   * @private
+   */
+  onFrameLoad({ view }) {
+    this.toggleFrameEvents(1, view);
   },
 
   /**
@@ -283,6 +301,7 @@ export default {
     ev.preventDefault();
     const { em } = this;
     if (em.get('_cmpDrag')) return em.set('_cmpDrag');
+    this.updateDevice(ev.target);
     const $el = $(ev.target);
     let model = $el.data('model');
 
@@ -305,6 +324,23 @@ export default {
     }
   },
 
+  /**
+   * In multi-frame mode, the device of the clicked frame becomes the current one,
+   * so styles are applied to its media
+   * @param {HTMLElement} el Clicked element
+   * @private
+   */
+  updateDevice(el) {
+    const { em, canvas } = this;
+    if (!canvas.isMultiFrames()) return;
+    const doc = el.ownerDocument;
+    const frame = canvas
+      .getFrames()
+      .filter(fr => fr.view && fr.view.getDoc() === doc)[0];
+    const device = frame && frame.get('device');
+    device && em.get('device') !== device && em.set('device', device);
+  },
+
   /**
    * Select component
    * @param  {Component} model
@@ -441,7 +477,12 @@ export default {
     };
 
     if (editor && resizable) {
+      const { snapOffset, snapGrid } = canvas.getConfig();
       options = {
+        snapOffset,
+        snapGrid,
+        guides: () => this.getResizeGuides(el),
+
         // Here the resizer is updated with the current element height and width
         onStart(e, opts = {}) {
           const { el, config, resizer } = opts;
@@ -481,12 +522,14 @@ export default {
         },
 
         // Update all positioned elements (eg. component toolbar)
-        onMove() {
+        onMove(e, { resizer }) {
           editor.trigger('component:resize');
+          canvas.renderSmartGuides(resizer.guidesActive);
         },
 
         onEnd(e, opts) {
           toggleBodyClass('remove', e, opts);
+          canvas.renderSmartGuides();
           editor.trigger('component:resize');
           canvas.toggleFramesEvents(1);
           showOffsets = 1;
@@ -512,7 +555,7 @@ export default {
           const en = !store ? 1 : ''; // this will trigger the final change
 
           if (!onlyHeight) {
-            const bodyw = canvas.getBody().offsetWidth;
+            const bodyw = el.ownerDocument.body.offsetWidth;
             const width = rect.w < bodyw ? rect.w : bodyw;
             style[keyWidth] = autoWidth ? 'auto' : `${width}${unitWidth}`;
           }
@@ -539,6 +582,37 @@ export default {
     }
   },
 
+  /**
+   * Get guides, where edges of the resized element snap, from rulers and,
+   * with smart guides, from edges and centers of siblings and the parent
+   * @param {HTMLElement} el
+   * @return {Array<Object>}
+   * @private
+   */
+  getResizeGuides(el) {
+    const { canvas } = this;
+    const { parentNode } = el;
+    const result = canvas.getSnapGuides();
+    if (!canvas.getConfig().smartGuides || !parentNode) return result;
+
+    filter(parentNode.children, item => item !== el)
+      .concat(parentNode)
+      .forEach(item => {
+        const pos = canvas.getElementPos(item, { noScroll: 1 });
+        const { top, left, width, height } = pos;
+        result.push(
+          { x: left },
+          { x: left + width / 2 },
+          { x: left + width },
+          { y: top },
+          { y: top + height / 2 },
+          { y: top + height }
+        );
+      });
+
+    return result;
+  },
+
   /**
    * Update toolbar if the component has one
    * @param {Object} mod
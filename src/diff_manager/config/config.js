@@ -0,0 +1,10 @@
+export default {
+  // Properties of components and CSS rules to skip in the comparison
+  ignore: ['status', 'open', 'toolbar', 'traits', 'view'],
+
+  // Highlight differences in the canvas
+  showInCanvas: 1,
+
+  // Highlight differences in the layer manager
+  showInLayers: 1
+};
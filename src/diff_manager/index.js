@@ -0,0 +1,240 @@
+/**
+ * This module allows to compare two states of the project (eg. a revision and the current project)
+ * and highlight differences of components and CSS rules in the canvas and in the layer manager.
+ *
+ * You can customize the initial state of the module from the editor initialization, by passing the following [Configuration Object](https://github.com/artf/grapesjs/blob/master/src/diff_manager/config/config.js)
+ * ```js
+ * const editor = grapesjs.init({
+ *  diff: {
+ *    // options
+ *  }
+ * })
+ * ```
+ *
+ * Once the editor is instantiated you can use its API. Before using these methods you should get the module from the instance
+ *
+ * ```js
+ * const diff = editor.Diff;
+ * ```
+ *
+ * * [getConfig](#getconfig)
+ * * [getState](#getstate)
+ * * [compare](#compare)
+ * * [compareWith](#comparewith)
+ * * [show](#show)
+ * * [clear](#clear)
+ * * [getResult](#getresult)
+ * * [getStatus](#getstatus)
+ *
+ * @module Diff
+ */
+
+import { diffComponents, diffRules } from 'utils/diff';
+import defaults from './config/config';
+import DiffView from './view/DiffView';
+
+// Types of differences, by priority, when the same component has more of them
+const types = ['added', 'removed', 'moved', 'changed'];
+
+export default () => {
+  let c = {};
+  let em;
+  let result;
+  let highlighted = [];
+  let view;
+
+  const getWrapper = () => em.get('DomComponents').getWrapper();
+  const clone = value => JSON.parse(JSON.stringify(value));
+
+  const getComponentAt = (path = []) => {
+    let cmp = getWrapper();
+    path.forEach(index => (cmp = cmp && cmp.components().at(index)));
+    return cmp;
+  };
+
+  // Components styled by the rule, available only once the canvas is rendered
+  const getRuleComponents = rule => {
+    const wrapper = getWrapper();
+    const selector = rule && rule.get('selectors').getFullString();
+    if (!selector || !wrapper.view) return [];
+
+    try {
+      return wrapper.find(selector);
+    } catch (e) {
+      return [];
+    }
+  };
+
+  return {
+    /**
+     * Name of the module
+     * @type {String}
+     * @private
+     */
+    name: 'Diff',
+
+    /**
+     * Initialize module. Automatically called with a new instance of the editor
+     * @param {Object} config Configurations
+     * @private
+     */
+    init(config = {}) {
+      c = { ...defaults, ...config };
+      em = c.em;
+      return this;
+    },
+
+    /**
+     * Get configuration object
+     * @return {Object}
+     */
+    getConfig() {
+      return c;
+    },
+
+    /**
+     * Get the current state of the project, in the same format of the storage
+     * @return {Object} Object with `components` and `styles`
+     */
+    getState() {
+      return {
+        components: clone(getWrapper().components()),
+        styles: clone(em.get('CssComposer').getAll())
+      };
+    },
+
+    /**
+     * Compare two states of the project. States are objects with `components` and `styles`,
+     * as produced by `DomComponents.store` and `CssComposer.store` (JSON strings are accepted).
+     * Components are matched by id, so add ids to components you want to track between
+     * different parents
+     * @param {Object} prev Previous state
+     * @param {Object} next Next state
+     * @return {Object} Object with `components` and `rules` differences.
+     * Each difference has a `type` (`added`, `removed`, `moved` or `changed`) and `from`/`to`
+     * objects with the data and the position (`path` for components and `index` for rules)
+     * @example
+     * const result = diff.compare(published, draft);
+     * result.components.filter(item => item.type === 'added');
+     * // [{ type: 'added', to: { path: [0, 1], data: { tagName: 'p', ... } } }]
+     */
+    compare(prev = {}, next = {}) {
+      const opts = { ignore: c.ignore };
+      return {
+        components: diffComponents(prev.components, next.components, opts),
+        rules: diffRules(prev.styles, next.styles, opts)
+      };
+    },
+
+    /**
+     * Compare the passed state with the current project
+     * @param {Object} prev Previous state
+     * @param {Object} [opts={}] Options
+     * @param {Boolean} [opts.show=false] Highlight differences
+     * @return {Object} Differences
+     * @example
+     * editor.Storage.getRevision('rev-1', data => {
+     *  diff.compareWith(data, { show: true });
+     * });
+     */
+    compareWith(prev, opts = {}) {
+      const res = this.compare(prev, this.getState());
+      opts.show && this.show(res);
+      return res;
+    },
+
+    /**
+     * Highlight differences in the canvas and in the layer manager. Differences
+     * should be computed against the current project (as the `next` state)
+     * @param {Object} res Differences
+     * @return {this}
+     */
+    show(res) {
+      const items = [];
+      const add = (component, type) =>
+        component && items.push({ component, type });
+      result = res;
+      (res.components || []).forEach(({ type, to, parent }) =>
+        add(getComponentAt(type === 'removed' ? parent : to.path), type)
+      );
+      (res.rules || []).forEach(({ to }) => {
+        const rule =
+          to &&
+          em
+            .get('CssComposer')
+            .getAll()
+            .at(to.index);
+        getRuleComponents(rule).forEach(cmp => add(cmp, 'changed'));
+      });
+
+      // Keep only the most relevant type for each component
+      const sorted = items.sort(
+        (a, b) => types.indexOf(a.type) - types.indexOf(b.type)
+      );
+      const components = sorted.map(item => item.component);
+      highlighted = sorted.filter(
+        (item, i) => components.indexOf(item.component) === i
+      );
+      this.render();
+      em.trigger('diff:show', res);
+      return this;
+    },
+
+    /**
+     * Remove highlights of differences
+     * @return {this}
+     */
+    clear() {
+      result = null;
+      highlighted = [];
+      em.trigger('diff:clear');
+      return this;
+    },
+
+    /**
+     * Get differences currently highlighted
+     * @return {Object|null}
+     */
+    getResult() {
+      return result || null;
+    },
+
+    /**
+     * Get the type of the highlighted difference of the component
+     * @param {Component} component
+     * @return {String} `added`, `removed` (some children were removed), `moved`,
+     * `changed` or an empty string
+     * @example
+     * diff.getStatus(editor.getSelected());
+     * // 'changed'
+     */
+    getStatus(component) {
+      const item = highlighted.filter(item => item.component === component)[0];
+      return item ? item.type : '';
+    },
+
+    /**
+     * Get highlighted components
+     * @return {Array<Object>} Objects with `component` and `type`
+     * @private
+     */
+    getHighlighted() {
+      return highlighted;
+    },
+
+    /**
+     * Render highlights in the canvas
+     * @private
+     */
+    render() {
+      const toolsEl = em.get('Canvas').getGlobalToolsEl();
+      if (!c.showInCanvas || !toolsEl) return;
+
+      if (!view) {
+        view = new DiffView({ module: this, config: c });
+      }
+
+      view.el.parentNode !== toolsEl && toolsEl.appendChild(view.render().el);
+    }
+  };
+};
@@ -0,0 +1,50 @@
+import Backbone from 'backbone';
+import { debounce, escape } from 'underscore';
+
+export default Backbone.View.extend({
+  initialize(o = {}) {
+    const config = o.config || {};
+    const { em } = config;
+    this.config = config;
+    this.module = o.module;
+    this.em = em;
+    this.pfx = `${config.pStylePrefix || ''}diff`;
+    this.update = debounce(() => this.render());
+    this.listenTo(
+      em,
+      'diff:show diff:clear canvas:update frame:scroll change:canvasOffset component:resize component:styleUpdate component:input',
+      this.update
+    );
+  },
+
+  getItemHtml(component, type) {
+    const { pfx, em } = this;
+    const el = component.getEl();
+    if (!el || !el.parentNode) return '';
+    const un = 'px';
+    const pos = em.get('Canvas').getElementPos(el, { noScroll: 1 });
+    const label = (em.get('I18n') && em.t(`diff.types.${type}`)) || type;
+    const style = [
+      `top: ${pos.top}${un}`,
+      `left: ${pos.left}${un}`,
+      `width: ${pos.width}${un}`,
+      `height: ${pos.height}${un}`
+    ].join('; ');
+
+    return `
+      <div class="${pfx}-item ${pfx}-item--${type}" style="${style}">
+        <div class="${pfx}-badge">${escape(label)}</div>
+      </div>
+    `;
+  },
+
+  render() {
+    const { module } = this;
+    this.el.className = this.pfx;
+    this.el.innerHTML = module
+      .getHighlighted()
+      .map(({ component, type }) => this.getItemHtml(component, type))
+      .join('');
+    return this;
+  }
+});
@@ -29,6 +29,9 @@ export default {
   // If the component is draggable you can drag the component itself (not only from the toolbar)
   draggableComponents: 1,
 
+  // Show the button to lock the component in its toolbar
+  lockToolbar: 0,
+
   // Generally, if you don't edit the wrapper in the editor, like
   // custom attributes, you don't need the wrapper stored in your JSON
   // structure, but in case you need it you can use this option.
@@ -20,6 +20,11 @@
  * * [clear](#clear)
  * * [load](#load)
  * * [store](#store)
+ * * [addSymbol](#addsymbol)
+ * * [getSymbols](#getsymbols)
+ * * [getSymbol](#getsymbol)
+ * * [removeSymbol](#removesymbol)
+ * * [detachSymbol](#detachsymbol)
  * * [addType](#addtype)
  * * [getType](#gettype)
  * * [getTypes](#gettypes)
@@ -28,7 +33,7 @@
  * @module DomComponents
  */
 import Backbone from 'backbone';
-import { isEmpty, isObject, isArray, result } from 'underscore';
+import { isEmpty, isObject, isArray, isString, result } from 'underscore';
 import defaults from './config/config';
 import Component from './model/Component';
 import Components from './model/Components';
@@ -73,8 +78,10 @@ export default () => {
   var c = {};
   let em;
   const componentsById = {};
+  const symbolInstances = {};
 
   var component, componentView;
+  let symbols;
   var componentTypes = [
     {
       id: 'cell',
@@ -184,6 +191,8 @@ export default () => {
 
     componentsById,
 
+    symbolInstances,
+
     /**
      * Name of the module
      * @type {String}
@@ -209,7 +218,7 @@ export default () => {
       var keys = [];
       var smc = (c.stm && c.stm.getConfig()) || {};
       if (smc.storeHtml) keys.push('html');
-      if (smc.storeComponents) keys.push('components');
+      if (smc.storeComponents) keys.push('components', 'symbols');
       return keys;
     },
 
@@ -249,6 +258,8 @@ export default () => {
         em.listenTo(selected, 'remove', (sel, c, opts) =>
           this.selectRemove(sel, opts)
         );
+        // Styles might be updated directly on the component's rule
+        em.on('component:styleUpdate', cmp => cmp && cmp._syncSymbol('style'));
       }
 
       // Build wrapper
@@ -282,6 +293,7 @@ export default () => {
         domc: this
       });
       component.set({ attributes: { id: 'wrapper' } });
+      symbols = new Components([], { em, config: c, domc: this });
 
       componentView = new ComponentView({
         model: component,
@@ -344,12 +356,13 @@ export default () => {
         const handleChanges = this.handleChanges.bind(this);
         const handleRemoves = this.handleRemoves.bind(this);
         um.add(coll);
-        [[coll, 'add', handleChanges], [coll, 'remove', handleRemoves]].forEach(
-          els => {
-            em.stopListening(els[0], els[1], els[2]);
-            em.listenTo(els[0], els[1], els[2]);
-          }
-        );
+        [
+          [coll, 'add', handleChanges],
+          [coll, 'remove', handleRemoves]
+        ].forEach(els => {
+          em.stopListening(els[0], els[1], els[2]);
+          em.listenTo(els[0], els[1], els[2]);
+        });
       }
     },
 
@@ -377,17 +390,20 @@ export default () => {
       }
 
       const { components, html } = data;
+      const parse = value => {
+        if (isObject(value) || isArray(value)) return value;
+        try {
+          return JSON.parse(value);
+        } catch (err) {
+          em && em.logError(err);
+        }
+      };
+
+      // Main components have to be ready before their instances
+      data.symbols && symbols.reset(parse(data.symbols) || []);
 
       if (components) {
-        if (isObject(components) || isArray(components)) {
-          result = components;
-        } else {
-          try {
-            result = JSON.parse(components);
-          } catch (err) {
-            em && em.logError(err);
-          }
-        }
+        result = parse(components) || '';
       } else if (html) {
         result = html;
       }
@@ -431,6 +447,7 @@ export default () => {
         const storeWrap = c.storeWrapper;
         const toStore = storeWrap ? this.getWrapper() : this.getComponents();
         obj.components = JSON.stringify(toStore);
+        obj.symbols = JSON.stringify(symbols);
       }
 
       if (!noStore) {
@@ -539,12 +556,13 @@ export default () => {
 
     /**
      * Remove all components
+     * @param {Object} [opts={}] Options, eg. `{ avoidStore: true }`
      * @return {this}
      */
-    clear() {
+    clear(opts = {}) {
       this.getComponents()
         .map(i => i)
-        .forEach(i => i.remove());
+        .forEach(i => i.remove(opts));
       return this;
     },
 
@@ -558,6 +576,73 @@ export default () => {
       this.clear().addComponent(components);
     },
 
+    /**
+     * Create a symbol from the component. The component is linked, as an instance, to the
+     * new main component so all instances stay in sync: changes of the content, attributes,
+     * classes, style and children of any instance are propagated to the others,
+     * except properties indicated as overrides (check `setSymbolOverrides` in Component).
+     * If the component is already an instance, its main component is returned
+     * @param {Component} component
+     * @return {Component} Main component of the symbol
+     * @example
+     * const header = domComponents.addSymbol(editor.getSelected());
+     * // Create new instances from a block
+     * editor.BlockManager.add('header', {
+     *  label: 'Header',
+     *  content: { symbolOf: header.getId() },
+     * });
+     */
+    addSymbol(component) {
+      if (component.isSymbolInstance()) return component.getSymbolMain();
+      const main = component._createSymbolMain();
+      main.set('symbol', true);
+      symbols.add(main);
+      em && em.trigger('symbol:add', main);
+      em && em.handleUpdates();
+      return main;
+    },
+
+    /**
+     * Get all the main components of symbols
+     * @return {Array<Component>}
+     */
+    getSymbols() {
+      return symbols.models;
+    },
+
+    /**
+     * Get the main component of the symbol by its id
+     * @param {String} id
+     * @return {Component|undefined}
+     */
+    getSymbol(id) {
+      return symbols.filter(main => main.getId() === id)[0];
+    },
+
+    /**
+     * Remove the symbol, all its instances are detached
+     * @param {Component|String} symbol Main component or its id
+     * @return {Component|undefined} Removed main component
+     */
+    removeSymbol(symbol) {
+      const main = isString(symbol) ? this.getSymbol(symbol) : symbol;
+      if (!main) return;
+      main.getSymbolInstances().forEach(inst => inst.detachSymbol());
+      symbols.remove(main);
+      em && em.trigger('symbol:remove', main);
+      em && em.handleUpdates();
+      return main;
+    },
+
+    /**
+     * Detach the instance from its symbol
+     * @param {Component} component
+     * @return {Component}
+     */
+    detachSymbol(component) {
+      return component.detachSymbol();
+    },
+
     /**
      * Add new component type.
      * Read more about this in [Define New Component](https://grapesjs.com/docs/modules/Components.html#define-new-component)
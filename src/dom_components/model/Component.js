@@ -5,6 +5,7 @@ import {
   isArray,
   isEmpty,
   isBoolean,
+  isEqual,
   has,
   isString,
   forEach,
@@ -28,6 +29,25 @@ const escapeRegExp = str => {
 
 const avoidInline = em => em && em.getConfig('avoidInlineStyle');
 
+// Properties not synced between symbol instances
+const symbolIgnore = [
+  'status',
+  'state',
+  'open',
+  'toolbar',
+  'traits',
+  'view',
+  'type',
+  'tagName',
+  'locked',
+  'components',
+  'classes',
+  'style',
+  'symbol',
+  'symbolOf',
+  'symbolOverrides'
+];
+
 export const eventDrag = 'component:drag';
 
 /**
@@ -71,6 +91,13 @@ export const eventDrag = 'component:drag';
  * @property {Boolean} [layerable=true] Set to `false` if you need to hide the component inside Layers. Default: `true`
  * @property {Boolean} [selectable=true] Allow component to be selected when clicked. Default: `true`
  * @property {Boolean} [hoverable=true] Shows a highlight outline when hovering on the element if `true`. Default: `true`
+ * @property {Boolean|String} [locked=false] Locked components can't be selected, moved, removed or edited (content, style and traits).
+ * Use `'deep'` to lock also all the descendants. Default: `false`
+ * @property {Boolean} [symbol] Indicates the main component of a symbol, the source from which all its instances are synced.
+ * Main components are stored inside the Components module, check `addSymbol` there
+ * @property {String} [symbolOf] Id of the main component (or one of its descendants) which the symbol instance is linked to
+ * @property {Array<String>} [symbolOverrides] Properties of the symbol instance which are not synced with the main component
+ * and the other instances, eg. `['content', 'attributes']`
  * @property {Boolean} [void=false] This property is used by the HTML exporter as void elements don't have closing tags, eg. `<br/>`, `<hr/>`, etc. Default: `false`
  * @property {String} [content=''] Content of the component (not escaped) which will be appended before children rendering. Default: `''`
  * @property {String} [icon=''] Component's icon, this string will be inserted before the name (in Layers and badge), eg. it can be an HTML string '<i class="fa fa-square-o"></i>'. Default: `''`
@@ -107,6 +134,7 @@ const Component = Backbone.Model.extend(Styleable).extend(
       layerable: true,
       selectable: true,
       hoverable: true,
+      locked: false,
       void: false,
       state: '', // Indicates if the component is in some CSS state like ':hover', ':active', etc.
       status: '', // State, eg. 'selected'
@@ -188,8 +216,11 @@ const Component = Backbone.Model.extend(Styleable).extend(
       this.listenTo(this, 'change:tagName', this.tagUpdated);
       this.listenTo(this, 'change:attributes', this.attrUpdated);
       this.listenTo(this, 'change:attributes:id', this._idUpdated);
+      this.listenTo(this, 'change:locked', this.lockUpdated);
+      this.listenTo(this, 'change:symbol change:symbolOf', this._symbolChanged);
       this.set('status', '');
       this.views = [];
+      this._symbolChanged();
 
       // Register global updates for collection properties
       ['classes', 'traits', 'components'].forEach(name => {
@@ -427,6 +458,7 @@ const Component = Backbone.Model.extend(Styleable).extend(
     setStyle(prop = {}, opts = {}) {
       const em = this.em;
       const { opt } = this;
+      const styleOrig = this.getStyle();
 
       if (em && em.getConfig('avoidInlineStyle') && !opt.temporary) {
         const style = this.get('style') || {};
@@ -443,6 +475,8 @@ const Component = Backbone.Model.extend(Styleable).extend(
         prop = Styleable.setStyle.apply(this, arguments);
       }
 
+      !isEqual(styleOrig, this.getStyle()) && this._syncSymbol('style', opts);
+
       return prop;
     },
 
@@ -560,6 +594,9 @@ const Component = Backbone.Model.extend(Styleable).extend(
       const selectors = new Selectors([]);
       this.set('classes', selectors);
       selectors.add(classes);
+      this.listenTo(selectors, 'add remove reset', (...args) =>
+        this._syncSymbol('classes', args[args.length - 1])
+      );
       this.listenTo(...toListen);
       return this;
     },
@@ -577,6 +614,11 @@ const Component = Backbone.Model.extend(Styleable).extend(
       this.set('components', comps);
       addChild &&
         comps.add(isFunction(components) ? components(this) : components);
+      this.listenTo(comps, 'add', this._symbolChildAdded);
+      this.listenTo(comps, 'remove', this._symbolChildRemoved);
+      this.listenTo(comps, 'reset', (coll, opts) =>
+        this._syncSymbol('components', opts)
+      );
       this.listenTo(...toListen);
       return this;
     },
@@ -713,6 +755,12 @@ const Component = Backbone.Model.extend(Styleable).extend(
             command: 'tlb-delete'
           });
         }
+        if (this.config.lockToolbar) {
+          tb.push({
+            attributes: { class: 'fa fa-lock' },
+            command: 'tlb-lock'
+          });
+        }
         model.set('toolbar', tb);
       }
     },
@@ -1147,6 +1195,357 @@ const Component = Backbone.Model.extend(Styleable).extend(
       return scr;
     },
 
+    /**
+     * Lock the component. Locked components can't be selected, moved, removed
+     * or edited (content, style and traits)
+     * @param {Object} [opts={}] Options
+     * @param {Boolean} [opts.deep=false] Lock also all the descendants
+     * @return {this}
+     * @example
+     * component.lock({ deep: true });
+     */
+    lock(opts = {}) {
+      return this.set('locked', opts.deep ? 'deep' : true);
+    },
+
+    /**
+     * Unlock the component
+     * @return {this}
+     */
+    unlock() {
+      return this.set('locked', false);
+    },
+
+    /**
+     * Check if the component is locked, by itself or by an ancestor
+     * locked with its descendants
+     * @return {Boolean}
+     */
+    isLocked() {
+      if (this.get('locked')) return true;
+      let parent = this.parent();
+
+      while (parent) {
+        if (parent.get('locked') === 'deep') return true;
+        parent = parent.parent();
+      }
+
+      return false;
+    },
+
+    /**
+     * Deselect the component, and its locked descendants, once locked
+     * @private
+     */
+    lockUpdated() {
+      const { em } = this;
+
+      if (em && this.isLocked()) {
+        const locked = em.get('selected').filter(cmp => cmp.isLocked());
+        locked.length && em.removeSelected(locked);
+      }
+
+      this.emitUpdate('locked');
+    },
+
+    /**
+     * Check if the component is the main component of a symbol
+     * @return {Boolean}
+     */
+    isSymbolMain() {
+      return !!this.get('symbol');
+    },
+
+    /**
+     * Check if the component is linked to a symbol, as an instance of
+     * the main component or of one of its descendants
+     * @return {Boolean}
+     */
+    isSymbolInstance() {
+      return !!this.get('symbolOf');
+    },
+
+    /**
+     * Get the main component (or its descendant) the instance is linked to
+     * @return {Component|undefined}
+     * @example
+     * const main = instance.getSymbolMain();
+     * main.addAttributes({ title: 'Shared title' });
+     * // -> all instances get the new title
+     */
+    getSymbolMain() {
+      const id = this.get('symbolOf');
+      return id ? Component.getList(this)[id] : undefined;
+    },
+
+    /**
+     * Get all the instances linked to the main component (or its descendant)
+     * @return {Array<Component>}
+     */
+    getSymbolInstances() {
+      const index = Component.getSymbolIndex(this);
+      return this._getSymbolMainPart() === this
+        ? [...(index[this.getId()] || [])]
+        : [];
+    },
+
+    /**
+     * Get properties of the instance which are not synced with the symbol
+     * @return {Array<String>}
+     */
+    getSymbolOverrides() {
+      const props = this.get('symbolOverrides') || [];
+      return isArray(props) ? props : [props];
+    },
+
+    /**
+     * Set properties of the instance which should not be synced with the
+     * main component and the other instances
+     * @param {String|Array<String>} props Properties, eg. `content`, `attributes`, `classes`, `style`, `components`
+     * @return {this}
+     * @example
+     * // Keep a different text in this instance
+     * instance.setSymbolOverrides(['content', 'components']);
+     */
+    setSymbolOverrides(props = []) {
+      return this.set('symbolOverrides', isArray(props) ? props : [props]);
+    },
+
+    /**
+     * Detach the instance, and its descendants, from the symbol. The component
+     * keeps its current state but it's not synced anymore
+     * @return {this}
+     */
+    detachSymbol() {
+      const { em } = this;
+      if (!this.isSymbolInstance()) return this;
+
+      this.onAll(cmp => {
+        cmp.unset('symbolOf');
+        cmp.unset('symbolOverrides');
+      });
+      em && em.trigger('symbol:detach', this);
+
+      return this;
+    },
+
+    /**
+     * Get the part of the main component this one is synced with.
+     * Main components (and their descendants) return themselves
+     * @return {Component|undefined}
+     * @private
+     */
+    _getSymbolMainPart() {
+      if (this.isSymbolInstance()) return this.getSymbolMain();
+      let cmp = this;
+
+      while (cmp) {
+        if (cmp.isSymbolMain()) return this;
+        cmp = cmp.parent();
+      }
+    },
+
+    /**
+     * Get all the other components synced with this one
+     * @return {Array<Component>}
+     * @private
+     */
+    _getSymbolRelated() {
+      const main = this._getSymbolMainPart();
+      return main
+        ? [main, ...main.getSymbolInstances()].filter(cmp => cmp !== this)
+        : [];
+    },
+
+    /**
+     * Update the index of instances and listen to changes only of
+     * components synced with a symbol
+     * @private
+     */
+    _symbolChanged() {
+      this._indexSymbol(1, this.previous('symbolOf'));
+      this._indexSymbol();
+      this.isSymbolMain()
+        ? this.onAll(cmp => cmp._initSymbolListener())
+        : this._initSymbolListener();
+    },
+
+    _initSymbolListener() {
+      this.stopListening(this, 'change', this._symbolUpdated);
+      (this.isSymbolInstance() || this._getSymbolMainPart()) &&
+        this.listenTo(this, 'change', this._symbolUpdated);
+    },
+
+    /**
+     * Add the component to, or remove from, instances of its main component
+     * @param {Boolean} [remove]
+     * @param {String} [id] Id of the main component
+     * @private
+     */
+    _indexSymbol(remove, id = this.get('symbolOf')) {
+      if (!id) return;
+      const index = Component.getSymbolIndex(this);
+      const list = (index[id] || []).filter(cmp => cmp !== this);
+      !remove && list.push(this);
+      list.length ? (index[id] = list) : delete index[id];
+    },
+
+    _isSymbolOverridden(prop) {
+      return this.getSymbolOverrides().indexOf(prop) >= 0;
+    },
+
+    _symbolUpdated(m, opts = {}) {
+      if (opts.fromSymbol) return;
+      keys(this.changedAttributes() || {}).forEach(
+        prop => symbolIgnore.indexOf(prop) < 0 && this._syncSymbol(prop, opts)
+      );
+    },
+
+    /**
+     * Sync the property with the main component and all its instances
+     * @param {String} prop
+     * @param {Object} [opts={}]
+     * @private
+     */
+    _syncSymbol(prop, opts = {}) {
+      if (opts.fromSymbol || this._isSymbolOverridden(prop)) return;
+      const related = this._getSymbolRelated();
+      const optsSync = { fromSymbol: 1 };
+
+      if (!related.length) {
+        return;
+      } else if (prop === 'components') {
+        return this._syncSymbolComponents();
+      }
+
+      related.forEach(cmp => {
+        if (cmp._isSymbolOverridden(prop)) return;
+
+        if (prop === 'style') {
+          cmp.setStyle(this.getStyle(), optsSync);
+        } else if (prop === 'classes') {
+          cmp.get('classes').reset(this.get('classes').models, optsSync);
+        } else if (prop === 'attributes') {
+          // Each component keeps its own id
+          const { id } = cmp.get('attributes');
+          const attrs = { ...this.get('attributes') };
+          delete attrs.id;
+          id && (attrs.id = id);
+          cmp.set('attributes', attrs, optsSync);
+        } else {
+          cmp.set(prop, this.get(prop), optsSync);
+        }
+      });
+    },
+
+    /**
+     * Replace children of all the synced components
+     * @private
+     */
+    _syncSymbolComponents() {
+      const main = this._getSymbolMainPart();
+      const optsSync = { fromSymbol: 1 };
+
+      if (main !== this) {
+        const mainComps = this.components().map(cmp => cmp._createSymbolMain());
+        main.components().reset(mainComps, optsSync);
+      } else {
+        this.components().forEach(cmp => cmp._initSymbolMain());
+      }
+
+      main.getSymbolInstances().forEach(inst => {
+        if (inst === this || inst._isSymbolOverridden('components')) return;
+        const comps = main.components().map(cmp => cmp._createSymbolInstance());
+        inst.components().reset(comps, optsSync);
+      });
+    },
+
+    _symbolChildAdded(child, coll, opts = {}) {
+      const main = this._getSymbolMainPart();
+      if (!main || opts.fromSymbol || this._isSymbolOverridden('components'))
+        return;
+      const optsSync = { at: coll.indexOf(child), fromSymbol: 1 };
+      let mainChild = child;
+
+      if (main !== this) {
+        mainChild = child._createSymbolMain();
+        main.components().add(mainChild, optsSync);
+      } else {
+        child._initSymbolMain();
+      }
+
+      main.getSymbolInstances().forEach(inst => {
+        if (inst === this || inst._isSymbolOverridden('components')) return;
+        inst.components().add(mainChild._createSymbolInstance(), optsSync);
+      });
+    },
+
+    _symbolChildRemoved(child, coll, opts = {}) {
+      if (opts.fromSymbol || this._isSymbolOverridden('components')) return;
+      const ref = child.get('symbolOf') || child.getId();
+
+      this._getSymbolRelated().forEach(cmp => {
+        if (cmp._isSymbolOverridden('components')) return;
+        const comps = cmp.components();
+        const toRemove = comps.filter(
+          item => item.get('symbolOf') === ref || item.getId() === ref
+        );
+        comps.remove(toRemove, { fromSymbol: 1 });
+      });
+    },
+
+    /**
+     * Main components are referenced by id from their instances,
+     * so the id is fixed in attributes
+     * @private
+     */
+    _initSymbolMain() {
+      return this.onAll(cmp => {
+        cmp.unset('symbolOf');
+        cmp.unset('symbolOverrides');
+        cmp.setId(cmp.getId());
+        cmp._initSymbolListener();
+      });
+    },
+
+    /**
+     * Create a main component from this one and link the component,
+     * and its descendants, to it
+     * @return {Component}
+     * @private
+     */
+    _createSymbolMain() {
+      const main = this.clone()._initSymbolMain();
+      const link = (cmp, mainCmp) => {
+        cmp.set('symbolOf', mainCmp.getId());
+        cmp
+          .components()
+          .forEach((child, i) => link(child, mainCmp.components().at(i)));
+      };
+      link(this, main);
+
+      return main;
+    },
+
+    /**
+     * Create a new instance linked to this main component
+     * @return {Component}
+     * @private
+     */
+    _createSymbolInstance() {
+      const inst = this.clone();
+      const link = (cmp, mainCmp) => {
+        cmp.unset('symbol');
+        cmp.set('symbolOf', mainCmp.getId());
+        cmp
+          .components()
+          .forEach((child, i) => link(child, mainCmp.components().at(i)));
+      };
+      link(inst, this);
+
+      return inst;
+    },
+
     emitUpdate(property, ...args) {
       const em = this.em;
       const event = 'component:update' + (property ? `:${property}` : '');
@@ -1180,11 +1579,12 @@ const Component = Backbone.Model.extend(Styleable).extend(
 
     /**
      * Remove the component
+     * @param {Object} [opts={}] Options, passed to the collection `remove`
      * @return {this}
      */
-    remove() {
+    remove(opts = {}) {
       const coll = this.collection;
-      return coll && coll.remove(this);
+      return coll && coll.remove(this, opts);
     },
 
     /**
@@ -1237,6 +1637,7 @@ const Component = Backbone.Model.extend(Styleable).extend(
       // Update the style selector name
       const selector = this._getStyleSelector({ id: idPrev });
       selector && selector.set({ name: id, label: id });
+      this.em && this.em.trigger('component:update:id', this, idPrev);
     }
   },
   {
@@ -1267,6 +1668,7 @@ const Component = Backbone.Model.extend(Styleable).extend(
         list[nextId] = model;
       }
 
+      model._indexSymbol();
       model.components().forEach(i => Component.ensureInList(i));
     },
 
@@ -1329,6 +1731,15 @@ const Component = Backbone.Model.extend(Styleable).extend(
       return domc ? domc.componentsById : {};
     },
 
+    /**
+     * Get instances of symbols by the id of their main component
+     * @private
+     */
+    getSymbolIndex(model) {
+      const domc = model.opt && model.opt.domc;
+      return domc ? domc.symbolInstances : {};
+    },
+
     /**
      * This method checks, for each parsed component and style object
      * (are not Components/CSSRules yet), for duplicated id and fixes them
@@ -1,5 +1,13 @@
 import Backbone from 'backbone';
-import { isEmpty, isArray, isString, each, includes, extend } from 'underscore';
+import {
+  isEmpty,
+  isArray,
+  isString,
+  each,
+  includes,
+  extend,
+  keys
+} from 'underscore';
 
 let Component;
 
@@ -31,6 +39,7 @@ export default Backbone.Collection.extend({
       const sels = em.get('SelectorManager').getAll();
       const rules = em.get('CssComposer').getAll();
       delete allByID[id];
+      removed._indexSymbol(1);
 
       // Remove all component related styles
       const rulesRemoved = rules.remove(
@@ -154,6 +163,25 @@ export default Backbone.Collection.extend({
       }
     }
 
+    // Symbol instance defined only by the reference to its main component,
+    // eg. `{ symbolOf: 'main-id' }` as the content of a block
+    const symbolProps = ['symbolOf', 'symbolOverrides'];
+
+    if (
+      model.symbolOf &&
+      keys(model).every(key => includes(symbolProps, key))
+    ) {
+      const domc = em.get('DomComponents');
+      const main = domc.allById()[model.symbolOf];
+
+      if (main) {
+        const instance = main._createSymbolInstance();
+        model.symbolOverrides &&
+          instance.setSymbolOverrides(model.symbolOverrides);
+        return instance;
+      }
+    }
+
     // React JSX preset
     if (model.$$typeof && typeof model.props == 'object') {
       model = { ...model };
@@ -45,8 +45,11 @@ export default Backbone.View.extend({
     this.listenTo(model, 'disable', this.onDisable);
     $el.data('model', model);
     setViewEl(el, this);
-    model.view = this;
-    this._getFrame() && model.views.push(this);
+    const frameView = this._getFrame();
+    frameView && model.views.push(this);
+
+    // With multiple frames, keep the view of the main frame as the default one
+    (!frameView || !model.view || this._isMainFrame()) && (model.view = this);
     this.initClasses();
     this.initComponents({ avoidRender: 1 });
     this.events = {
@@ -476,6 +479,13 @@ export default Backbone.View.extend({
     return this.config.frameView;
   },
 
+  _isMainFrame() {
+    const { em } = this;
+    const frameView = this._getFrame();
+    const canvas = em && em.get('Canvas');
+    return !!frameView && !!canvas && canvas.getFrame() === frameView.model;
+  },
+
   /**
    * Render children components
    * @private
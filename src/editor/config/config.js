@@ -173,12 +173,24 @@ export default {
   //Configurations for Storage Manager
   storageManager: {},
 
+  // Configurations for the Collaboration module
+  collaboration: {},
+
+  // Configurations for Annotations
+  annotations: {},
+
+  // Configurations for the Diff module
+  diff: {},
+
   //Configurations for Rich Text Editor
   richTextEditor: {},
 
   //Configurations for DomComponents
   domComponents: {},
 
+  // Configurations for the Page Manager
+  pageManager: {},
+
   //Configurations for Modal Dialog
   modal: {},
 
@@ -327,6 +339,8 @@ export default {
   // Keep unused styles within the editor
   keepUnusedStyles: 0,
 
-  // TODO
+  // Show the canvas in multiple frames, placed side by side, one for each device
+  // of the Device Manager. Pass an array of device ids to show only some of them,
+  // eg. `multiFrames: ['Desktop', 'Tablet', 'Mobile portrait']`
   multiFrames: 0
 };
@@ -35,6 +35,15 @@
  * * `component:drag:start` - Component drag started. Passed an object, to the callback, containing the `target` (component to drag), `parent` (parent of the component) and `index` (component index in the parent)
  * * `component:drag` - During component drag. Passed the same object as in `component:drag:start` event, but in this case, `parent` and `index` are updated by the current pointer
  * * `component:drag:end` - Component drag ended. Passed the same object as in `component:drag:start` event, but in this case, `parent` and `index` are updated by the final pointer
+ * ### Pages
+ * * `page:add` - New page added, the page is passed as an argument to the callback
+ * * `page:remove` - Page removed, the page is passed as an argument to the callback
+ * * `page:update` - Page updated (eg. renamed), the page is passed as an argument to the callback
+ * * `page:select` - New page loaded in the canvas. The selected page and the previous one are passed as arguments to the callback
+ * ### Symbols
+ * * `symbol:add` - New symbol created, the main component is passed as an argument to the callback
+ * * `symbol:remove` - Symbol removed, the main component is passed as an argument to the callback
+ * * `symbol:detach` - Symbol instance detached, the component is passed as an argument to the callback
  * ### Blocks
  * * `block:add` - New block added
  * * `block:remove` - Block removed
@@ -69,6 +78,36 @@
  * * `storage:error` - On any error on storage request, passes the error as an argument
  * * `storage:error:store` - Error on store request, passes the error as an argument
  * * `storage:error:load` - Error on load request, passes the error as an argument
+ * * `storage:migrate` - Loaded data is migrated to the current version, passes the migrated data and an object with `from` and `to` versions
+ * * `storage:queued` - The data to store is queued (remote storage with `retry` option), passes an object with `data`, `attempt` and `delay` (of the next retry)
+ * * `storage:retry` - New attempt of storing queued data, passes an object with `data` and `attempt`
+ * ### Projects
+ * * `project:add` - New project created, the project metadata is passed as an argument
+ * * `project:update` - Project metadata updated, the project metadata is passed as an argument
+ * * `project:remove` - Project removed, the project metadata is passed as an argument
+ * * `project:load` - Project loaded in the editor, the project metadata is passed as an argument
+ * ### Revisions
+ * * `revision:add` - New revision created, the revision metadata is passed as an argument
+ * * `revision:restore` - Revision restored in the editor, the revision id and the restored data are passed as arguments
+ * * `revision:remove` - Revision removed, the revision metadata is passed as an argument
+ * ### Collaboration
+ * * `collab:connect` - Connected to the room, an object with `room` and `type` (transport id) is passed as an argument
+ * * `collab:disconnect` - Disconnected from the room, an object with `room` and `type` is passed as an argument
+ * * `collab:send` - Message sent to other collaborators, the message is passed as an argument
+ * * `collab:receive` - Message received from other collaborators, the message is passed as an argument
+ * * `collab:sync` - The state of the room is loaded in the editor, the received data is passed as an argument
+ * * `collab:presence` - Presence of a collaborator (selected and hovered components) added or updated, the presence is passed as an argument
+ * * `collab:presence:remove` - Collaborator left the room, the removed presence is passed as an argument
+ * ### Annotations
+ * * `annotation:add` - New annotation added to a component, the annotation is passed as an argument
+ * * `annotation:update` - Annotation updated (eg. new comment), the annotation is passed as an argument
+ * * `annotation:remove` - Annotation removed, the annotation is passed as an argument
+ * * `annotation:resolve` - Annotation resolved, the annotation is passed as an argument
+ * * `annotation:reopen` - Resolved annotation reopened, the annotation is passed as an argument
+ * * `annotation:select` - The pin of the annotation is clicked in the canvas, the annotation is passed as an argument
+ * ### Diff
+ * * `diff:show` - Differences are highlighted in the canvas and layers, the result of the comparison is passed as an argument
+ * * `diff:clear` - Highlights of differences are removed
  * ### Canvas
  * * `canvas:dragenter` - When something is dragged inside the canvas, `DataTransfer` instance passed as an argument
  * * `canvas:dragover` - When something is dragging on canvas, `DataTransfer` instance passed as an argument
@@ -76,6 +115,7 @@
  * * `canvas:dragend` - When a drag operation is ended, `DataTransfer` instance passed as an argument
  * * `canvas:dragdata` - On any dataTransfer parse, `DataTransfer` instance and the `result` are passed as arguments.
  *  By changing `result.content` you're able to customize what is dropped
+ * * `frame:load` - The content of a frame is loaded, an object with `frame` (model) and `view` is passed as an argument
  * ### Selectors
  * * `selector:add` - New selector is add. Passes the new selector as an argument
  * * `selector:remove` - Selector removed. Passes the removed selector as an argument
@@ -171,7 +211,12 @@ export default (config = {}) => {
         'StyleManager',
         ['Styles', 'StyleManager'],
         'DeviceManager',
-        ['Devices', 'DeviceManager']
+        ['Devices', 'DeviceManager'],
+        'PageManager',
+        ['Pages', 'PageManager'],
+        'Collaboration',
+        'Annotations',
+        'Diff'
       ].forEach(prop => {
         if (Array.isArray(prop)) {
           this[prop[0]] = em.get(prop[1]);
@@ -204,7 +249,18 @@ export default (config = {}) => {
 
     /**
      * Returns HTML built inside canvas
+     * @param {Object} [opts={}] Options
+     * @param {Boolean} [opts.pretty=false] Print block elements on their own lines, indented
+     * @param {Number|String} [opts.indent=2] Indentation of pretty-printed code, number of spaces or the string to use
+     * @param {Boolean} [opts.minify=false] Collapse white spaces of texts
+     * @param {Boolean|Array<String>} [opts.sortAttributes=false] Sort attributes alphabetically,
+     * pass an array of names to print them first, eg. `['id', 'class']`
+     * @param {String} [opts.scope] Class or id selector of the element wrapping the HTML, eg. `.my-site`.
+     * If the wrapper is exported as `body`, it's replaced by the scope element. Use the same option in `getCss`
+     * @param {String} [opts.namespace] Prefix of class names and ids, eg. `site-`. Use the same option in `getCss`
      * @return {string} HTML string
+     * @example
+     * editor.getHtml({ pretty: true, sortAttributes: ['id', 'class'] });
      */
     getHtml(opts) {
       return em.getHtml(opts);
@@ -214,18 +270,52 @@ export default (config = {}) => {
      * Returns CSS built inside canvas
      * @param {Object} [opts={}] Options
      * @param {Boolean} [opts.avoidProtected=false] Don't include protected CSS
+     * @param {Boolean} [opts.avoidPageStyles=false] Don't include the CSS specific to the selected page
+     * @param {Boolean} [opts.pretty=false] Print each rule and declaration on its own line
+     * @param {Number|String} [opts.indent=2] Indentation of pretty-printed code, number of spaces or the string to use
+     * @param {Boolean|Object} [opts.minify=false] Minify the code by removing white spaces, merging `margin`/`padding`
+     * longhands in shorthands and shortening colors. Pass an object to disable some of them, eg. `{ shorthands: false, colors: false }`
+     * @param {Boolean} [opts.prune=false] Output only rules matching elements of components
+     * @param {String} [opts.scope] Class or id selector of the element wrapping the HTML, eg. `.my-site`.
+     * All selectors are prefixed by the scope and `html`/`body`/`:root` rules are moved on the scope element
+     * @param {String} [opts.namespace] Prefix of class names and ids in selectors, eg. `site-`
      * @return {string} CSS string
+     * @example
+     * editor.getCss({ minify: true });
+     * // Embed the page in another site
+     * const opts = { scope: '.my-site', namespace: 'site-' };
+     * const html = `${editor.getHtml(opts)}<style>${editor.getCss(opts)}</style>`;
      */
     getCss(opts) {
       return em.getCss(opts);
     },
 
+    /**
+     * Returns CSS of rules matching elements of components, split in the critical CSS,
+     * with rules matching elements above the fold of the canvas, and the rest.
+     * Rules not matching any element are reported as dropped
+     * @param {Object} [opts={}] Options, formatting options of `getCss` are supported
+     * @param {Boolean} [opts.avoidProtected=false] Don't include protected CSS
+     * @param {Number} [opts.viewportHeight] Height of the fold, by default the height of the canvas frame
+     * @return {Object} `{ css, critical, rest, dropped }`, where `css` contains all matched rules
+     * and `dropped` is the array of not matched CSS rules
+     * @example
+     * const { critical, rest, dropped } = editor.getCriticalCss({ viewportHeight: 800 });
+     * const html = `<style>${critical}</style>...<link rel="stylesheet" href="rest.css">`;
+     * console.log('Unused selectors', dropped.map(rule => rule.selectorsToString()));
+     */
+    getCriticalCss(opts) {
+      return em.getCriticalCss(opts);
+    },
+
     /**
      * Returns JS of all components
+     * @param {Object} [opts={}] Options
+     * @param {String} [opts.namespace] Prefix of component ids, as in `getHtml`
      * @return {string} JS string
      */
-    getJs() {
-      return em.getJs();
+    getJs(opts) {
+      return em.getJs(opts);
     },
 
     /**
@@ -1,24 +1,36 @@
 import {
   isUndefined,
-  isFunction,
   isArray,
   contains,
   toArray,
   keys,
+  pick,
   bindAll
 } from 'underscore';
 import $ from 'cash-dom';
 import Backbone from 'backbone';
 import Extender from 'utils/extender';
 import { getModel } from 'utils/mixins';
+import { formatCss } from 'code_manager/model/CodeFormatter';
 
 Backbone.$ = $;
+
+// Options of `getHtml`/`getCss` passed to code generators
+const formatOptions = [
+  'pretty',
+  'minify',
+  'indent',
+  'sortAttributes',
+  'scope',
+  'namespace'
+];
+
 const deps = [
   require('utils'),
   require('i18n'),
   require('keymaps'),
-  require('undo_manager'),
   require('storage_manager'),
+  require('undo_manager'),
   require('device_manager'),
   require('parser'),
   require('selector_manager'),
@@ -31,10 +43,14 @@ const deps = [
   require('css_composer'),
   require('trait_manager'),
   require('dom_components'),
+  require('page_manager'),
   require('navigator'),
   require('canvas'),
   require('commands'),
-  require('block_manager')
+  require('block_manager'),
+  require('annotations'),
+  require('diff_manager'),
+  require('collaboration')
 ];
 
 const { Collection } = Backbone;
@@ -308,7 +324,7 @@ export default Backbone.Model.extend({
 
     els.forEach(el => {
       const model = getModel(el, $);
-      if (model && !model.get('selectable')) return;
+      if (model && (!model.get('selectable') || model.isLocked())) return;
       !multiple && this.removeSelected(selected.filter(s => s !== model));
       this.addSelected(model, opts);
       added = model;
@@ -326,7 +342,7 @@ export default Backbone.Model.extend({
     const models = isArray(model) ? model : [model];
 
     models.forEach(model => {
-      if (model && !model.get('selectable')) return;
+      if (model && (!model.get('selectable') || model.isLocked())) return;
       const selected = this.get('selected');
       opts.forceChange && selected.remove(model, opts);
       selected.push(model, opts);
@@ -446,20 +462,23 @@ export default Backbone.Model.extend({
 
   /**
    * Returns HTML built inside canvas
+   * @param {Object} [opts={}] Options
    * @return {string} HTML string
    * @private
    */
-  getHtml() {
+  getHtml(opts = {}) {
     const config = this.config;
     const exportWrapper = config.exportWrapper;
     const wrapperIsBody = config.wrapperIsBody;
-    const js = config.jsInHtml ? this.getJs() : '';
+    const js = config.jsInHtml ? this.getJs(opts) : '';
     var wrp = this.get('DomComponents').getComponent();
     var html = this.get('CodeManager').getCode(wrp, 'html', {
+      ...pick(opts, formatOptions),
       exportWrapper,
       wrapperIsBody
     });
-    html += js ? `<script>${js}</script>` : '';
+    const sep = opts.pretty && !opts.minify ? '\n' : '';
+    html += js ? `${sep}<script>${js}</script>` : '';
     return html;
   },
 
@@ -479,29 +498,85 @@ export default Backbone.Model.extend({
     const cssc = this.get('CssComposer');
     const wrp = this.get('DomComponents').getComponent();
     const protCss = !avoidProt ? config.protectedCss : '';
+    const pm = this.get('PageManager');
+
+    const pageCss = pm && !opts.avoidPageStyles ? pm.getStyles() : '';
 
-    return (
+    // Formatted all together, protected and page CSS included
+    return formatCss(
       protCss +
-      this.get('CodeManager').getCode(wrp, 'css', {
-        cssc,
-        wrapperIsBody,
-        keepUnusedStyles
-      })
+        this.get('CodeManager').getCode(wrp, 'css', {
+          cssc,
+          wrapperIsBody,
+          keepUnusedStyles,
+          prune: opts.prune
+        }) +
+        pageCss,
+      opts
     );
   },
 
+  /**
+   * Returns CSS of rules matching components, split in critical and the rest
+   * @param {Object} [opts={}] Options
+   * @return {Object}
+   * @private
+   */
+  getCriticalCss(opts = {}) {
+    const config = this.config;
+    const cm = this.get('CodeManager');
+    const pm = this.get('PageManager');
+    const protCss = !opts.avoidProtected ? config.protectedCss : '';
+    const pageCss = pm ? pm.getStyles() : '';
+    const result = cm
+      .getGenerator('css')
+      .buildCritical(this.get('DomComponents').getComponent(), {
+        em: this,
+        cssc: this.get('CssComposer'),
+        wrapperIsBody: config.wrapperIsBody,
+        viewportHeight: opts.viewportHeight
+      });
+
+    // Page CSS can't be pruned, so it's kept with the rest
+    return {
+      css: formatCss(protCss + result.css + pageCss, opts),
+      critical: formatCss(protCss + result.critical, opts),
+      rest: formatCss(result.rest + pageCss, opts),
+      dropped: result.dropped
+    };
+  },
+
   /**
    * Returns JS of all components
+   * @param {Object} [opts={}] Options
    * @return {string} JS string
    * @private
    */
-  getJs() {
+  getJs(opts = {}) {
     var wrp = this.get('DomComponents').getWrapper();
     return this.get('CodeManager')
-      .getCode(wrp, 'js')
+      .getCode(wrp, 'js', { namespace: opts.namespace })
       .trim();
   },
 
+  /**
+   * Get the data to store from all storable modules
+   * @return {Object}
+   * @private
+   */
+  getStorableData() {
+    const sm = this.get('StorageManager');
+    const result = {};
+
+    this.get('storables').forEach(m => {
+      const obj = m.store(1);
+      for (let el in obj) result[el] = obj[el];
+    });
+    sm && (result[sm.getVersionKey()] = sm.getVersion());
+
+    return result;
+  },
+
   /**
    * Store data to the current storage
    * @param {Function} clb Callback function
@@ -510,14 +585,8 @@ export default Backbone.Model.extend({
    */
   store(clb) {
     var sm = this.get('StorageManager');
-    var store = {};
     if (!sm) return;
-
-    // Fetch what to store
-    this.get('storables').forEach(m => {
-      var obj = m.store(1);
-      for (var el in obj) store[el] = obj[el];
-    });
+    var store = this.getStorableData();
 
     sm.store(store, res => {
       clb && clb(res);
@@ -550,18 +619,11 @@ export default Backbone.Model.extend({
   getCacheLoad(force, clb) {
     if (this.cacheLoad && !force) return this.cacheLoad;
     const sm = this.get('StorageManager');
-    const load = [];
 
     if (!sm) return {};
 
-    this.get('storables').forEach(m => {
-      let key = m.storageKey;
-      key = isFunction(key) ? key() : key;
-      const keys = isArray(key) ? key : [key];
-      keys.forEach(k => load.push(k));
-    });
-
-    sm.load(load, res => {
+    sm.load(sm.getStorableKeys(), result => {
+      const res = sm.migrate(result);
       this.cacheLoad = res;
       clb && clb(res);
       setTimeout(() => this.trigger('storage:load', res));
@@ -704,7 +766,9 @@ export default Backbone.Model.extend({
       Panels,
       Canvas,
       Keymaps,
-      RichTextEditor
+      RichTextEditor,
+      StorageManager,
+      Collaboration
     } = this.attributes;
     this.stopDefault();
     DomComponents.clear();
@@ -714,6 +778,8 @@ export default Backbone.Model.extend({
     Canvas.getCanvasView().remove();
     Keymaps.removeAll();
     RichTextEditor.destroy();
+    StorageManager && StorageManager.destroy();
+    Collaboration && Collaboration.destroy();
     this.view.remove();
     this.stopListening();
     this.clear({ silent: true });
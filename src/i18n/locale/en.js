@@ -1,6 +1,16 @@
 const traitInputAttr = { placeholder: 'eg. Text here' };
 
 export default {
+  annotations: {
+    placeholder: 'Comment the selected component',
+    add: 'Comment',
+    reply: 'Reply',
+    resolve: 'Resolve',
+    reopen: 'Reopen',
+    remove: 'Remove',
+    removed: 'Removed component',
+    empty: 'No comments'
+  },
   assetManager: {
     addButton: 'Add image',
     inputPlh: 'http://path/to/the/image.jpg',
@@ -17,6 +27,17 @@ export default {
       // 'category-id': 'Category Label',
     }
   },
+  codeManager: {
+    apply: 'Apply'
+  },
+  diff: {
+    types: {
+      added: 'Added',
+      removed: 'Removed',
+      moved: 'Moved',
+      changed: 'Changed'
+    }
+  },
   domComponents: {
     names: {
       '': 'Box',
@@ -34,7 +55,8 @@ export default {
       table: 'Table',
       row: 'Table row',
       cell: 'Table cell'
-    }
+    },
+    symbolDetach: 'Detach from symbol'
   },
   deviceManager: {
     device: 'Device',
@@ -45,6 +67,12 @@ export default {
       mobilePortrait: 'Mobile Portrait'
     }
   },
+  pageManager: {
+    title: 'Pages',
+    add: 'Add page',
+    remove: 'Remove',
+    newPage: 'Page {index}'
+  },
   panels: {
     buttons: {
       titles: {
@@ -55,7 +83,10 @@ export default {
         'open-sm': 'Open Style Manager',
         'open-tm': 'Settings',
         'open-layers': 'Open Layer Manager',
-        'open-blocks': 'Open Blocks'
+        'open-blocks': 'Open Blocks',
+        'open-history': 'Open History',
+        'open-annotations': 'Open Comments',
+        'open-pages': 'Open Pages'
       }
     }
   },
@@ -113,5 +144,14 @@ export default {
         }
       }
     }
+  },
+  undoManager: {
+    initial: 'Initial state',
+    labels: {
+      add: 'Add {name}',
+      remove: 'Remove {name}',
+      reset: 'Reset {name}',
+      change: 'Change {prop} of {name}'
+    }
   }
 };
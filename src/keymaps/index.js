@@ -75,6 +75,14 @@ export default () => {
       'core:component-delete': {
         keys: 'backspace, delete',
         handler: 'core:component-delete'
+      },
+      'core:canvas-fit': {
+        keys: 'shift+1',
+        handler: 'core:canvas-fit'
+      },
+      'core:canvas-fit-selection': {
+        keys: 'shift+2',
+        handler: 'core:canvas-fit-selection'
       }
     }
   };
@@ -1,4 +1,4 @@
-import { isUndefined, isString } from 'underscore';
+import { isUndefined, isString, escape } from 'underscore';
 import { getModel } from 'utils/mixins';
 import Backbone from 'backbone';
 import ComponentView from 'dom_components/view/ComponentView';
@@ -16,6 +16,8 @@ export default Backbone.View.extend({
     'click [data-toggle-select]': 'handleSelect',
     'mouseover [data-toggle-select]': 'handleHover',
     'click [data-toggle-open]': 'toggleOpening',
+    'click [data-toggle-lock]': 'toggleLock',
+    'click [data-toggle-symbol]': 'handleDetach',
     'dblclick [data-name]': 'handleEdit',
     'focusout [data-name]': 'handleEditEnd'
   },
@@ -49,6 +51,9 @@ export default Backbone.View.extend({
             <i class="${clsCaret}" data-toggle-open></i>
             ${icon ? `<span class="${clsBase}__icon">${icon}</span>` : ''}
             <span class="${clsInput}" data-name>${name}</span>
+            <span class="${this.clsPresence}" data-presence></span>
+            <i class="${this.clsSymbol} fa fa-diamond" data-toggle-symbol></i>
+            <i class="${this.clsLock} fa fa-lock" data-toggle-lock></i>
           </div>
         </div>
       </div>
@@ -79,6 +84,10 @@ export default Backbone.View.extend({
     this.listenTo(model, 'change:open', this.updateOpening);
     this.listenTo(model, 'change:layerable', this.updateLayerable);
     this.listenTo(model, 'change:style:display', this.updateVisibility);
+    this.listenTo(model, 'collab:presence', this.updatePresence);
+    this.listenTo(this.em, 'component:update:locked', this.updateLock);
+    this.listenTo(this.em, 'diff:show diff:clear', this.updateDiff);
+    this.listenTo(model, 'change:symbolOf', this.updateSymbol);
     this.className = `${pfx}layer ${pfx}layer__t-${type} no-select ${ppfx}two-color`;
     this.inputNameCls = `${ppfx}layer-name`;
     this.clsTitleC = `${pfx}layer-title-c`;
@@ -88,6 +97,9 @@ export default Backbone.View.extend({
     this.clsMove = `${pfx}layer-move`;
     this.clsChildren = `${pfx}layer-children`;
     this.clsNoChild = `${pfx}layer-no-chld`;
+    this.clsPresence = `${pfx}layer-presence`;
+    this.clsLock = `${pfx}layer-lock`;
+    this.clsSymbol = `${pfx}layer-symbol`;
     this.clsEdit = `${this.inputNameCls}--edit`;
     this.clsNoEdit = `${this.inputNameCls}--no-edit`;
     this.$el.data('model', model);
@@ -144,6 +156,72 @@ export default Backbone.View.extend({
     model.setStyle(style);
   },
 
+  /**
+   * Update the lock icon, the component could be also locked by an ancestor
+   */
+  updateLock() {
+    const { model, clsLock } = this;
+    const lockEl = this.$el
+      .children(`.${this.clsTitleC}`)
+      .find('[data-toggle-lock]');
+    const locked = model.isLocked();
+    const inherited = locked && !model.get('locked');
+    this.$el[locked ? 'addClass' : 'removeClass'](`${this.pfx}layer-locked`);
+    lockEl[locked ? 'addClass' : 'removeClass'](`${clsLock}--active`);
+    lockEl[inherited ? 'addClass' : 'removeClass'](`${clsLock}--inherited`);
+  },
+
+  /**
+   * Mark symbol instances, their icon allows to detach them
+   */
+  updateSymbol() {
+    const { model, pfx, clsSymbol } = this;
+    const instance = model.isSymbolInstance();
+    const symbolEl = this.$el
+      .children(`.${this.clsTitleC}`)
+      .find('[data-toggle-symbol]');
+    this.$el[instance ? 'addClass' : 'removeClass'](`${pfx}layer--symbol`);
+    symbolEl[instance ? 'addClass' : 'removeClass'](`${clsSymbol}--active`);
+    symbolEl.attr(
+      'title',
+      instance ? this.em.t('domComponents.symbolDetach') : ''
+    );
+  },
+
+  /**
+   * Highlight the difference of the component, computed by the Diff module
+   */
+  updateDiff() {
+    const { em, model, pfx, $el } = this;
+    const diff = em.get('Diff');
+    const status =
+      diff && diff.getConfig().showInLayers && diff.getStatus(model);
+    const cls = `${pfx}layer--diff`;
+    const prev = this.diffCls;
+    prev && $el.removeClass(`${cls} ${prev}`);
+    this.diffCls = status ? `${cls}-${status}` : '';
+    status && $el.addClass(`${cls} ${this.diffCls}`);
+  },
+
+  /**
+   * Toggle the lock of the component
+   * @param {Event} e
+   */
+  toggleLock(e) {
+    e && e.stopPropagation();
+    const { model } = this;
+    model.get('locked') ? model.unlock() : model.lock();
+  },
+
+  /**
+   * Detach the symbol instance
+   * @param {Event} e
+   */
+  handleDetach(e) {
+    e && e.stopPropagation();
+    this.model.detachSymbol();
+  },
+
   /**
    * Handle the edit of the component name
    */
@@ -306,6 +384,31 @@ export default Backbone.View.extend({
     return 1;
   },
 
+  /**
+   * Show collaborators selecting or hovering the component
+   */
+  updatePresence() {
+    const { em, model, clsPresence } = this;
+    const collab = em.get('Collaboration');
+    const el = this.$el
+      .children(`.${this.clsTitleC}`)
+      .find('[data-presence]')
+      .get(0);
+    if (!collab || !el) return;
+
+    el.innerHTML = collab
+      .getPresences()
+      .getByComponent(model)
+      .map(presence => {
+        const status = presence.getStatus(model);
+        const name = escape(presence.getName());
+        const color = escape(presence.getColor());
+        return `<span class="${clsPresence}__item ${clsPresence}__item--${status}"
+          style="background-color: ${color}" title="${name}"></span>`;
+      })
+      .join('');
+  },
+
   /**
    * Update item aspect after children changes
    *
@@ -412,6 +515,10 @@ export default Backbone.View.extend({
     this.updateOpening();
     this.updateStatus();
     this.updateVisibility();
+    this.updatePresence();
+    this.updateLock();
+    this.updateSymbol();
+    this.updateDiff();
     return this;
   }
 });
@@ -0,0 +1,9 @@
+export default {
+  // Default pages, the first one is selected on load. If empty, a new page
+  // is created with components and styles of the editor
+  // eg. [{ id: 'home', name: 'Home', components: '<h1>Home</h1>', styles: 'h1 { color: red }' }]
+  pages: [],
+
+  // Allow to reorder pages by dragging them in the panel
+  sortable: 1
+};
@@ -0,0 +1,392 @@
+/**
+ * This module allows to create projects with multiple pages. Each page has its own components
+ * and, optionally, its own CSS, while rules of the CSS Composer and assets are shared between all pages.
+ * Components of the selected page are loaded in the canvas, so you can keep using
+ * `editor.getComponents()`, `editor.getHtml()`, etc. to work with the current page.
+ *
+ * You can customize the initial state of the module from the editor initialization, by passing the following [Configuration Object](https://github.com/artf/grapesjs/blob/master/src/page_manager/config/config.js)
+ * ```js
+ * const editor = grapesjs.init({
+ *  pageManager: {
+ *    // options
+ *  }
+ * })
+ * ```
+ *
+ * Once the editor is instantiated you can use its API. Before using these methods you should get the module from the instance
+ *
+ * ```js
+ * const pageManager = editor.Pages;
+ * ```
+ *
+ * * [getConfig](#getconfig)
+ * * [getAll](#getall)
+ * * [get](#get)
+ * * [getSelected](#getselected)
+ * * [add](#add)
+ * * [remove](#remove)
+ * * [select](#select)
+ * * [move](#move)
+ *
+ * @module PageManager
+ */
+
+import { isString } from 'underscore';
+import defaults from './config/config';
+import Pages from './model/Pages';
+import PagesView from './view/PagesView';
+
+export default () => {
+  let c = {};
+  let em;
+  let pages;
+  let view;
+  let stacks = {};
+
+  return {
+    /**
+     * Name of the module
+     * @type {String}
+     * @private
+     */
+    name: 'PageManager',
+
+    /**
+     * Mandatory for the storage manager
+     * @type {String}
+     * @private
+     */
+    storageKey: 'pages',
+
+    /**
+     * Initialize module. Automatically called with a new instance of the editor
+     * @param {Object} config Configurations
+     * @private
+     */
+    init(config = {}) {
+      c = { ...defaults, ...config };
+      em = c.em;
+      pages = new Pages([], { em });
+      pages.on('add', page => em.trigger('page:add', page));
+      pages.on('remove', page => em.trigger('page:remove', page));
+      pages.on('change', page => em.trigger('page:update', page));
+      pages.on('add remove change move', () => em.handleUpdates());
+      pages.on(
+        'change:styles',
+        page => page.isSelected() && this.renderStyles()
+      );
+      em.on('loaded frame:load', () => this.renderStyles());
+
+      // The default page adopts components already in the canvas
+      pages.reset([{ name: this.getDefaultName() }]);
+      pages.selected = pages.at(0);
+
+      return this;
+    },
+
+    /**
+     * Load pages from the configuration, once components of the editor are loaded
+     * @private
+     */
+    onLoad() {
+      if (c.pages.length) {
+        stacks = {};
+        pages.selected = null;
+        pages.reset(c.pages);
+        this.select(pages.at(0));
+      }
+    },
+
+    /**
+     * Get configuration object
+     * @return {Object}
+     */
+    getConfig() {
+      return c;
+    },
+
+    /**
+     * Get all pages
+     * @return {Collection<Page>}
+     */
+    getAll() {
+      return pages;
+    },
+
+    /**
+     * Get the page by id
+     * @param {String} id Page id
+     * @return {Page|null}
+     */
+    get(id) {
+      return pages.get(id) || null;
+    },
+
+    /**
+     * Get the page currently loaded in the canvas
+     * @return {Page|null}
+     */
+    getSelected() {
+      return pages.selected;
+    },
+
+    /**
+     * Add new page
+     * @param {Object} [props={}] Page properties
+     * @param {String} [props.id] Page id
+     * @param {String} [props.name] Page name
+     * @param {Array<Object>|String} [props.components] Page components
+     * @param {String} [props.styles] Page specific CSS
+     * @param {Object} [opts={}] Options
+     * @param {Number} [opts.at] Position of the new page
+     * @param {Boolean} [opts.select=false] Select the new page
+     * @return {Page}
+     * @example
+     * const page = pageManager.add({
+     *  name: 'About',
+     *  components: '<h1>About us</h1>',
+     *  styles: 'h1 { color: red }',
+     * }, { select: true });
+     */
+    add(props = {}, opts = {}) {
+      const page = pages.add(
+        { name: this.getDefaultName(pages.length + 1), ...props },
+        { at: opts.at }
+      );
+      opts.select && this.select(page);
+      return page;
+    },
+
+    /**
+     * Remove the page. The last page can't be removed and, if the selected
+     * page is removed, another one is selected
+     * @param {Page|String} page Page or its id
+     * @return {Page|undefined} Removed page
+     * @example
+     * pageManager.remove('about');
+     */
+    remove(page) {
+      const item = this.getPage(page);
+      const next = pages.filter(pg => pg !== item)[0];
+      if (!item || !next) return;
+      item.isSelected() && this.select(next);
+      pages.remove(item);
+      delete stacks[item.getId()];
+      this.clearComponents(item.get('components'));
+      return item;
+    },
+
+    /**
+     * Load the page in the canvas
+     * @param {Page|String} page Page or its id
+     * @return {this}
+     * @example
+     * pageManager.select('about');
+     * editor.getHtml();
+     * // -> <h1>About us</h1>
+     */
+    select(page) {
+      const next = this.getPage(page);
+      const prev = pages.selected;
+      if (!next || next === prev) return this;
+      const um = em.get('UndoManager');
+      const comps = em.get('DomComponents').getComponents();
+      const prevComps = comps.models.slice();
+      // Swapped components are local to the editor, not synced with collaborators
+      const opts = { avoidSync: 1 };
+      em.setSelected([]);
+      um && um.stop();
+
+      // Components of the previous page are kept, with their styles,
+      // until the page is selected again
+      comps.reset(null, { ...opts, ...(prev && { temporary: 1 }) });
+      prev && prev.set('components', prevComps, { silent: true });
+      pages.selected = next;
+      comps.add(next.get('components'), opts);
+      next.set('components', [], { silent: true });
+
+      um && um.start();
+      um && this.swapStack(prev, next);
+      this.renderStyles();
+      em.trigger('page:select', next, prev);
+      em.handleUpdates();
+
+      return this;
+    },
+
+    /**
+     * Move the page to another position
+     * @param {Page|String} page Page or its id
+     * @param {Number} index New position
+     * @return {Page|undefined}
+     * @example
+     * // Move the page at the top of the list
+     * pageManager.move('about', 0);
+     */
+    move(page, index) {
+      const item = this.getPage(page);
+      if (!item) return;
+      pages.remove(item, { silent: true });
+      pages.add(item, { at: index, silent: true });
+      pages.trigger('move', item, index);
+      return item;
+    },
+
+    /**
+     * Each page keeps its own undo stack, restored once the page is selected again
+     * @private
+     */
+    swapStack(prev, next) {
+      const stack = em.get('UndoManager').getStack();
+      const { actions = [], pointer = -1 } = stacks[next.getId()] || {};
+      prev &&
+        (stacks[prev.getId()] = {
+          actions: stack.models.slice(),
+          pointer: stack.pointer
+        });
+      delete stacks[next.getId()];
+      stack.reset(actions);
+      stack.pointer = pointer;
+    },
+
+    /**
+     * @private
+     */
+    getPage(page) {
+      return isString(page) ? this.get(page) : page;
+    },
+
+    /**
+     * @private
+     */
+    getDefaultName(index = 1) {
+      const params = { index };
+      return (
+        (em.get('I18n') && em.t('pageManager.newPage', { params })) ||
+        `Page ${index}`
+      );
+    },
+
+    /**
+     * Remove components of a not selected page, with their styles
+     * @private
+     */
+    clearComponents(components = []) {
+      const domc = em.get('DomComponents');
+      const opts = { em, config: domc.getConfig(), domc };
+      const models = components.filter(cmp => cmp.cid);
+      models.length && new domc.Components(models, opts).reset();
+    },
+
+    /**
+     * Get the CSS specific to the selected page
+     * @return {String}
+     * @private
+     */
+    getStyles() {
+      const page = this.getSelected();
+      return (page && page.getStyles()) || '';
+    },
+
+    /**
+     * Render the CSS of the selected page in the canvas
+     * @private
+     */
+    renderStyles() {
+      const css = this.getStyles();
+
+      em.get('Canvas')
+        .getFrames()
+        .forEach(frame => {
+          const body = frame.view && frame.view.getBody();
+          if (!body) return;
+          const attr = 'data-gjs-page-styles';
+          let styleEl = body.querySelector(`style[${attr}]`);
+
+          if (!styleEl) {
+            styleEl = body.ownerDocument.createElement('style');
+            styleEl.setAttribute(attr, '');
+            body.appendChild(styleEl);
+          }
+
+          styleEl.textContent = css;
+        });
+    },
+
+    /**
+     * Store pages to the selected storage
+     * @param {Boolean} noStore If true, won't store
+     * @return {Object} Data to store
+     * @private
+     */
+    store(noStore) {
+      const obj = {};
+      obj[this.storageKey] = JSON.stringify(
+        pages.map(page => ({
+          ...page.toJSON(),
+          ...(page.isSelected() && { selected: 1 })
+        }))
+      );
+      if (!noStore && c.stm) c.stm.store(obj);
+      return obj;
+    },
+
+    /**
+     * Load pages from the passed object. Components of the stored selected page
+     * are already loaded in the canvas by the Components module
+     * @param {Object} data Object of data to load
+     * @return {Array<Object>} Loaded pages
+     * @private
+     */
+    load(data = {}) {
+      const name = this.storageKey;
+      let result = data[name] || [];
+
+      if (isString(result)) {
+        try {
+          result = JSON.parse(result);
+        } catch (err) {
+          result = [];
+        }
+      }
+
+      if (result.length) {
+        const selected = result.filter(page => page.selected)[0];
+        stacks = {};
+        pages.selected = null;
+        pages.reset(
+          result.map(page => {
+            const { selected, ...props } = page;
+            return selected ? { ...props, components: [] } : props;
+          })
+        );
+
+        if (selected) {
+          pages.selected = pages.get(selected.id);
+          this.renderStyles();
+        } else {
+          this.select(pages.at(0));
+        }
+      }
+
+      return result;
+    },
+
+    /**
+     * Render the list of pages
+     * @return {HTMLElement}
+     * @private
+     */
+    render() {
+      if (!view) {
+        view = new PagesView({
+          collection: pages,
+          module: this,
+          config: c
+        });
+      }
+
+      return view.render().el;
+    }
+  };
+};
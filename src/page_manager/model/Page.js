@@ -0,0 +1,103 @@
+import Backbone from 'backbone';
+
+/**
+ * Page of the project. Components of the selected page live in the editor's
+ * wrapper, all the other pages keep them here until they're selected.
+ * Page styles are specific to the page, while the CSS Composer rules
+ * are shared between all pages
+ */
+export default Backbone.Model.extend({
+  defaults() {
+    return {
+      name: '',
+      styles: '',
+      components: []
+    };
+  },
+
+  initialize() {
+    !this.get('id') &&
+      this.set(
+        'id',
+        `${Date.now().toString(36)}${Math.random()
+          .toString(36)
+          .slice(2, 6)}`
+      );
+  },
+
+  /**
+   * Get the page id
+   * @return {String}
+   */
+  getId() {
+    return this.get('id');
+  },
+
+  /**
+   * Get the page name
+   * @return {String}
+   */
+  getName() {
+    return this.get('name');
+  },
+
+  /**
+   * Update the page name
+   * @param {String} name
+   * @return {this}
+   */
+  setName(name) {
+    return this.set('name', name);
+  },
+
+  /**
+   * Get the page specific CSS
+   * @return {String}
+   */
+  getStyles() {
+    return this.get('styles');
+  },
+
+  /**
+   * Update the page specific CSS
+   * @param {String} styles CSS string
+   * @return {this}
+   */
+  setStyles(styles) {
+    return this.set('styles', styles);
+  },
+
+  /**
+   * Check if the page is the one currently in the canvas
+   * @return {Boolean}
+   */
+  isSelected() {
+    const { collection } = this;
+    return !!collection && collection.selected === this;
+  },
+
+  /**
+   * Get components of the page
+   * @return {Array<Component|Object>}
+   */
+  getComponents() {
+    const { collection } = this;
+    const em = collection && collection.em;
+
+    return this.isSelected() && em
+      ? em.get('DomComponents').getComponents().models
+      : this.get('components');
+  },
+
+  /**
+   * Components of the selected page are stored with the ones of the editor,
+   * so they're skipped here
+   */
+  toJSON(...args) {
+    const obj = Backbone.Model.prototype.toJSON.apply(this, args);
+    this.isSelected()
+      ? delete obj.components
+      : (obj.components = this.getComponents());
+    return obj;
+  }
+});
@@ -0,0 +1,11 @@
+import Backbone from 'backbone';
+import Page from './Page';
+
+export default Backbone.Collection.extend({
+  model: Page,
+
+  initialize(models, opts = {}) {
+    this.em = opts.em;
+    this.selected = null;
+  }
+});
@@ -0,0 +1,168 @@
+import Backbone from 'backbone';
+import { debounce, escape } from 'underscore';
+
+export default Backbone.View.extend({
+  events: {
+    click: 'handleClick',
+    dblclick: 'handleEdit',
+    keydown: 'handleKeyDown',
+    focusout: 'handleEditEnd',
+    dragstart: 'handleDragStart',
+    dragover: 'handleDragOver',
+    drop: 'handleDrop'
+  },
+
+  initialize(o = {}) {
+    const config = o.config || {};
+    this.config = config;
+    this.module = o.module;
+    this.em = config.em;
+    this.pfx = `${config.pStylePrefix || ''}pages`;
+    this.update = debounce(() => this.render());
+    this.listenTo(this.collection, 'add remove reset change move', this.update);
+    this.listenTo(this.em, 'page:select', this.update);
+  },
+
+  /**
+   * Get the translated label
+   * @param {String} key
+   * @param {String} label Default label
+   * @return {String}
+   * @private
+   */
+  t(key, label) {
+    const { em } = this;
+    return (em.get('I18n') && em.t(`pageManager.${key}`)) || label;
+  },
+
+  /**
+   * Get the closest element, of the event target, with the attribute
+   * @private
+   */
+  getTarget(ev, attr) {
+    let el = ev.target;
+
+    while (
+      el &&
+      el !== this.el &&
+      !(el.hasAttribute && el.hasAttribute(attr))
+    ) {
+      el = el.parentNode;
+    }
+
+    return el && el !== this.el ? el : null;
+  },
+
+  /**
+   * Get the page of the event target
+   * @private
+   */
+  getPage(ev) {
+    const el = this.getTarget(ev, 'data-page');
+    return el && this.collection.get(el.getAttribute('data-page'));
+  },
+
+  handleClick(ev) {
+    const { module } = this;
+    const page = this.getPage(ev);
+
+    if (this.getTarget(ev, 'data-page-add')) {
+      module.add({}, { select: true });
+    } else if (!page || this.editing) {
+      return;
+    } else if (this.getTarget(ev, 'data-page-remove')) {
+      module.remove(page);
+    } else {
+      module.select(page);
+    }
+  },
+
+  handleEdit(ev) {
+    const nameEl = this.getTarget(ev, 'data-page-name');
+    if (!nameEl) return;
+    this.editing = this.getPage(ev);
+    nameEl.contentEditable = true;
+    nameEl.focus();
+  },
+
+  handleEditEnd(ev) {
+    const page = this.editing;
+    const nameEl = this.getTarget(ev, 'data-page-name');
+    if (!page || !nameEl) return;
+    const name = nameEl.textContent.trim();
+    this.editing = null;
+    nameEl.contentEditable = false;
+    name ? page.setName(name) : this.update();
+  },
+
+  handleKeyDown(ev) {
+    const nameEl = this.getTarget(ev, 'data-page-name');
+
+    if (nameEl && ev.key === 'Enter') {
+      ev.preventDefault();
+      nameEl.blur();
+    }
+  },
+
+  handleDragStart(ev) {
+    const page = this.getPage(ev);
+    this.dragged = page;
+    page &&
+      ev.dataTransfer &&
+      ev.dataTransfer.setData('text/plain', page.getId());
+  },
+
+  handleDragOver(ev) {
+    this.dragged && this.getPage(ev) && ev.preventDefault();
+  },
+
+  handleDrop(ev) {
+    const { dragged, collection } = this;
+    const page = this.getPage(ev);
+    this.dragged = null;
+    if (!dragged || !page) return;
+    ev.preventDefault();
+    this.module.move(dragged, collection.indexOf(page));
+  },
+
+  getItemHtml(page) {
+    const { pfx, config, collection } = this;
+    const cls = [`${pfx}-item`, page.isSelected() && `${pfx}-item--selected`];
+
+    return `
+      <div class="${cls.filter(Boolean).join(' ')}" data-page="${escape(
+      page.getId()
+    )}" ${config.sortable ? 'draggable="true"' : ''}>
+        <i class="${pfx}-icon fa fa-file-o"></i>
+        <span class="${pfx}-name" data-page-name>${escape(
+      page.getName()
+    )}</span>
+        ${
+          collection.length > 1
+            ? `<i class="${pfx}-btn fa fa-trash-o" data-page-remove title="${this.t(
+                'remove',
+                'Remove'
+              )}"></i>`
+            : ''
+        }
+      </div>
+    `;
+  },
+
+  render() {
+    const { pfx, collection } = this;
+
+    this.el.className = pfx;
+    this.el.innerHTML = `
+      <div class="${pfx}-header">
+        <span class="${pfx}-title">${this.t('title', 'Pages')}</span>
+        <i class="${pfx}-btn fa fa-plus" data-page-add title="${this.t(
+      'add',
+      'Add page'
+    )}"></i>
+      </div>
+      ${collection.map(page => this.getItemHtml(page)).join('')}
+    `;
+    return this;
+  }
+});
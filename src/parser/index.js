@@ -1,6 +1,7 @@
 import defaults from './config/config';
 import parserCss from './model/ParserCss';
 import parserHtml from './model/ParserHtml';
+import { validateHtml, validateCss } from './model/CodeValidator';
 
 export default () => {
   let conf = {};
@@ -72,6 +73,32 @@ export default () => {
      */
     parseCss(str) {
       return pCss.parse(str);
+    },
+
+    /**
+     * Check the HTML string for errors, like not closed or not matching tags,
+     * which the browser would fix silently during the parse
+     * @param  {string} str HTML string
+     * @return {Array<Object>} Errors with the line number and the message
+     * @example
+     * parser.validateHtml('<div>\n<span></div>');
+     * // -> [{ line: 2, message: 'Unclosed tag <span>' }]
+     */
+    validateHtml(str) {
+      return validateHtml(str);
+    },
+
+    /**
+     * Check the CSS string for errors, like not balanced braces or invalid declarations,
+     * which the browser would skip silently during the parse
+     * @param  {string} str CSS string
+     * @return {Array<Object>} Errors with the line number and the message
+     * @example
+     * parser.validateCss('.a { color: red;');
+     * // -> [{ line: 1, message: 'Missing } for this block' }]
+     */
+    validateCss(str) {
+      return validateCss(str);
     }
   };
 };
@@ -0,0 +1,201 @@
+// Elements without content and closing tag
+const voidTags = [
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'track',
+  'wbr'
+];
+
+// Elements which can be closed implicitly
+const optionalEndTags = [
+  'li',
+  'p',
+  'dt',
+  'dd',
+  'option',
+  'optgroup',
+  'tr',
+  'td',
+  'th',
+  'thead',
+  'tbody',
+  'tfoot',
+  'colgroup',
+  'rt',
+  'rp'
+];
+
+// Elements with raw text content
+const rawTags = ['script', 'style', 'textarea', 'title'];
+
+// At-rules containing rules instead of declarations
+const atRulesNested = /^@(-\w+-)?(media|supports|document|keyframes|layer|container)\b/i;
+
+const getLine = (str, index) => str.slice(0, index).split('\n').length;
+
+const sortErrors = errors => errors.sort((a, b) => a.line - b.line);
+
+/**
+ * Check the HTML string for not closed or not matching tags.
+ * Browsers are able to parse any string, so these are reported
+ * as errors to avoid unexpected results
+ * @param {String} str HTML string
+ * @return {Array<Object>} Errors, eg. `[{ line: 1, message: 'Unclosed tag <div>' }]`
+ */
+export const validateHtml = (str = '') => {
+  const errors = [];
+  const stack = [];
+  const re = /<!--[\s\S]*?(-->|$)|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)(>?)/g;
+  const unclosed = tags =>
+    tags
+      .filter(tag => optionalEndTags.indexOf(tag.name) < 0)
+      .forEach(tag =>
+        errors.push({ line: tag.line, message: `Unclosed tag <${tag.name}>` })
+      );
+  let match;
+
+  while ((match = re.exec(str))) {
+    const [all, commentEnd, closing, tagName, attrs, end] = match;
+    const line = getLine(str, match.index);
+    const name = (tagName || '').toLowerCase();
+
+    if (!tagName) {
+      !commentEnd && errors.push({ line, message: 'Unclosed comment' });
+      continue;
+    }
+
+    if (!end) {
+      const message = /["']/.test(str[match.index + all.length])
+        ? `Unclosed attribute value in <${name}>`
+        : `Unclosed tag <${name}>`;
+      errors.push({ line, message });
+      continue;
+    }
+
+    if (closing) {
+      const index = stack.map(tag => tag.name).lastIndexOf(name);
+
+      if (index < 0) {
+        errors.push({ line, message: `Unexpected closing tag </${name}>` });
+      } else {
+        unclosed(stack.splice(index).slice(1));
+      }
+    } else if (voidTags.indexOf(name) < 0 && !/\/\s*$/.test(attrs)) {
+      // Skip the content of raw text elements
+      if (rawTags.indexOf(name) >= 0) {
+        const closeIndex = str.toLowerCase().indexOf(`</${name}`, re.lastIndex);
+
+        if (closeIndex < 0) {
+          errors.push({ line, message: `Unclosed tag <${name}>` });
+          break;
+        }
+
+        re.lastIndex = closeIndex;
+      }
+
+      stack.push({ name, line });
+    }
+  }
+
+  unclosed(stack);
+
+  return sortErrors(errors);
+};
+
+/**
+ * Check the CSS string for not balanced braces, not closed
+ * comments/strings and invalid declarations
+ * @param {String} str CSS string
+ * @return {Array<Object>} Errors, eg. `[{ line: 1, message: 'Missing }' }]`
+ */
+export const validateCss = (str = '') => {
+  const errors = [];
+  const blocks = [];
+  const len = str.length;
+  let segment = '';
+  let segLine = 1;
+  let line = 1;
+
+  const append = text => {
+    !segment.trim() && text.trim() && (segLine = line);
+    segment += text;
+  };
+
+  const checkSegment = () => {
+    const block = blocks[blocks.length - 1];
+    const value = segment.trim();
+
+    if (value && block && block.decls && value.indexOf(':') < 1) {
+      errors.push({ line: segLine, message: `Invalid declaration "${value}"` });
+    } else if (value && !block && value[0] !== '@') {
+      errors.push({ line: segLine, message: `Missing { after "${value}"` });
+    }
+
+    segment = '';
+  };
+
+  for (let i = 0; i < len; i++) {
+    const char = str[i];
+
+    if (char === '/' && str[i + 1] === '*') {
+      const end = str.indexOf('*/', i + 2);
+
+      if (end < 0) {
+        errors.push({ line, message: 'Unclosed comment' });
+        break;
+      }
+
+      line += str.slice(i, end).split('\n').length - 1;
+      i = end + 1;
+    } else if (char === '"' || char === "'") {
+      let j = i + 1;
+
+      // Strings can't contain new lines
+      while (j < len && str[j] !== char && str[j] !== '\n') {
+        str[j] === '\\' && j++;
+        j++;
+      }
+
+      if (str[j] === char) {
+        append(str.slice(i, j + 1));
+        i = j;
+      } else {
+        errors.push({ line, message: 'Unclosed string' });
+        append(str.slice(i, j));
+        i = j - 1;
+      }
+    } else if (char === '{') {
+      const prelude = segment.trim();
+      !prelude && errors.push({ line, message: 'Missing selector' });
+      blocks.push({ line, decls: !atRulesNested.test(prelude) });
+      segment = '';
+    } else if (char === ';') {
+      checkSegment();
+    } else if (char === '}') {
+      checkSegment();
+      blocks.length
+        ? blocks.pop()
+        : errors.push({ line, message: 'Unexpected }' });
+    } else {
+      char === '\n' && line++;
+      append(char);
+    }
+  }
+
+  segment.trim() && !blocks.length && checkSegment();
+  blocks.forEach(block =>
+    errors.push({ line: block.line, message: 'Missing } for this block' })
+  );
+
+  return sortErrors(errors);
+};
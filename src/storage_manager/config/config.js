@@ -2,13 +2,22 @@ export default {
   // Prefix identifier that will be used inside storing and loading
   id: 'gjs-',
 
+  // Id of the project to use on start, leave empty to store the data without
+  // any project namespace. Check the projects API of the StorageManager
+  projectId: '',
+
+  // Format version of the stored project, increase it when stored data needs
+  // to be migrated (eg. changes in component types) and add migrations via
+  // `editor.StorageManager.addMigration(fromVersion, fn)`
+  version: 0,
+
   // Enable/Disable autosaving
   autosave: 1,
 
   // Indicates if load data inside editor after init
   autoload: 1,
 
-  // Indicates which storage to use. Available: local | remote
+  // Indicates which storage to use. Available: local | remote | indexeddb
   type: 'local',
 
   // If autosave enabled, indicates how many steps (general changes to structure)
@@ -31,6 +40,20 @@ export default {
   // If enabled, checks if browser supports Local Storage
   checkLocal: 1,
 
+  // ONLY FOR INDEXEDDB STORAGE
+  // Name of the database
+  dbName: 'gjs',
+
+  // Name of the object store where projects are saved
+  objectStoreName: 'projects',
+
+  // Id of the project to store/load, the same database can contain many projects
+  project: 'default',
+
+  // Check the available space (if the browser supports StorageManager API)
+  // before storing, on failure `storage:error` is triggered with a `QuotaExceededError`
+  checkQuota: 1,
+
   // ONLY FOR REMOTE STORAGE
   // Custom parameters to pass with the remote storage request, eg. csrf token
   params: {},
@@ -63,5 +86,30 @@ export default {
   // currentOpts => {
   //  return currentOpts.method === 'post' ?  { method: 'patch' } : {};
   // }
-  fetchOptions: ''
+  fetchOptions: '',
+
+  // Store only the changes made since the last successful store (the first store is always complete).
+  // The patch, in JSON Patch format, is sent to the server in the `patch` parameter.
+  // If the server responds with an error, the complete data is stored
+  patch: 0,
+
+  // Endpoint where to send the patch, `urlStore` is used if empty
+  urlPatch: '',
+
+  // Queue and retry failed store requests (network errors and 5xx responses).
+  // While the data is queued, new stores are coalesced so only the latest data is sent.
+  // Triggers `storage:queued` when the data is queued and `storage:retry` on each new attempt
+  retry: 0,
+
+  // Max number of retries before triggering the error (0 = no limit)
+  retryMax: 5,
+
+  // Delay (ms) of the first retry, doubled on each attempt (exponential backoff)
+  retryDelay: 1000,
+
+  // Max delay (ms) between retries
+  retryDelayMax: 30000,
+
+  // Persist unsent data in localStorage, so it's sent also after a page reload
+  retryPersist: 1
 };
@@ -28,19 +28,49 @@
  * * [get](#get)
  * * [store](#store)
  * * [load](#load)
+ * * [getCurrentProject](#getcurrentproject)
+ * * [listProjects](#listprojects)
+ * * [createProject](#createproject)
+ * * [updateProject](#updateproject)
+ * * [loadProject](#loadproject)
+ * * [deleteProject](#deleteproject)
+ * * [duplicateProject](#duplicateproject)
+ * * [getVersion](#getversion)
+ * * [addMigration](#addmigration)
+ * * [getMigrations](#getmigrations)
+ * * [migrate](#migrate)
+ * * [listRevisions](#listrevisions)
+ * * [createRevision](#createrevision)
+ * * [getRevision](#getrevision)
+ * * [restoreRevision](#restorerevision)
+ * * [deleteRevision](#deleterevision)
  *
  * @module StorageManager
  */
 
+import {
+  isUndefined,
+  isFunction,
+  isArray,
+  isString,
+  uniqueId
+} from 'underscore';
 import defaults from './config/config';
 import LocalStorage from './model/LocalStorage';
 import RemoteStorage from './model/RemoteStorage';
+import IndexedDbStorage from './model/IndexedDbStorage';
 
 export default () => {
   var c = {};
   let em;
   var storages = {};
   var defaultStorages = {};
+  let projects = null;
+  let migrations = [];
+  const keyProjects = 'projects';
+  const keyVersion = 'version';
+  const keyRevisions = 'revisions';
+  const keyRevision = 'revision-';
   const eventStart = 'storage:start';
   const eventEnd = 'storage:end';
   const eventError = 'storage:error';
@@ -61,7 +91,7 @@ export default () => {
      * @param {Boolean} [config.autosave=true] Indicates if autosave mode is enabled, works in conjunction with stepsBeforeSave
      * @param {number} [config.stepsBeforeSave=1] If autosave enabled, indicates how many steps/changes are necessary
      * before autosave is triggered
-     * @param {string} [config.type='local'] Default storage type. Available: 'local' | 'remote' | ''(do not store)
+     * @param {string} [config.type='local'] Default storage type. Available: 'local' | 'remote' | 'indexeddb' | ''(do not store)
      * @private
      * @example
      * ...
@@ -77,7 +107,9 @@ export default () => {
       if (c._disable) c.type = 0;
       defaultStorages.remote = new RemoteStorage(c);
       defaultStorages.local = new LocalStorage(c);
+      defaultStorages.indexeddb = new IndexedDbStorage(c);
       c.currentStorage = c.type;
+      c.currentProject = c.projectId;
       this.loadDefaultProviders().setCurrent(c.type);
       return this;
     },
@@ -196,17 +228,20 @@ export default () => {
      * Store key-value resources in the current storage
      * @param  {Object} data Data in key-value format, eg. {item1: value1, item2: value2}
      * @param {Function} clb Callback function
+     * @param {Object} [opts={}] Options
+     * @param {String} [opts.project] Store the data in a specific project, by default the current one is used
      * @return {Object|null}
      * @example
      * storageManager.store({item1: value1, item2: value2});
      * */
-    store(data, clb) {
+    store(data, clb, opts = {}) {
       const st = this.get(this.getCurrent());
+      const prefix = this.getKeyPrefix(opts.project);
       const toStore = {};
       this.onStart('store', data);
 
       for (let key in data) {
-        toStore[c.id + key] = data[key];
+        toStore[prefix + key] = data[key];
       }
 
       return st
@@ -217,6 +252,7 @@ export default () => {
               this.onEnd('store', res);
             },
             err => {
+              opts.error && opts.error(err);
               this.onError('store', err);
             }
           )
@@ -227,6 +263,8 @@ export default () => {
      * Load resource from the current storage by keys
      * @param  {string|Array<string>} keys Keys to load
      * @param {Function} clb Callback function
+     * @param {Object} [opts={}] Options
+     * @param {String} [opts.project] Load the data from a specific project, by default the current one is used
      * @example
      * storageManager.load(['item1', 'item2'], res => {
      *  // res -> {item1: value1, item2: value2}
@@ -235,8 +273,9 @@ export default () => {
      * // res -> {item1: value1}
      * });
      * */
-    load(keys, clb) {
+    load(keys, clb, opts = {}) {
       var st = this.get(this.getCurrent());
+      var prefix = this.getKeyPrefix(opts.project);
       var keysF = [];
       var result = {};
 
@@ -244,7 +283,7 @@ export default () => {
       this.onStart('load', keys);
 
       for (var i = 0, len = keys.length; i < len; i++) {
-        keysF.push(c.id + keys[i]);
+        keysF.push(prefix + keys[i]);
       }
 
       if (st) {
@@ -252,9 +291,10 @@ export default () => {
           keysF,
           res => {
             // Restore keys name
-            var reg = new RegExp('^' + c.id + '');
             for (var itemKey in res) {
-              var itemKeyR = itemKey.replace(reg, '');
+              var itemKeyR = !itemKey.indexOf(prefix)
+                ? itemKey.substr(prefix.length)
+                : itemKey;
               result[itemKeyR] = res[itemKey];
             }
 
@@ -271,6 +311,512 @@ export default () => {
       }
     },
 
+    /**
+     * Get the prefix of keys for the project
+     * @param {String} [project] Project id, the current one by default
+     * @return {String}
+     * @private
+     */
+    getKeyPrefix(project) {
+      const id = isUndefined(project) ? this.getCurrentProject() : project;
+      return `${c.id}${id ? `${id}-` : ''}`;
+    },
+
+    /**
+     * Get the id of the current project. Returns an empty string if
+     * the storage is not used with projects
+     * @return {String}
+     */
+    getCurrentProject() {
+      return c.currentProject || '';
+    },
+
+    /**
+     * Get cached project metadata
+     * @param {String} id Project id
+     * @return {Object|undefined}
+     * @private
+     */
+    getProjectData(id) {
+      return id && projects ? projects.filter(p => p.id === id)[0] : undefined;
+    },
+
+    /**
+     * Store the list of projects
+     * @private
+     */
+    storeProjects(clb, clbErr) {
+      const data = { [keyProjects]: JSON.stringify(projects) };
+      this.store(data, () => clb && clb(projects), {
+        project: '',
+        error: clbErr
+      });
+    },
+
+    /**
+     * Get the list of available projects
+     * @param {Function} clb Callback function, receives the array of projects
+     * @param {Object} [opts={}] Options
+     * @param {Boolean} [opts.force=false] Fetch the list from the storage even if already loaded
+     * @example
+     * storageManager.listProjects(projects => {
+     *  // [{ id: 'abc', name: 'My project', thumbnail: '', createdAt: 1588000000000, updatedAt: 1588000000000 }, ...]
+     * });
+     */
+    listProjects(clb, opts = {}) {
+      if (projects && !opts.force) {
+        return clb && clb(projects);
+      }
+
+      this.load(
+        keyProjects,
+        res => {
+          let list = res[keyProjects] || [];
+
+          if (typeof list === 'string') {
+            try {
+              list = JSON.parse(list);
+            } catch (err) {
+              em && em.logError(err);
+              list = [];
+            }
+          }
+
+          projects = list;
+          clb && clb(projects);
+        },
+        { project: '' }
+      );
+    },
+
+    /**
+     * Create a new project. The project is only added to the list, use `loadProject` to switch to it
+     * @param {Object} [data={}] Project metadata
+     * @param {String} [data.id] Project id, generated if not passed
+     * @param {String} [data.name='Untitled'] Project name
+     * @param {String} [data.thumbnail=''] Project thumbnail, eg. image url or data URI
+     * @param {Function} [clb] Callback function, receives the new project
+     * @example
+     * storageManager.createProject({ name: 'Landing page' }, project => {
+     *  storageManager.loadProject(project.id);
+     * });
+     */
+    createProject(data = {}, clb) {
+      this.listProjects(() => {
+        const now = Date.now();
+        const project = {
+          name: 'Untitled',
+          thumbnail: '',
+          ...data,
+          id: data.id || uniqueId(`${now.toString(36)}-`),
+          createdAt: now,
+          updatedAt: now
+        };
+        projects.push(project);
+        this.storeProjects(() => {
+          em && em.trigger('project:add', project);
+          clb && clb(project);
+        });
+      });
+    },
+
+    /**
+     * Update project metadata
+     * @param {String} id Project id
+     * @param {Object} data Metadata to update, eg. `{ name: 'New name', thumbnail: '...' }`
+     * @param {Function} [clb] Callback function, receives the updated project
+     * @example
+     * storageManager.updateProject('abc', { name: 'New name' });
+     */
+    updateProject(id, data = {}, clb) {
+      this.listProjects(() => {
+        const project = this.getProjectData(id);
+        if (!project) return clb && clb(null);
+        Object.assign(project, data, { id, updatedAt: Date.now() });
+        this.storeProjects(() => {
+          em && em.trigger('project:update', project);
+          clb && clb(project);
+        });
+      });
+    },
+
+    /**
+     * Switch to the project and load its data in the editor.
+     * Components, styles and assets of the previous project are removed
+     * and the undo stack is cleared
+     * @param {String} id Project id
+     * @param {Function} [clb] Callback function, receives the loaded data
+     * @example
+     * storageManager.loadProject('abc', () => console.log('Project loaded'));
+     */
+    loadProject(id, clb) {
+      this.listProjects(() => {
+        c.currentProject = id;
+        if (!em) return clb && clb({});
+        const um = em.get('UndoManager');
+        const autosave = c.autosave;
+        const opts = { avoidStore: 1 };
+
+        // Avoid storing the editor changes made during the switch
+        c.autosave = 0;
+        um && um.stop();
+        em.get('DomComponents').clear(opts);
+        em.get('CssComposer').clear();
+        em.get('AssetManager')
+          .getAll()
+          .reset();
+
+        em.load(res => {
+          setTimeout(() => {
+            c.autosave = autosave;
+            em.set('changesCount', 0);
+            um && um.clear().start();
+            em.trigger('project:load', this.getProjectData(id) || { id });
+            clb && clb(res);
+          });
+        });
+      });
+    },
+
+    /**
+     * Delete the project and its data (if the current storage is able to remove keys)
+     * @param {String} id Project id
+     * @param {Function} [clb] Callback function
+     * @example
+     * storageManager.deleteProject('abc');
+     */
+    deleteProject(id, clb) {
+      this.listProjects(() => {
+        const st = this.getCurrentStorage();
+        const project = this.getProjectData(id);
+        const prefix = this.getKeyPrefix(id);
+        projects = projects.filter(p => p.id !== id);
+
+        if (st && st.remove) {
+          st.remove(this.getStorableKeys().map(key => prefix + key));
+        }
+
+        if (this.getCurrentProject() === id) {
+          c.currentProject = '';
+        }
+
+        this.storeProjects(() => {
+          em && project && em.trigger('project:remove', project);
+          clb && clb();
+        });
+      });
+    },
+
+    /**
+     * Create a copy of the project, with its data
+     * @param {String} id Project id
+     * @param {Object} [data={}] Metadata of the new project
+     * @param {Function} [clb] Callback function, receives the new project
+     * @example
+     * storageManager.duplicateProject('abc', { name: 'Landing page v2' }, project => {
+     *  storageManager.loadProject(project.id);
+     * });
+     */
+    duplicateProject(id, data = {}, clb) {
+      this.listProjects(() => {
+        const source = this.getProjectData(id) || {};
+        const keys = this.getStorableKeys();
+
+        this.load(
+          keys,
+          res => {
+            const { name = 'Untitled', thumbnail = '' } = source;
+            const meta = { name: `${name} copy`, thumbnail, ...data };
+            this.createProject(meta, project =>
+              this.store(res, () => clb && clb(project), {
+                project: project.id
+              })
+            );
+          },
+          { project: id }
+        );
+      });
+    },
+
+    /**
+     * Get all the keys used by storable modules
+     * @return {Array<String>}
+     * @private
+     */
+    getStorableKeys() {
+      const keys = [];
+
+      em &&
+        em.get('storables').forEach(m => {
+          let key = m.storageKey;
+          key = isFunction(key) ? key() : key;
+          (isArray(key) ? key : [key]).forEach(k => keys.push(k));
+        });
+
+      keys.length && keys.push(keyVersion);
+
+      return keys;
+    },
+
+    /**
+     * Get the key used to store the format version of the project
+     * @return {String}
+     * @private
+     */
+    getVersionKey() {
+      return keyVersion;
+    },
+
+    /**
+     * Get the current format version of the project. Stored along with
+     * the project data and used to run migrations on load
+     * @return {Number}
+     * @example
+     * storageManager.getVersion(); // -> 0
+     */
+    getVersion() {
+      return c.version || 0;
+    },
+
+    /**
+     * Add a migration, executed on load for data stored with a version
+     * lower or equal to `fromVersion`. Migrations are executed in order of version
+     * and before components and rules are instantiated.
+     * JSON strings of stored data are parsed before executing migrations
+     * @param {Number} fromVersion Version of data to migrate
+     * @param {Function} fn Migration function, receives the data to migrate and
+     * returns the migrated one (if nothing is returned the passed data is used)
+     * @return {this}
+     * @example
+     * storageManager.addMigration(1, data => {
+     *  // Rename a component type
+     *  const update = comps => comps.forEach(comp => {
+     *    comp.type === 'old-type' && (comp.type = 'new-type');
+     *    update(comp.components || []);
+     *  });
+     *  update(data.components);
+     *  return data;
+     * });
+     */
+    addMigration(fromVersion, fn) {
+      migrations.push({ version: fromVersion, fn });
+      migrations.sort((a, b) => a.version - b.version);
+      return this;
+    },
+
+    /**
+     * Get all the migrations, in order of execution
+     * @return {Array<Object>} Array of `{ version, fn }`
+     */
+    getMigrations() {
+      return [...migrations];
+    },
+
+    /**
+     * Migrate loaded data to the current version
+     * @param {Object} data Loaded data
+     * @return {Object} Migrated data
+     * @example
+     * const data = storageManager.migrate({ version: 1, components: '[...]' });
+     */
+    migrate(data = {}) {
+      const version = this.getVersion();
+      const from = parseFloat(data[keyVersion]) || 0;
+      const storable = this.getStorableKeys();
+      const stored = Object.keys(data).filter(
+        key =>
+          !isUndefined(data[key]) &&
+          (!storable.length || storable.indexOf(key) >= 0)
+      );
+      const toRun = migrations.filter(
+        m => m.version >= from && m.version < version
+      );
+
+      // Nothing to migrate in a new project
+      if (!toRun.length || !stored.length) return data;
+
+      let result = {};
+
+      for (let key in data) {
+        let value = data[key];
+
+        if (isString(value) && /^\s*[[{]/.test(value)) {
+          try {
+            value = JSON.parse(value);
+          } catch (e) {}
+        }
+
+        result[key] = value;
+      }
+
+      try {
+        toRun.forEach(m => {
+          result = m.fn(result, { from: m.version, to: version }) || result;
+        });
+      } catch (err) {
+        this.onError('migrate', err);
+        return data;
+      }
+
+      result[keyVersion] = version;
+      em && em.trigger('storage:migrate', result, { from, to: version });
+
+      return result;
+    },
+
+    /**
+     * Get the list of revisions of the current project
+     * @param {Function} clb Callback function, receives the array of revisions
+     * @example
+     * storageManager.listRevisions(revisions => {
+     *  // [{ id: 'abc', name: 'Before client review', author: 'John', createdAt: 1588000000000 }, ...]
+     * });
+     */
+    listRevisions(clb) {
+      this.load(keyRevisions, res => {
+        let list = res[keyRevisions] || [];
+
+        if (isString(list)) {
+          try {
+            list = JSON.parse(list);
+          } catch (err) {
+            em && em.logError(err);
+            list = [];
+          }
+        }
+
+        clb && clb(list);
+      });
+    },
+
+    /**
+     * Create a named revision (snapshot) of the current components, styles and assets
+     * and store it in the current project
+     * @param {Object} [data={}] Revision metadata
+     * @param {String} [data.name] Revision name
+     * @param {String} [data.author] Revision author
+     * @param {Function} [clb] Callback function, receives the new revision
+     * @example
+     * storageManager.createRevision({ name: 'Before client review', author: 'John' });
+     */
+    createRevision(data = {}, clb) {
+      if (!em) return;
+      const snapshot = em.getStorableData();
+
+      this.listRevisions(list => {
+        const createdAt = Date.now();
+        const revision = {
+          name: '',
+          author: '',
+          ...data,
+          id: uniqueId(`${createdAt.toString(36)}-`),
+          createdAt
+        };
+        list.push(revision);
+        this.store(
+          {
+            [keyRevisions]: JSON.stringify(list),
+            [`${keyRevision}${revision.id}`]: JSON.stringify(snapshot)
+          },
+          () => {
+            em.trigger('revision:add', revision);
+            clb && clb(revision);
+          }
+        );
+      });
+    },
+
+    /**
+     * Get the data stored in the revision
+     * @param {String} id Revision id
+     * @param {Function} clb Callback function, receives the revision data
+     * (eg. `{ components: '...', styles: '...', assets: '...' }`) or `null` if not found
+     * @example
+     * storageManager.getRevision('abc', data => console.log(data));
+     */
+    getRevision(id, clb) {
+      const key = `${keyRevision}${id}`;
+      this.load(key, res => {
+        let data = res[key] || null;
+
+        if (isString(data)) {
+          try {
+            data = JSON.parse(data);
+          } catch (err) {
+            em && em.logError(err);
+            data = null;
+          }
+        }
+
+        clb && clb(data);
+      });
+    },
+
+    /**
+     * Restore the revision in the editor. Changes of components and styles are
+     * registered as a single step in the UndoManager
+     * @param {String} id Revision id
+     * @param {Function} [clb] Callback function, receives the restored data
+     * @example
+     * storageManager.restoreRevision('abc');
+     * // Restore the previous state
+     * editor.UndoManager.undo();
+     */
+    restoreRevision(id, clb) {
+      this.getRevision(id, data => {
+        if (!data || !em) return clb && clb(null);
+        const res = this.migrate(data);
+        const rules = em.get('CssComposer').getAll();
+        let styles = res.styles;
+
+        if (isString(styles)) {
+          try {
+            styles = JSON.parse(styles);
+          } catch (err) {
+            styles = null;
+          }
+        }
+
+        if (!styles && res.css) {
+          styles = em.get('Parser').parseCss(res.css);
+        }
+
+        // All changes are done in the same cycle, so the UndoManager
+        // is able to undo/redo them as a single step
+        em.get('DomComponents')
+          .clear()
+          .load(res);
+        rules.remove(rules.models.slice());
+        styles && rules.add(styles);
+        em.get('AssetManager').load(res);
+
+        em.trigger('revision:restore', id, res);
+        clb && clb(res);
+      });
+    },
+
+    /**
+     * Delete the revision
+     * @param {String} id Revision id
+     * @param {Function} [clb] Callback function
+     * @example
+     * storageManager.deleteRevision('abc');
+     */
+    deleteRevision(id, clb) {
+      this.listRevisions(list => {
+        const st = this.getCurrentStorage();
+        const revision = list.filter(rev => rev.id === id)[0];
+        const toStore = list.filter(rev => rev.id !== id);
+        st &&
+          st.remove &&
+          st.remove([`${this.getKeyPrefix()}${keyRevision}${id}`]);
+        this.store({ [keyRevisions]: JSON.stringify(toStore) }, () => {
+          em && revision && em.trigger('revision:remove', revision);
+          clb && clb();
+        });
+      });
+    },
+
     /**
      * Load default storages
      * @return {this}
@@ -331,6 +877,13 @@ export default () => {
     canAutoload() {
       const storage = this.getCurrentStorage();
       return storage && this.getConfig().autoload;
+    },
+
+    destroy() {
+      for (let id in storages) {
+        const st = storages[id];
+        st && isFunction(st.__destroy) && st.__destroy();
+      }
     }
   };
 };
@@ -0,0 +1,258 @@
+import Backbone from 'backbone';
+import { isString } from 'underscore';
+
+const errQuota = 'QuotaExceededError';
+
+export default Backbone.Model.extend({
+  defaults: {
+    dbName: 'gjs',
+    objectStoreName: 'projects',
+    project: 'default',
+    checkQuota: true
+  },
+
+  /**
+   * Get the IndexedDB factory
+   * @return {IDBFactory}
+   * @private
+   */
+  getFactory() {
+    return typeof window !== 'undefined' && window.indexedDB;
+  },
+
+  /**
+   * Open the database, the connection is cached for the next calls
+   * @return {Promise<IDBDatabase>}
+   * @private
+   */
+  getDb() {
+    if (this.db) return this.db;
+    const factory = this.getFactory();
+    const osName = this.get('objectStoreName');
+
+    this.db = new Promise((res, rej) => {
+      if (!factory)
+        return rej(new Error("Your browser doesn't support IndexedDB"));
+      const req = factory.open(this.get('dbName'), 1);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        !db.objectStoreNames.contains(osName) &&
+          db.createObjectStore(osName, { keyPath: 'id' });
+      };
+      req.onsuccess = () => res(req.result);
+      req.onerror = () => rej(req.error);
+    });
+
+    // Allow a new attempt on the next call
+    this.db.catch(() => (this.db = null));
+
+    return this.db;
+  },
+
+  /**
+   * Run a request against the object store and resolve with its result
+   * once the transaction is completed
+   * @param {String} mode Transaction mode
+   * @param {Function} run Receives the object store and returns the request
+   * @return {Promise}
+   * @private
+   */
+  transaction(mode, run) {
+    const osName = this.get('objectStoreName');
+
+    return this.getDb().then(
+      db =>
+        new Promise((res, rej) => {
+          const tx = db.transaction(osName, mode);
+          const req = run(tx.objectStore(osName));
+          tx.oncomplete = () => res(req && req.result);
+          tx.onerror = () => rej(tx.error);
+          tx.onabort = () => rej(tx.error);
+        })
+    );
+  },
+
+  /**
+   * Get the id of the current project
+   * @return {String}
+   */
+  getProject() {
+    return this.get('project');
+  },
+
+  /**
+   * Set the id of the project to use for the next store/load calls
+   * @param {String} id Project id
+   * @return {this}
+   */
+  setProject(id) {
+    return this.set('project', id);
+  },
+
+  /**
+   * Get the approximated size, in bytes, of the data to store
+   * (strings are stored in UTF-16)
+   * @param {Object} data
+   * @return {Number}
+   * @private
+   */
+  getDataSize(data = {}) {
+    return Object.keys(data).reduce((acc, key) => {
+      const value = data[key];
+      const str = isString(value) ? value : JSON.stringify(value) || '';
+      return acc + (key.length + str.length) * 2;
+    }, 0);
+  },
+
+  /**
+   * Check if the data of the size passed fits in the available space.
+   * Resolves immediately if the StorageManager API is not supported
+   * @param {Number} size Size in bytes
+   * @return {Promise}
+   * @private
+   */
+  checkQuota(size) {
+    const storage = typeof navigator !== 'undefined' && navigator.storage;
+
+    if (!this.get('checkQuota') || !storage || !storage.estimate) {
+      return Promise.resolve();
+    }
+
+    return storage.estimate().then(({ usage = 0, quota }) => {
+      if (quota && usage + size > quota) {
+        return Promise.reject(this.createQuotaError(size, usage, quota));
+      }
+    });
+  },
+
+  /**
+   * @private
+   */
+  createQuotaError(size, usage, quota) {
+    const err = new Error(
+      `Not enough space to store the project (required: ${size}, available: ${quota -
+        usage} bytes)`
+    );
+    err.name = errQuota;
+    err.size = size;
+    err.usage = usage;
+    err.quota = quota;
+    return err;
+  },
+
+  /**
+   * @private
+   */
+  onError(err, clbErr) {
+    if (clbErr) {
+      clbErr(err);
+    } else {
+      const em = this.get('em');
+      console.error(err);
+      em && em.trigger('storage:error', err);
+    }
+  },
+
+  /**
+   * Get the record of the project
+   * @param {String} [id] Project id, the current one by default
+   * @return {Promise<Object|undefined>}
+   * @private
+   */
+  getRecord(id = this.getProject()) {
+    return this.transaction('readonly', os => os.get(id));
+  },
+
+  /**
+   * @private
+   */
+  store(data, clb, clbErr) {
+    const id = this.getProject();
+
+    return this.checkQuota(this.getDataSize(data))
+      .then(() =>
+        this.transaction('readwrite', os => {
+          const req = os.get(id);
+          req.onsuccess = () => {
+            const record = req.result || { id, data: {} };
+            record.data = { ...record.data, ...data };
+            record.size = this.getDataSize(record.data);
+            record.updatedAt = Date.now();
+            os.put(record);
+          };
+        })
+      )
+      .then(() => clb && clb())
+      .catch(err => this.onError(err, clbErr));
+  },
+
+  /**
+   * @private
+   */
+  load(keys, clb, clbErr) {
+    return this.getRecord()
+      .then((record = {}) => {
+        const data = record.data || {};
+        const result = {};
+        keys.forEach(key => {
+          if (key in data) result[key] = data[key];
+        });
+        clb && clb(result);
+        return result;
+      })
+      .catch(err => this.onError(err, clbErr));
+  },
+
+  /**
+   * @private
+   */
+  remove(keys, clb, clbErr) {
+    const id = this.getProject();
+
+    return this.transaction('readwrite', os => {
+      const req = os.get(id);
+      req.onsuccess = () => {
+        const record = req.result;
+        if (!record) return;
+        keys.forEach(key => delete record.data[key]);
+        record.size = this.getDataSize(record.data);
+        os.put(record);
+      };
+    })
+      .then(() => clb && clb())
+      .catch(err => this.onError(err, clbErr));
+  },
+
+  /**
+   * Get all the projects stored in the database
+   * @param {Function} clb Callback, receives an array of `{ id, size, updatedAt }`
+   * @param {Function} [clbErr] Error callback
+   * @return {Promise}
+   */
+  getProjects(clb, clbErr) {
+    return this.transaction('readonly', os => os.getAll())
+      .then((records = []) => {
+        const result = records.map(({ id, size, updatedAt }) => ({
+          id,
+          size,
+          updatedAt
+        }));
+        clb && clb(result);
+        return result;
+      })
+      .catch(err => this.onError(err, clbErr));
+  },
+
+  /**
+   * Remove the project from the database
+   * @param {String} id Project id
+   * @param {Function} [clb] Callback
+   * @param {Function} [clbErr] Error callback
+   * @return {Promise}
+   */
+  removeProject(id, clb, clbErr) {
+    return this.transaction('readwrite', os => os.delete(id))
+      .then(() => clb && clb())
+      .catch(err => this.onError(err, clbErr));
+  }
+});
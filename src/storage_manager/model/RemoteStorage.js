@@ -1,6 +1,16 @@
 import Backbone from 'backbone';
 import fetch from 'utils/fetch';
-import { isUndefined, isFunction } from 'underscore';
+import {
+  isUndefined,
+  isFunction,
+  isString,
+  isArray,
+  bindAll,
+  has,
+  keys
+} from 'underscore';
+import { createPatch } from 'utils/patch';
+import { on, off } from 'utils/mixins';
 
 export default Backbone.Model.extend({
   fetch,
@@ -13,7 +23,37 @@ export default Backbone.Model.extend({
     onComplete() {},
     contentTypeJson: false,
     credentials: 'include',
-    fetchOptions: ''
+    fetchOptions: '',
+    patch: false,
+    urlPatch: '',
+    retry: false,
+    retryMax: 5,
+    retryDelay: 1000,
+    retryDelayMax: 30000,
+    retryPersist: true
+  },
+
+  initialize() {
+    bindAll(this, 'flushQueue');
+    this.lastStored = null;
+    this.queue = null;
+    this.attempt = 0;
+
+    if (this.get('retry')) {
+      const data = this.getPersisted();
+      data && (this.queue = { data, clbs: [], errs: [] });
+      typeof window !== 'undefined' && on(window, 'online', this.flushQueue);
+    }
+  },
+
+  /**
+   * Stop listening to the connection and pending retries
+   * @private
+   */
+  __destroy() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    typeof window !== 'undefined' && off(window, 'online', this.flushQueue);
   },
 
   /**
@@ -30,11 +70,12 @@ export default Backbone.Model.extend({
    * Triggered on request error
    * @param  {Object} err Error
    * @param  {Function} [clbErr] Error callback
+   * @param  {Response} [response] Response of the request, if any
    * @private
    */
-  onError(err, clbErr) {
+  onError(err, clbErr, response) {
     if (clbErr) {
-      clbErr(err);
+      clbErr(err, response);
     } else {
       const em = this.get('em');
       console.error(err);
@@ -59,6 +100,207 @@ export default Backbone.Model.extend({
   },
 
   store(data, clb, clbErr) {
+    if (!this.get('retry')) {
+      return this.send(data, clb, clbErr);
+    }
+
+    const { queue } = this;
+    // Stores could contain only a part of the data (eg. projects or revisions),
+    // so the pending data is merged instead of replaced
+    this.queue = {
+      data: { ...(queue ? queue.data : {}), ...data },
+      clbs: [...(queue ? queue.clbs : []), clb],
+      errs: [...(queue ? queue.errs : []), clbErr]
+    };
+    this.persist(this.queue.data);
+
+    // Something is already pending, the latest data will be sent later
+    if (this.sending || this.retryTimer || this.isOffline()) {
+      this.onQueued();
+    } else {
+      this.flushQueue();
+    }
+  },
+
+  /**
+   * Send the data to store, in patch mode only changes are sent
+   * @private
+   */
+  send(data, clb, clbErr) {
+    const lastStored = this.lastStored || {};
+    const prev = {};
+    const onStored = res => {
+      this.lastStored = { ...this.lastStored, ...data };
+      clb && clb(res);
+    };
+
+    // Keys already contain the project prefix, so only data of the same
+    // project is compared. Keys not in `data` are not part of the patch,
+    // as some store (eg. projects or revisions) sends only a part of the data
+    for (let key in data) {
+      has(lastStored, key) && (prev[key] = lastStored[key]);
+    }
+
+    if (!this.get('patch') || !keys(prev).length) {
+      return this.storeFull(data, onStored, clbErr);
+    }
+
+    const patch = this.createPatch(prev, data);
+
+    if (!patch.length) {
+      return onStored();
+    }
+
+    const url = this.get('urlPatch') || this.get('urlStore');
+    const typeJson = this.get('contentTypeJson');
+    const body = { patch: typeJson ? patch : JSON.stringify(patch) };
+
+    // In case the server is not able to apply the patch, fallback to the full store
+    this.request(url, { body }, onStored, () =>
+      this.storeFull(data, onStored, clbErr)
+    );
+  },
+
+  /**
+   * Send the queued data, callbacks of all the coalesced stores are
+   * executed on success
+   * @private
+   */
+  flushQueue() {
+    const { queue, attempt } = this;
+    if (!queue || this.sending || this.isOffline()) return;
+    const em = this.get('em');
+    const { data, clbs, errs } = queue;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.queue = null;
+    this.sending = 1;
+    attempt && em && em.trigger('storage:retry', { data, attempt });
+
+    this.send(
+      data,
+      res => {
+        this.sending = 0;
+        this.attempt = 0;
+        !this.queue && this.persist();
+        clbs.forEach(clb => clb && clb(res));
+        this.flushQueue();
+      },
+      (err, response) => {
+        const { retryMax } = this.attributes;
+        const retriable = !response || response.status >= 500;
+        this.sending = 0;
+
+        if (retriable && (!retryMax || attempt < retryMax)) {
+          const next = this.queue;
+          // Keep the most recent data but all the callbacks
+          this.queue = {
+            data: { ...data, ...(next ? next.data : {}) },
+            clbs: [...clbs, ...(next ? next.clbs : [])],
+            errs: [...errs, ...(next ? next.errs : [])]
+          };
+          this.persist(this.queue.data);
+          this.scheduleRetry();
+        } else {
+          this.attempt = 0;
+          const clbErrs = errs.filter(Boolean);
+          clbErrs.forEach(clbErr => clbErr(err, response));
+          // Stores without their callback share a single report of the error
+          clbErrs.length < errs.length && this.onError(err, null, response);
+          this.flushQueue();
+        }
+      }
+    );
+  },
+
+  /**
+   * Schedule the next attempt of sending the queue, with exponential backoff
+   * @private
+   */
+  scheduleRetry() {
+    const { retryDelay, retryDelayMax } = this.attributes;
+    const delay = Math.min(
+      retryDelay * Math.pow(2, this.attempt),
+      retryDelayMax
+    );
+    this.attempt++;
+    this.onQueued(delay);
+
+    // If offline, the queue will be sent on `online` event
+    if (!this.isOffline()) {
+      this.retryTimer = setTimeout(this.flushQueue, delay);
+    }
+  },
+
+  /**
+   * @private
+   */
+  onQueued(delay) {
+    const em = this.get('em');
+    const { queue, attempt } = this;
+    em && em.trigger('storage:queued', { data: queue.data, attempt, delay });
+  },
+
+  /**
+   * @private
+   */
+  isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  },
+
+  /**
+   * Get the key used to persist unsent data in localStorage
+   * @private
+   */
+  getPersistKey() {
+    return `${this.get('id') || ''}remote-queue`;
+  },
+
+  /**
+   * Persist unsent data in localStorage, remove it if no data is passed
+   * @param {Object} [data]
+   * @private
+   */
+  persist(data) {
+    if (!this.get('retryPersist') || typeof localStorage === 'undefined') {
+      return;
+    }
+
+    const key = this.getPersistKey();
+
+    try {
+      data
+        ? localStorage.setItem(key, JSON.stringify(data))
+        : localStorage.removeItem(key);
+    } catch (err) {
+      const em = this.get('em');
+      em && em.logWarning(err);
+    }
+  },
+
+  /**
+   * Get unsent data persisted in localStorage
+   * @return {Object|null}
+   * @private
+   */
+  getPersisted() {
+    if (!this.get('retryPersist') || typeof localStorage === 'undefined') {
+      return null;
+    }
+
+    try {
+      const data = localStorage.getItem(this.getPersistKey());
+      return data ? JSON.parse(data) : null;
+    } catch (err) {
+      return null;
+    }
+  },
+
+  /**
+   * Store all the data
+   * @private
+   */
+  storeFull(data, clb, clbErr) {
     const body = {};
 
     for (let key in data) {
@@ -68,8 +310,76 @@ export default Backbone.Model.extend({
     this.request(this.get('urlStore'), { body }, clb, clbErr);
   },
 
+  /**
+   * Create the patch (JSON Patch format) of changes between the previously stored
+   * data and the new one. Components are matched by their id (those without it
+   * by their content) and CSS rules by their selectors, state and media
+   * @param {Object} prev Previously stored data
+   * @param {Object} next Data to store
+   * @return {Array<Object>}
+   * @private
+   */
+  createPatch(prev, next) {
+    const parse = data => {
+      const result = {};
+
+      for (let key in data) {
+        let value = data[key];
+
+        if (isString(value) && /^\s*[[{]/.test(value)) {
+          try {
+            value = JSON.parse(value);
+          } catch (e) {}
+        }
+
+        result[key] = value;
+      }
+
+      return result;
+    };
+
+    return createPatch(parse(prev), parse(next), { getKey: this.getItemKey });
+  },
+
+  /**
+   * Get the key of stored items (components and CSS rules)
+   * @param {Object} item
+   * @return {String|undefined}
+   * @private
+   */
+  getItemKey(item) {
+    if (!item || isString(item) || isArray(item)) return;
+    const { attributes, selectors } = item;
+
+    if (selectors || item.selectorsAdd || item.mediaText || item.atRuleType) {
+      const sels = (isArray(selectors) ? selectors : [])
+        .map(sel =>
+          isString(sel) ? sel : `${sel.type === 2 ? '#' : '.'}${sel.name}`
+        )
+        .join('');
+      const { selectorsAdd = '', state = '' } = item;
+      const { atRuleType = '', mediaText = '' } = item;
+      return `${sels}${selectorsAdd}:${state}@${atRuleType}${mediaText}`;
+    }
+
+    return attributes && attributes.id;
+  },
+
   load(keys, clb, clbErr) {
-    this.request(this.get('urlLoad'), { method: 'get' }, clb, clbErr);
+    const { queue } = this;
+    const load = () =>
+      this.request(this.get('urlLoad'), { method: 'get' }, clb, clbErr);
+
+    // Unsent data is more recent than the remote one, so try to send it first.
+    // If not possible, load directly the unsent data
+    if (queue) {
+      if (this.isOffline()) return clb && clb(queue.data);
+      queue.clbs.push(load);
+      queue.errs.push(() => clb && clb(queue.data));
+      return this.flushQueue();
+    }
+
+    load();
   },
 
   /**
@@ -130,17 +440,19 @@ export default Backbone.Model.extend({
       ? fetchOpts(fetchOptions)
       : fetchOptions;
 
+    let response;
     this.onStart();
     this.fetch(url, {
       ...fetchOptions,
       ...(addOpts || {})
     })
-      .then(res =>
-        ((res.status / 200) | 0) == 1
+      .then(res => {
+        response = res;
+        return ((res.status / 200) | 0) == 1
           ? res.text()
-          : res.text().then(text => Promise.reject(text))
-      )
+          : res.text().then(text => Promise.reject(text));
+      })
       .then(text => this.onResponse(text, clb))
-      .catch(err => this.onError(err, clbErr));
+      .catch(err => this.onError(err, clbErr, response));
   }
 });
@@ -60,7 +60,8 @@ export default Backbone.View.extend({
 
   removeItem(ev) {
     ev && ev.stopPropagation();
-    this.remove();
+    const um = this.em && this.em.get('UndoManager');
+    um ? um.transaction(null, () => this.remove()) : this.remove();
   },
 
   remove(opts = {}) {
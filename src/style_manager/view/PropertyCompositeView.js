@@ -23,8 +23,10 @@ export default PropertyView.extend({
 
   clear(e) {
     const props = this.properties;
-    props && props.forEach(propView => propView.clear());
-    PropertyView.prototype.clear.apply(this, arguments);
+    this.__transaction(() => {
+      props && props.forEach(propView => propView.clear());
+      PropertyView.prototype.clear.apply(this, arguments);
+    });
   },
 
   /**
@@ -87,6 +87,13 @@ export default PropertyCompositeView.extend({
   },
 
   addLayer() {
+    this.__transaction(() => this.__addLayer());
+  },
+
+  /**
+   * @private
+   */
+  __addLayer() {
     const model = this.model;
     const layers = this.getLayers();
     const prepend = model.get('prepend');
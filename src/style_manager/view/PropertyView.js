@@ -139,7 +139,7 @@ export default Backbone.View.extend({
    */
   clear(ev) {
     ev && ev.stopPropagation();
-    this.model.clearValue();
+    this.__transaction(() => this.model.clearValue());
     // Skip one stack with setTimeout to avoid inconsistencies (eg. visible on padding composite clear)
     setTimeout(() => this.targetUpdated());
   },
@@ -409,10 +409,23 @@ export default Backbone.View.extend({
 
     // Avoid target update if the changes comes from it
     if (!opt.fromTarget) {
-      this.getTargets().forEach(target => this.__updateTarget(target, opt));
+      this.__transaction(() =>
+        this.getTargets().forEach(target => this.__updateTarget(target, opt))
+      );
     }
   },
 
+  /**
+   * Run the function in a single UndoManager entry, so changes of
+   * composite and stack properties are undone in one step
+   * @param {Function} fn
+   * @private
+   */
+  __transaction(fn) {
+    const um = this.em && this.em.get('UndoManager');
+    return um ? um.transaction(null, fn) : fn();
+  },
+
   __updateTarget(target, opt = {}) {
     const { model } = this;
     const { em } = this.config;
@@ -549,6 +562,11 @@ export default Backbone.View.extend({
       }
     }
 
+    // Locked components can't be styled
+    if (trg.isLocked && trg.isLocked()) {
+      stylable = false;
+    }
+
     return stylable;
   },
 
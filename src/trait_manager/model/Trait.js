@@ -30,6 +30,10 @@ export default Backbone.Model.extend({
         ? `change:${name}`
         : `change:attributes:${name}`;
       this.listenTo(target, targetEvent, this.targetUpdated);
+
+      // Make changes of the property undoable
+      const um = changeProp && target.em && target.em.get('UndoManager');
+      um && um.trackProp(name);
     }
   },
 
@@ -63,7 +67,7 @@ export default Backbone.Model.extend({
   setTargetValue(value, opts = {}) {
     const target = this.target;
     const name = this.get('name');
-    if (isUndefined(value)) return;
+    if (isUndefined(value) || (target.isLocked && target.isLocked())) return;
     let valueToSet = value;
 
     if (value === 'false') {
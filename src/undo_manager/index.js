@@ -19,32 +19,120 @@
  * * [hasUndo](#hasundo)
  * * [hasRedo](#hasredo)
  * * [getStack](#getstack)
+ * * [getStackGroup](#getstackgroup)
+ * * [goTo](#goto)
+ * * [startGroup](#startgroup)
+ * * [endGroup](#endgroup)
+ * * [transaction](#transaction)
  * * [clear](#clear)
+ * * [trackProp](#trackprop)
+ * * [getTrackedProps](#gettrackedprops)
+ * * [serializeStack](#serializestack)
+ * * [restoreStack](#restorestack)
  *
  * @module UndoManager
  */
 
 import UndoManager from 'backbone-undo';
+import HistoryView from './view/HistoryView';
+import {
+  isString,
+  isNumber,
+  isBoolean,
+  isNull,
+  isUndefined,
+  isFunction,
+  isArray
+} from 'underscore';
 
 export default () => {
   let em;
   let um;
   let config;
-  let beforeCache;
+  let beforeCache = {};
+  let pending;
+  let loaded;
+  let group;
+  let groupDepth = 0;
+  let groupCount = 0;
+  let historyView;
+  const keyStack = 'undo';
   const configDef = {
-    maximumStackLength: 500
+    maximumStackLength: 500,
+
+    // Store the undo/redo stack in the project, so it's still available after a reload
+    persist: 0,
+
+    // Properties of components and CSS rules tracked by the UndoManager.
+    // Props of traits with `changeProp` are added automatically
+    trackProps: [
+      'style',
+      'attributes',
+      'content',
+      'src',
+      'tagName',
+      'name',
+      'traits',
+      'draggable',
+      'droppable',
+      'removable',
+      'copyable',
+      'stylable',
+      'locked'
+    ],
+
+    // Track the selection of components and the selected state (eg. hover)
+    trackSelection: 0
+  };
+
+  const isPrimitive = value =>
+    isString(value) || isNumber(value) || isBoolean(value) || isNull(value);
+
+  const pickPrimitives = (obj = {}) =>
+    Object.keys(obj).reduce((acc, key) => {
+      isPrimitive(obj[key]) && (acc[key] = obj[key]);
+      return acc;
+    }, {});
+
+  const getRuleKey = rule => `${rule.getAtRule()}${rule.selectorsToString()}`;
+
+  const getEntityName = obj => {
+    if (!obj) return '';
+    if (obj.getName) return obj.getName();
+    if (obj.selectorsToString) return getRuleKey(obj);
+    return obj.parent && obj.parent.getName ? obj.parent.getName() : '';
+  };
+
+  const getActionLabel = action => {
+    const { type, object, before, after } = action.attributes;
+    const [evName, prop] = type.split(':');
+    const name = getEntityName(
+      evName === 'add' ? after : evName === 'remove' ? before : object
+    );
+    const params = { name, prop };
+    const label =
+      em && em.get('I18n') && em.t(`undoManager.labels.${evName}`, { params });
+    return label || [evName, prop, name].filter(Boolean).join(' ');
   };
 
   return {
     name: 'UndoManager',
 
+    /**
+     * Keys used to store the stack in the project
+     * @private
+     */
+    storageKey() {
+      return config.persist ? [keyStack] : [];
+    },
+
     /**
      * Initialize module
      * @param {Object} config Configurations
      * @private
      */
     init(opts = {}) {
-      config = { ...opts, ...configDef };
+      config = { ...configDef, ...opts };
       em = config.em;
       this.em = em;
       um = new UndoManager({ track: true, register: [], ...config });
@@ -71,38 +159,44 @@ export default () => {
           };
         }
       });
-      const customUndoType = {
-        on(object, value, opt = {}) {
-          !beforeCache && (beforeCache = object.previousAttributes());
+      this.trackProp(config.trackProps);
 
-          if (opt.avoidStore) {
-            return;
-          } else {
-            const result = {
-              object,
-              before: beforeCache,
-              after: object.toJSON()
-            };
-            beforeCache = null;
-            return result;
-          }
-        },
-
-        undo(model, bf, af, opt) {
-          model.set(bf);
-        },
-
-        redo(model, bf, af, opt) {
-          model.set(af);
-        }
-      };
+      if (config.trackSelection && em) {
+        um.register(em.get('selected'));
+        um.register(em);
+        this.trackProp('state');
+      }
 
-      const events = ['style', 'attributes', 'content', 'src'];
-      events.forEach(ev => um.addUndoType(`change:${ev}`, customUndoType));
       um.on('undo redo', () =>
         em.trigger('component:toggled change:canvasOffset')
       );
       ['undo', 'redo'].forEach(ev => um.on(ev, () => em.trigger(ev)));
+      um.stack.on('add', action => {
+        const attrs = {};
+
+        if (group) {
+          // Actions of the same group are undone/redone together
+          attrs.magicFusionIndex = group.id;
+        }
+
+        if (!action.get('label')) {
+          attrs.label = (group && group.label) || getActionLabel(action);
+        }
+
+        !action.get('timestamp') && (attrs.timestamp = Date.now());
+
+        action.set(attrs);
+      });
+
+      if (config.persist && em) {
+        // The stack can be restored only once components and rules are loaded
+        // and it has to survive the clear on the first editor load
+        em.on('storage:load', () => this.restorePending());
+        em.on('load', () => {
+          loaded = 1;
+          this.restorePending();
+        });
+      }
 
       return this;
     },
@@ -241,11 +335,11 @@ export default () => {
     },
 
     /**
-     * Get stack of changes
+     * Get stack of changes. Each item has a human-readable `label`
      * @return {Collection}
      * @example
      * const stack = um.getStack();
-     * stack.each(item => ...);
+     * stack.each(item => console.log(item.get('label')));
      */
     getStack() {
       return um.stack;
@@ -280,6 +374,199 @@ export default () => {
       return this.getStack().pointer;
     },
 
+    /**
+     * Get the index of the last action in the group of the passed one
+     * @param {Object} action Action of the stack
+     * @return {Number}
+     * @private
+     */
+    getGroupEnd(action) {
+      const stack = this.getStack();
+      const groupId = action.get('magicFusionIndex');
+      let index = stack.indexOf(action);
+
+      while (
+        stack.at(index + 1) &&
+        stack.at(index + 1).get('magicFusionIndex') === groupId
+      ) {
+        index++;
+      }
+
+      return index;
+    },
+
+    /**
+     * Undo/redo all the changes until the passed entry of the stack,
+     * the state after its change is restored
+     * @param {Object|Number} target Action of the stack or its index, `-1` for the initial state
+     * @return {this}
+     * @example
+     * const [first] = um.getStackGroup();
+     * um.goTo(first);
+     * // back to the initial state
+     * um.goTo(-1);
+     */
+    goTo(target) {
+      const stack = this.getStack();
+      let index = isNumber(target) ? target : stack.indexOf(target);
+      if (em.isEditing() || index < -1 || index >= stack.length) return this;
+      index >= 0 && (index = this.getGroupEnd(stack.at(index)));
+      let pointer;
+
+      // Stop if the pointer can't be moved, eg. during another undo/redo
+      while (stack.pointer !== index && stack.pointer !== pointer) {
+        pointer = stack.pointer;
+        pointer > index ? um.undo(true) : um.redo(true);
+      }
+
+      return this;
+    },
+
+    /**
+     * Render the history of changes
+     * @return {HTMLElement}
+     * @private
+     */
+    render() {
+      if (!historyView) {
+        historyView = new HistoryView({
+          collection: this.getStack(),
+          module: this,
+          config
+        });
+      }
+
+      return historyView.render().el;
+    },
+
+    /**
+     * Track changes of properties, on components and CSS rules
+     * @param {String|Array<String>} prop Property name
+     * @return {this}
+     * @example
+     * um.trackProp('my-prop');
+     * component.set('my-prop', 'value'); // this change can be undone
+     */
+    trackProp(prop) {
+      const props = isArray(prop) ? prop : [prop];
+
+      props.forEach(prop => {
+        const type = `change:${prop}`;
+        if (!prop || um.undoTypes[type]) return;
+
+        um.addUndoType(type, {
+          on(object, value, opt = {}) {
+            const key = `${object.cid}:${prop}`;
+            !(key in beforeCache) && (beforeCache[key] = object.previous(prop));
+            if (opt.avoidStore) return;
+            const before = beforeCache[key];
+            delete beforeCache[key];
+
+            return {
+              object,
+              before: { [prop]: before },
+              after: { [prop]: value }
+            };
+          },
+
+          undo(model, bf) {
+            model.set(bf);
+          },
+
+          redo(model, bf, af) {
+            model.set(af);
+          }
+        });
+      });
+
+      return this;
+    },
+
+    /**
+     * Get the list of tracked properties
+     * @return {Array<String>}
+     * @example
+     * um.getTrackedProps();
+     * // ['style', 'attributes', ...]
+     */
+    getTrackedProps() {
+      return Object.keys(um.undoTypes)
+        .filter(type => type.indexOf('change:') === 0)
+        .map(type => type.split(':')[1]);
+    },
+
+    /**
+     * Start a group of changes, all the changes registered until `endGroup`
+     * are collapsed in a single entry, undone and redone together.
+     * Nested groups are merged into the outer one
+     * @param {String} [label] Label of the entry
+     * @param {Object} [opts={}] Options
+     * @param {Boolean} [opts.join=false] Add the changes to the last entry of the stack, instead of a new one
+     * @return {this}
+     * @example
+     * um.startGroup('Update header');
+     * header.addStyle({ color: 'red' });
+     * header.components('New content');
+     * um.endGroup();
+     */
+    startGroup(label, opts = {}) {
+      if (!groupDepth++) {
+        const stack = this.getStack();
+        const last = opts.join && stack.pointer >= 0 && stack.at(stack.pointer);
+        group = last
+          ? { id: last.get('magicFusionIndex'), label: last.get('label') }
+          : { id: `group-${++groupCount}`, label };
+      }
+
+      return this;
+    },
+
+    /**
+     * End the group of changes started with `startGroup`
+     * @return {this}
+     * @example
+     * um.endGroup();
+     */
+    endGroup() {
+      groupDepth = Math.max(groupDepth - 1, 0);
+      !groupDepth && (group = null);
+      return this;
+    },
+
+    /**
+     * Run the function and collapse all the changes it makes in a single entry.
+     * The group is closed once the function returns, so asynchronous changes
+     * are not part of it (use `startGroup`/`endGroup` for those)
+     * @param {String} [label] Label of the entry
+     * @param {Function} fn Function to execute
+     * @param {Object} [opts={}] Options, same as `startGroup`
+     * @return {any} The result of the function
+     * @example
+     * um.transaction('Clone component', () => {
+     *  editor.runCommand('core:copy');
+     *  editor.runCommand('core:paste');
+     * });
+     */
+    transaction(label, fn, opts = {}) {
+      let result;
+      this.startGroup(label, opts);
+
+      try {
+        result = fn();
+      } finally {
+        this.endGroup();
+      }
+
+      if (result && isFunction(result.then)) {
+        em &&
+          em.logWarning(
+            'UndoManager transaction: changes made asynchronously are not grouped'
+          );
+      }
+
+      return result;
+    },
+
     /**
      * Clear the stack
      * @return {this}
@@ -293,6 +580,273 @@ export default () => {
 
     getInstance() {
       return um;
+    },
+
+    /**
+     * Store the stack (if `persist` option is enabled)
+     * @param {Boolean} noStore If true, won't store
+     * @return {Object} Data to store
+     * @private
+     */
+    store(noStore) {
+      const obj = {};
+      if (!config.persist) return obj;
+      obj[keyStack] = JSON.stringify(this.serializeStack());
+      !noStore && config.stm && config.stm.store(obj);
+      return obj;
+    },
+
+    /**
+     * Load the stack from stored data. The stack is restored
+     * once the project data is completely loaded
+     * @param {Object} data Loaded data
+     * @private
+     */
+    load(data = {}) {
+      let stack = data[keyStack];
+      pending = null;
+      if (!config.persist || !stack) return;
+
+      if (isString(stack)) {
+        try {
+          stack = JSON.parse(stack);
+        } catch (err) {
+          em && em.logError(err);
+          return;
+        }
+      }
+
+      pending = stack;
+    },
+
+    /**
+     * @private
+     */
+    restorePending() {
+      if (!pending) return;
+      this.restoreStack(pending);
+      loaded && (pending = null);
+    },
+
+    /**
+     * Get a serializable version of the stack, where components and CSS rules
+     * are referenced by their ids/positions and keys.
+     * Actions which can't be serialized, and all the older ones, are skipped
+     * @return {Object}
+     * @example
+     * const data = um.serializeStack();
+     * // { pointer: 1, actions: [...], detached: [...] }
+     */
+    serializeStack() {
+      const stack = this.getStack();
+      const detached = [];
+      const detachedRefs = [];
+      const dc = em.get('DomComponents');
+      const rules = em.get('CssComposer').getAll();
+      const wrapper = dc.getWrapper();
+
+      const addDetached = (model, json) => {
+        let index = detachedRefs.indexOf(model);
+
+        if (index < 0) {
+          index = detachedRefs.push(model) - 1;
+          detached.push(json);
+        }
+
+        return index;
+      };
+
+      const serializeComponent = component => {
+        const { id } = component.get('attributes');
+        const path = [];
+        let curr = component;
+
+        while (curr !== wrapper) {
+          const coll = curr.collection;
+
+          if (!coll) {
+            const index = addDetached(curr, curr.toJSON());
+            return { type: 'component', detached: index, path };
+          }
+
+          path.unshift(coll.indexOf(curr));
+          curr = coll.parent;
+          if (!curr) throw new Error('Component not found');
+        }
+
+        return id && dc.allById()[id] === component
+          ? { type: 'component', id }
+          : { type: 'component', path };
+      };
+
+      const serialize = obj => {
+        if (isUndefined(obj) || isPrimitive(obj)) {
+          return { type: 'value', value: obj };
+        } else if (obj === rules) {
+          return { type: 'rules' };
+        } else if (obj === em) {
+          return { type: 'editor' };
+        } else if (obj === em.get('selected')) {
+          return { type: 'selected' };
+        } else if (obj.toHTML && obj.components) {
+          return serializeComponent(obj);
+        } else if (obj.toCSS) {
+          const index = rules.indexOf(obj);
+          return index < 0
+            ? { type: 'rule', detached: addDetached(obj, obj.toJSON()) }
+            : { type: 'rule', key: getRuleKey(obj), index };
+        } else if (obj.parent && obj.parent.toHTML && obj.parent.components) {
+          return { type: 'components', parent: serializeComponent(obj.parent) };
+        }
+
+        throw new Error('Not serializable');
+      };
+
+      const actions = stack.map(action => {
+        const { type, object, before, after, options } = action.attributes;
+        const prop = type.indexOf('change:') === 0 && type.split(':')[1];
+
+        try {
+          return {
+            type,
+            label: action.get('label'),
+            timestamp: action.get('timestamp'),
+            group: action.get('magicFusionIndex'),
+            object: serialize(object),
+            before: prop ? { [prop]: (before || {})[prop] } : serialize(before),
+            after: prop ? { [prop]: (after || {})[prop] } : serialize(after),
+            options: pickPrimitives(options)
+          };
+        } catch (err) {
+          return null;
+        }
+      });
+
+      // Keep only the most recent actions, until the first not serializable one
+      let pointer = stack.pointer;
+      const lastInvalid = actions.lastIndexOf(null);
+      const result = actions.slice(lastInvalid + 1);
+      pointer = pointer - lastInvalid - 1;
+
+      // Without the current action, redo is not possible
+      if (pointer < -1) {
+        return { pointer: -1, actions: [], detached: [] };
+      }
+
+      const redoInvalid = result.indexOf(null);
+      redoInvalid >= 0 && result.splice(redoInvalid);
+
+      return { pointer, actions: result, detached };
+    },
+
+    /**
+     * Restore the stack from its serialized version, the current stack is replaced
+     * @param {Object} data Serialized stack, returned from `serializeStack`
+     * @return {this}
+     * @example
+     * um.restoreStack(um.serializeStack());
+     */
+    restoreStack(data = {}) {
+      const { actions = [], detached = [], pointer = -1 } = data;
+      const dc = em.get('DomComponents');
+      const rules = em.get('CssComposer').getAll();
+      const wrapper = dc.getWrapper();
+      const detachedModels = [];
+      const groups = [];
+
+      const getDetached = (index, type) => {
+        if (!detachedModels[index]) {
+          const json = detached[index];
+
+          if (type === 'rule') {
+            detachedModels[index] = new rules.model(json, { em });
+          } else {
+            const coll = wrapper.components();
+            const model = coll.model(json, { collection: coll });
+            // The model is not part of the collection
+            delete model.collection;
+            detachedModels[index] = model;
+          }
+        }
+
+        return detachedModels[index];
+      };
+
+      const resolveComponent = ({ id, path = [], detached: dIndex }) => {
+        let comp = !isUndefined(dIndex)
+          ? getDetached(dIndex, 'component')
+          : id
+          ? dc.allById()[id]
+          : wrapper;
+        path.forEach(index => (comp = comp && comp.components().at(index)));
+        if (!comp) throw new Error('Component not found');
+        return comp;
+      };
+
+      const resolve = (ref = {}) => {
+        switch (ref.type) {
+          case 'value':
+            return ref.value;
+          case 'rules':
+            return rules;
+          case 'editor':
+            return em;
+          case 'selected':
+            return em.get('selected');
+          case 'component':
+            return resolveComponent(ref);
+          case 'components':
+            return resolveComponent(ref.parent).components();
+          case 'rule': {
+            if (!isUndefined(ref.detached)) {
+              return getDetached(ref.detached, 'rule');
+            }
+
+            const atIndex = rules.at(ref.index);
+            const rule =
+              atIndex && getRuleKey(atIndex) === ref.key
+                ? atIndex
+                : rules.filter(r => getRuleKey(r) === ref.key)[0];
+            if (!rule) throw new Error('Rule not found');
+            return rule;
+          }
+        }
+
+        throw new Error('Invalid reference');
+      };
+
+      const result = [];
+
+      try {
+        actions.forEach(action => {
+          const { type, group } = action;
+          const isChange = type.indexOf('change:') === 0;
+          let groupIndex = groups.indexOf(group);
+          groupIndex < 0 && (groupIndex = groups.push(group) - 1);
+
+          result.push({
+            type,
+            label: action.label,
+            timestamp: action.timestamp,
+            object: resolve(action.object),
+            before: isChange ? action.before : resolve(action.before),
+            after: isChange ? action.after : resolve(action.after),
+            options: { ...action.options },
+            // Avoid collisions with indexes of new actions
+            magicFusionIndex: -2 - groupIndex,
+            undoTypes: um.undoTypes
+          });
+        });
+      } catch (err) {
+        em.logWarning(`Unable to restore the undo stack: ${err.message}`);
+        return this;
+      }
+
+      const stack = this.getStack();
+      stack.reset(result);
+      stack.pointer = Math.min(pointer, result.length - 1);
+
+      return this;
     }
   };
 };
@@ -0,0 +1,87 @@
+import Backbone from 'backbone';
+import { debounce, escape } from 'underscore';
+
+export default Backbone.View.extend({
+  events: {
+    'click [data-history-index]': 'handleClick'
+  },
+
+  initialize(o = {}) {
+    const config = o.config || {};
+    this.config = config;
+    this.module = o.module;
+    this.em = config.em;
+    this.pfx = `${config.pStylePrefix || ''}history`;
+    this.className = this.pfx;
+    this.update = debounce(() => this.render());
+    this.listenTo(this.collection, 'add remove reset', this.update);
+    this.listenTo(this.em, 'undo redo', this.update);
+  },
+
+  handleClick(ev) {
+    const attr = 'data-history-index';
+    let item = ev.target;
+
+    while (item && item !== this.el && !item.hasAttribute(attr)) {
+      item = item.parentNode;
+    }
+
+    if (!item || item === this.el) return;
+    this.module.goTo(parseInt(item.getAttribute(attr), 10));
+    this.render();
+  },
+
+  /**
+   * Get the formatted time of the entry
+   * @param {Number} timestamp
+   * @return {String}
+   * @private
+   */
+  getTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleTimeString() : '';
+  },
+
+  getItemHtml({ index, label, timestamp, active, future }) {
+    const { pfx } = this;
+    const cls = [
+      `${pfx}-item`,
+      active && `${pfx}-item--active`,
+      future && `${pfx}-item--future`
+    ].filter(Boolean);
+
+    return `
+      <div class="${cls.join(' ')}" data-history-index="${index}">
+        <span class="${pfx}-label">${escape(label)}</span>
+        <span class="${pfx}-time">${this.getTime(timestamp)}</span>
+      </div>
+    `;
+  },
+
+  render() {
+    const { em, pfx, collection, module } = this;
+    const { pointer } = collection;
+    const initLabel =
+      (em.get('I18n') && em.t('undoManager.initial')) || 'Initial state';
+    const items = [
+      this.getItemHtml({ index: -1, label: initLabel, active: pointer < 0 })
+    ];
+
+    module.getStackGroup().forEach(action => {
+      const index = module.getGroupEnd(action);
+      const first = collection.indexOf(action);
+      items.push(
+        this.getItemHtml({
+          index,
+          label: action.get('label'),
+          timestamp: action.get('timestamp'),
+          active: pointer >= first && pointer <= index,
+          future: first > pointer
+        })
+      );
+    });
+
+    this.el.className = pfx;
+    this.el.innerHTML = items.join('');
+    return this;
+  }
+});
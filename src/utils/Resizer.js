@@ -1,4 +1,11 @@
-import { bindAll, defaults, isFunction, each } from 'underscore';
+import {
+  bindAll,
+  defaults,
+  isFunction,
+  isUndefined,
+  each,
+  result
+} from 'underscore';
 import { on, off, normalizeFloat } from 'utils/mixins';
 
 var defaultOpts = {
@@ -17,6 +24,19 @@ var defaultOpts = {
   // Resize unit step
   step: 1,
 
+  // Scale the mouse movement (eg. with a zoomed canvas), can also be a function
+  scale: 1,
+
+  // Static guides, `{ x }` or `{ y }` points in coordinates of `posFetcher`,
+  // where edges moved by handlers snap. Can also be a function
+  guides: null,
+
+  // Distance from guides where edges snap
+  snapOffset: 5,
+
+  // Size of the grid where dimensions snap, `0` to disable the grid
+  snapGrid: 0,
+
   // Minimum dimension
   minDim: 32,
 
@@ -250,7 +270,7 @@ class Resizer {
     const resizer = this;
     const config = this.opts || {};
     var attrName = 'data-' + config.prefix + 'handler';
-    var rect = this.getElementPos(el, { target: 'el' });
+    var rect = this.getElementPos(el, { target: 'el', noScroll: 1 });
     this.handlerAttr = e.target.getAttribute(attrName);
     this.clickedHandler = e.target;
     this.startDim = {
@@ -265,6 +285,9 @@ class Resizer {
       w: rect.width,
       h: rect.height
     };
+    this.startRect = { ...this.rectDim };
+    this.guides = result(config, 'guides') || [];
+    this.guidesActive = [];
     this.startPos = {
       x: e.clientX,
       y: e.clientY
@@ -295,10 +318,11 @@ class Resizer {
           y: e.clientY
         };
 
+    const scale = result(this.opts, 'scale');
     this.currentPos = currentPos;
     this.delta = {
-      x: currentPos.x - this.startPos.x,
-      y: currentPos.y - this.startPos.y
+      x: (currentPos.x - this.startPos.x) * scale,
+      y: (currentPos.y - this.startPos.y) * scale
     };
     this.keys = {
       shift: e.shiftKey,
@@ -310,7 +334,7 @@ class Resizer {
     this.updateRect(0);
 
     // Move callback
-    onMove && onMove(e);
+    onMove && onMove(e, { resizer: this });
 
     // In case the mouse button was released outside of the window
     if (e.which === 0) {
@@ -478,6 +502,8 @@ class Resizer {
       box.h = value;
     }
 
+    this.snap(box, attr);
+
     // Enforce aspect ratio (unless shift key is being held)
     var ratioActive = opts.ratioDefault ? !data.keys.shift : data.keys.shift;
     if (attr.indexOf('c') < 0 && ratioActive) {
@@ -498,6 +524,51 @@ class Resizer {
 
     return box;
   }
+
+  /**
+   * Snap edges, moved by the handler, to the nearest guide or,
+   * if there is none, snap dimensions to the grid.
+   * Only dimensions in pixels are snapped
+   * @param {Object} box Dimensions to update
+   * @param {String} attr Selected handler
+   * @private
+   */
+  snap(box, attr) {
+    const { opts, startDim, startRect, guides = [] } = this;
+    const { snapOffset, snapGrid, unitWidth, unitHeight } = opts;
+    const scale = result(opts, 'scale') || 1;
+    const active = [];
+    const edges = [
+      { hdl: 'l', axis: 'x', dim: 'w', dir: -1, pos: 0 },
+      { hdl: 'r', axis: 'x', dim: 'w', dir: 1, pos: 1 },
+      { hdl: 't', axis: 'y', dim: 'h', dir: -1, pos: 0 },
+      { hdl: 'b', axis: 'y', dim: 'h', dir: 1, pos: 1 }
+    ];
+    this.guidesActive = active;
+    if (!startRect) return box;
+
+    edges.forEach(({ hdl, axis, dim, dir, pos }) => {
+      const unit = axis === 'x' ? unitWidth : unitHeight;
+      if (attr.indexOf(hdl) < 0 || unit !== 'px') return;
+      const start = startRect[axis === 'x' ? 'l' : 't'] + startRect[dim] * pos;
+      const edge = start + (dir * (box[dim] - startDim[dim])) / scale;
+      const guide = guides
+        .filter(item => !isUndefined(item[axis]))
+        .map(item => ({ item, dist: Math.abs(item[axis] - edge) }))
+        .filter(({ dist }) => dist <= snapOffset)
+        .sort((a, b) => a.dist - b.dist)
+        .map(({ item }) => item)[0];
+
+      if (guide) {
+        box[dim] = startDim[dim] + dir * (guide[axis] - start) * scale;
+        active.push(guide);
+      } else if (snapGrid) {
+        box[dim] = Math.max(Math.round(box[dim] / snapGrid), 1) * snapGrid;
+      }
+    });
+
+    return box;
+  }
 }
 
 export default {
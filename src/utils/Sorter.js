@@ -18,6 +18,9 @@ import {
 } from 'utils/mixins';
 const $ = Backbone.$;
 
+// Check if the model is a locked component
+const isLocked = model => model && model.isLocked && model.isLocked();
+
 export default Backbone.View.extend({
   initialize(opt) {
     this.opt = opt || {};
@@ -623,6 +626,10 @@ export default Backbone.View.extend({
     droppable = isString(droppable) ? this.matches(src, droppable) : droppable;
     droppable =
       draggable && this.isTextableActive(srcModel, trgModel) ? 1 : droppable;
+
+    // Locked components can't be moved or receive other components
+    isLocked(srcModel) && (result.draggable = draggable = false);
+    isLocked(trgModel) && (droppable = false);
     result.droppable = droppable;
 
     if (!droppable || !draggable) {
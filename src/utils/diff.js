@@ -0,0 +1,289 @@
+import { isArray, isString, isEqual, keys, omit, uniq } from 'underscore';
+
+const parse = value => (isString(value) ? JSON.parse(value || '[]') : value);
+
+/**
+ * Get indexes of items, in both arrays, of the longest common subsequence
+ * @param {Array} prev
+ * @param {Array} next
+ * @param {Function} isSame Check if two items are the same
+ * @return {Array<Array<Number>>} Pairs of `[prevIndex, nextIndex]`
+ */
+export const lcs = (prev, next, isSame) => {
+  const table = prev.map(() => next.map(() => 0));
+  const get = (i, j) => (i < prev.length && j < next.length ? table[i][j] : 0);
+
+  for (let i = prev.length - 1; i >= 0; i--) {
+    for (let j = next.length - 1; j >= 0; j--) {
+      table[i][j] = isSame(prev[i], next[j])
+        ? get(i + 1, j + 1) + 1
+        : Math.max(get(i + 1, j), get(i, j + 1));
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < prev.length && j < next.length) {
+    if (isSame(prev[i], next[j])) {
+      result.push([i, j]);
+      i++;
+      j++;
+    } else if (get(i + 1, j) >= get(i, j + 1)) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Get the names of changed properties
+ * @private
+ */
+const getChanges = (prev = {}, next = {}, ignore = []) =>
+  uniq([...keys(prev), ...keys(next)]).filter(
+    key => ignore.indexOf(key) < 0 && !isEqual(prev[key], next[key])
+  );
+
+/**
+ * Get root components from the stored JSON, which might contain the wrapper
+ * @private
+ */
+const getRootComponents = value => {
+  const result = parse(value) || [];
+  const comps = isArray(result) ? result : [result];
+  const [first] = comps;
+  return comps.length === 1 && first && first.type === 'wrapper'
+    ? first.components || []
+    : comps;
+};
+
+const getCmpId = cmp => (cmp.attributes || {}).id;
+
+const getCmpSignature = cmp =>
+  [
+    cmp.type || '',
+    cmp.tagName || '',
+    (cmp.classes || []).map(cls => (isString(cls) ? cls : cls.name)).join('.')
+  ].join('|');
+
+/**
+ * Compare two trees of components, in the JSON format of the storage.
+ * Components are matched by their id in the whole tree (so they're also tracked
+ * between different parents, even new ones) and components without id by their
+ * type, tag name and classes
+ * @param {Array<Object>|String} prev Previous components
+ * @param {Array<Object>|String} next Next components
+ * @param {Object} [opts={}] Options
+ * @param {Array<String>} [opts.ignore=[]] Properties to skip in the comparison
+ * @return {Array<Object>} Differences, eg. `{ type: 'moved', from: { path, data }, to: { path, data } }`.
+ * Types are `added`, `removed`, `moved` and `changed` (with changed property names in `changes`)
+ */
+export const diffComponents = (prev, next, opts = {}) => {
+  const ignore = ['components', ...(opts.ignore || [])];
+  const result = [];
+  const removed = [];
+  const prevById = {};
+  const nextIds = {};
+
+  const walk = (comps, path, clb) =>
+    comps.forEach((cmp, i) => {
+      const cmpPath = [...path, i];
+      clb(cmp, cmpPath);
+      walk(cmp.components || [], cmpPath, clb);
+    });
+
+  const prevRoot = getRootComponents(prev);
+  const nextRoot = getRootComponents(next);
+  walk(prevRoot, [], (cmp, path) => {
+    const id = getCmpId(cmp);
+    id && (prevById[id] = { cmp, path });
+  });
+  walk(nextRoot, [], cmp => {
+    const id = getCmpId(cmp);
+    id && (nextIds[id] = 1);
+  });
+
+  const getData = cmp => omit(cmp, 'components');
+  const addResult = (type, from, to, extra = {}) =>
+    result.push({
+      type,
+      ...(from && { from: { path: from.path, data: getData(from.cmp) } }),
+      ...(to && { to: { path: to.path, data: getData(to.cmp) } }),
+      ...extra
+    });
+
+  const compare = (from, to) => {
+    const changes = getChanges(from.cmp, to.cmp, ignore);
+    changes.length && addResult('changed', from, to, { changes });
+    compareChildren(from, to);
+  };
+
+  // Components with id, inside added ones, might come from the previous tree
+  const compareAdded = item =>
+    (item.cmp.components || []).forEach((cmp, i) => {
+      const child = { cmp, path: [...item.path, i] };
+      const prevItem = prevById[getCmpId(cmp)];
+
+      if (prevItem) {
+        addResult('moved', prevItem, child);
+        compare(prevItem, child);
+      } else {
+        compareAdded(child);
+      }
+    });
+
+  const compareChildren = (from, to) => {
+    const prevChildren = from.cmp.components || [];
+    const nextChildren = to.cmp.components || [];
+    const pairs = [];
+    const prevFree = [];
+    const nextFree = [];
+    const withoutId = item => !getCmpId(item.cmp);
+
+    nextChildren.forEach((cmp, i) => {
+      const id = getCmpId(cmp);
+      const prevItem = id && prevById[id];
+      const item = { cmp, path: [...to.path, i] };
+
+      if (!prevItem) {
+        nextFree.push(item);
+      } else if (prevChildren.indexOf(prevItem.cmp) >= 0) {
+        pairs.push([prevItem, item]);
+      } else {
+        // Matched with a component of another parent
+        addResult('moved', prevItem, item);
+        compare(prevItem, item);
+      }
+    });
+
+    // Components with id, still in the tree, are matched elsewhere
+    prevChildren.forEach((cmp, i) => {
+      const id = getCmpId(cmp);
+      !(id && nextIds[id]) && prevFree.push({ cmp, path: [...from.path, i] });
+    });
+
+    // Match components without id by their signature
+    const prevNoId = prevFree.filter(withoutId);
+    const nextNoId = nextFree.filter(withoutId);
+    lcs(
+      prevNoId,
+      nextNoId,
+      (a, b) => getCmpSignature(a.cmp) === getCmpSignature(b.cmp)
+    ).forEach(([i, j]) => {
+      prevNoId[i].matched = 1;
+      nextNoId[j].matched = 1;
+      pairs.push([prevNoId[i], nextNoId[j]]);
+    });
+
+    // Reordered components are those outside the longest common subsequence
+    const getIndex = item => item.path[item.path.length - 1];
+    const sorted = pairs.sort((a, b) => getIndex(a[1]) - getIndex(b[1]));
+    const prevOrder = [...sorted].sort(
+      (a, b) => getIndex(a[0]) - getIndex(b[0])
+    );
+    const inOrder = lcs(prevOrder, sorted, (a, b) => a === b).map(
+      ([i]) => prevOrder[i]
+    );
+    sorted.forEach(pair => {
+      inOrder.indexOf(pair) < 0 && addResult('moved', pair[0], pair[1]);
+      compare(pair[0], pair[1]);
+    });
+
+    nextFree
+      .filter(item => !item.matched)
+      .forEach(item => {
+        addResult('added', null, item);
+        compareAdded(item);
+      });
+    prevFree
+      .filter(item => !item.matched)
+      .forEach(item => removed.push({ item, parent: to.path }));
+  };
+
+  compareChildren(
+    { cmp: { components: prevRoot }, path: [] },
+    { cmp: { components: nextRoot }, path: [] }
+  );
+  removed.forEach(({ item, parent }) =>
+    addResult('removed', item, null, { parent })
+  );
+
+  return result;
+};
+
+const getRuleKey = rule => {
+  const selectors = (rule.selectors || [])
+    .map(sel => {
+      if (isString(sel)) return sel;
+      const { name, type } = sel;
+      return `${type === 2 ? '#' : '.'}${name}`;
+    })
+    .join('');
+  return [
+    rule.atRuleType || '',
+    rule.mediaText || '',
+    `${selectors}${rule.selectorsAdd || ''}`,
+    rule.state || ''
+  ].join('|');
+};
+
+/**
+ * Compare two lists of CSS rules, in the JSON format of the storage.
+ * Rules are matched by their selectors, state and media
+ * @param {Array<Object>|String} prev Previous rules
+ * @param {Array<Object>|String} next Next rules
+ * @param {Object} [opts={}] Options
+ * @param {Array<String>} [opts.ignore=[]] Properties to skip in the comparison
+ * @return {Array<Object>} Differences, eg. `{ type: 'changed', key, changes: ['style'], from: { index, data }, to: { index, data } }`
+ */
+export const diffRules = (prev, next, opts = {}) => {
+  const ignore = opts.ignore || [];
+  const prevRules = (parse(prev) || []).map((data, index) => ({
+    key: getRuleKey(data),
+    index,
+    data
+  }));
+  const nextRules = (parse(next) || []).map((data, index) => ({
+    key: getRuleKey(data),
+    index,
+    data
+  }));
+  const prevKeys = prevRules.map(rule => rule.key);
+  const nextKeys = nextRules.map(rule => rule.key);
+  const result = [];
+  const getSide = ({ index, data }) => ({ index, data });
+  const common = nextRules.filter(rule => prevKeys.indexOf(rule.key) >= 0);
+  const commonPrev = prevRules.filter(rule => nextKeys.indexOf(rule.key) >= 0);
+  const inOrder = lcs(commonPrev, common, (a, b) => a.key === b.key).map(
+    ([, j]) => common[j]
+  );
+
+  nextRules.forEach(rule => {
+    const prevRule = prevRules[prevKeys.indexOf(rule.key)];
+    const { key } = rule;
+
+    if (!prevRule) {
+      result.push({ type: 'added', key, to: getSide(rule) });
+      return;
+    }
+
+    const from = getSide(prevRule);
+    const to = getSide(rule);
+    inOrder.indexOf(rule) < 0 && result.push({ type: 'moved', key, from, to });
+    const changes = getChanges(prevRule.data, rule.data, ignore);
+    changes.length && result.push({ type: 'changed', key, changes, from, to });
+  });
+
+  prevRules
+    .filter(rule => nextKeys.indexOf(rule.key) < 0)
+    .forEach(rule =>
+      result.push({ type: 'removed', key: rule.key, from: getSide(rule) })
+    );
+
+  return result;
+};
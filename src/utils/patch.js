@@ -0,0 +1,215 @@
+import { isArray, isObject, isEqual, isUndefined, has, keys } from 'underscore';
+
+/**
+ * Escape the token of a JSON Pointer (RFC 6901)
+ * @param {String|Number} token
+ * @return {String}
+ */
+const escapeToken = token =>
+  `${token}`.replace(/~/g, '~0').replace(/\//g, '~1');
+
+const unescapeToken = token => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+const isPlainObject = value => isObject(value) && !isArray(value);
+
+/**
+ * Get keys of array items, used to match items between two arrays.
+ * Items without a key are matched with equal items, so inserted or removed
+ * ones don't change the others, and the remaining ones by their order.
+ * Returns `null` if keys are not unique
+ * @private
+ */
+const getItemKeys = (prev, next, getKey) => {
+  const toKeys = items =>
+    items.map(item => {
+      const key = getKey(item);
+      return isUndefined(key) || key === null ? null : `$${key}`;
+    });
+  const unkeyed = keys =>
+    keys.reduce((acc, key, i) => (key === null && acc.push(i), acc), []);
+  const isUnique = keys => keys.every((key, i) => keys.indexOf(key) === i);
+  const prevKeys = toKeys(prev);
+  const nextKeys = toKeys(next);
+  const prevFree = unkeyed(prevKeys);
+  const nextFree = unkeyed(nextKeys);
+  let from = 0;
+
+  nextFree.forEach(i => {
+    for (let j = from; j < prevFree.length; j++) {
+      const index = prevFree[j];
+
+      if (isEqual(prev[index], next[i])) {
+        prevKeys[index] = nextKeys[i] = `#${index}`;
+        from = j + 1;
+        break;
+      }
+    }
+  });
+
+  // The remaining items are matched by their order between equal items
+  const getRest = (keys, free) => {
+    let gap = 0;
+    return free.reduce((acc, i) => {
+      keys[i] === null ? acc.push({ i, gap }) : gap++;
+      return acc;
+    }, []);
+  };
+  const nextRest = getRest(nextKeys, nextFree);
+  getRest(prevKeys, prevFree).forEach(({ i, gap }) => {
+    const match = nextRest.filter(item => item.gap === gap && !item.key)[0];
+    prevKeys[i] = `#${i}`;
+    match && (match.key = prevKeys[i]);
+  });
+  nextRest.forEach(({ i, key }) => (nextKeys[i] = key || `#n${i}`));
+
+  return isUnique(prevKeys) && isUnique(nextKeys)
+    ? { prevKeys, nextKeys }
+    : null;
+};
+
+const diffArray = (prev, next, path, ops, getKey) => {
+  const itemKeys = getItemKeys(prev, next, getKey);
+
+  if (!itemKeys) {
+    ops.push({ op: 'replace', path, value: next });
+    return;
+  }
+
+  const { prevKeys, nextKeys } = itemKeys;
+
+  const curr = prev.map((item, i) => ({ key: prevKeys[i], item }));
+
+  // Remove items from the end, so indexes of the previous ones are still valid
+  for (let i = curr.length - 1; i >= 0; i--) {
+    if (nextKeys.indexOf(curr[i].key) < 0) {
+      ops.push({ op: 'remove', path: `${path}/${i}` });
+      curr.splice(i, 1);
+    }
+  }
+
+  nextKeys.forEach((key, i) => {
+    const currKeys = curr.map(c => c.key);
+    const index = currKeys.indexOf(key);
+
+    if (index < 0) {
+      ops.push({ op: 'add', path: `${path}/${i}`, value: next[i] });
+      curr.splice(i, 0, { key, item: next[i] });
+    } else if (index !== i) {
+      ops.push({ op: 'move', from: `${path}/${index}`, path: `${path}/${i}` });
+      curr.splice(i, 0, curr.splice(index, 1)[0]);
+    }
+  });
+
+  curr.forEach(({ item }, i) =>
+    diffValue(item, next[i], `${path}/${i}`, ops, getKey)
+  );
+};
+
+const diffObject = (prev, next, path, ops, getKey) => {
+  keys(prev).forEach(key => {
+    !has(next, key) &&
+      ops.push({ op: 'remove', path: `${path}/${escapeToken(key)}` });
+  });
+
+  keys(next).forEach(key => {
+    const keyPath = `${path}/${escapeToken(key)}`;
+
+    if (!has(prev, key)) {
+      ops.push({ op: 'add', path: keyPath, value: next[key] });
+    } else {
+      diffValue(prev[key], next[key], keyPath, ops, getKey);
+    }
+  });
+};
+
+const diffValue = (prev, next, path, ops, getKey) => {
+  if (isEqual(prev, next)) return;
+
+  if (isArray(prev) && isArray(next)) {
+    diffArray(prev, next, path, ops, getKey);
+  } else if (isPlainObject(prev) && isPlainObject(next)) {
+    diffObject(prev, next, path, ops, getKey);
+  } else {
+    ops.push({ op: 'replace', path, value: next });
+  }
+};
+
+/**
+ * Create a JSON Patch (RFC 6902) which transforms `prev` into `next`.
+ * Items of arrays are matched by the key returned from `opts.getKey`,
+ * or by their content without a key, so moved items generate `move`
+ * operations instead of a full replace
+ * @param {any} prev
+ * @param {any} next
+ * @param {Object} [opts={}] Options
+ * @param {Function} [opts.getKey] Get the identifier of an array item
+ * @return {Array<Object>} Patch operations
+ * @example
+ * createPatch({ a: [{ id: 1 }, { id: 2 }] }, { a: [{ id: 2 }] }, { getKey: item => item.id });
+ * // [{ op: 'remove', path: '/a/0' }]
+ */
+export const createPatch = (prev, next, opts = {}) => {
+  const ops = [];
+  const getKey = opts.getKey || (() => {});
+  diffValue(prev, next, '', ops, getKey);
+  return ops;
+};
+
+/**
+ * Apply the JSON Patch to a copy of the passed value
+ * @param {any} value
+ * @param {Array<Object>} ops Patch operations
+ * @return {any} Patched value
+ */
+export const applyPatch = (value, ops = []) => {
+  let doc = JSON.parse(JSON.stringify(isUndefined(value) ? null : value));
+  const clone = val =>
+    isUndefined(val) ? val : JSON.parse(JSON.stringify(val));
+
+  const parse = path => {
+    const tokens = path
+      .split('/')
+      .slice(1)
+      .map(unescapeToken);
+    const last = tokens.pop();
+    const parent = tokens.reduce((acc, token) => acc[token], doc);
+    return { parent, key: isArray(parent) ? parseInt(last, 10) : last };
+  };
+
+  const remove = path => {
+    const { parent, key } = parse(path);
+    const val = parent[key];
+    isArray(parent) ? parent.splice(key, 1) : delete parent[key];
+    return val;
+  };
+
+  const add = (path, val) => {
+    if (!path) return (doc = val);
+    const { parent, key } = parse(path);
+    isArray(parent) ? parent.splice(key, 0, val) : (parent[key] = val);
+  };
+
+  ops.forEach(({ op, path, from, value }) => {
+    switch (op) {
+      case 'add':
+        add(path, clone(value));
+        break;
+      case 'remove':
+        remove(path);
+        break;
+      case 'replace':
+        if (!path) {
+          doc = clone(value);
+        } else {
+          const { parent, key } = parse(path);
+          parent[key] = clone(value);
+        }
+        break;
+      case 'move':
+        add(path, remove(from));
+        break;
+    }
+  });
+
+  return doc;
+};
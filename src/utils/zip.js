@@ -0,0 +1,139 @@
+import { isString, keys } from 'underscore';
+
+let crcTable;
+
+const getCrcTable = () => {
+  if (!crcTable) {
+    crcTable = [];
+
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  return crcTable;
+};
+
+/**
+ * Get the CRC-32 checksum of bytes
+ * @param {Uint8Array} bytes
+ * @return {Number}
+ */
+export const crc32 = bytes => {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Encode the string in UTF-8 bytes
+ * @param {String} str
+ * @return {Uint8Array}
+ */
+export const toBytes = str => {
+  const bin = unescape(encodeURIComponent(str));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+};
+
+/**
+ * Get date and time of the file in the MS-DOS format
+ * @private
+ */
+const getDosTime = (date = new Date()) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate()
+});
+
+/**
+ * Create the ZIP archive of files. Files are only stored, without
+ * compression, which is enough for text files and already compressed images
+ * @param {Object} files Files content by their paths, contents can be strings, bytes or ArrayBuffer
+ * @param {Object} [opts={}] Options
+ * @param {Date} [opts.date] Modification date of files
+ * @return {Uint8Array} Bytes of the archive
+ * @example
+ * createZip({
+ *  'index.html': '<h1>Hello</h1>',
+ *  'assets/image.png': imageBytes,
+ * });
+ */
+export const createZip = (files = {}, opts = {}) => {
+  const { time, date } = getDosTime(opts.date);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  keys(files).forEach(path => {
+    const content = files[path];
+    const data = isString(content) ? toBytes(content) : new Uint8Array(content);
+    const name = toBytes(path);
+    const crc = crc32(data);
+    const header = (size, extra) => {
+      const bytes = new Uint8Array(size + name.length);
+      const view = new DataView(bytes.buffer);
+      extra(view);
+      bytes.set(name, size);
+      return { bytes, view };
+    };
+    const setCommon = (view, start) => {
+      view.setUint16(start, 20, true); // Version needed to extract
+      view.setUint16(start + 2, 0x0800, true); // UTF-8 file names
+      view.setUint16(start + 4, 0, true); // Stored, without compression
+      view.setUint16(start + 6, time, true);
+      view.setUint16(start + 8, date, true);
+      view.setUint32(start + 10, crc, true);
+      view.setUint32(start + 14, data.length, true);
+      view.setUint32(start + 18, data.length, true);
+      view.setUint16(start + 22, name.length, true);
+    };
+
+    const local = header(30, view => {
+      view.setUint32(0, 0x04034b50, true);
+      setCommon(view, 4);
+    });
+
+    const central = header(46, view => {
+      view.setUint32(0, 0x02014b50, true);
+      view.setUint16(4, 20, true); // Version made by
+      setCommon(view, 6);
+      view.setUint32(42, offset, true);
+    });
+
+    locals.push(local.bytes, data);
+    centrals.push(central.bytes);
+    offset += local.bytes.length + data.length;
+  });
+
+  const centralSize = centrals.reduce((acc, item) => acc + item.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, centrals.length, true);
+  endView.setUint16(10, centrals.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, end];
+  const result = new Uint8Array(offset + centralSize + end.length);
+  parts.reduce((pos, part) => {
+    result.set(part, pos);
+    return pos + part.length;
+  }, 0);
+
+  return result;
+};
@@ -0,0 +1,119 @@
+import Editor from 'editor';
+import Annotation from 'annotations/model/Annotation';
+
+describe('Annotations', () => {
+  let ed;
+  let annotations;
+
+  beforeEach(() => {
+    ed = new Editor({ annotations: { author: 'John' } }).init();
+    annotations = ed.Annotations;
+  });
+
+  afterEach(async () => {
+    // Wait for debounced updates of views
+    await new Promise(res => setTimeout(res));
+    ed.destroy();
+  });
+
+  test('Object exists', () => {
+    expect(annotations).toBeTruthy();
+    expect(annotations.getAll().length).toBe(0);
+  });
+
+  test('Add annotations to components', () => {
+    const onAdd = sinon.spy();
+    ed.on('annotation:add', onAdd);
+    const [cmp] = ed.getWrapper().append('<div>A</div>');
+    const annotation = annotations.add(cmp, { text: 'Change the text' });
+    expect(annotation).toBeInstanceOf(Annotation);
+    expect(annotation.getComponent()).toBe(cmp);
+    expect(cmp.getAttributes().id).toBe(cmp.getId());
+    expect(annotations.getByComponent(cmp)).toEqual([annotation]);
+    expect(onAdd.calledOnce).toBe(true);
+
+    const comment = annotation.getComments().at(0);
+    expect(comment.get('author')).toBe('John');
+    expect(comment.get('text')).toBe('Change the text');
+    expect(comment.get('date')).toBeTruthy();
+  });
+
+  test('Reply, resolve and reopen annotations', () => {
+    const onResolve = sinon.spy();
+    const onReopen = sinon.spy();
+    ed.on('annotation:resolve', onResolve);
+    ed.on('annotation:reopen', onReopen);
+    const [cmp] = ed.getWrapper().append('<div>A</div>');
+    const annotation = annotations.add(cmp, 'Change the text');
+    annotations.addComment(annotation.id, { text: 'Done', author: 'Jane' });
+    expect(annotation.getComments().length).toBe(2);
+    expect(
+      annotation
+        .getComments()
+        .at(1)
+        .get('author')
+    ).toBe('Jane');
+    annotations.resolve(annotation);
+    expect(annotation.isResolved()).toBe(true);
+    expect(onResolve.calledOnce).toBe(true);
+    annotations.reopen(annotation);
+    expect(annotation.isResolved()).toBe(false);
+    expect(onReopen.calledOnce).toBe(true);
+    annotations.remove(annotation);
+    expect(annotations.getAll().length).toBe(0);
+  });
+
+  test('Annotations follow the component on id changes', () => {
+    const [cmp] = ed.getWrapper().append('<div>A</div>');
+    const annotation = annotations.add(cmp, 'Change the text');
+    const cloned = cmp.clone();
+    expect(annotations.getByComponent(cloned).length).toBe(0);
+    cmp.resetId();
+    expect(annotation.getComponentId()).toBe(cmp.getId());
+    expect(annotation.getComponent()).toBe(cmp);
+  });
+
+  test('Store and load annotations', () => {
+    const [cmp] = ed.getWrapper().append('<div>A</div>');
+    annotations.add(cmp, 'Change the text');
+    const data = annotations.store(1);
+    const json = JSON.parse(data.annotations);
+    expect(json[0].component).toBe(cmp.getId());
+    expect(json[0].comments[0].text).toBe('Change the text');
+    annotations.getAll().reset();
+    annotations.load(data);
+    const [annotation] = annotations.getByComponent(cmp);
+    expect(
+      annotation
+        .getComments()
+        .at(0)
+        .get('author')
+    ).toBe('John');
+  });
+
+  test('The id of annotated components is kept in the project', () => {
+    const [cmp] = ed.getWrapper().append('<div>A</div>');
+    const annotation = annotations.add(cmp, 'Change the text');
+    const id = cmp.getId();
+    expect(ed.getHtml()).toContain(`<div id="${id}">A</div>`);
+    ed.setComponents(JSON.parse(JSON.stringify(ed.getComponents())));
+    const loaded = annotation.getComponent();
+    expect(loaded).not.toBe(cmp);
+    expect(loaded.getId()).toBe(id);
+  });
+
+  test('Render annotations in the panel', () => {
+    const [cmp] = ed.getWrapper().append('<div>A</div>');
+    annotations.add(cmp, 'Change <b>the</b> text');
+    const el = annotations.render();
+    expect(el.querySelectorAll('[data-annotation]').length).toBe(1);
+    expect(el.innerHTML).toContain('Change &lt;b&gt;the&lt;/b&gt; text');
+    el.querySelector('[data-annotation-resolve]').click();
+    expect(
+      annotations
+        .getAll()
+        .at(0)
+        .isResolved()
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,267 @@
+describe('Canvas', () => {
+  let editor;
+  let canvas;
+
+  beforeEach(done => {
+    document.body.innerHTML = '<div id="canvas-fixture"></div>';
+    editor = grapesjs.init({
+      container: '#canvas-fixture',
+      storageManager: { autoload: 0, type: 0 },
+      components: '<div id="cmp">Component</div>'
+    });
+    canvas = editor.Canvas;
+    editor.on('load', () => done());
+  });
+
+  afterEach(async () => {
+    // Wait for debounced updates of frames
+    await new Promise(res => setTimeout(res, 50));
+    editor.destroy();
+  });
+
+  describe('Multiple frames', () => {
+    test('Single frame by default', () => {
+      expect(canvas.isMultiFrames()).toBe(false);
+      expect(canvas.getFrames().length).toBe(1);
+    });
+
+    test('Add a frame for each device, with the same content', () => {
+      const devices = editor.Devices.getAll().map(device => device.id);
+      const frames = canvas.setMultiFrames();
+      const main = canvas.getFrame();
+      expect(canvas.isMultiFrames()).toBe(true);
+      expect(frames.length).toBe(devices.length);
+      expect(frames.map(frame => frame.get('device'))).toEqual(devices);
+      frames.forEach(frame => {
+        expect(frame.get('root')).toBe(editor.getWrapper());
+        expect(frame.get('styles')).toBe(main.get('styles'));
+      });
+      expect(editor.getDevice()).toBe(devices[0]);
+    });
+
+    test('Frames are placed side by side with device dimensions', () => {
+      const [desktop, tablet] = canvas.setMultiFrames(['Desktop', 'Tablet']);
+      const { frameWidth, framesGap } = canvas.getConfig();
+      expect(desktop.get('width')).toBe(frameWidth);
+      const tabletWidth = editor.Devices.get('Tablet').get('width');
+      expect(tablet.get('width')).toBe(parseFloat(tabletWidth));
+      expect(tablet.get('x')).toBe(desktop.get('x') + frameWidth + framesGap);
+      expect(tablet.get('y')).toBe(desktop.get('y'));
+      expect(tablet.get('name')).toBe('Tablet');
+    });
+
+    test('Unknown devices are skipped', () => {
+      const frames = canvas.setMultiFrames(['Tablet', 'not-exists']);
+      expect(frames.length).toBe(1);
+      expect(frames[0].get('device')).toBe('Tablet');
+    });
+
+    test('Selecting a device makes its frame the current one', () => {
+      const frames = canvas.setMultiFrames(['Desktop', 'Tablet']);
+      editor.setDevice('Tablet');
+      expect(editor.getModel().getCurrentFrameModel()).toBe(frames[1]);
+      // Frames keep their device dimensions
+      expect(frames[0].get('width')).toBe(canvas.getConfig().frameWidth);
+    });
+
+    test('Go back to the single frame', () => {
+      canvas.setMultiFrames();
+      const frames = canvas.setMultiFrames(false);
+      expect(canvas.isMultiFrames()).toBe(false);
+      expect(frames.length).toBe(1);
+      expect(frames[0]).toBe(canvas.getFrame());
+      expect(frames[0].get('device')).toBe('');
+      expect(canvas.getFrame().get('x')).toBe(0);
+    });
+
+    test('Remove a frame', () => {
+      const frames = canvas.setMultiFrames(['Desktop', 'Tablet']);
+      canvas.removeFrame(frames[1]);
+      expect(canvas.getFrames()).toEqual([frames[0]]);
+    });
+  });
+
+  describe('Board', () => {
+    const cvOff = { top: 0, left: 0, width: 1000, height: 500 };
+
+    beforeEach(() => {
+      jest
+        .spyOn(canvas.getCanvasView(), 'getCanvasOffset')
+        .mockReturnValue(cvOff);
+    });
+
+    test('Board mode is disabled by default', () => {
+      expect(canvas.isBoard()).toBe(false);
+      canvas.setBoard(true);
+      expect(canvas.isBoard()).toBe(true);
+      canvas.setBoard(false);
+      expect(canvas.isBoard()).toBe(false);
+    });
+
+    test('Board mode is enabled in multi-frame mode', () => {
+      canvas.setMultiFrames();
+      expect(canvas.isBoard()).toBe(true);
+      canvas.setMultiFrames(false);
+      expect(canvas.isBoard()).toBe(false);
+    });
+
+    test('Zoom keeping the point in the same position', () => {
+      canvas.setZoom(200, { point: { x: 600, y: 300 } });
+      const { x, y } = canvas.getCanvasView().model.attributes;
+      // The point is 100px right and 50px down from the center
+      expect(canvas.getZoom()).toBe(200);
+      expect(x).toBe(-100);
+      expect(y).toBe(-50);
+    });
+
+    test('Zoom to fit frames', () => {
+      const model = canvas.getCanvasView().model;
+      canvas.setBoard(true);
+      canvas.getFrame().set({ x: 0, y: 0, width: 800, height: 400 });
+      canvas.zoomToFit({ padding: 0 });
+      expect(canvas.getZoom()).toBe(100);
+      expect(model.get('x')).toBe(100);
+      expect(model.get('y')).toBe(50);
+
+      canvas.zoomToFit({ padding: 0, maxZoom: 200 });
+      expect(canvas.getZoom()).toBe(125);
+      expect(model.get('x')).toBe(125);
+      expect(model.get('y')).toBe(62.5);
+    });
+
+    test('Fit commands run only with the focus on the canvas', () => {
+      const spy = jest.spyOn(canvas, 'zoomToFit');
+      const hasFocus = jest.spyOn(canvas, 'hasFocus').mockReturnValue(false);
+      canvas.setBoard(true);
+      editor.runCommand('core:canvas-fit');
+      expect(spy).not.toBeCalled();
+      editor.runCommand('core:canvas-fit', { force: 1 });
+      expect(spy).toBeCalledTimes(1);
+      hasFocus.mockReturnValue(true);
+      editor.runCommand('core:canvas-fit');
+      expect(spy).toBeCalledTimes(2);
+    });
+
+    test('Mouse position from frames is relative to the canvas', () => {
+      const body = canvas.getBody();
+      canvas.setZoom(50);
+      const pos = canvas.getMouseRelativeCanvas(
+        { target: body, clientX: 100, clientY: 40 },
+        { noScroll: 1 }
+      );
+      expect(pos).toEqual({ x: 50, y: 20 });
+    });
+
+    test('Mouse position outside of frames is relative to the canvas', () => {
+      const pos = canvas.getMouseRelativeCanvas({
+        target: canvas.getElement(),
+        clientX: 100,
+        clientY: 40
+      });
+      expect(pos).toEqual({ x: 100, y: 40 });
+    });
+  });
+
+  describe('Rulers and guides', () => {
+    const cvOff = { top: 0, left: 0, width: 1000, height: 500 };
+    let guidesView;
+
+    const mouse = (type, el, clientX, clientY) => {
+      const ev = new MouseEvent(type, { bubbles: true, clientX, clientY });
+      el.dispatchEvent(ev);
+    };
+
+    beforeEach(() => {
+      const cv = canvas.getCanvasView();
+      jest.spyOn(cv, 'getCanvasOffset').mockReturnValue(cvOff);
+      guidesView = cv.guidesView;
+    });
+
+    test('Rulers are hidden by default', () => {
+      expect(canvas.hasRulers()).toBe(false);
+      guidesView.updateAll();
+      expect(guidesView.rulersEl.style.display).toBe('none');
+      canvas.setRulers(true);
+      guidesView.updateAll();
+      expect(canvas.hasRulers()).toBe(true);
+      expect(guidesView.rulersEl.style.display).toBe('');
+      expect(guidesView.rulers.x.children.length).toBeGreaterThan(0);
+    });
+
+    test('Add and remove guides', () => {
+      const guide = canvas.addGuide({ axis: 'y', value: 100 });
+      expect(canvas.getGuides()).toEqual([guide]);
+      canvas.removeGuide(guide);
+      expect(canvas.getGuides()).toEqual([]);
+    });
+
+    test('Guides are positioned by the zoom', () => {
+      canvas.setRulers(true);
+      canvas.addGuide({ axis: 'x', value: 100 });
+      canvas.setZoom(50);
+      guidesView.updateAll();
+      const el = guidesView.guidesEl.querySelector('[data-guide]');
+      expect(el.style.left).toBe('50px');
+    });
+
+    test('Components snap to guides only with rulers', () => {
+      const guide = canvas.addGuide({ axis: 'x', value: 100 });
+      expect(canvas.getSnapGuides()).toEqual([]);
+      canvas.setRulers(true);
+      expect(canvas.getSnapGuides()).toEqual([
+        { type: 'guide', guide, x: 100 }
+      ]);
+    });
+
+    test('Drag a guide from the ruler and back to remove it', () => {
+      canvas.setRulers(true);
+      guidesView.updateAll();
+      mouse('mousedown', guidesView.rulers.y, 5, 40);
+      mouse('mousemove', document.body, 120, 40);
+      const [guide] = canvas.getGuides();
+      expect(guide.get('axis')).toBe('y');
+      expect(guide.get('value')).toBe(40);
+      mouse('mouseup', document.body, 120, 40);
+      expect(canvas.getGuides()).toEqual([guide]);
+
+      guidesView.updateAll();
+      const el = guidesView.guidesEl.querySelector('[data-guide]');
+      mouse('mousedown', el, 120, 40);
+      mouse('mousemove', document.body, 120, 5);
+      mouse('mouseup', document.body, 120, 5);
+      expect(canvas.getGuides()).toEqual([]);
+    });
+
+    test('Snap values to the grid', () => {
+      expect(canvas.snapToGrid(23)).toBe(23);
+      canvas.getConfig().snapGrid = 10;
+      expect(canvas.snapToGrid(23)).toBe(20);
+      expect(canvas.snapToGrid(26)).toBe(30);
+    });
+  });
+
+  describe('Critical CSS', () => {
+    test('Rules are split by elements above the fold', () => {
+      editor.getConfig().protectedCss = '';
+      editor.setComponents(
+        '<div class="top">Top</div><div class="bottom">Bottom</div>'
+      );
+      editor.setStyle(
+        '.top{color:red;}.bottom{color:blue;}.none{color:green;}'
+      );
+      const [top, bottom] = editor.getComponents().models;
+      const mockRect = (cmp, top) =>
+        jest
+          .spyOn(cmp.getEl(), 'getBoundingClientRect')
+          .mockReturnValue({ top, width: 100, height: 100 });
+      mockRect(top, 0);
+      mockRect(bottom, 600);
+      const result = editor.getCriticalCss({ viewportHeight: 500 });
+      expect(result.critical).toBe('.top{color:red;}');
+      expect(result.rest).toBe('.bottom{color:blue;}');
+      expect(result.css).toBe('.top{color:red;}.bottom{color:blue;}');
+      expect(result.dropped.length).toBe(1);
+      expect(editor.getCriticalCss({ viewportHeight: 1000 }).rest).toBe('');
+    });
+  });
+});
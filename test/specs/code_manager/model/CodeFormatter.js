@@ -0,0 +1,174 @@
+import { formatCss, formatHtml } from 'code_manager/model/CodeFormatter';
+
+describe('CodeFormatter', () => {
+  describe('formatCss', () => {
+    const css = `.a, .b > .c{color:#FF0000;content:"a ; b";margin-top:0;margin-right:1px;margin-bottom:0;margin-left:1px}@media (max-width: 480px){.a{color:rgb(255, 255, 255) !important;padding:0 0 0 0}}`;
+
+    test('Code is not changed without options', () => {
+      expect(formatCss(css)).toBe(css);
+    });
+
+    test('Pretty-print', () => {
+      expect(formatCss(css, { pretty: true, indent: 4 })).toBe(
+        [
+          '.a, .b > .c {',
+          '    color: #FF0000;',
+          '    content: "a ; b";',
+          '    margin-top: 0;',
+          '    margin-right: 1px;',
+          '    margin-bottom: 0;',
+          '    margin-left: 1px;',
+          '}',
+          '@media (max-width: 480px) {',
+          '    .a {',
+          '        color: rgb(255, 255, 255) !important;',
+          '        padding: 0 0 0 0;',
+          '    }',
+          '}'
+        ].join('\n')
+      );
+    });
+
+    test('Minify', () => {
+      expect(formatCss(css, { minify: true })).toBe(
+        '.a,.b>.c{color:#f00;content:"a ; b";margin:0 1px}@media (max-width:480px){.a{color:#fff!important;padding:0}}'
+      );
+    });
+
+    test('Minify without shorthands and colors', () => {
+      expect(
+        formatCss(css, { minify: { shorthands: false, colors: false } })
+      ).toBe(
+        '.a,.b>.c{color:#FF0000;content:"a ; b";margin-top:0;margin-right:1px;margin-bottom:0;margin-left:1px}@media (max-width:480px){.a{color:rgb(255,255,255)!important;padding:0 0 0 0}}'
+      );
+    });
+
+    test('Longhands with different importance are not merged', () => {
+      const str =
+        '.a{padding-top:0!important;padding-right:0;padding-bottom:0;padding-left:0}';
+      expect(formatCss(str, { minify: true })).toBe(str);
+    });
+
+    test('Strings and urls are not changed', () => {
+      const str = `.a{background:url("data:image/png;base64,AA==");font-family:"My  Font, 1"}`;
+      expect(formatCss(str, { minify: true })).toBe(str);
+    });
+  });
+
+  describe('formatHtml', () => {
+    test('Code is not changed without options', () => {
+      const html = '<div><p>Text</p></div>';
+      expect(formatHtml(html)).toBe(html);
+    });
+
+    test('Pretty-print block elements', () => {
+      const html =
+        '<div id="a"><h1>Title</h1><ul><li>One</li><li>Two <b>bold</b></li></ul></div><section></section>';
+      expect(formatHtml(html, { pretty: true })).toBe(
+        [
+          '<div id="a">',
+          '  <h1>Title</h1>',
+          '  <ul>',
+          '    <li>One</li>',
+          '    <li>Two <b>bold</b></li>',
+          '  </ul>',
+          '</div>',
+          '<section></section>'
+        ].join('\n')
+      );
+    });
+
+    test('Pretty-print keeps inline and raw content', () => {
+      const html =
+        '<div><span>A</span><span>B</span></div><pre>  a\n  <b>b</b></pre>';
+      expect(formatHtml(html, { pretty: true })).toBe(
+        '<div><span>A</span><span>B</span></div>\n<pre>  a\n  <b>b</b></pre>'
+      );
+    });
+
+    test('Minify collapses white spaces of texts', () => {
+      expect(
+        formatHtml('<p>Text  \n <b>a</b></p><pre> a  b</pre>', { minify: true })
+      ).toBe('<p>Text <b>a</b></p><pre> a  b</pre>');
+      expect(formatHtml('<pre> a  <b> b\n c</b></pre>', { minify: true })).toBe(
+        '<pre> a  <b> b\n c</b></pre>'
+      );
+    });
+
+    test('Sort attributes', () => {
+      const html = '<img src="a.png" id="i" alt="" class="c"/>';
+      expect(formatHtml(html, { sortAttributes: true })).toBe(
+        '<img alt="" class="c" id="i" src="a.png"/>'
+      );
+      expect(formatHtml(html, { sortAttributes: ['id', 'class'] })).toBe(
+        '<img id="i" class="c" alt="" src="a.png"/>'
+      );
+    });
+  });
+
+  describe('Scope', () => {
+    test('Selectors are prefixed by the scope', () => {
+      const css =
+        '* { box-sizing: border-box; } body {margin: 0;}.a, .b > .c{color:red;}[title="x .y"]{color:red;}';
+      expect(formatCss(css, { scope: '.site' })).toBe(
+        '.site *{box-sizing:border-box;}.site{margin:0;}.site .a, .site .b > .c{color:red;}.site [title="x .y"]{color:red;}'
+      );
+    });
+
+    test('Root rules are moved on the scope element', () => {
+      const css =
+        'html{color:red;}html body .a{color:red;}body.dark > .a{color:red;}:root{--x:1px;}body-x{color:red;}';
+      expect(formatCss(css, { scope: '#app' })).toBe(
+        '#app{color:red;}#app .a{color:red;}#app.dark > .a{color:red;}#app{--x:1px;}#app body-x{color:red;}'
+      );
+    });
+
+    test('Rules inside at-rules are scoped, keyframes are not', () => {
+      const css =
+        '@media (max-width: 480px){body{color:red;}.a{color:red;}}@keyframes k{from{opacity:0;}to{opacity:1;}}@font-face{font-family:x;}';
+      expect(formatCss(css, { scope: '.site', minify: true })).toBe(
+        '@media (max-width:480px){.site{color:red}.site .a{color:red}}@keyframes k{from{opacity:0}to{opacity:1}}@font-face{font-family:x}'
+      );
+    });
+
+    test('Class names and ids are namespaced', () => {
+      const css =
+        'body.dark #box .a:not(.b)::before{color:red;}[class~="a"]{color:red;}';
+      expect(formatCss(css, { scope: '.site', namespace: 'ns-' })).toBe(
+        '.site.ns-dark #ns-box .ns-a:not(.ns-b)::before{color:red;}.site [class~="a"]{color:red;}'
+      );
+    });
+
+    test('HTML is wrapped in the scope element', () => {
+      expect(formatHtml('<p>A</p><p>B</p>', { scope: '.site' })).toBe(
+        '<div class="site"><p>A</p><p>B</p></div>'
+      );
+      expect(
+        formatHtml('<body id="wrp" class="dark"><p>A</p></body>', {
+          scope: '.site'
+        })
+      ).toBe('<div class="site dark" id="wrp"><p>A</p></div>');
+      expect(
+        formatHtml('<body id="wrp"><p>A</p></body>', {
+          scope: '#app',
+          pretty: true
+        })
+      ).toBe('<div id="app">\n  <p>A</p>\n</div>');
+    });
+
+    test('Class names and ids of HTML are namespaced', () => {
+      const html =
+        '<label for="in" class="a b">L</label><input id="in" title="a"/><a href="#in">Go</a><a href="/page">Page</a>';
+      expect(formatHtml(html, { namespace: 'ns-' })).toBe(
+        '<label for="ns-in" class="ns-a ns-b">L</label><input id="ns-in" title="a"/><a href="#ns-in">Go</a><a href="/page">Page</a>'
+      );
+    });
+
+    test('Elements inside pre are namespaced', () => {
+      const html = '<pre><span class="x">a</span></pre><div class="x">b</div>';
+      expect(formatHtml(html, { namespace: 'ns-' })).toBe(
+        '<pre><span class="ns-x">a</span></pre><div class="ns-x">b</div>'
+      );
+    });
+  });
+});
@@ -0,0 +1,326 @@
+import Editor from 'editor';
+import LocalTransport from 'collaboration/model/LocalTransport';
+import ItemView from 'navigator/view/ItemView';
+
+describe('Collaboration', () => {
+  const config = {
+    collaboration: { local: { broadcastChannel: 0 }, syncTimeout: 0 }
+  };
+  let ed1;
+  let ed2;
+
+  const init = (opts = {}) => {
+    const ed = new Editor({ ...config, ...opts }).init();
+    ed.Components.postLoad(); // Init UndoManager
+    ed.Css.postLoad(ed.editor);
+    return ed;
+  };
+
+  beforeEach(() => {
+    ed1 = init();
+    ed2 = init();
+  });
+
+  afterEach(async () => {
+    // Wait for debounced updates of views
+    await new Promise(res => setTimeout(res));
+    ed1.Collaboration.disconnect();
+    ed2.Collaboration.disconnect();
+    ed1.destroy();
+    ed2.destroy();
+  });
+
+  test('Object exists', () => {
+    const collab = ed1.Collaboration;
+    expect(collab).toBeTruthy();
+    expect(collab.getTransport('local')).toBeInstanceOf(LocalTransport);
+    expect(collab.getClientId()).not.toEqual(ed2.Collaboration.getClientId());
+    expect(collab.isConnected()).toBe(false);
+  });
+
+  test('Changes are sent to other clients in the room', () => {
+    ed1.Collaboration.connect({ room: 'test' });
+    ed2.Collaboration.connect({ room: 'test' });
+    const [cmp] = ed1.getWrapper().append('<div class="cls">A</div><p>B</p>');
+    cmp.addAttributes({ title: 'Title' });
+    ed1.getWrapper().append('<section>C</section>', { at: 1 });
+    ed1
+      .getWrapper()
+      .components()
+      .at(2)
+      .remove();
+    ed1.Css.setRule('.cls', { color: 'red' });
+    ed1.Assets.add('image.png');
+    expect(ed2.getHtml()).toEqual(ed1.getHtml());
+    expect(ed2.getCss()).toEqual(ed1.getCss());
+    expect(ed2.getCss()).toContain('.cls{color:red;}');
+    expect(ed2.Assets.getAll().length).toBe(1);
+  });
+
+  test('Remote changes are not registered in the UndoManager', () => {
+    ed1.Collaboration.connect({ room: 'test' });
+    ed2.Collaboration.connect({ room: 'test' });
+    ed1.getWrapper().append('<div>A</div>');
+    expect(ed2.getComponents().length).toBe(1);
+    expect(ed2.UndoManager.hasUndo()).toBe(false);
+    ed1.UndoManager.undo();
+    expect(ed2.getComponents().length).toBe(0);
+  });
+
+  test('Get the state of the room on connect', async () => {
+    ed1.Collaboration.connect({ room: 'test' });
+    // Wait the sync timeout, without other clients in the room
+    await new Promise(res => setTimeout(res));
+    ed1.getWrapper().append('<div class="cls">A</div>');
+    ed1.Css.setRule('.cls', { color: 'red' });
+    ed2.getWrapper().append('<div>Old content</div>');
+    ed2.Collaboration.connect({ room: 'test' });
+    expect(ed2.getHtml()).toEqual(ed1.getHtml());
+    expect(ed2.getCss()).toEqual(ed1.getCss());
+    expect(ed2.UndoManager.hasUndo()).toBe(false);
+  });
+
+  test('Clients in other rooms are not affected', () => {
+    ed1.Collaboration.connect({ room: 'test' });
+    ed2.Collaboration.connect({ room: 'test-2' });
+    ed1.getWrapper().append('<div>A</div>');
+    expect(ed2.getComponents().length).toBe(0);
+  });
+
+  test('Use a custom transport', () => {
+    const sent = [];
+    let receive;
+    ed1.Collaboration.addTransport('custom', {
+      connect(room, onMessage) {
+        receive = onMessage;
+      },
+      send(msg) {
+        sent.push(msg);
+      },
+      disconnect() {}
+    });
+    ed1.Collaboration.connect({ type: 'custom' });
+    expect(sent[0].type).toBe('sync:request');
+    expect(sent[1].type).toBe('presence');
+    ed1.getWrapper().append('<div>A</div>');
+    expect(sent[2].type).toBe('ops');
+    expect(sent[2].ops[0].op).toBe('add');
+    expect(sent[2].clientId).toBe(ed1.Collaboration.getClientId());
+    receive({
+      type: 'ops',
+      clientId: 'other',
+      ops: [
+        {
+          op: 'change',
+          target: {
+            type: 'component',
+            id: ed1
+              .getComponents()
+              .at(0)
+              .getId()
+          },
+          value: { attributes: { title: 'Remote' } }
+        }
+      ]
+    });
+    expect(ed1.getHtml()).toContain('title="Remote"');
+    expect(sent.length).toBe(3);
+  });
+
+  describe('Concurrent changes', () => {
+    let queue;
+
+    // Transport delivering messages only on flush, to simulate the latency
+    const createTransport = clients => ({
+      connect(room, onMessage) {
+        this.onMessage = onMessage;
+        clients.push(this);
+      },
+      send(msg) {
+        clients
+          .filter(client => client !== this)
+          .forEach(client => queue.push(() => client.onMessage(msg)));
+      },
+      disconnect() {
+        clients.splice(clients.indexOf(this), 1);
+      }
+    });
+
+    const flush = () => {
+      while (queue.length) queue.shift()();
+    };
+
+    beforeEach(async () => {
+      const clients = [];
+      queue = [];
+      ed1.Collaboration.addTransport('test', createTransport(clients));
+      ed2.Collaboration.addTransport('test', createTransport(clients));
+      ed1.setComponents('<div id="a">A</div><div id="b">B</div>');
+      ed1.Collaboration.connect({ type: 'test' });
+      await new Promise(res => setTimeout(res));
+      ed2.Collaboration.connect({ type: 'test' });
+      flush();
+    });
+
+    test('Components are addressed by id', () => {
+      ed1.getWrapper().append('<p>New</p>', { at: 0 });
+      ed2
+        .getComponents()
+        .at(1)
+        .addAttributes({ title: 'B' });
+      flush();
+      expect(ed2.getHtml()).toEqual(ed1.getHtml());
+      expect(ed1.getHtml()).toContain('<div id="b" title="B">');
+    });
+
+    test('Concurrent inserts are in the same order for all clients', () => {
+      ed1.getWrapper().append('<p>1</p><p>2</p>', { at: 1 });
+      ed2.getWrapper().append('<span>3</span>', { at: 1 });
+      ed2.getWrapper().append('<span>4</span>', { at: 0 });
+      flush();
+      expect(ed2.getHtml()).toEqual(ed1.getHtml());
+      expect(ed1.getComponents().length).toBe(6);
+    });
+
+    test('Concurrent changes of the same property converge', () => {
+      const [cmp1] = ed1.getComponents().models;
+      const [cmp2] = ed2.getComponents().models;
+      cmp1.addAttributes({ title: 'One' });
+      cmp2.addAttributes({ title: 'Two' });
+      flush();
+      expect(cmp1.getAttributes().title).toBe(cmp2.getAttributes().title);
+    });
+
+    test('Inner components of remote additions are addressed by id', () => {
+      const [added] = ed1.getWrapper().append('<div><span>Inner</span></div>');
+      flush();
+      added
+        .components()
+        .at(0)
+        .addAttributes({ title: 'Inner' });
+      flush();
+      expect(ed2.getHtml()).toEqual(ed1.getHtml());
+      expect(ed2.getHtml()).toContain('title="Inner"');
+    });
+  });
+
+  test('Leave the room when the editor is destroyed', () => {
+    const ed3 = init();
+    const transport = ed3.Collaboration.getTransport('local');
+    ed1.Collaboration.connect({ room: 'test' });
+    ed3.Collaboration.connect({ room: 'test' });
+    ed3.destroy();
+    expect(transport.room).toBe(null);
+    expect(() => ed1.getWrapper().append('<div>A</div>')).not.toThrow();
+  });
+
+  describe('Presence', () => {
+    afterEach(async () => {
+      ed1.select([]);
+      // Wait for debounced updates of the selection
+      await new Promise(res => setTimeout(res, 50));
+    });
+
+    test('Share selected and hovered components', () => {
+      const collab1 = ed1.Collaboration;
+      const collab2 = ed2.Collaboration;
+      const onPresence = sinon.spy();
+      ed2.on('collab:presence', onPresence);
+      collab1.connect({ room: 'test' });
+      collab2.connect({ room: 'test' });
+      const id1 = collab1.getClientId();
+      expect(collab2.getPresence(id1).getName()).toBe(id1);
+      expect(collab1.getPresence(collab2.getClientId())).toBeTruthy();
+
+      const [cmpA, cmpB] = ed1.getWrapper().append('<div>A</div><p>B</p>');
+      ed1.select(cmpA);
+      ed1.getModel().setHovered(cmpB);
+      const presence = collab2.getPresence(id1);
+      const [remoteA, remoteB] = ed2.getComponents().models;
+      expect(presence.getSelected()).toEqual([remoteA]);
+      expect(presence.getHovered()).toBe(remoteB);
+      expect(presence.getStatus(remoteA)).toBe('selected');
+      expect(collab2.getPresences().getByComponent(remoteB)).toEqual([
+        presence
+      ]);
+
+      collab1.setUser({ name: 'John', color: 'red' });
+      expect(presence.getName()).toBe('John');
+      expect(presence.getColor()).toBe('red');
+      expect(onPresence.called).toBe(true);
+    });
+
+    test('Remove the presence when the collaborator leaves', () => {
+      const onRemove = sinon.spy();
+      ed2.on('collab:presence:remove', onRemove);
+      ed1.Collaboration.connect({ room: 'test' });
+      ed2.Collaboration.connect({ room: 'test' });
+      expect(ed2.Collaboration.getPresences().length).toBe(1);
+      ed1.Collaboration.disconnect();
+      expect(ed2.Collaboration.getPresences().length).toBe(0);
+      expect(onRemove.calledOnce).toBe(true);
+    });
+
+    test('Show presences in layers', () => {
+      const [cmp] = ed1.getWrapper().append('<div>A</div>');
+      ed1.LayerManager.onLoad();
+      ed1.LayerManager.render();
+      const el = cmp.viewLayer.el.querySelector('[data-presence]');
+      expect(el.children.length).toBe(0);
+      ed1.Collaboration.setPresence('user-2', {
+        name: 'Jane',
+        color: 'blue',
+        selected: [cmp]
+      });
+      expect(el.children.length).toBe(1);
+      expect(el.children[0].getAttribute('title')).toBe('Jane');
+      ed1.Collaboration.removePresence('user-2');
+      expect(el.children.length).toBe(0);
+    });
+
+    test('Update only layers of components with changed presence', () => {
+      const [cmpA, cmpB, cmpC] = ed1
+        .getWrapper()
+        .append('<div>A</div><div>B</div><div>C</div>');
+      const spy = sinon.spy(ItemView.prototype, 'updatePresence');
+      ed1.LayerManager.onLoad();
+      ed1.LayerManager.render();
+      spy.resetHistory();
+      const getCalls = () =>
+        [cmpA, cmpB, cmpC].map(
+          cmp => spy.thisValues.filter(view => view.model === cmp).length
+        );
+      const collab = ed1.Collaboration;
+      collab.setPresence('user-2', { selected: [cmpA] });
+      expect(getCalls()).toEqual([1, 0, 0]);
+      collab.setPresence('user-2', { selected: [cmpB] });
+      expect(getCalls()).toEqual([2, 1, 0]);
+      collab.removePresence('user-2');
+      expect(getCalls()).toEqual([2, 2, 0]);
+      spy.restore();
+    });
+
+    test('Throttle presence updates on hover', async () => {
+      const sent = [];
+      const collab = ed1.Collaboration;
+      collab.addTransport('test', {
+        connect() {},
+        send: msg => msg.type === 'presence' && sent.push(msg),
+        disconnect() {}
+      });
+      collab.connect({ type: 'test' });
+      const [cmpA, cmpB, cmpC] = ed1
+        .getWrapper()
+        .append('<div>A</div><div>B</div><div>C</div>');
+      const em = ed1.getModel();
+      sent.length = 0;
+      em.setHovered(cmpA);
+      em.setHovered(cmpB);
+      em.setHovered(cmpC);
+      expect(sent.length).toBe(1);
+      await new Promise(res => setTimeout(res, 150));
+      expect(sent.length).toBe(2);
+      expect(sent[1].hovered).toEqual({ type: 'component', id: cmpC.getId() });
+    });
+  });
+});
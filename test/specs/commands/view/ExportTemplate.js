@@ -0,0 +1,150 @@
+import Editor from 'editor';
+
+describe('ExportTemplate', () => {
+  let editor, command, wrapper;
+
+  beforeEach(() => {
+    editor = new Editor().init();
+    command = editor.Commands.get('export-template');
+    wrapper = editor.getWrapper();
+    editor.setComponents(`<div id="box" class="cls">
+      <h1>Title</h1>
+      <p>Text</p>
+    </div>`);
+    editor.setStyle('.cls { color: red; } h1 { padding: 10px; }');
+    // Init UndoManager
+    editor.Components.postLoad();
+    editor.CssComposer.postLoad(editor.getModel());
+  });
+
+  afterEach(() => {
+    editor = null;
+  });
+
+  test('Unchanged code keeps all components', () => {
+    const box = wrapper.components().at(0);
+    const title = box.components().at(0);
+    const errors = command.apply(editor, {
+      html: editor.getHtml(),
+      css: command.getCss(editor)
+    });
+    expect(errors).toEqual({ html: [], css: [] });
+    expect(wrapper.components().at(0)).toBe(box);
+    expect(box.components().at(0)).toBe(title);
+    expect(editor.UndoManager.hasUndo()).toBe(false);
+  });
+
+  test('Formatted code is not considered as a change', () => {
+    const box = wrapper.components().at(0);
+    const para = box.components().at(1);
+    command.apply(editor, {
+      html: `<div id="box" class="cls">\n  <h1>Title\n  </h1>\n  <p>\n    Text\n  </p>\n</div>`
+    });
+    expect(box.components().at(1)).toBe(para);
+    expect(editor.getHtml()).toBe(
+      '<div id="box" class="cls"><h1>Title</h1><p>Text</p></div>'
+    );
+  });
+
+  test('Changes are applied to existing components', () => {
+    const box = wrapper.components().at(0);
+    const title = box.components().at(0);
+    const boxId = box.getId();
+    command.apply(editor, {
+      html: `<div id="box" class="cls cls2" title="Box"><h1>New title</h1><p>Text</p></div>`
+    });
+    expect(wrapper.components().at(0)).toBe(box);
+    expect(box.getId()).toBe(boxId);
+    expect(box.getAttributes().title).toBe('Box');
+    expect(box.getClasses()).toEqual(['cls', 'cls2']);
+    expect(box.components().at(0)).toBe(title);
+    expect(title.toHTML()).toBe('<h1>New title</h1>');
+  });
+
+  test('Components are added and removed', () => {
+    const box = wrapper.components().at(0);
+    const para = box.components().at(1);
+    command.apply(editor, {
+      html: `<div id="box" class="cls"><p>Text</p><span>New</span></div><section></section>`
+    });
+    const comps = box.components();
+    expect(comps.length).toBe(2);
+    expect(comps.at(0)).toBe(para);
+    expect(comps.at(1).get('tagName')).toBe('span');
+    expect(wrapper.components().length).toBe(2);
+    expect(
+      wrapper
+        .components()
+        .at(1)
+        .get('tagName')
+    ).toBe('section');
+  });
+
+  test('Components with a different type are replaced', () => {
+    const box = wrapper.components().at(0);
+    const para = box.components().at(1);
+    command.apply(editor, {
+      html: `<div id="box" class="cls"><h1>Title</h1><img src="img.png"/></div>`
+    });
+    const img = box.components().at(1);
+    expect(img).not.toBe(para);
+    expect(img.is('image')).toBe(true);
+    expect(img.get('src')).toBe('img.png');
+  });
+
+  test('CSS changes are applied to rules', () => {
+    const cssc = editor.CssComposer;
+    const rule = cssc.getRule('h1');
+    command.apply(editor, {
+      css: '.cls { color: blue; } .new { margin: 0; }'
+    });
+    expect(cssc.getRule('.cls').getStyle()).toEqual({ color: 'blue' });
+    expect(cssc.getRule('.new').getStyle()).toEqual({ margin: '0' });
+    expect(cssc.getAll().indexOf(rule)).toBe(-1);
+  });
+
+  test('Protected and page CSS are not applied as rules', () => {
+    const cssc = editor.CssComposer;
+    const count = cssc.getAll().length;
+    editor.Pages.getSelected().setStyles('.page { color: red; }');
+    const css = command.getCss(editor);
+    expect(css).not.toContain('.page');
+    expect(css).not.toContain('box-sizing');
+    command.apply(editor, { css });
+    expect(cssc.getAll().length).toBe(count);
+    command.apply(editor, { css: `${css} .new { margin: 0; }` });
+    expect(cssc.getAll().length).toBe(count + 1);
+    expect(cssc.getRule('.page')).toBeFalsy();
+  });
+
+  test('Code with errors is not applied', () => {
+    const html = editor.getHtml();
+    const css = editor.getCss();
+    const errors = command.apply(editor, {
+      html: '<div><p>Text</div></span>',
+      css: '.cls { color: blue; '
+    });
+    expect(errors.html).toEqual([
+      { line: 1, message: 'Unexpected closing tag </span>' }
+    ]);
+    expect(errors.css).toEqual([
+      { line: 1, message: 'Missing } for this block' }
+    ]);
+    expect(editor.getHtml()).toBe(html);
+    expect(editor.getCss()).toBe(css);
+  });
+
+  test('Changes are reverted with a single undo', () => {
+    const html = editor.getHtml();
+    const css = editor.getCss();
+    command.apply(editor, {
+      html: `<div id="box" class="cls" title="Box"><h1>New</h1></div><p>Other</p>`,
+      css: '.cls { color: blue; }'
+    });
+    expect(editor.getHtml()).not.toBe(html);
+    editor.UndoManager.undo();
+    expect(editor.getHtml()).toBe(html);
+    expect(editor.getCss()).toBe(css);
+    expect(editor.UndoManager.hasUndo()).toBe(false);
+  });
+});
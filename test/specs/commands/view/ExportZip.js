@@ -0,0 +1,112 @@
+import Editor from 'editor';
+
+describe('ExportZip', () => {
+  let editor, command;
+  const png = 'data:image/png;base64,iVBORw0KGgo=';
+
+  beforeEach(() => {
+    editor = new Editor().init();
+    command = editor.Commands.get('export-zip');
+    editor.setComponents(
+      `<div class="box">Hello</div><img src="${png}"/><div class="logo"></div>`
+    );
+    editor.setStyle(
+      `.box { background-image: url("${png}"); } .logo { background: url(img/logo.svg); }`
+    );
+  });
+
+  afterEach(() => {
+    editor = null;
+  });
+
+  test('Files of the site', async () => {
+    const files = await command.getFiles(editor, { fetchAssets: false });
+    expect(Object.keys(files)).toEqual([
+      'index.html',
+      'style.css',
+      'assets/file-1.png'
+    ]);
+    expect(Array.from(files['assets/file-1.png'])).toEqual([
+      0x89,
+      0x50,
+      0x4e,
+      0x47,
+      0x0d,
+      0x0a,
+      0x1a,
+      0x0a
+    ]);
+  });
+
+  test('References to extracted assets are replaced', async () => {
+    const files = await command.getFiles(editor, { fetchAssets: false });
+    const index = files['index.html'];
+    const css = files['style.css'];
+    expect(index).toContain('<link rel="stylesheet" href="style.css">');
+    expect(index).toContain('<img src="assets/file-1.png"');
+    expect(index).not.toContain('data:image');
+    expect(css).toContain('url("assets/file-1.png")');
+    expect(css).toContain('url(img/logo.svg)');
+  });
+
+  test('Items of the frame head are added to the index', async () => {
+    const frame = editor.Canvas.getFrame();
+    const css = 'data:text/css,body%7Bcolor%3Ared%7D';
+    frame.addHeadItem({
+      tag: 'meta',
+      attributes: { name: 'viewport', content: 'width=1024' }
+    });
+    frame.addHeadItem({ tag: 'meta', attributes: { name: 'author' } });
+    frame.addLink(css);
+    frame.addScript('https://example.com/lib.js');
+    const files = await command.getFiles(editor, { fetchAssets: false });
+    const index = files['index.html'];
+    expect(index).toContain('<meta charset="utf-8">');
+    expect(index).toContain('<meta name="viewport" content="width=1024">');
+    expect(index).not.toContain('initial-scale');
+    expect(index).toContain('<meta name="author">');
+    expect(index).toContain('<link href="assets/file-2.css" rel="stylesheet">');
+    expect(index).toContain(
+      '<script src="https://example.com/lib.js"></script>'
+    );
+    expect(files['assets/file-2.css']).toBeTruthy();
+  });
+
+  test('Scripts of components are exported in script.js', async () => {
+    editor.addComponents({ script: 'console.log("test")' });
+    const files = await command.getFiles(editor, { fetchAssets: false });
+    expect(files['script.js']).toContain('console.log("test")');
+    expect(files['index.html']).toContain(
+      '<script src="script.js"></script></body>'
+    );
+    expect(files['index.html']).not.toContain('console.log');
+  });
+
+  test('Extra files are added to the archive', async () => {
+    const onExport = jest.fn();
+    editor.on('export:zip', onExport);
+    let files = await command.getFiles(editor, {
+      fetchAssets: false,
+      files: { 'README.md': '# Site' }
+    });
+    expect(files['README.md']).toBe('# Site');
+    expect(onExport).toBeCalledWith(files);
+
+    files = await command.getFiles(editor, {
+      fetchAssets: false,
+      files: (ed, files) =>
+        Promise.resolve({ ...files, 'robots.txt': `${ed === editor}` })
+    });
+    expect(files['robots.txt']).toBe('true');
+    expect(files['index.html']).toBeTruthy();
+  });
+
+  test('Run returns bytes of the archive', async () => {
+    const zip = await editor.runCommand('export-zip', {
+      fetchAssets: false,
+      download: false
+    });
+    expect(zip instanceof Uint8Array).toBe(true);
+    expect(new DataView(zip.buffer).getUint32(0, true)).toBe(0x04034b50);
+  });
+});
@@ -0,0 +1,59 @@
+import Editor from 'editor';
+
+describe('Diff', () => {
+  let ed;
+  let diff;
+
+  beforeEach(() => {
+    ed = new Editor().init();
+    diff = ed.Diff;
+  });
+
+  afterEach(async () => {
+    // Wait for debounced updates of views
+    await new Promise(res => setTimeout(res));
+    ed.destroy();
+  });
+
+  test('Object exists', () => {
+    expect(diff).toBeTruthy();
+    expect(diff.getResult()).toBe(null);
+  });
+
+  test('Compare the project with a previous state', () => {
+    ed.setComponents('<div id="a">A</div><p>B</p>');
+    ed.Css.setRule('.cls', { color: 'red' });
+    const prev = diff.getState();
+    const [cmpA, cmpP] = ed.getComponents().models;
+    cmpP.addAttributes({ title: 'Title' });
+    ed.getWrapper().append('<section>C</section>');
+    ed.Css.setRule('.cls', { color: 'blue' });
+    ed.Css.setRule('.cls2', { color: 'red' });
+    const result = diff.compareWith(prev);
+    const getTypes = items => items.map(item => item.type);
+    expect(getTypes(result.components)).toEqual(['changed', 'added']);
+    expect(result.components[0].changes).toEqual(['attributes']);
+    expect(getTypes(result.rules)).toEqual(['changed', 'added']);
+
+    diff.show(result);
+    expect(diff.getStatus(cmpP)).toBe('changed');
+    expect(diff.getStatus(cmpA)).toBe('');
+    expect(diff.getStatus(ed.getComponents().at(2))).toBe('added');
+    diff.clear();
+    expect(diff.getStatus(cmpP)).toBe('');
+  });
+
+  test('Highlight differences in layers', () => {
+    ed.setComponents('<div>A</div>');
+    const prev = diff.getState();
+    const [cmp] = ed.getComponents().models;
+    ed.LayerManager.onLoad();
+    ed.LayerManager.render();
+    cmp.set('content', 'B');
+    diff.compareWith(prev, { show: true });
+    const { classList } = cmp.viewLayer.el;
+    expect(classList.contains('gjs-layer--diff-changed')).toBe(true);
+    diff.clear();
+    expect(classList.contains('gjs-layer--diff-changed')).toBe(false);
+  });
+});
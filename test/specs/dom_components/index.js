@@ -1,5 +1,6 @@
 import DomComponents from 'dom_components';
 import Components from 'dom_components/model/Components';
+import Component from 'dom_components/model/Component';
 import ComponentModels from './model/Component';
 import ComponentView from './view/ComponentV';
 import ComponentsView from './view/ComponentsView';
@@ -75,7 +76,7 @@ describe('DOM Components', () => {
           };
         }
       };
-      expect(obj.storageKey()).toEqual(['html', 'components']);
+      expect(obj.storageKey()).toEqual(['html', 'components', 'symbols']);
     });
 
     test('Store data', () => {
@@ -84,7 +85,8 @@ describe('DOM Components', () => {
       //obj.getWrapper().get('components').add({});
       var expected = {
         html: 'testHtml',
-        components: JSON.stringify(obj.getWrapper())
+        components: JSON.stringify(obj.getWrapper()),
+        symbols: JSON.stringify([])
       };
       expect(obj.store(1)).toEqual(expected);
     });
@@ -267,4 +269,182 @@ describe('DOM Components', () => {
       expect(comp.get('editable')).toBe(1);
     });
   });
+
+  describe('Symbols', () => {
+    let em;
+    let domc;
+    let instance;
+    let main;
+
+    beforeEach(() => {
+      em = new Editor({ avoidInlineStyle: 1 });
+      domc = em.get('DomComponents');
+      instance = domc.addComponent(
+        '<header class="hd"><h1 title="A">Title</h1><p>Text</p></header>'
+      );
+      main = domc.addSymbol(instance);
+    });
+
+    test('Create a symbol from the component', () => {
+      expect(main.isSymbolMain()).toBe(true);
+      expect(domc.getSymbols()).toEqual([main]);
+      expect(domc.getSymbol(main.getId())).toBe(main);
+      expect(instance.isSymbolInstance()).toBe(true);
+      expect(instance.getSymbolMain()).toBe(main);
+      expect(main.getSymbolInstances()).toEqual([instance]);
+      expect(main.toHTML()).toContain('<h1 title="A"');
+      expect(domc.addSymbol(instance)).toBe(main);
+    });
+
+    test('Create new instances from the main component reference', () => {
+      const inst = domc.addComponent({ symbolOf: main.getId() });
+      expect(inst.getSymbolMain()).toBe(main);
+      expect(inst.toHTML()).toBe(instance.toHTML());
+      const json = JSON.parse(JSON.stringify(inst));
+      expect(json.symbolOf).toBe(main.getId());
+      expect(json.components[0].symbolOf).toBe(
+        main
+          .components()
+          .at(0)
+          .getId()
+      );
+    });
+
+    test('Changes are propagated to all instances', () => {
+      const inst = instance.clone();
+      domc.addComponent(inst);
+      expect(main.getSymbolInstances().length).toBe(2);
+      const [title] = inst.components().models;
+      title.addAttributes({ title: 'B' });
+      title.set('content', 'Content');
+      inst.addClass('hd-2');
+      inst.setStyle({ color: 'red' });
+      [main, instance].forEach(cmp => {
+        const [cmpTitle] = cmp.components().models;
+        expect(cmpTitle.getAttributes().title).toBe('B');
+        expect(cmpTitle.get('content')).toBe('Content');
+        expect(cmp.getClasses()).toEqual(['hd', 'hd-2']);
+        expect(cmp.getStyle()).toEqual({ color: 'red' });
+      });
+      expect(instance.getAttributes().id).not.toBe(inst.getId());
+    });
+
+    test('Added and removed children are propagated', () => {
+      const inst = domc.addComponent({ symbolOf: main.getId() });
+      const [added] = instance.append('<span>New</span>', { at: 1 });
+      expect(inst.components().length).toBe(3);
+      expect(main.components().length).toBe(3);
+      const instAdded = inst.components().at(1);
+      expect(instAdded.get('tagName')).toBe('span');
+      expect(instAdded.getSymbolMain()).toBe(main.components().at(1));
+      expect(added.getSymbolMain()).toBe(main.components().at(1));
+      instAdded.remove();
+      expect(instance.components().length).toBe(2);
+      expect(main.components().length).toBe(2);
+    });
+
+    test('Overridden properties are not synced', () => {
+      const inst = domc.addComponent({ symbolOf: main.getId() });
+      const instTitle = inst.components().at(0);
+      instTitle.setSymbolOverrides('attributes');
+      instance
+        .components()
+        .at(0)
+        .addAttributes({ title: 'B' });
+      expect(instTitle.getAttributes().title).toBe('A');
+      expect(
+        main
+          .components()
+          .at(0)
+          .getAttributes().title
+      ).toBe('B');
+      instTitle.addAttributes({ title: 'C' });
+      expect(
+        instance
+          .components()
+          .at(0)
+          .getAttributes().title
+      ).toBe('B');
+    });
+
+    test('Detach the instance', () => {
+      const inst = domc.addComponent({ symbolOf: main.getId() });
+      domc.detachSymbol(inst);
+      expect(inst.isSymbolInstance()).toBe(false);
+      expect(
+        inst
+          .components()
+          .at(0)
+          .isSymbolInstance()
+      ).toBe(false);
+      inst
+        .components()
+        .at(0)
+        .addAttributes({ title: 'B' });
+      expect(
+        instance
+          .components()
+          .at(0)
+          .getAttributes().title
+      ).toBe('A');
+      domc.removeSymbol(main);
+      expect(domc.getSymbols().length).toBe(0);
+      expect(instance.isSymbolInstance()).toBe(false);
+    });
+
+    test('Only components synced with a symbol listen to changes', () => {
+      const spy = sinon.spy(Component.prototype, '_symbolUpdated');
+      const cmp = domc.addComponent('<div><span>A</span></div>');
+      const inst = domc.addComponent({ symbolOf: main.getId() });
+      spy.resetHistory();
+      cmp
+        .components()
+        .at(0)
+        .addAttributes({ title: 'A' });
+      expect(spy.called).toBe(false);
+      inst
+        .components()
+        .at(0)
+        .addAttributes({ title: 'B' });
+      expect(spy.callCount).toBe(1);
+      spy.restore();
+    });
+
+    test('Removed instances are not synced', () => {
+      const inst = domc.addComponent({ symbolOf: main.getId() });
+      expect(main.getSymbolInstances()).toEqual([instance, inst]);
+      inst.remove();
+      expect(main.getSymbolInstances()).toEqual([instance]);
+      domc.detachSymbol(instance);
+      expect(main.getSymbolInstances()).toEqual([]);
+    });
+
+    test('Symbols are stored and loaded', () => {
+      domc.getConfig().stm = {
+        getConfig: () => ({ storeComponents: 1 }),
+        store() {}
+      };
+      const data = domc.store(1);
+      domc.removeSymbol(main);
+      domc.load(data);
+      const loaded = domc.getSymbol(main.getId());
+      expect(loaded.isSymbolMain()).toBe(true);
+      expect(
+        domc
+          .getComponents()
+          .at(0)
+          .getSymbolMain()
+      ).toBe(loaded);
+      loaded
+        .components()
+        .at(0)
+        .addAttributes({ title: 'B' });
+      expect(
+        domc
+          .getComponents()
+          .at(0)
+          .toHTML()
+      ).toContain('title="B"');
+    });
+  });
 });
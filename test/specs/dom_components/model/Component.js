@@ -403,6 +403,22 @@ describe('Component', () => {
     };
     newObj.components().each(model => inhereted(model));
   });
+
+  test('Lock the component and its descendants', () => {
+    const [child] = obj.append('<div><span>A</span></div>');
+    const [inner] = child.components().models;
+    expect(obj.isLocked()).toBe(false);
+    obj.lock();
+    expect(obj.isLocked()).toBe(true);
+    expect(child.isLocked()).toBe(false);
+    obj.lock({ deep: true });
+    expect(obj.get('locked')).toBe('deep');
+    expect(child.isLocked()).toBe(true);
+    expect(inner.isLocked()).toBe(true);
+    obj.unlock();
+    expect(obj.isLocked()).toBe(false);
+    expect(inner.isLocked()).toBe(false);
+  });
 });
 
 describe('Image Component', () => {
@@ -113,4 +113,424 @@ describe('Editor', () => {
     expect(umStack.length).toBe(4);
     expect(keys(all).length).toBe(initComps);
   });
+
+  test('Changes of a transaction are collapsed in a single entry', async () => {
+    editor.Components.postLoad(); // Init UndoManager
+    const um = editor.UndoManager;
+    const wrapper = editor.getWrapper();
+    // Actions in different callstacks are not merged by default
+    const tick = () => new Promise(res => setTimeout(res));
+    const cmp = wrapper.append('<div>Component 1</div>')[0];
+    await tick();
+    expect(
+      um
+        .getStack()
+        .at(0)
+        .get('label')
+    ).toBe('Add Text');
+    um.startGroup('Update component');
+    cmp.addAttributes({ title: 'Title' });
+    await tick();
+    um.transaction('Inner transaction', () =>
+      cmp.components('<span>Content</span>')
+    );
+    await tick();
+    um.startGroup('Inner group');
+    wrapper.append('<div>Component 2</div>');
+    um.endGroup();
+    um.endGroup();
+    await tick();
+    cmp.addAttributes({ title: 'Title 2' });
+    const groups = um.getStackGroup();
+    expect(groups.length).toBe(3);
+    expect(groups[1].get('label')).toBe('Update component');
+    expect(groups[2].get('label')).toBe('Change attributes of Text');
+    um.undo();
+    um.undo();
+    expect(wrapper.components().length).toBe(1);
+    expect(cmp.components().length).toBe(0);
+    expect(cmp.getAttributes().title).toBeFalsy();
+    um.redo();
+    expect(wrapper.components().length).toBe(2);
+    expect(cmp.components().length).toBe(1);
+    expect(cmp.getAttributes().title).toBe('Title');
+  });
+
+  test('Changes of tracked props and traits are undoable', () => {
+    editor.Components.postLoad(); // Init UndoManager
+    const um = editor.UndoManager;
+    const cmp = editor.getWrapper().append('<div>Component</div>')[0];
+    cmp.set('traits', [{ name: 'my-prop', changeProp: 1 }]);
+    um.clear();
+    cmp.set({ tagName: 'section', draggable: false });
+    cmp.getTrait('my-prop').setTargetValue('value');
+    cmp.set('untracked-prop', 'value');
+    expect(um.getTrackedProps()).toContain('my-prop');
+    const types = um.getStack().map(item => item.get('type'));
+    expect(types).toContain('change:my-prop');
+    expect(types).not.toContain('change:untracked-prop');
+    um.undo();
+    expect(cmp.get('tagName')).toBe('div');
+    expect(cmp.get('draggable')).toBe(true);
+    expect(cmp.get('my-prop')).toBeFalsy();
+    expect(cmp.get('untracked-prop')).toBe('value');
+    um.redo();
+    expect(cmp.get('tagName')).toBe('section');
+    expect(cmp.get('my-prop')).toBe('value');
+  });
+
+  test('Track selection changes', async () => {
+    const ed = new Editor({ undoManager: { trackSelection: 1 } }).init();
+    ed.Components.postLoad(); // Init UndoManager
+    const um = ed.UndoManager;
+    const [cmp1] = ed.getWrapper().append('<div>A</div><div>B</div>');
+    um.clear();
+    ed.select(cmp1);
+    ed.getModel().set('state', 'hover');
+    um.undo();
+    expect(ed.getSelected()).toBeFalsy();
+    expect(ed.getModel().get('state')).toBeFalsy();
+    um.redo();
+    expect(ed.getSelected()).toBe(cmp1);
+    expect(ed.getModel().get('state')).toBe('hover');
+    // Wait for the debounced updates of views
+    ed.select([]);
+    await new Promise(res => setTimeout(res, 50));
+    ed.destroy();
+  });
+
+  test('Locked components are not editable', async () => {
+    const ed = new Editor().init();
+    const [cmp1, cmp2] = ed.getWrapper().append('<div>A</div><div>B</div>');
+    const hasLock = cmp =>
+      cmp.get('toolbar').some(item => item.command === 'tlb-lock');
+    expect(hasLock(cmp1)).toBe(false);
+    const ed2 = new Editor({ domComponents: { lockToolbar: 1 } }).init();
+    expect(hasLock(ed2.getWrapper().append('<div>C</div>')[0])).toBe(true);
+    ed2.destroy();
+    ed.select(cmp1);
+    ed.runCommand('tlb-lock');
+    expect(cmp1.isLocked()).toBe(true);
+    expect(ed.getSelected()).toBeFalsy();
+    ed.select(cmp1);
+    expect(ed.getSelected()).toBeFalsy();
+    ed.runCommand('core:component-delete', { component: cmp1 });
+    expect(ed.getComponents().length).toBe(2);
+    ed.getWrapper().lock({ deep: 1 });
+    ed.select(cmp2);
+    expect(ed.getSelected()).toBeFalsy();
+    ed.getWrapper().unlock();
+    cmp1.unlock();
+    ed.select(cmp1);
+    expect(ed.getSelected()).toBe(cmp1);
+    // Wait for the debounced updates of views
+    ed.select([]);
+    await new Promise(res => setTimeout(res, 50));
+    ed.destroy();
+  });
+
+  test('Switch between projects', done => {
+    const data = {};
+    const storageId = 'testStorage';
+    const ed = new Editor({
+      storageManager: { type: storageId, autoload: 0, autosave: 0 }
+    }).init();
+    const sm = ed.StorageManager;
+    sm.add(storageId, {
+      store(toStore, clb) {
+        Object.assign(data, toStore);
+        clb();
+      },
+      load(keys, clb) {
+        clb(data);
+      }
+    });
+    sm.createProject({ id: 'p1' });
+    sm.createProject({ id: 'p2' });
+    sm.loadProject('p1', () => {
+      ed.setComponents('<div>Project 1</div>');
+      ed.setStyle('.test { color: red }');
+      ed.store();
+      expect(data['gjs-p1-components']).toBeTruthy();
+      sm.loadProject('p2', () => {
+        expect(sm.getCurrentProject()).toEqual('p2');
+        expect(ed.getComponents().length).toEqual(0);
+        expect(ed.getStyle().length).toEqual(0);
+        sm.loadProject('p1', () => {
+          expect(ed.getHtml()).toContain('Project 1');
+          expect(ed.getStyle().length).toEqual(1);
+          ed.destroy();
+          done();
+        });
+      });
+    });
+  });
+
+  test('Store the version and migrate data on load', done => {
+    const storageId = 'testStorage';
+    const data = {
+      'gjs-components': JSON.stringify([{ type: 'old-text', content: 'A' }])
+    };
+    const ed = new Editor({
+      storageManager: { type: storageId, autoload: 0, version: 1 }
+    }).init();
+    const sm = ed.StorageManager;
+    sm.add(storageId, {
+      store(toStore, clb) {
+        Object.assign(data, toStore);
+        clb();
+      },
+      load(keys, clb) {
+        clb(data);
+      }
+    });
+    sm.addMigration(0, res => {
+      res.components[0].type = 'text';
+    });
+    ed.load(() => {
+      const comp = ed.getComponents().at(0);
+      expect(comp.get('type')).toEqual('text');
+      ed.store();
+      expect(data['gjs-version']).toEqual(1);
+      ed.destroy();
+      done();
+    });
+  });
+
+  test('Create and restore revisions', done => {
+    const data = {};
+    const storageId = 'testStorage';
+    const ed = new Editor({
+      storageManager: { type: storageId, autoload: 0, autosave: 0 }
+    }).init();
+    const sm = ed.StorageManager;
+    const um = ed.UndoManager;
+    sm.add(storageId, {
+      store(toStore, clb) {
+        Object.assign(data, toStore);
+        clb();
+      },
+      load(keys, clb) {
+        clb(data);
+      }
+    });
+    ed.Components.postLoad(); // Init UndoManager
+    ed.Css.postLoad(ed.editor);
+    ed.setComponents('<div class="test">Revision 1</div>');
+    ed.setStyle('.test { color: red }');
+    sm.createRevision({ name: 'Rev 1', author: 'Author' }, rev => {
+      ed.setComponents('<div class="test2">Revision 2</div><div>Other</div>');
+      ed.setStyle('.test2 { color: blue }');
+      sm.listRevisions(list => {
+        expect(list.length).toEqual(1);
+        expect(list[0].name).toEqual('Rev 1');
+        expect(list[0].author).toEqual('Author');
+        expect(list[0].createdAt).toBeTruthy();
+      });
+      um.clear();
+      sm.restoreRevision(rev.id, () => {
+        expect(ed.getHtml()).toContain('Revision 1');
+        expect(ed.getCss()).toContain('.test{color:red;}');
+        um.undo();
+        expect(ed.getHtml()).toContain('Revision 2');
+        expect(ed.getCss()).toContain('.test2{color:blue;}');
+        expect(um.hasUndo()).toEqual(false);
+        ed.destroy();
+        done();
+      });
+    });
+  });
+
+  test('Revisions stored in patch mode do not remove project data', done => {
+    const ed = new Editor({
+      storageManager: {
+        type: 'remote',
+        autoload: 0,
+        autosave: 0,
+        patch: 1,
+        contentTypeJson: 1
+      }
+    }).init();
+    const sm = ed.StorageManager;
+    const remote = sm.get('remote');
+    const response = { status: 200, text: () => Promise.resolve('{}') };
+    const fetch = sinon
+      .stub(remote, 'fetch')
+      .returns(Promise.resolve(response));
+    const getPatches = () =>
+      fetch
+        .getCalls()
+        .map(call => call.args[1].body)
+        .filter(body => body && JSON.parse(body).patch)
+        .map(body => JSON.parse(body).patch);
+    ed.setComponents('<div class="test">Content</div>');
+    ed.store(() => {
+      sm.createRevision({ name: 'Rev 1' }, () => {
+        sm.createRevision({ name: 'Rev 2' }, () => {
+          const patches = getPatches();
+          expect(patches.length).toBeTruthy();
+          patches.forEach(patch =>
+            expect(patch.filter(item => item.op === 'remove')).toEqual([])
+          );
+          ed.destroy();
+          done();
+        });
+      });
+    });
+  });
+
+  test('Restore the undo history of the stored project', async () => {
+    const data = {};
+    const storageId = 'testStorage';
+    const storage = {
+      store(toStore, clb) {
+        Object.assign(data, toStore);
+        clb();
+      },
+      load(keys, clb) {
+        clb(data);
+      }
+    };
+    const config = {
+      storageManager: { type: storageId, autoload: 0, autosave: 0 },
+      undoManager: { persist: 1 }
+    };
+    // Actions in the same callstack are undone together
+    const tick = () => new Promise(res => setTimeout(res));
+    const ed = new Editor(config).init();
+    ed.StorageManager.add(storageId, storage);
+    ed.Components.postLoad(); // Init UndoManager
+    ed.Css.postLoad(ed.editor);
+    ed.getWrapper().set({
+      components: '<div id="cmp1" class="r1">A</div><div>B</div>'
+    });
+    const rule = ed.Css.setRule('.r1', { color: 'red' });
+    ed.UndoManager.clear();
+    const [cmp1, cmp2] = ed.getComponents().models;
+    cmp1.addAttributes({ title: 'Title' });
+    await tick();
+    cmp2.remove();
+    await tick();
+    rule.setStyle({ color: 'green' });
+    ed.UndoManager.undo();
+    ed.store();
+    const html = ed.getHtml();
+    const css = ed.getCss();
+    const stackLength = ed.UndoManager.getStack().length;
+    expect(JSON.parse(data['gjs-undo']).actions.length).toEqual(stackLength);
+    await tick();
+    ed.destroy();
+
+    const ed2 = new Editor(config).init();
+    ed2.StorageManager.add(storageId, storage);
+    const um = ed2.UndoManager;
+    const loaded = new Promise(res => ed2.on('storage:load', res));
+    ed2.load();
+    await loaded;
+    expect(ed2.getHtml()).toEqual(html);
+    expect(ed2.getCss()).toEqual(css);
+    expect(um.getStack().length).toEqual(stackLength);
+    expect(um.hasRedo()).toEqual(true);
+    um.redo();
+    expect(ed2.Css.getRule('.r1').getStyle().color).toEqual('green');
+    um.undo();
+    um.undo();
+    expect(ed2.getComponents().length).toEqual(2);
+    expect(ed2.getHtml()).toContain('>B</div>');
+    um.undo();
+    expect(
+      ed2
+        .getComponents()
+        .at(0)
+        .getAttributes().title
+    ).toBeFalsy();
+    expect(um.hasUndo()).toEqual(false);
+    ed2.destroy();
+  });
+
+  test('Get formatted HTML and CSS', () => {
+    editor.getConfig().protectedCss = '';
+    editor.setComponents('<div title="a" id="box"><p>Text</p></div>');
+    editor.setStyle('#box { color: #ffffff; } p { margin: 0 }');
+    expect(editor.getHtml({ pretty: true, sortAttributes: true })).toBe(
+      '<div id="box" title="a">\n  <p>Text</p>\n</div>'
+    );
+    expect(editor.getCss({ minify: true })).toBe('#box{color:#fff}p{margin:0}');
+    expect(editor.getCss({ pretty: true, indent: '\t' })).toBe(
+      '#box {\n\tcolor: #ffffff;\n}\np {\n\tmargin: 0;\n}'
+    );
+  });
+
+  test('Get CSS of rules matching components', () => {
+    editor.getConfig().protectedCss = '';
+    editor.setComponents(
+      '<div class="a"><h1>Title</h1><p class="c">Text</p></div>'
+    );
+    editor.setStyle(`.a{color:red;} .a.b{color:blue;} .a:hover{color:green;}
+      .c::before{content:"";} h1{margin:0;} h2{margin:0;} .a > *:focus{color:red;}
+      @media (max-width: 480px){.c{color:red;} .d{color:red;}}`);
+    const css = editor.getCss({ prune: true });
+    expect(css).toBe(
+      '.a{color:red;}.a:hover{color:green;}.c::before{content:"";}h1{margin:0;}.a > *:focus{color:red;}@media (max-width: 480px){.c{color:red;}}'
+    );
+    const result = editor.getCriticalCss();
+    expect(result.css).toBe(css);
+    // Without the canvas all matched rules are critical
+    expect(result.critical).toBe(css);
+    expect(result.rest).toBe('');
+    expect(result.dropped.map(rule => rule.selectorsToString())).toEqual([
+      '.a.b',
+      'h2',
+      '.d'
+    ]);
+  });
+
+  test('Keyframes and font faces are kept in the CSS of matching rules', () => {
+    editor.getConfig().protectedCss = '';
+    editor.setComponents('<div class="a">Text</div>');
+    editor.setStyle(`.a{animation:fade 1s;}
+      @font-face{font-family:Font; src:url(font.woff);}`);
+    const keyframe = (selectorsAdd, style) => ({
+      selectorsAdd,
+      style,
+      atRuleType: 'keyframes',
+      mediaText: 'fade'
+    });
+    editor.CssComposer.getAll().add([
+      keyframe('from', { opacity: '0' }),
+      keyframe('to', { opacity: '1' })
+    ]);
+    const css = editor.getCss({ prune: true });
+    expect(css).toContain('@keyframes fade{from{opacity:0;}to{opacity:1;}}');
+    expect(css).toContain('@font-face{font-family:Font;src:url(font.woff);}');
+    const result = editor.getCriticalCss();
+    expect(result.critical).toBe(css);
+    expect(result.rest).toBe('');
+    expect(result.dropped).toEqual([]);
+  });
+
+  test('Get scoped HTML, CSS and JS', () => {
+    editor.getConfig().protectedCss = 'body{margin:0;}';
+    editor.setComponents(
+      '<div class="a">Text</div><div id="js" class="b"></div>'
+    );
+    editor.setStyle('.a{color:red;}#js{color:blue;}');
+    editor
+      .getComponents()
+      .at(1)
+      .set('script', 'this.innerHTML = 1;');
+    const opts = { scope: '.site', namespace: 'ns-' };
+    const html = editor.getHtml(opts);
+    expect(html.indexOf('<div class="site"><div class="ns-a">Text</div>')).toBe(
+      0
+    );
+    expect(html).toContain('<div id="ns-js" class="ns-b"></div></div><script>');
+    expect(html).toContain("document.querySelectorAll('#ns-js')");
+    expect(editor.getCss(opts)).toBe(
+      '.site{margin:0;}.site .ns-a{color:red;}.site #ns-js{color:blue;}'
+    );
+    expect(editor.getJs({ namespace: 'ns-' })).toContain(
+      "document.querySelectorAll('#ns-js')"
+    );
+  });
 });
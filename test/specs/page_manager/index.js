@@ -0,0 +1,158 @@
+import Editor from 'editor';
+
+describe('PageManager', () => {
+  let ed;
+  let pm;
+
+  beforeEach(() => {
+    ed = new Editor().init();
+    pm = ed.Pages;
+  });
+
+  afterEach(async () => {
+    // Wait for debounced updates of views
+    await new Promise(res => setTimeout(res));
+    ed.destroy();
+  });
+
+  test('Object exists', () => {
+    expect(pm).toBeTruthy();
+  });
+
+  test('Has a default page selected', () => {
+    const page = pm.getSelected();
+    expect(pm.getAll().length).toBe(1);
+    expect(page).toBeTruthy();
+    expect(page.getName()).toBe('Page 1');
+    expect(page.isSelected()).toBe(true);
+  });
+
+  test('Load pages from the configuration', () => {
+    ed.destroy();
+    ed = new Editor({
+      pageManager: {
+        pages: [
+          { id: 'home', components: '<div>Home</div>' },
+          { id: 'about', components: '<div>About</div>' }
+        ]
+      }
+    }).init();
+    pm = ed.Pages;
+    ed.getModel().loadOnStart();
+    expect(pm.getAll().length).toBe(2);
+    expect(pm.getSelected().getId()).toBe('home');
+    expect(ed.getHtml()).toContain('Home');
+  });
+
+  test('Add new pages', () => {
+    const page = pm.add({ id: 'about', name: 'About' });
+    expect(pm.getAll().length).toBe(2);
+    expect(pm.get('about')).toBe(page);
+    expect(page.isSelected()).toBe(false);
+    expect(pm.add().getName()).toBe('Page 3');
+    expect(pm.add({}, { at: 0 })).toBe(pm.getAll().at(0));
+  });
+
+  test('Selecting a page swaps components in the canvas', () => {
+    ed.setComponents('<div id="home">Home</div>');
+    const home = pm.getSelected();
+    const cmp = ed.getComponents().at(0);
+    pm.add(
+      { id: 'about', components: '<h1>About</h1>', styles: 'h1{color:red}' },
+      { select: true }
+    );
+    expect(pm.getSelected().getId()).toBe('about');
+    expect(ed.getHtml()).toContain('<h1');
+    expect(ed.getHtml()).not.toContain('Home');
+    expect(ed.getCss()).toContain('h1{color:red}');
+
+    pm.select(home);
+    expect(ed.getHtml()).toContain('Home');
+    expect(ed.getComponents().at(0)).toBe(cmp);
+    expect(ed.getCss()).not.toContain('h1{color:red}');
+    expect(pm.get('about').getComponents().length).toBe(1);
+  });
+
+  test('Each page keeps its own undo stack', () => {
+    const um = ed.UndoManager;
+    ed.Components.postLoad(); // Init UndoManager
+    const home = pm.getSelected();
+    ed.getWrapper().append('<div>Home</div>');
+    expect(um.hasUndo()).toBe(true);
+    const about = pm.add({ components: '<p>About</p>' }, { select: true });
+    expect(um.hasUndo()).toBe(false);
+    ed.getWrapper().append('<p>About 2</p>');
+    pm.select(home);
+    expect(um.getStack().length).toBe(1);
+    um.undo();
+    expect(ed.getComponents().length).toBe(0);
+    pm.select(about);
+    um.undo();
+    expect(ed.getComponents().length).toBe(1);
+    expect(um.hasUndo()).toBe(false);
+  });
+
+  test('Page selection is not synced with collaborators', () => {
+    const ed2 = new Editor().init();
+    ed.Collaboration.connect({ room: 'pages' });
+    ed2.Collaboration.connect({ room: 'pages' });
+    ed.getWrapper().append('<div>Home</div>');
+    pm.add({ components: '<p>About</p>' }, { select: true });
+    expect(ed2.getHtml()).toContain('Home');
+    expect(ed2.getHtml()).not.toContain('About');
+    ed.Collaboration.disconnect();
+    ed2.destroy();
+  });
+
+  test('Remove pages', () => {
+    const first = pm.getSelected();
+    const page = pm.add({ components: '<p>Text</p>' }, { select: true });
+    expect(pm.remove(page)).toBe(page);
+    expect(pm.getAll().length).toBe(1);
+    expect(pm.getSelected()).toBe(first);
+    expect(pm.remove(first)).toBeUndefined();
+    expect(pm.getAll().length).toBe(1);
+  });
+
+  test('Move pages', () => {
+    const first = pm.getSelected();
+    const page = pm.add();
+    pm.move(page, 0);
+    expect(pm.getAll().indexOf(page)).toBe(0);
+    expect(pm.getAll().indexOf(first)).toBe(1);
+  });
+
+  test('Trigger events', () => {
+    const onAdd = jest.fn();
+    const onSelect = jest.fn();
+    const onRemove = jest.fn();
+    ed.on('page:add', onAdd);
+    ed.on('page:select', onSelect);
+    ed.on('page:remove', onRemove);
+    const prev = pm.getSelected();
+    const page = pm.add({}, { select: true });
+    pm.remove(page);
+    expect(onAdd).toBeCalledWith(page);
+    expect(onSelect).toBeCalledWith(page, prev);
+    expect(onRemove).toBeCalledWith(page);
+  });
+
+  test('Store and load pages', () => {
+    ed.setComponents('<div>Home</div>');
+    pm.add({ id: 'about', name: 'About', components: '<p>About</p>' });
+    const data = pm.store(1);
+    const stored = JSON.parse(data.pages);
+    expect(stored.length).toBe(2);
+    expect(stored[0].selected).toBe(1);
+    expect(stored[1].name).toBe('About');
+    // Components of the selected page are stored with the editor ones
+    expect(stored[0].components).toBeUndefined();
+    expect(stored[1].components).toBe('<p>About</p>');
+
+    pm.load({ pages: data.pages.replace('"selected":1', '"selected":0') });
+    expect(pm.getAll().length).toBe(2);
+    expect(pm.getSelected()).toBe(pm.getAll().at(0));
+    pm.select('about');
+    expect(ed.getHtml()).toContain('About');
+  });
+});
@@ -0,0 +1,85 @@
+import { validateHtml, validateCss } from 'parser/model/CodeValidator';
+
+describe('CodeValidator', () => {
+  describe('validateHtml', () => {
+    test('Valid HTML has no errors', () => {
+      const html = `<div class="a">
+        <img src="a.png">
+        <br/>
+        <!-- comment -->
+        <ul><li>Item 1<li>Item 2</ul>
+        <script>if (a < b) { document.write('</div>') }</script>
+      </div>`;
+      expect(validateHtml(html)).toEqual([]);
+    });
+
+    test('Unclosed tags', () => {
+      expect(validateHtml('<div>\n<span>Text\n</div>')).toEqual([
+        { line: 2, message: 'Unclosed tag <span>' }
+      ]);
+      expect(validateHtml('<section>\n<div>')).toEqual([
+        { line: 1, message: 'Unclosed tag <section>' },
+        { line: 2, message: 'Unclosed tag <div>' }
+      ]);
+    });
+
+    test('Unexpected closing tags', () => {
+      expect(validateHtml('<div></div>\n</span>')).toEqual([
+        { line: 2, message: 'Unexpected closing tag </span>' }
+      ]);
+    });
+
+    test('Unclosed tag definitions and comments', () => {
+      expect(validateHtml('<div>\n<span class="a"</div>')).toEqual([
+        { line: 1, message: 'Unclosed tag <div>' },
+        { line: 2, message: 'Unclosed tag <span>' }
+      ]);
+      expect(validateHtml('<div></div><!-- text')).toEqual([
+        { line: 1, message: 'Unclosed comment' }
+      ]);
+    });
+  });
+
+  describe('validateCss', () => {
+    test('Valid CSS has no errors', () => {
+      const css = `
+        /* comment { */
+        .a { color: red; background: url("a;b.png") }
+        @import url(a.css);
+        @media (max-width: 100px) {
+          .b:hover { color: blue }
+        }
+        @keyframes anim { from { opacity: 0 } to { opacity: 1 } }
+      `;
+      expect(validateCss(css)).toEqual([]);
+    });
+
+    test('Not balanced braces', () => {
+      expect(validateCss('.a {\n color: red;\n')).toEqual([
+        { line: 1, message: 'Missing } for this block' }
+      ]);
+      expect(validateCss('.a { color: red }\n}')).toEqual([
+        { line: 2, message: 'Unexpected }' }
+      ]);
+    });
+
+    test('Invalid declarations', () => {
+      expect(validateCss('.a {\n color red;\n width: 10px }')).toEqual([
+        { line: 2, message: 'Invalid declaration "color red"' }
+      ]);
+      expect(validateCss('.a color: red; }')).toEqual([
+        { line: 1, message: 'Missing { after ".a color: red"' },
+        { line: 1, message: 'Unexpected }' }
+      ]);
+    });
+
+    test('Unclosed comments and strings', () => {
+      expect(validateCss('.a { content: "a }\n}')).toEqual([
+        { line: 1, message: 'Unclosed string' }
+      ]);
+      expect(validateCss('.a { color: red }\n/* comment')).toEqual([
+        { line: 2, message: 'Unclosed comment' }
+      ]);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import StorageManager from 'storage_manager';
+import Editor from 'editor';
 import Models from './model/Models';
 
 describe('Storage Manager', () => {
@@ -57,6 +58,7 @@ describe('Storage Manager', () => {
       obj.loadDefaultProviders();
       expect(obj.get('local')).toBeTruthy();
       expect(obj.get('remote')).toBeTruthy();
+      expect(obj.get('indexeddb')).toBeTruthy();
       expect(obj.get('test')).toBeFalsy();
     });
 
@@ -101,5 +103,185 @@ describe('Storage Manager', () => {
         });
       });
     });
+
+    describe('Migrations', () => {
+      beforeEach(() => {
+        obj = new StorageManager().init({ version: 3 });
+      });
+
+      test('Version is 0 by default', () => {
+        expect(new StorageManager().init().getVersion()).toEqual(0);
+      });
+
+      test('Add migrations', () => {
+        const fn = () => {};
+        obj.addMigration(2, fn).addMigration(1, fn);
+        expect(obj.getMigrations().map(m => m.version)).toEqual([1, 2]);
+      });
+
+      test('Run migrations in order', () => {
+        obj.addMigration(2, data => {
+          data.components[0].type = `${data.components[0].type}-v3`;
+        });
+        obj.addMigration(1, data => ({
+          ...data,
+          components: [{ type: 'text-v2' }]
+        }));
+        obj.addMigration(0, () => {
+          throw new Error('Should not run');
+        });
+        const result = obj.migrate({
+          version: 1,
+          components: '[{"type":"text"}]',
+          html: '<div></div>'
+        });
+        expect(result).toEqual({
+          version: 3,
+          components: [{ type: 'text-v2-v3' }],
+          html: '<div></div>'
+        });
+      });
+
+      test('Skip migrations for data with the current version', () => {
+        const fn = sinon.spy();
+        obj.addMigration(2, fn);
+        const data = { version: 3, components: '[]' };
+        expect(obj.migrate(data)).toBe(data);
+        expect(fn.called).toEqual(false);
+      });
+
+      test('Data without version is migrated from 0', () => {
+        const fn = sinon.spy();
+        obj.addMigration(0, fn);
+        obj.migrate({ components: '[]' });
+        expect(fn.calledOnce).toEqual(true);
+      });
+
+      test('Data of a new project is not migrated', () => {
+        const fn = sinon.spy();
+        obj.addMigration(0, fn);
+        const data = {};
+        expect(obj.migrate(data)).toBe(data);
+        expect(fn.called).toEqual(false);
+      });
+
+      test('Load a new project with migrations', () => {
+        const editor = new Editor({
+          storageManager: { type: 'local', autoload: 0, version: 1 }
+        }).init();
+        const sm = editor.StorageManager;
+        const onError = sinon.spy();
+        const migration = sinon.spy(data =>
+          data.components.forEach(cmp => cmp)
+        );
+        sm.addMigration(0, migration);
+        editor.on('storage:error', onError);
+        localStorage.clear();
+        editor.getModel().getCacheLoad(1);
+        expect(migration.called).toEqual(false);
+        expect(onError.called).toEqual(false);
+        editor.destroy();
+      });
+    });
+
+    describe('Projects', () => {
+      var storeValue;
+      var storageId = 'testStorage';
+      var storage = {
+        store(data, clb) {
+          storeValue = { ...storeValue, ...data };
+          clb();
+        },
+        load(keys, clb) {
+          const res = {};
+          keys.forEach(
+            key => key in storeValue && (res[key] = storeValue[key])
+          );
+          clb(res);
+        },
+        remove(keys) {
+          keys.forEach(key => delete storeValue[key]);
+        }
+      };
+
+      beforeEach(() => {
+        storeValue = {};
+        obj = new StorageManager().init({ type: storageId });
+        obj.add(storageId, storage);
+      });
+
+      afterEach(() => {
+        obj = null;
+      });
+
+      test('No projects by default', () => {
+        const clb = sinon.spy();
+        obj.listProjects(clb);
+        expect(clb.calledWith([])).toEqual(true);
+        expect(obj.getCurrentProject()).toEqual('');
+      });
+
+      test('Create project', () => {
+        let project;
+        obj.createProject({ name: 'Project 1' }, res => (project = res));
+        expect(project.id).toBeTruthy();
+        expect(project.name).toEqual('Project 1');
+        expect(JSON.parse(storeValue['gjs-projects'])).toEqual([project]);
+      });
+
+      test('Update project metadata', () => {
+        obj.createProject({ id: 'p1', name: 'Project 1' });
+        obj.updateProject('p1', { thumbnail: 'img.png' });
+        obj.listProjects(res => {
+          expect(res[0].name).toEqual('Project 1');
+          expect(res[0].thumbnail).toEqual('img.png');
+        });
+      });
+
+      test('Store and load data in projects', () => {
+        obj.store({ item: 'value' }, null, { project: 'p1' });
+        obj.store({ item: 'value2' }, null, { project: 'p2' });
+        expect(storeValue['gjs-p1-item']).toEqual('value');
+        obj.load('item', res => expect(res).toEqual({ item: 'value2' }), {
+          project: 'p2'
+        });
+      });
+
+      test('Store data without the list of projects', () => {
+        obj.createProject({ id: 'p1', name: 'Project 1' });
+        obj.loadProject('p1');
+        const st = obj.get(storageId);
+        sinon.spy(st, 'store');
+        obj.store({ item: 'value' });
+        expect(Object.keys(st.store.firstCall.args[0])).toEqual([
+          'gjs-p1-item'
+        ]);
+        st.store.restore();
+      });
+
+      test('Delete project', () => {
+        obj.createProject({ id: 'p1' });
+        obj.createProject({ id: 'p2' });
+        sinon.stub(obj, 'getStorableKeys').returns(['item']);
+        obj.store({ item: 'value' }, null, { project: 'p1' });
+        obj.store({ item: 'value2' }, null, { project: 'p2' });
+        obj.deleteProject('p1');
+        obj.listProjects(res => expect(res.map(p => p.id)).toEqual(['p2']));
+        expect(storeValue['gjs-p1-item']).toBeUndefined();
+        expect(storeValue['gjs-p2-item']).toEqual('value2');
+      });
+
+      test('Duplicate project', () => {
+        let project;
+        obj.createProject({ id: 'p1', name: 'Project 1' });
+        sinon.stub(obj, 'getStorableKeys').returns(['item']);
+        obj.store({ item: 'value' }, null, { project: 'p1' });
+        obj.duplicateProject('p1', {}, res => (project = res));
+        expect(project.name).toEqual('Project 1 copy');
+        obj.load('item', res => expect(res).toEqual({ item: 'value' }), {
+          project: project.id
+        });
+      });
+    });
   });
 });
@@ -1,6 +1,8 @@
 import 'whatwg-fetch';
+import 'fake-indexeddb/auto';
 import LocalStorage from 'storage_manager/model/LocalStorage';
 import RemoteStorage from 'storage_manager/model/RemoteStorage';
+import IndexedDbStorage from 'storage_manager/model/IndexedDbStorage';
 
 describe('LocalStorage', () => {
   var obj;
@@ -44,6 +46,76 @@ describe('LocalStorage', () => {
   });
 });
 
+describe('IndexedDbStorage', () => {
+  var obj;
+  var data = {
+    item1: 'value1',
+    item2: 'value2'
+  };
+
+  beforeEach(() => {
+    obj = new IndexedDbStorage({ dbName: `gjs-test-${Date.now()}` });
+  });
+
+  afterEach(() => {
+    obj = null;
+  });
+
+  test('Store and load items', async () => {
+    await obj.store(data);
+    const result = await obj.load(['item1', 'item2']);
+    expect(result).toEqual(data);
+  });
+
+  test('Store, update and load items', async () => {
+    await obj.store(data);
+    await obj.store({ item3: 'value3' });
+    await obj.store({ item2: 'value22' });
+    const result = await obj.load(['item1', 'item2', 'item3']);
+    expect(result).toEqual({
+      item1: 'value1',
+      item2: 'value22',
+      item3: 'value3'
+    });
+  });
+
+  test('Remove items', async () => {
+    const items = ['item1', 'item2', 'item3'];
+    await obj.store(data);
+    await obj.remove(items);
+    expect(await obj.load(items)).toEqual({});
+  });
+
+  test('Keep projects separated', async () => {
+    await obj.store(data);
+    obj.setProject('project2');
+    await obj.store({ item1: 'value11' });
+    expect(await obj.load(['item1', 'item2'])).toEqual({ item1: 'value11' });
+    obj.setProject('default');
+    expect(await obj.load(['item1', 'item2'])).toEqual(data);
+    const projects = await obj.getProjects();
+    expect(projects.map(p => p.id).sort()).toEqual(['default', 'project2']);
+  });
+
+  test('Remove project', async () => {
+    await obj.store(data);
+    await obj.removeProject('default');
+    expect(await obj.load(['item1'])).toEqual({});
+    expect(await obj.getProjects()).toEqual([]);
+  });
+
+  test('Quota error is passed to the error callback', async () => {
+    const clbErr = sinon.spy();
+    sinon
+      .stub(obj, 'checkQuota')
+      .returns(Promise.reject(obj.createQuotaError(100, 10, 50)));
+    await obj.store(data, null, clbErr);
+    expect(clbErr.calledOnce).toEqual(true);
+    expect(clbErr.firstCall.args[0].name).toEqual('QuotaExceededError');
+    expect(await obj.load(['item1'])).toEqual({});
+  });
+});
+
 describe('RemoteStorage', () => {
   var obj;
   var itemName = 'testItem';
@@ -139,6 +211,252 @@ describe('RemoteStorage', () => {
     });
   });
 
+  describe('Patch mode', () => {
+    const components = id =>
+      JSON.stringify([{ attributes: { id }, content: 'A' }, { content: 'B' }]);
+    const styles = color =>
+      JSON.stringify([
+        { selectors: [{ name: 'cls', type: 1 }], style: { color } },
+        { selectors: ['#a'], mediaText: '(max-width: 100px)', style: { color } }
+      ]);
+
+    beforeEach(() => {
+      obj.fetch.restore();
+      obj = new RemoteStorage({ ...storageOptions, patch: true });
+      sinon
+        .stub(obj, 'fetch')
+        .callsFake(() => Promise.resolve(mockResponse({})));
+    });
+
+    const getBody = call => {
+      const body = call.args[1].body;
+      return JSON.parse(body.get('patch'));
+    };
+
+    test('The first store sends all the data', done => {
+      obj.store({ 'gjs-components': components('a') }, () => {
+        const body = obj.fetch.firstCall.args[1].body;
+        expect(body.get('gjs-components')).toEqual(components('a'));
+        expect(body.get('patch')).toBeNull();
+        done();
+      });
+    });
+
+    test('Store only the changes', done => {
+      const data = {
+        'gjs-components': components('a'),
+        'gjs-styles': styles('red')
+      };
+      obj.store(data, () => {
+        obj.store(
+          { ...data, 'gjs-styles': styles('blue'), 'gjs-html': '<div></div>' },
+          () => {
+            const { secondCall } = obj.fetch;
+            expect(secondCall.args[0]).toEqual(endpointStore);
+            expect(getBody(secondCall)).toEqual([
+              {
+                op: 'replace',
+                path: '/gjs-styles/0/style/color',
+                value: 'blue'
+              },
+              {
+                op: 'replace',
+                path: '/gjs-styles/1/style/color',
+                value: 'blue'
+              },
+              { op: 'add', path: '/gjs-html', value: '<div></div>' }
+            ]);
+            done();
+          }
+        );
+      });
+    });
+
+    test('Insert a component without id', done => {
+      const next = JSON.stringify([
+        { attributes: { id: 'a' }, content: 'A' },
+        { content: 'C' },
+        { content: 'B' }
+      ]);
+      obj.store({ 'gjs-components': components('a') }, () => {
+        obj.store({ 'gjs-components': next }, () => {
+          expect(getBody(obj.fetch.secondCall)).toEqual([
+            { op: 'add', path: '/gjs-components/1', value: { content: 'C' } }
+          ]);
+          done();
+        });
+      });
+    });
+
+    test('Use the patch endpoint', done => {
+      obj.set('urlPatch', 'testPatchEndpoint');
+      obj.store({ 'gjs-components': components('a') }, () => {
+        obj.store({ 'gjs-components': components('b') }, () => {
+          expect(obj.fetch.secondCall.args[0]).toEqual('testPatchEndpoint');
+          done();
+        });
+      });
+    });
+
+    test('Avoid the request without changes', done => {
+      const data = { 'gjs-components': components('a') };
+      obj.store(data, () => {
+        obj.store(data, () => {
+          expect(obj.fetch.callCount).toEqual(1);
+          done();
+        });
+      });
+    });
+
+    test('Store all the data if the patch is rejected', done => {
+      const rejected = new window.Response('', { status: 400 });
+      obj.store({ 'gjs-components': components('a') }, () => {
+        obj.fetch.onSecondCall().returns(Promise.resolve(rejected));
+        obj.store({ 'gjs-components': components('b') }, () => {
+          expect(obj.fetch.callCount).toEqual(3);
+          const body = obj.fetch.thirdCall.args[1].body;
+          expect(body.get('gjs-components')).toEqual(components('b'));
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Retry mode', () => {
+    const errResponse = (status = 500) =>
+      Promise.resolve(new window.Response('', { status }));
+    let em;
+
+    beforeEach(() => {
+      obj.fetch.restore();
+      em = { trigger: sinon.spy(), logWarning() {} };
+      localStorage.removeItem('gjs-remote-queue');
+      obj = new RemoteStorage({
+        ...storageOptions,
+        em,
+        id: 'gjs-',
+        retry: true,
+        retryDelay: 1
+      });
+      sinon
+        .stub(obj, 'fetch')
+        .callsFake(() => Promise.resolve(mockResponse({})));
+    });
+
+    const triggered = event =>
+      em.trigger.getCalls().filter(c => c.args[0] === event);
+
+    test('Retry failed requests', done => {
+      obj.fetch.onFirstCall().returns(errResponse());
+      obj.store(data, () => {
+        expect(obj.fetch.callCount).toEqual(2);
+        expect(triggered('storage:queued').length).toEqual(1);
+        expect(triggered('storage:retry')[0].args[1].attempt).toEqual(1);
+        expect(localStorage.getItem('gjs-remote-queue')).toBeFalsy();
+        done();
+      });
+    });
+
+    test('Do not retry on client errors', done => {
+      obj.fetch.onFirstCall().returns(errResponse(400));
+      obj.store(data, null, () => {
+        expect(obj.fetch.callCount).toEqual(1);
+        done();
+      });
+    });
+
+    test('Trigger the error after max retries', done => {
+      obj.set('retryMax', 2);
+      obj.fetch.callsFake(() => errResponse());
+      obj.store(data, null, () => {
+        expect(obj.fetch.callCount).toEqual(3);
+        expect(localStorage.getItem('gjs-remote-queue')).toBeTruthy();
+        done();
+      });
+    });
+
+    test('Report the error once for coalesced stores', done => {
+      sinon.stub(obj, 'isOffline').returns(true);
+      sinon.stub(console, 'error');
+      obj.fetch.callsFake(() => errResponse(400));
+      obj.store(data);
+      obj.store({ item1: 'value11' });
+      obj.isOffline.returns(false);
+      const clbErr = sinon.spy(() =>
+        setTimeout(() => {
+          expect(obj.fetch.callCount).toEqual(1);
+          expect(clbErr.calledOnce).toEqual(true);
+          expect(triggered('storage:error').length).toEqual(1);
+          console.error.restore();
+          done();
+        })
+      );
+      obj.store({ item1: 'value12' }, null, clbErr);
+    });
+
+    test('Queue data while offline and send only the latest', done => {
+      sinon.stub(obj, 'isOffline').returns(true);
+      const clb = sinon.spy();
+      obj.store(data, clb);
+      obj.store({ item1: 'value11' }, clb);
+      expect(obj.fetch.called).toEqual(false);
+      expect(triggered('storage:queued').length).toEqual(2);
+      expect(JSON.parse(localStorage.getItem('gjs-remote-queue'))).toEqual({
+        ...data,
+        item1: 'value11'
+      });
+      obj.isOffline.returns(false);
+      obj.store({ item1: 'value12' }, () => {
+        expect(obj.fetch.callCount).toEqual(1);
+        expect(obj.fetch.firstCall.args[1].body.get('item1')).toEqual(
+          'value12'
+        );
+        expect(clb.callCount).toEqual(2);
+        done();
+      });
+      window.dispatchEvent(new window.Event('online'));
+    });
+
+    test('Merge partial data with the queued one', done => {
+      obj.fetch.onFirstCall().returns(errResponse());
+      obj.set('retryDelay', 10);
+      const clb = sinon.spy();
+      obj.store(data, clb);
+      setTimeout(() => {
+        obj.store({ item3: 'value3' }, () => {
+          const body = obj.fetch.secondCall.args[1].body;
+          expect(body.get('item1')).toEqual('value1');
+          expect(body.get('item2')).toEqual('value2');
+          expect(body.get('item3')).toEqual('value3');
+          expect(clb.calledOnce).toEqual(true);
+          done();
+        });
+      });
+    });
+
+    test('Stop listening to the connection on destroy', () => {
+      sinon.stub(obj, 'isOffline').returns(true);
+      obj.store(data);
+      obj.isOffline.returns(false);
+      obj.__destroy();
+      window.dispatchEvent(new window.Event('online'));
+      expect(obj.fetch.called).toEqual(false);
+    });
+
+    test('Send persisted data before loading', done => {
+      localStorage.setItem('gjs-remote-queue', JSON.stringify(data));
+      obj = new RemoteStorage({ ...storageOptions, id: 'gjs-', retry: true });
+      sinon
+        .stub(obj, 'fetch')
+        .callsFake(() => Promise.resolve(mockResponse({})));
+      obj.load(['item1'], () => {
+        expect(obj.fetch.firstCall.args[0]).toEqual(endpointStore);
+        expect(obj.fetch.secondCall.args[0]).toEqual(endpointLoad);
+        done();
+      });
+    });
+  });
+
   test('Load data with custom fetch options as function', () => {
     const customOpts = { customOpt: 'customValue' };
     obj = new RemoteStorage({
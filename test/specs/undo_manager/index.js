@@ -0,0 +1,185 @@
+import Editor from 'editor';
+
+describe('Undo Manager', () => {
+  let editor;
+  let um;
+  let wrapper;
+  // Actions in the same callstack are merged in a single entry
+  const tick = () => new Promise(res => setTimeout(res));
+
+  beforeEach(() => {
+    editor = new Editor().init();
+    um = editor.UndoManager;
+    editor.Components.postLoad(); // Init UndoManager
+    wrapper = editor.getWrapper();
+  });
+
+  afterEach(async () => {
+    // Wait for debounced updates of views, eg. after undo/redo
+    await tick();
+    editor.destroy();
+  });
+
+  test('Entries have labels and timestamps', () => {
+    wrapper.append('<div>Component</div>');
+    const action = um.getStack().at(0);
+    expect(action.get('label')).toBe('Add Text');
+    expect(action.get('timestamp')).toBeTruthy();
+  });
+
+  test('Jump to any entry of the stack', async () => {
+    const [cmp] = wrapper.append('<div>Component</div>');
+    await tick();
+    cmp.addAttributes({ title: 'Title 1' });
+    await tick();
+    cmp.addAttributes({ title: 'Title 2' });
+    const entries = um.getStackGroup();
+    expect(entries.length).toBe(3);
+    um.goTo(entries[0]);
+    expect(cmp.getAttributes().title).toBeFalsy();
+    expect(wrapper.components().length).toBe(1);
+    um.goTo(-1);
+    expect(wrapper.components().length).toBe(0);
+    um.goTo(entries[2]);
+    expect(wrapper.components().length).toBe(1);
+    expect(cmp.getAttributes().title).toBe('Title 2');
+    um.goTo(um.getStack().indexOf(entries[1]));
+    expect(cmp.getAttributes().title).toBe('Title 1');
+    expect(um.hasRedo()).toBe(true);
+  });
+
+  test('Render the history', async () => {
+    const [cmp] = wrapper.append('<div>Component</div>');
+    await tick();
+    cmp.addAttributes({ title: 'Title' });
+    const el = um.render();
+    const items = el.querySelectorAll('[data-history-index]');
+    const activeCls = 'gjs-history-item--active';
+    expect(items.length).toBe(3);
+    expect(items[0].textContent).toContain('Initial state');
+    expect(items[1].textContent).toContain('Add Text');
+    expect(items[2].textContent).toContain('Change attributes of Text');
+    expect(items[2].classList.contains(activeCls)).toBe(true);
+    items[1].click();
+    expect(cmp.getAttributes().title).toBeFalsy();
+    const updated = el.querySelectorAll('[data-history-index]');
+    expect(updated[1].classList.contains(activeCls)).toBe(true);
+    expect(updated[2].classList.contains('gjs-history-item--future')).toBe(
+      true
+    );
+  });
+
+  test('Changes made after the transaction returns are not grouped', async () => {
+    const [cmp] = wrapper.append('<div>Component</div>');
+    await tick();
+    um.transaction('Update component', () => {
+      cmp.addAttributes({ title: 'Title' });
+      tick().then(() => cmp.addAttributes({ title: 'Title 2' }));
+    });
+    await tick();
+    expect(um.getStackGroup().length).toBe(3);
+    um.undo();
+    expect(cmp.getAttributes().title).toBe('Title');
+  });
+
+  test('Changes are joined to the last entry', async () => {
+    const [cmp] = wrapper.append('<div>Component</div>');
+    await tick();
+    um.transaction(null, () => cmp.addAttributes({ title: 'Title' }), {
+      join: 1
+    });
+    expect(um.getStackGroup().length).toBe(1);
+    expect(
+      um
+        .getStack()
+        .at(1)
+        .get('label')
+    ).toBe('Add Text');
+    um.undo();
+    expect(wrapper.components().length).toBe(0);
+    expect(um.hasUndo()).toBe(false);
+  });
+
+  test('Block drop and its activation are undone in a single step', async () => {
+    const modal = editor.Modal;
+    const [cmp] = wrapper.append('<img/>');
+    // Like the image, which opens the Asset Manager
+    cmp.on('active', () => modal.open());
+    await tick();
+    editor.BlockManager.__activate(cmp);
+    await tick();
+    cmp.set('src', 'image.png');
+    modal.close();
+    await tick();
+    cmp.addAttributes({ title: 'Title' });
+    expect(um.getStackGroup().length).toBe(2);
+    um.undo();
+    um.undo();
+    expect(wrapper.components().length).toBe(0);
+    expect(um.hasUndo()).toBe(false);
+  });
+
+  describe('Style Manager', () => {
+    let sm;
+    let cmp;
+
+    beforeEach(async () => {
+      sm = editor.StyleManager;
+      sm.addSector('decorations', { buildProps: ['margin', 'box-shadow'] });
+      editor.CssComposer.postLoad(editor.getModel());
+      cmp = wrapper.append('<div id="cmp">Component</div>')[0];
+      editor.select(cmp);
+      sm.render();
+      await tick();
+      um.clear();
+    });
+
+    afterEach(async () => {
+      // Wait for deferred updates of layers
+      await tick();
+      await tick();
+    });
+
+    test('Composite edits are undone in a single step', async () => {
+      const margin = sm.getProperty('decorations', 'margin');
+      const rule = sm.getModelToStyle(cmp);
+      margin
+        .get('properties')
+        .at(0)
+        .set('value', '10px');
+      await tick();
+      expect(rule.getStyle().margin).toBe('10px 0 0 0');
+      um.clear();
+      margin.view.clear();
+      await tick();
+      expect(rule.getStyle().margin).toBeFalsy();
+      expect(um.getStackGroup().length).toBe(1);
+      um.undo();
+      expect(rule.getStyle().margin).toBe('10px 0 0 0');
+      expect(um.hasUndo()).toBe(false);
+    });
+
+    test('Stack edits are undone in a single step', async () => {
+      const shadow = sm.getProperty('decorations', 'box-shadow');
+      const rule = sm.getModelToStyle(cmp);
+      shadow.view.addLayer();
+      const layer = shadow.get('layers').at(0);
+      layer
+        .get('properties')
+        .at(0)
+        .set('value', '5px');
+      await tick();
+      expect(rule.getStyle()['box-shadow']).toBe('5px 0 5px 0 black');
+      expect(um.getStackGroup().length).toBe(1);
+      layer.view.removeItem();
+      await tick();
+      expect(rule.getStyle()['box-shadow']).toBeFalsy();
+      expect(um.getStackGroup().length).toBe(2);
+      um.undo();
+      expect(rule.getStyle()['box-shadow']).toBe('5px 0 5px 0 black');
+      um.undo();
+      expect(rule.getStyle()['box-shadow']).toBeFalsy();
+      expect(um.hasUndo()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import Resizer from 'utils/Resizer';
+
+describe('Resizer', () => {
+  let el;
+  let resizer;
+
+  const getEvent = (clientX, clientY, target) => ({
+    button: 0,
+    clientX,
+    clientY,
+    target,
+    preventDefault() {},
+    stopPropagation() {}
+  });
+
+  const resize = (handler, x, y) => {
+    resizer.start(getEvent(0, 0, resizer.handlers[handler]));
+    resizer.move(getEvent(x, y));
+    resizer.stop(getEvent(x, y));
+    return resizer.rectDim;
+  };
+
+  const init = (opts = {}) => {
+    resizer = Resizer.init({
+      prefix: '',
+      posFetcher: () => ({ left: 0, top: 0, width: 100, height: 50 }),
+      ...opts
+    });
+    resizer.focus(el);
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="resizer-el"></div>';
+    el = document.querySelector('#resizer-el');
+  });
+
+  afterEach(() => {
+    resizer.blur();
+  });
+
+  test('Resize by the pointer movement', () => {
+    init();
+    const rect = resize('br', 30, 20);
+    expect(rect.w).toBe(130);
+    expect(rect.h).toBe(70);
+    expect(el.style.width).toBe('130px');
+  });
+
+  test('Moved edges snap to the nearest guide', () => {
+    init({ guides: [{ x: 135 }, { x: 128 }, { y: 66 }] });
+    const rect = resize('br', 30, 20);
+    expect(rect.w).toBe(128);
+    expect(rect.h).toBe(66);
+    expect(resizer.guidesActive).toEqual([{ x: 128 }, { y: 66 }]);
+  });
+
+  test('Guides out of the snap offset are skipped', () => {
+    init({ guides: [{ x: 140 }], snapOffset: 5 });
+    expect(resize('cr', 30, 0).w).toBe(130);
+    expect(resizer.guidesActive).toEqual([]);
+  });
+
+  test('Left edge snaps to guides', () => {
+    init({ guides: () => [{ x: -20 }] });
+    expect(resize('cl', -17, 0).w).toBe(120);
+  });
+
+  test('Snap to the grid without guides', () => {
+    init({ snapGrid: 20, guides: [{ y: 90 }] });
+    const rect = resize('br', 27, 38);
+    expect(rect.w).toBe(120);
+    expect(rect.h).toBe(90);
+  });
+
+  test('Guides are relative to the scaled movement', () => {
+    init({ guides: [{ x: 130 }], scale: 2 });
+    expect(resize('cr', 29, 0).w).toBe(160);
+  });
+
+  test('Dimensions not in pixels are not snapped', () => {
+    init({ guides: [{ x: 128 }], snapGrid: 20, unitWidth: '%' });
+    expect(resize('cr', 30, 0).w).toBe(130);
+  });
+});
@@ -0,0 +1,96 @@
+import { diffComponents, diffRules } from 'utils/diff';
+
+describe('Diff utils', () => {
+  const cmp = (tagName, props = {}, components) => ({
+    tagName,
+    ...props,
+    ...(components && { components })
+  });
+  const withId = (id, tagName, props, components) =>
+    cmp(tagName, { attributes: { id }, ...props }, components);
+  const getTypes = result =>
+    result.map(({ type, from, to }) =>
+      [type, from && from.path.join('.'), to && to.path.join('.')].join(' ')
+    );
+
+  test('Same components have no differences', () => {
+    const comps = [cmp('div', {}, [cmp('p'), withId('a', 'span')])];
+    expect(diffComponents(comps, JSON.stringify(comps))).toEqual([]);
+  });
+
+  test('Detect added, removed and changed components', () => {
+    const prev = [cmp('header'), cmp('div', {}, [cmp('p'), cmp('span')])];
+    const next = [
+      cmp('div', { content: 'New' }, [cmp('span'), cmp('img')]),
+      cmp('footer')
+    ];
+    const result = diffComponents(prev, next);
+    expect(getTypes(result)).toEqual([
+      'changed 1 0',
+      'added  0.1',
+      'added  1',
+      'removed 1.0 ',
+      'removed 0 '
+    ]);
+    expect(result[0].changes).toEqual(['content']);
+    expect(result[3].parent).toEqual([0]);
+  });
+
+  test('Detect moved components', () => {
+    const prev = [
+      withId('a', 'div'),
+      withId('b', 'div'),
+      withId('c', 'div', {}, [withId('d', 'p')])
+    ];
+    const next = [
+      withId('b', 'div'),
+      withId('c', 'div'),
+      withId('a', 'div', {}, [withId('d', 'p')])
+    ];
+    const result = diffComponents(prev, next);
+    expect(getTypes(result)).toEqual(['moved 0 2', 'moved 2.0 2.0']);
+  });
+
+  test('Detect components moved inside new parents', () => {
+    const prev = [withId('a', 'div'), cmp('div', {}, [withId('b', 'p')])];
+    const next = [
+      cmp('section', {}, [
+        cmp('div', {}, [withId('a', 'div', { content: 'A' })])
+      ]),
+      cmp('div', {}, [withId('b', 'p')])
+    ];
+    const result = diffComponents(prev, next);
+    expect(getTypes(result)).toEqual([
+      'added  0',
+      'moved 0 0.0.0',
+      'changed 0 0.0.0'
+    ]);
+    expect(result[2].changes).toEqual(['content']);
+  });
+
+  test('Components are matched without a wrapper', () => {
+    const prev = { type: 'wrapper', components: [cmp('div')] };
+    expect(diffComponents([prev], [cmp('div')])).toEqual([]);
+  });
+
+  test('Detect added, removed, moved and changed rules', () => {
+    const prev = [
+      { selectors: ['one'], style: { color: 'red' } },
+      { selectors: ['two'], style: { color: 'red' } },
+      { selectors: ['three'], style: { color: 'red' } }
+    ];
+    const next = [
+      { selectors: ['three'], style: { color: 'red' } },
+      { selectors: ['one'], style: { color: 'blue' } },
+      { selectors: ['one'], state: 'hover', style: { color: 'red' } }
+    ];
+    const result = diffRules(prev, next);
+    expect(result.map(({ type, key }) => `${type} ${key}`)).toEqual([
+      'moved ||one|',
+      'changed ||one|',
+      'added ||one|hover',
+      'removed ||two|'
+    ]);
+    expect(result[1].changes).toEqual(['style']);
+  });
+});
@@ -0,0 +1,85 @@
+import { createPatch, applyPatch } from 'utils/patch';
+
+describe('Patch', () => {
+  const getKey = item => item.id;
+
+  test('No operations for equal values', () => {
+    expect(createPatch({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toEqual([]);
+  });
+
+  test('Add, remove and replace object properties', () => {
+    const patch = createPatch({ a: 1, b: 2 }, { b: 3, c: 4 });
+    expect(patch).toEqual([
+      { op: 'remove', path: '/a' },
+      { op: 'replace', path: '/b', value: 3 },
+      { op: 'add', path: '/c', value: 4 }
+    ]);
+  });
+
+  test('Escape property names', () => {
+    const patch = createPatch({}, { 'a/b': 1 });
+    expect(patch).toEqual([{ op: 'add', path: '/a~1b', value: 1 }]);
+    expect(applyPatch({}, patch)).toEqual({ 'a/b': 1 });
+  });
+
+  test('Match array items by key', () => {
+    const prev = [
+      { id: 'a', v: 1 },
+      { id: 'b', v: 1 },
+      { id: 'c', v: 1 }
+    ];
+    const next = [
+      { id: 'c', v: 1 },
+      { id: 'a', v: 2 },
+      { id: 'd', v: 1 }
+    ];
+    const patch = createPatch(prev, next, { getKey });
+    expect(patch).toEqual([
+      { op: 'remove', path: '/1' },
+      { op: 'move', from: '/1', path: '/0' },
+      { op: 'add', path: '/2', value: { id: 'd', v: 1 } },
+      { op: 'replace', path: '/1/v', value: 2 }
+    ]);
+    expect(applyPatch(prev, patch)).toEqual(next);
+  });
+
+  test('Match array items without key', () => {
+    const prev = [{ v: 1 }, { v: 2 }, { v: 3 }];
+    const next = [{ v: 1 }, { v: 4 }, { v: 2 }, { v: 5 }];
+    const patch = createPatch(prev, next, { getKey });
+    expect(patch).toEqual([
+      { op: 'add', path: '/1', value: { v: 4 } },
+      { op: 'replace', path: '/3/v', value: 5 }
+    ]);
+    expect(applyPatch(prev, patch)).toEqual(next);
+  });
+
+  test('Replace the array with duplicated keys', () => {
+    const next = [{ id: 'a' }, { id: 'a' }];
+    const patch = createPatch([{ id: 'a' }], next, { getKey });
+    expect(patch).toEqual([{ op: 'replace', path: '', value: next }]);
+  });
+
+  test('Apply patch on nested structures', () => {
+    const prev = {
+      components: [
+        { id: 'a', components: [{ id: 'b' }, { content: 'text' }] },
+        { content: 'text2' }
+      ]
+    };
+    const next = {
+      components: [
+        { content: 'text3' },
+        { id: 'a', components: [{ content: 'text' }, { id: 'c' }] }
+      ]
+    };
+    const patch = createPatch(prev, next, { getKey });
+    expect(applyPatch(prev, patch)).toEqual(next);
+  });
+
+  test('Apply patch does not change the original value', () => {
+    const prev = { a: [1, 2] };
+    applyPatch(prev, createPatch(prev, { a: [2] }));
+    expect(prev).toEqual({ a: [1, 2] });
+  });
+});
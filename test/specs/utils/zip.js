@@ -0,0 +1,62 @@
+import { createZip, crc32, toBytes } from 'utils/zip';
+
+// Read back entries of the archive, from the central directory
+const readZip = bytes => {
+  const view = new DataView(bytes.buffer);
+  const decode = arr => decodeURIComponent(escape(String.fromCharCode(...arr)));
+  const end = bytes.length - 22;
+  const count = view.getUint16(end + 10, true);
+  let pos = view.getUint32(end + 16, true);
+  const files = {};
+
+  for (let i = 0; i < count; i++) {
+    const size = view.getUint32(pos + 24, true);
+    const nameLen = view.getUint16(pos + 28, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = decode(bytes.slice(pos + 46, pos + 46 + nameLen));
+    const start = offset + 30 + view.getUint16(offset + 26, true);
+    files[name] = {
+      crc: view.getUint32(pos + 16, true),
+      data: bytes.slice(start, start + size)
+    };
+    pos += 46 + nameLen;
+  }
+
+  return files;
+};
+
+describe('Zip', () => {
+  test('crc32 of known values', () => {
+    expect(crc32(toBytes(''))).toBe(0);
+    expect(crc32(toBytes('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('toBytes encodes strings in UTF-8', () => {
+    expect(Array.from(toBytes('aè'))).toEqual([97, 0xc3, 0xa8]);
+  });
+
+  test('Empty archive', () => {
+    const zip = createZip();
+    expect(zip.length).toBe(22);
+    expect(readZip(zip)).toEqual({});
+  });
+
+  test('Archive contains all the files', () => {
+    const image = new Uint8Array([1, 2, 3, 250]);
+    const zip = createZip({
+      'index.html': '<h1>Hello</h1>',
+      'assets/image.png': image,
+      'assets/buffer.bin': image.buffer
+    });
+    const files = readZip(zip);
+    expect(Object.keys(files)).toEqual([
+      'index.html',
+      'assets/image.png',
+      'assets/buffer.bin'
+    ]);
+    expect(files['index.html'].data).toEqual(toBytes('<h1>Hello</h1>'));
+    expect(files['index.html'].crc).toBe(crc32(toBytes('<h1>Hello</h1>')));
+    expect(files['assets/image.png'].data).toEqual(image);
+    expect(files['assets/buffer.bin'].data).toEqual(image);
+  });
+});